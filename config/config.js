@@ -4,19 +4,121 @@ const envPath = path.join(currentDir, 'data', '.env');
 console.log('Loading .env from:', envPath); // Debug log
 require('dotenv').config({ path: envPath });
 
+// Generate a strong JWT secret on first boot and persist it, so sessions survive restarts
+if (!process.env.JWT_SECRET) {
+  const fs = require('fs');
+  process.env.JWT_SECRET = require('crypto').randomBytes(64).toString('hex');
+  try {
+    fs.mkdirSync(path.dirname(envPath), { recursive: true });
+    const existing = fs.existsSync(envPath) ? fs.readFileSync(envPath, 'utf8') : '';
+    const separator = existing && !existing.endsWith('\n') ? '\n' : '';
+    fs.appendFileSync(envPath, `${separator}JWT_SECRET=${process.env.JWT_SECRET}\n`);
+    console.log('[DEBUG] Generated a new JWT secret');
+  } catch (error) {
+    console.error('[ERROR] Failed to persist the JWT secret, sessions end on restart:', error.message);
+  }
+}
+
 // Helper function to parse boolean-like env vars
 const parseEnvBoolean = (value, defaultValue = 'yes') => {
   if (!value) return defaultValue;
   return value.toLowerCase() === 'true' || value === '1' || value.toLowerCase() === 'yes' ? 'yes' : 'no';
 };
 
+// Provider and model of a task, e.g. CHAT_AI_PROVIDER and CHAT_MODEL
+const parseTaskModel = prefix => ({
+  provider: (process.env[`${prefix}_AI_PROVIDER`] || '').trim().toLowerCase(),
+  model: (process.env[`${prefix}_MODEL`] || '').trim()
+});
+
 // Initialize limit functions with defaults
 const limitFunctions = {
   activateTagging: parseEnvBoolean(process.env.ACTIVATE_TAGGING, 'yes'),
   activateCorrespondents: parseEnvBoolean(process.env.ACTIVATE_CORRESPONDENTS, 'yes'),
   activateDocumentType: parseEnvBoolean(process.env.ACTIVATE_DOCUMENT_TYPE, 'yes'),
   activateTitle: parseEnvBoolean(process.env.ACTIVATE_TITLE, 'yes'),
-  activateCustomFields: parseEnvBoolean(process.env.ACTIVATE_CUSTOM_FIELDS, 'yes')
+  activateCustomFields: parseEnvBoolean(process.env.ACTIVATE_CUSTOM_FIELDS, 'yes'),
+  // Off by default: the storage path is chosen by the AI from the existing paths,
+  // owner and permissions are assigned by the permission rules
+  activateStoragePath: parseEnvBoolean(process.env.ACTIVATE_STORAGE_PATH, 'no'),
+  activatePermissions: parseEnvBoolean(process.env.ACTIVATE_PERMISSIONS, 'no')
+};
+
+// Initialize merge policies; the defaults keep the previous behaviour
+// (replace title and date, keep an existing correspondent, add tags)
+const mergePolicies = {
+  title: process.env.MERGE_POLICY_TITLE || 'overwrite',
+  created: process.env.MERGE_POLICY_CREATED || 'overwrite',
+  correspondent: process.env.MERGE_POLICY_CORRESPONDENT || 'fill-if-empty',
+  documentType: process.env.MERGE_POLICY_DOCUMENT_TYPE || 'overwrite',
+  tags: process.env.MERGE_POLICY_TAGS || 'merge',
+  language: process.env.MERGE_POLICY_LANGUAGE || 'overwrite',
+  customFields: process.env.MERGE_POLICY_CUSTOM_FIELDS || 'overwrite',
+  storagePath: process.env.MERGE_POLICY_STORAGE_PATH || 'overwrite'
+};
+
+// Parses a value between 0 and 1
+const parseRatio = (value, defaultValue) => {
+  const parsed = parseFloat(value);
+  return isNaN(parsed) ? defaultValue : Math.min(Math.max(parsed, 0), 1);
+};
+
+// Initialize confidence thresholds; fields the AI is less sure about than the
+// threshold are left out or sent to review (0 disables the check)
+const confidence = {
+  threshold: parseRatio(process.env.CONFIDENCE_THRESHOLD, 0),
+  // Per-field overrides as comma-separated field=threshold pairs, e.g. "correspondent=0.8,title=0.5"
+  fieldThresholds: Object.fromEntries((process.env.CONFIDENCE_FIELD_THRESHOLDS || '')
+    .split(',')
+    .map(entry => entry.split('=').map(part => part.trim()))
+    .filter(([field, value]) => field && value !== undefined && !isNaN(parseFloat(value)))
+    .map(([field, value]) => [field, parseRatio(value, 0)])),
+  lowConfidenceAction: process.env.LOW_CONFIDENCE_ACTION === 'review' ? 'review' : 'skip',
+  needsReviewTag: process.env.NEEDS_REVIEW_TAG ?? 'needs-review'
+};
+
+// Initialize tag matching; tag names from the AI are mapped to existing tags by
+// alias, similar spelling and optionally embeddings before a new tag is created
+const tagMatching = {
+  // Minimum similarity of two spellings; 0 (default) only matches plural forms, accents and separators
+  similarityThreshold: parseRatio(process.env.TAG_SIMILARITY_THRESHOLD, 0),
+  // Embeddings come from the sentence transformer of the RAG service
+  useEmbeddings: parseEnvBoolean(process.env.TAG_MATCH_EMBEDDINGS, 'no'),
+  embeddingThreshold: parseRatio(process.env.TAG_EMBEDDING_THRESHOLD, 0.85)
+};
+
+// Initialize correspondent matching; names from the AI are normalised (legal
+// suffixes, punctuation, case) and optionally matched by identifiers in the content
+const correspondentMatching = {
+  normalize: parseEnvBoolean(process.env.CORRESPONDENT_NORMALIZE, 'yes'),
+  matchIdentifiers: parseEnvBoolean(process.env.CORRESPONDENT_MATCH_IDENTIFIERS, 'no'),
+  // Own IBANs, VAT IDs or email addresses that appear on most documents, comma-separated
+  ignoredIdentifiers: (process.env.CORRESPONDENT_IGNORED_IDENTIFIERS || '')
+    .split(',')
+    .map(identifier => identifier.trim())
+    .filter(Boolean)
+};
+
+// Initialize the vision fallback; documents without usable OCR text (e.g. handwriting)
+// are analysed from their page image by a vision-capable model
+const vision = {
+  enabled: parseEnvBoolean(process.env.VISION_FALLBACK_ENABLED, 'no'),
+  // Model for the image analysis, empty for the model of the provider
+  model: process.env.VISION_MODEL || '',
+  // Share of readable words below which the OCR text counts as garbage (0 disables the check)
+  minTextQuality: parseRatio(process.env.VISION_MIN_TEXT_QUALITY, 0.5),
+  // Image documents up to this size are sent in full resolution instead of the thumbnail
+  maxImageSizeMb: Math.max(parseInt(process.env.VISION_MAX_IMAGE_MB || '10', 10) || 0, 0)
+};
+
+// Initialize the long document mode; documents longer than one chunk are analysed
+// in parts whose partial results are combined by a final request (map-reduce)
+const longDocument = {
+  enabled: parseEnvBoolean(process.env.LONG_DOCUMENT_MODE, 'no'),
+  // Content tokens per request, lowered to what fits into TOKEN_LIMIT next to the prompt
+  chunkTokens: Math.max(parseInt(process.env.LONG_DOCUMENT_CHUNK_TOKENS || '8000', 10) || 8000, 500),
+  // Longer documents keep their first and last chunks, the middle is left out
+  maxChunks: Math.max(parseInt(process.env.LONG_DOCUMENT_MAX_CHUNKS || '10', 10) || 10, 2)
 };
 
 // Initialize AI restrictions with defaults
@@ -60,6 +162,83 @@ module.exports = {
   responseTokens: process.env.RESPONSE_TOKENS || 1000,
   addAIProcessedTag: process.env.ADD_AI_PROCESSED_TAG || 'no',
   addAIProcessedTags: process.env.AI_PROCESSED_TAG_NAME || 'ai-processed',
+  // Queue AI suggestions for manual approval instead of applying them
+  reviewMode: parseEnvBoolean(process.env.REVIEW_MODE, 'no'),
+  // Number of documents analysed in parallel
+  processingConcurrency: Math.max(parseInt(process.env.PROCESSING_CONCURRENCY || '1', 10) || 1, 1),
+  // Hours between full scans; scans in between only fetch new documents (0 = always full)
+  fullScanIntervalHours: Math.max(parseInt(process.env.FULL_SCAN_INTERVAL_HOURS || '24', 10) || 0, 0),
+  // Token and cost budgets (0 = no limit); costs use the currency of the price table
+  budgets: {
+    dailyTokens: parseInt(process.env.DAILY_TOKEN_BUDGET || '0', 10) || 0,
+    monthlyTokens: parseInt(process.env.MONTHLY_TOKEN_BUDGET || '0', 10) || 0,
+    dailyCost: parseFloat(process.env.DAILY_COST_BUDGET || '0') || 0,
+    monthlyCost: parseFloat(process.env.MONTHLY_COST_BUDGET || '0') || 0,
+    alertWebhookUrl: process.env.BUDGET_ALERT_WEBHOOK_URL || ''
+  },
+  // JSON price table per 1M tokens, e.g. {"gpt-4o-mini":{"prompt":0.15,"completion":0.6}}
+  modelPrices: process.env.MODEL_PRICES || '',
+  // Providers tried in this order when AI_PROVIDER (or the provider of a profile) fails
+  aiProviderFallbacks: (process.env.AI_PROVIDER_FALLBACKS || '')
+    .split(',')
+    .map(provider => provider.trim().toLowerCase())
+    .filter(Boolean),
+  // Provider and model per task; empty values mean AI_PROVIDER with its configured model.
+  // Processing profiles override the classification settings for their documents.
+  taskModels: {
+    classification: parseTaskModel('CLASSIFICATION'),
+    rag: parseTaskModel('RAG'),
+    chat: parseTaskModel('CHAT'),
+    playground: parseTaskModel('PLAYGROUND')
+  },
+  // A provider is skipped for cooldownSeconds after failureThreshold consecutive failures
+  circuitBreaker: {
+    failureThreshold: Math.max(parseInt(process.env.CIRCUIT_BREAKER_THRESHOLD || '3', 10) || 3, 1),
+    cooldownSeconds: Math.max(parseInt(process.env.CIRCUIT_BREAKER_COOLDOWN_SECONDS || '300', 10) || 0, 0)
+  },
+  jwtSecret: process.env.JWT_SECRET,
+  // Short-lived access tokens are renewed with a rotating refresh token until the session expires
+  sessions: {
+    accessTokenMinutes: Math.max(parseInt(process.env.ACCESS_TOKEN_TTL_MINUTES || '15', 10) || 15, 1),
+    sessionDays: Math.max(parseInt(process.env.SESSION_TTL_DAYS || '30', 10) || 30, 1)
+  },
+  // Single sign-on via OpenID Connect and/or a trusted reverse proxy.
+  // SSO_ROLE_MAPPING maps groups to roles, e.g. "paperless-admins=admin,paperless-users=reviewer".
+  sso: {
+    roleMapping: process.env.SSO_ROLE_MAPPING || '',
+    defaultRole: process.env.SSO_DEFAULT_ROLE || '',
+    autoProvision: parseEnvBoolean(process.env.SSO_AUTO_PROVISION, 'no')
+  },
+  oidc: {
+    enabled: parseEnvBoolean(process.env.OIDC_ENABLED, 'no'),
+    issuerUrl: (process.env.OIDC_ISSUER_URL || '').replace(/\/$/, ''),
+    clientId: process.env.OIDC_CLIENT_ID || '',
+    clientSecret: process.env.OIDC_CLIENT_SECRET || '',
+    redirectUri: process.env.OIDC_REDIRECT_URI || '',
+    scopes: process.env.OIDC_SCOPES || 'openid profile email groups',
+    usernameClaim: process.env.OIDC_USERNAME_CLAIM || 'preferred_username',
+    groupsClaim: process.env.OIDC_GROUPS_CLAIM || 'groups',
+    buttonLabel: process.env.OIDC_BUTTON_LABEL || 'Sign in with SSO'
+  },
+  proxyAuth: {
+    enabled: parseEnvBoolean(process.env.PROXY_AUTH_ENABLED, 'no'),
+    userHeader: (process.env.PROXY_AUTH_USER_HEADER || 'Remote-User').toLowerCase(),
+    groupsHeader: (process.env.PROXY_AUTH_GROUPS_HEADER || 'Remote-Groups').toLowerCase(),
+    trustedProxies: (process.env.PROXY_AUTH_TRUSTED_PROXIES || '')
+      .split(',')
+      .map(ip => ip.trim())
+      .filter(Boolean)
+  },
+  // AI requests per minute per provider (0 = unlimited)
+  rateLimits: {
+    openai: parseInt(process.env.OPENAI_RPM_LIMIT || '0', 10) || 0,
+    ollama: parseInt(process.env.OLLAMA_RPM_LIMIT || '0', 10) || 0,
+    custom: parseInt(process.env.CUSTOM_RPM_LIMIT || '0', 10) || 0,
+    azure: parseInt(process.env.AZURE_RPM_LIMIT || '0', 10) || 0,
+    anthropic: parseInt(process.env.ANTHROPIC_RPM_LIMIT || '0', 10) || 0,
+    gemini: parseInt(process.env.GEMINI_RPM_LIMIT || '0', 10) || 0,
+    mistral: parseInt(process.env.MISTRAL_RPM_LIMIT || '0', 10) || 0
+  },
   // AI restrictions config
   restrictToExistingTags: aiRestrictions.restrictToExistingTags,
   restrictToExistingCorrespondents: aiRestrictions.restrictToExistingCorrespondents,
@@ -88,6 +267,22 @@ module.exports = {
     deploymentName: process.env.AZURE_DEPLOYMENT_NAME || '',
     apiVersion: process.env.AZURE_API_VERSION || '2023-05-15'
   },
+  // Native provider APIs; the base URLs can point to a proxy or a mock server
+  anthropic: {
+    apiKey: process.env.ANTHROPIC_API_KEY || '',
+    model: process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest',
+    apiUrl: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com'
+  },
+  gemini: {
+    apiKey: process.env.GEMINI_API_KEY || '',
+    model: process.env.GEMINI_MODEL || 'gemini-2.0-flash',
+    apiUrl: process.env.GEMINI_BASE_URL || 'https://generativelanguage.googleapis.com'
+  },
+  mistral: {
+    apiKey: process.env.MISTRAL_API_KEY || '',
+    model: process.env.MISTRAL_MODEL || 'mistral-small-latest',
+    apiUrl: process.env.MISTRAL_BASE_URL || 'https://api.mistral.ai'
+  },
   customFields: process.env.CUSTOM_FIELDS || '',
   aiProvider: process.env.AI_PROVIDER || 'openai',
   scanInterval: process.env.SCAN_INTERVAL || '*/30 * * * *',
@@ -98,8 +293,16 @@ module.exports = {
     activateCorrespondents: limitFunctions.activateCorrespondents,
     activateDocumentType: limitFunctions.activateDocumentType,
     activateTitle: limitFunctions.activateTitle,
-    activateCustomFields: limitFunctions.activateCustomFields
+    activateCustomFields: limitFunctions.activateCustomFields,
+    activateStoragePath: limitFunctions.activateStoragePath,
+    activatePermissions: limitFunctions.activatePermissions
   },
+  mergePolicies,
+  confidence,
+  tagMatching,
+  correspondentMatching,
+  vision,
+  longDocument,
   specialPromptPreDefinedTags: `You are a document analysis AI. You will analyze the document. 
   You take the main information to associate tags with the document. 
   You will also find the correspondent of the document (Sender not receiver). Also you find a meaningful and short title for the document.
@@ -113,11 +316,14 @@ module.exports = {
     "correspondent": "xxxxxxxx",
     "tags": ["Tag1", "Tag2", "Tag3", "Tag4"],
     "document_date": "YYYY-MM-DD",
-    "language": "en/de/es/..."
-  }`,
+    "language": "en/de/es/...",
+    "confidence": {"title": 0.9, "correspondent": 0.9, "tags": 0.9, "document_date": 0.9, "language": 0.9}
+  }
+  In "confidence" rate for every field how sure you are that its value is correct, from 0 (guessed) to 1 (stated in the document).`,
   mustHavePrompt: `  Return the result EXCLUSIVELY as a JSON object. The Tags, Title and Document_Type MUST be in the language that is used in the document.:
   IMPORTANT: The custom_fields are optional and can be left out if not needed, only try to fill out the values if you find a matching information in the document.
   Do not change the value of field_name, only fill out the values. If the field is about money only add the number without currency and always use a . for decimal places.
+  In "confidence" rate for every field how sure you are that its value is correct, from 0 (guessed) to 1 (stated in the document).
   {
     "title": "xxxxx",
     "correspondent": "xxxxxxxx",
@@ -125,6 +331,7 @@ module.exports = {
     "document_type": "Invoice/Contract/...",
     "document_date": "YYYY-MM-DD",
     "language": "en/de/es/...",
+    "confidence": {"title": 0.9, "correspondent": 0.9, "tags": 0.9, "document_type": 0.9, "document_date": 0.9, "language": 0.9, "custom_fields": {"<field_name>": 0.9}},
     %CUSTOMFIELDS%
   }`,
 };
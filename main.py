@@ -101,6 +101,9 @@ class AskQuestionRequest(BaseModel):
     question: str
     max_sources: int = 5
 
+class EmbedRequest(BaseModel):
+    texts: List[str]
+
 # Response models
 class SearchResult(BaseModel):
     title: str
@@ -1717,6 +1720,24 @@ async def search_documents(request: SearchRequest, search_engine: SearchEngine =
         logger.error(traceback.format_exc())
         raise HTTPException(status_code=500, detail=str(e))
 
+@app.post("/embed", response_model=dict)
+async def embed_texts(request: EmbedRequest):
+    """Embed short texts such as tag names, used by paperless-ai to match similar tags"""
+    if len(request.texts) > 5000:
+        raise HTTPException(status_code=400, detail="Too many texts (max. 5000)")
+    if not global_state.data_manager:
+        raise HTTPException(status_code=503, detail="Data manager not initialized")
+    try:
+        data_manager = global_state.data_manager
+        if data_manager.sentence_transformer is None:
+            logger.info("Initializing sentence transformer model")
+            data_manager.sentence_transformer = SentenceTransformer(EMBEDDING_MODEL_NAME)
+        embeddings = data_manager.sentence_transformer.encode(request.texts, normalize_embeddings=True)
+        return {"embeddings": embeddings.tolist()}
+    except Exception as e:
+        logger.error(f"Embedding error: {str(e)}")
+        raise HTTPException(status_code=500, detail=str(e))
+
 @app.post("/context", response_model=dict)
 async def get_context(request: AskQuestionRequest, search_engine: SearchEngine = Depends(get_search_engine)):
     """Get context for a question without answering it"""
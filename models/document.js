@@ -64,6 +64,48 @@ const createOriginalDocuments = db.prepare(`
 `);
 createOriginalDocuments.run();
 
+// Add columns introduced after the initial schema (no-op when they already exist)
+function ensureColumn(table, column, definition) {
+  const columns = db.prepare(`PRAGMA table_info(${table})`).all();
+  if (!columns.some(col => col.name === column)) {
+    db.prepare(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`).run();
+    console.log(`[DEBUG] Added column ${column} to ${table}`);
+  }
+}
+
+// Snapshot fields needed for a full rollback, stored as JSON so that "null" (field was empty)
+// can be told apart from NULL (snapshot taken before these columns existed)
+ensureColumn('original_documents', 'document_type', 'TEXT');
+ensureColumn('original_documents', 'created', 'TEXT');
+ensureColumn('original_documents', 'custom_fields', 'TEXT');
+ensureColumn('original_documents', 'storage_path', 'TEXT');
+ensureColumn('original_documents', 'owner', 'TEXT');
+ensureColumn('history_documents', 'action', "TEXT DEFAULT 'processed'");
+ensureColumn('openai_metrics', 'model', 'TEXT');
+// Number of chunks of documents analysed in the long document mode, NULL for one request
+ensureColumn('openai_metrics', 'chunks', 'INTEGER');
+// AI provider and model that produced the result (may be a fallback provider)
+ensureColumn('history_documents', 'provider', 'TEXT');
+ensureColumn('history_documents', 'model', 'TEXT');
+// Per-field confidence of the AI result as JSON
+ensureColumn('history_documents', 'confidence', 'TEXT');
+
+const createPendingSuggestions = db.prepare(`
+  CREATE TABLE IF NOT EXISTS pending_suggestions (
+    id INTEGER PRIMARY KEY,
+    document_id INTEGER,
+    title TEXT,
+    update_data TEXT,
+    analysis TEXT,
+    status TEXT DEFAULT 'pending',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    reviewed_at DATETIME
+  );
+`);
+createPendingSuggestions.run();
+ensureColumn('pending_suggestions', 'provider', 'TEXT');
+ensureColumn('pending_suggestions', 'model', 'TEXT');
+
 const userTable = db.prepare(`
   CREATE TABLE IF NOT EXISTS users (
     id INTEGER PRIMARY KEY,
@@ -73,6 +115,11 @@ const userTable = db.prepare(`
   );
 `);
 userTable.run();
+// Accounts created before roles existed were the single admin account
+ensureColumn('users', 'role', "TEXT DEFAULT 'admin'");
+// 'local', 'oidc' or 'proxy'; SSO users have no password
+ensureColumn('users', 'auth_source', "TEXT DEFAULT 'local'");
+db.prepare('CREATE UNIQUE INDEX IF NOT EXISTS idx_users_username ON users(username)').run();
 
 
 // Prepare statements for better performance
@@ -89,8 +136,8 @@ const findDocument = db.prepare(
 );
 
 const insertMetrics = db.prepare(`
-  INSERT INTO openai_metrics (document_id, promptTokens, completionTokens, totalTokens)
-  VALUES (?, ?, ?, ?)
+  INSERT INTO openai_metrics (document_id, promptTokens, completionTokens, totalTokens, model, chunks)
+  VALUES (?, ?, ?, ?, ?, ?)
 `);
 
 const insertOriginal = db.prepare(`
@@ -104,8 +151,8 @@ const insertHistory = db.prepare(`
 `);
 
 const insertUser = db.prepare(`
-  INSERT INTO users (username, password)
-  VALUES (?, ?)
+  INSERT INTO users (username, password, role, auth_source)
+  VALUES (?, ?, ?, ?)
 `);
 
 // Add these prepared statements with your other ones at the top
@@ -184,6 +231,325 @@ const getActiveProcessing = db.prepare(`
   ORDER BY start_time DESC LIMIT 1
 `);
 
+const getInFlightProcessing = db.prepare(`
+  SELECT * FROM processing_status
+  WHERE status = 'processing'
+  ORDER BY start_time ASC
+`);
+
+const createJobs = db.prepare(`
+  CREATE TABLE IF NOT EXISTS jobs (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    document_id INTEGER NOT NULL,
+    title TEXT,
+    source TEXT DEFAULT 'webhook',
+    custom_prompt TEXT,
+    state TEXT DEFAULT 'queued',
+    attempts INTEGER DEFAULT 0,
+    last_error TEXT,
+    next_retry_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )
+`);
+createJobs.run();
+db.prepare('CREATE INDEX IF NOT EXISTS idx_jobs_state ON jobs(state, next_retry_at)').run();
+db.prepare('CREATE INDEX IF NOT EXISTS idx_jobs_document ON jobs(document_id)').run();
+// Who queued the job (JSON actor, see services/auditService.js)
+ensureColumn('jobs', 'triggered_by', 'TEXT');
+
+// Small key/value store for scanner and budget state, e.g. the high-water mark
+const createScanState = db.prepare(`
+  CREATE TABLE IF NOT EXISTS scan_state (
+    key TEXT PRIMARY KEY,
+    value TEXT,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )
+`);
+createScanState.run();
+
+// Processing profiles: prompt, provider/model, functions and custom fields per document class
+const createProcessingProfiles = db.prepare(`
+  CREATE TABLE IF NOT EXISTS processing_profiles (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    enabled INTEGER DEFAULT 1,
+    priority INTEGER DEFAULT 100,
+    match_criteria TEXT,
+    system_prompt TEXT,
+    provider TEXT,
+    model TEXT,
+    limit_functions TEXT,
+    custom_fields TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )
+`);
+createProcessingProfiles.run();
+
+// Permission rules: owner and permissions for documents matching correspondent, type, tags or storage path
+const createPermissionRules = db.prepare(`
+  CREATE TABLE IF NOT EXISTS permission_rules (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    enabled INTEGER DEFAULT 1,
+    priority INTEGER DEFAULT 100,
+    match_criteria TEXT,
+    owner INTEGER,
+    permissions TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )
+`);
+createPermissionRules.run();
+
+// Named API keys; only the SHA-256 hash of a key is stored
+const createApiKeys = db.prepare(`
+  CREATE TABLE IF NOT EXISTS api_keys (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    name TEXT NOT NULL,
+    key_hash TEXT NOT NULL UNIQUE,
+    key_prefix TEXT,
+    scopes TEXT,
+    expires_at DATETIME,
+    last_used_at DATETIME,
+    revoked_at DATETIME,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )
+`);
+createApiKeys.run();
+
+// Login sessions; the refresh token is stored as SHA-256 hash and rotated on every use
+const createSessions = db.prepare(`
+  CREATE TABLE IF NOT EXISTS sessions (
+    id TEXT PRIMARY KEY,
+    user_id INTEGER NOT NULL,
+    refresh_token_hash TEXT NOT NULL,
+    previous_token_hash TEXT,
+    rotated_at TEXT,
+    user_agent TEXT,
+    ip_address TEXT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_used_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    expires_at TEXT NOT NULL,
+    revoked_at DATETIME
+  )
+`);
+createSessions.run();
+db.prepare('CREATE INDEX IF NOT EXISTS idx_sessions_user ON sessions (user_id)').run();
+
+// Append-only audit log of every change made in Paperless-ngx; triggers block updates and deletes
+const createAuditLog = db.prepare(`
+  CREATE TABLE IF NOT EXISTS audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    actor_type TEXT NOT NULL,
+    actor_name TEXT,
+    source TEXT,
+    action TEXT NOT NULL,
+    object_type TEXT,
+    object_id INTEGER,
+    object_name TEXT,
+    document_id INTEGER,
+    changes TEXT,
+    provider TEXT,
+    model TEXT
+  )
+`);
+createAuditLog.run();
+db.prepare('CREATE INDEX IF NOT EXISTS idx_audit_log_document ON audit_log (document_id)').run();
+db.prepare('CREATE INDEX IF NOT EXISTS idx_audit_log_created ON audit_log (created_at)').run();
+db.prepare(`
+  CREATE TRIGGER IF NOT EXISTS audit_log_no_update BEFORE UPDATE ON audit_log
+  BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END
+`).run();
+db.prepare(`
+  CREATE TRIGGER IF NOT EXISTS audit_log_no_delete BEFORE DELETE ON audit_log
+  BEGIN SELECT RAISE(ABORT, 'audit_log is append-only'); END
+`).run();
+
+// Tag aliases: names (normalized, see services/tagTaxonomyService.js) mapped to a canonical Paperless tag
+const createTagAliases = db.prepare(`
+  CREATE TABLE IF NOT EXISTS tag_aliases (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    alias TEXT NOT NULL,
+    alias_key TEXT NOT NULL UNIQUE,
+    tag_id INTEGER NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  )
+`);
+createTagAliases.run();
+
+// Correspondent aliases: names and identifiers (IBAN, VAT ID, email) mapped to a Paperless correspondent.
+// Learned identifiers seen with more than one correspondent keep a NULL correspondent and are ignored.
+const createCorrespondentAliases = db.prepare(`
+  CREATE TABLE IF NOT EXISTS correspondent_aliases (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    type TEXT NOT NULL,
+    value TEXT NOT NULL,
+    value_key TEXT NOT NULL,
+    correspondent_id INTEGER,
+    source TEXT DEFAULT 'manual',
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (type, value_key)
+  )
+`);
+createCorrespondentAliases.run();
+
+const auditFilter = `
+  WHERE (@search = '' OR actor_name LIKE @like OR action LIKE @like OR object_name LIKE @like
+         OR source LIKE @like OR changes LIKE @like OR CAST(document_id AS TEXT) = @search)
+    AND (@actorType = '' OR actor_type = @actorType)
+    AND (@action = '' OR action = @action)
+    AND (@documentId IS NULL OR document_id = @documentId)
+    AND (@from = '' OR created_at >= @from)
+    AND (@to = '' OR created_at < date(@to, '+1 day'))
+`;
+
+function parseSuggestionRow(row) {
+  return {
+    ...row,
+    update_data: JSON.parse(row.update_data || '{}'),
+    analysis: JSON.parse(row.analysis || '{}')
+  };
+}
+
+function parseApiKeyRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    keyPrefix: row.key_prefix,
+    scopes: JSON.parse(row.scopes || '[]'),
+    expiresAt: row.expires_at,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at,
+    createdAt: row.created_at
+  };
+}
+
+function parseSessionRow(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    refreshTokenHash: row.refresh_token_hash,
+    previousTokenHash: row.previous_token_hash,
+    rotatedAt: row.rotated_at,
+    userAgent: row.user_agent,
+    ipAddress: row.ip_address,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    expiresAt: row.expires_at,
+    revokedAt: row.revoked_at
+  };
+}
+
+function parseAuditRow(row) {
+  return {
+    id: row.id,
+    createdAt: row.created_at,
+    actorType: row.actor_type,
+    actorName: row.actor_name,
+    source: row.source,
+    action: row.action,
+    objectType: row.object_type,
+    objectId: row.object_id,
+    objectName: row.object_name,
+    documentId: row.document_id,
+    changes: JSON.parse(row.changes || '{}'),
+    provider: row.provider,
+    model: row.model
+  };
+}
+
+function parseTagAliasRow(row) {
+  return {
+    id: row.id,
+    alias: row.alias,
+    aliasKey: row.alias_key,
+    tagId: row.tag_id,
+    createdAt: row.created_at
+  };
+}
+
+function parseCorrespondentAliasRow(row) {
+  return {
+    id: row.id,
+    type: row.type,
+    value: row.value,
+    valueKey: row.value_key,
+    correspondentId: row.correspondent_id,
+    source: row.source,
+    createdAt: row.created_at
+  };
+}
+
+function auditParams({ search = '', actorType = '', action = '', documentId = null, from = '', to = '' } = {}) {
+  return {
+    search: String(search),
+    like: `%${search}%`,
+    actorType,
+    action,
+    documentId: documentId ? parseInt(documentId, 10) : null,
+    from,
+    to
+  };
+}
+
+function parseProfileRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    enabled: row.enabled === 1,
+    priority: row.priority,
+    match: JSON.parse(row.match_criteria || '{}'),
+    systemPrompt: row.system_prompt || '',
+    provider: row.provider || '',
+    model: row.model || '',
+    limitFunctions: JSON.parse(row.limit_functions || '{}'),
+    customFields: row.custom_fields || '',
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function parsePermissionRuleRow(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    enabled: row.enabled === 1,
+    priority: row.priority,
+    match: JSON.parse(row.match_criteria || '{}'),
+    owner: row.owner ?? null,
+    permissions: row.permissions ? JSON.parse(row.permissions) : null,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+function permissionRuleParams(rule) {
+  return [
+    rule.name,
+    rule.enabled ? 1 : 0,
+    rule.priority,
+    JSON.stringify(rule.match || {}),
+    rule.owner ?? null,
+    rule.permissions ? JSON.stringify(rule.permissions) : null
+  ];
+}
+
+function profileParams(profile) {
+  return [
+    profile.name,
+    profile.enabled ? 1 : 0,
+    profile.priority,
+    JSON.stringify(profile.match || {}),
+    profile.systemPrompt || null,
+    profile.provider || null,
+    profile.model || null,
+    JSON.stringify(profile.limitFunctions || {}),
+    profile.customFields || null
+  ];
+}
 
 module.exports = {
   async addProcessedDocument(documentId, title) {
@@ -202,9 +568,9 @@ module.exports = {
     }
   },
 
-  async addOpenAIMetrics(documentId, promptTokens, completionTokens, totalTokens) {
+  async addOpenAIMetrics(documentId, promptTokens, completionTokens, totalTokens, model = null, chunks = null) {
     try {
-      const result = insertMetrics.run(documentId, promptTokens, completionTokens, totalTokens);
+      const result = insertMetrics.run(documentId, promptTokens, completionTokens, totalTokens, model, chunks ?? null);
       if (result.changes > 0) {
         console.log(`[DEBUG] Metrics added for document ${documentId}`);
         return true;
@@ -254,13 +620,14 @@ module.exports = {
     }
   },
 
-  async saveOriginalData(documentId, tags, correspondent, title) {
+  async saveOriginalData(documentId, tags, correspondent, title, { documentType, created, customFields, storagePath, owner } = {}) {
     try {
       const tagsString = JSON.stringify(tags); // Konvertiere Array zu String
+      const toJson = value => value === undefined ? null : JSON.stringify(value);
       const result = db.prepare(`
-        INSERT INTO original_documents (document_id, title, tags, correspondent)
-        VALUES (?, ?, ?, ?)
-      `).run(documentId, title, tagsString, correspondent);
+        INSERT INTO original_documents (document_id, title, tags, correspondent, document_type, created, custom_fields, storage_path, owner)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(documentId, title, tagsString, correspondent, toJson(documentType), toJson(created), toJson(customFields), toJson(storagePath), toJson(owner));
       if (result.changes > 0) {
         console.log(`[DEBUG] Original data for document ${title} saved`);
         return true;
@@ -272,13 +639,13 @@ module.exports = {
     }
   },
 
-  async addToHistory(documentId, tagIds, title, correspondent) {
+  async addToHistory(documentId, tagIds, title, correspondent, action = 'processed', { provider = null, model = null, confidence = null } = {}) {
     try {
       const tagIdsString = JSON.stringify(tagIds); // Konvertiere Array zu String
       const result = db.prepare(`
-        INSERT INTO history_documents (document_id, tags, title, correspondent)
-        VALUES (?, ?, ?, ?)
-      `).run(documentId, tagIdsString, title, correspondent);
+        INSERT INTO history_documents (document_id, tags, title, correspondent, action, provider, model, confidence)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(documentId, tagIdsString, title, correspondent, action, provider, model, confidence ? JSON.stringify(confidence) : null);
       if (result.changes > 0) {
         console.log(`[DEBUG] Document ${title} added to history`);
         return true;
@@ -330,6 +697,778 @@ module.exports = {
     }
   },
 
+  /**
+   * Returns the oldest stored snapshot of a document, i.e. its state before
+   * Paperless-AI touched it for the first time.
+   */
+  async getOriginalSnapshot(documentId) {
+    try {
+      const row = db.prepare(`
+        SELECT * FROM original_documents
+        WHERE document_id = ?
+        ORDER BY id ASC
+        LIMIT 1
+      `).get(documentId);
+      if (!row) return null;
+
+      const fromJson = value => value === null || value === undefined ? undefined : JSON.parse(value);
+      return {
+        documentId: row.document_id,
+        title: row.title,
+        tags: fromJson(row.tags) || [],
+        correspondent: row.correspondent === null ? null : parseInt(row.correspondent, 10),
+        documentType: fromJson(row.document_type),
+        created: fromJson(row.created),
+        customFields: fromJson(row.custom_fields),
+        storagePath: fromJson(row.storage_path),
+        owner: fromJson(row.owner),
+        savedAt: row.created_at
+      };
+    } catch (error) {
+      console.error('[ERROR] getting original snapshot for id:', documentId, error);
+      return null;
+    }
+  },
+
+  async addPendingSuggestion(documentId, title, updateData, analysis, { provider = null, model = null } = {}) {
+    try {
+      // Only the latest suggestion per document is kept open for review
+      db.prepare(`
+        DELETE FROM pending_suggestions WHERE document_id = ? AND status = 'pending'
+      `).run(documentId);
+      const result = db.prepare(`
+        INSERT INTO pending_suggestions (document_id, title, update_data, analysis, provider, model)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(documentId, title, JSON.stringify(updateData), JSON.stringify(analysis), provider, model);
+      if (result.changes > 0) {
+        console.log(`[DEBUG] Suggestion for document ${title} queued for review`);
+        return result.lastInsertRowid;
+      }
+      return false;
+    } catch (error) {
+      console.error('[ERROR] adding pending suggestion:', error);
+      return false;
+    }
+  },
+
+  async getPendingSuggestions(status = 'pending') {
+    try {
+      return db.prepare(`
+        SELECT * FROM pending_suggestions
+        WHERE status = ?
+        ORDER BY created_at DESC
+      `).all(status).map(parseSuggestionRow);
+    } catch (error) {
+      console.error('[ERROR] getting pending suggestions:', error);
+      return [];
+    }
+  },
+
+  async getPendingSuggestion(id) {
+    try {
+      const row = db.prepare('SELECT * FROM pending_suggestions WHERE id = ?').get(id);
+      return row ? parseSuggestionRow(row) : null;
+    } catch (error) {
+      console.error('[ERROR] getting pending suggestion:', id, error);
+      return null;
+    }
+  },
+
+  async getPendingSuggestionCount() {
+    try {
+      return db.prepare(`SELECT COUNT(*) as count FROM pending_suggestions WHERE status = 'pending'`).get().count;
+    } catch (error) {
+      console.error('[ERROR] counting pending suggestions:', error);
+      return 0;
+    }
+  },
+
+  async setSuggestionStatus(id, status) {
+    try {
+      const result = db.prepare(`
+        UPDATE pending_suggestions
+        SET status = ?, reviewed_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(status, id);
+      return result.changes > 0;
+    } catch (error) {
+      console.error('[ERROR] updating suggestion status:', error);
+      return false;
+    }
+  },
+
+  async addJob(documentId, title, source = 'webhook', customPrompt = null, triggeredBy = null) {
+    try {
+      const result = db.prepare(`
+        INSERT INTO jobs (document_id, title, source, custom_prompt, triggered_by)
+        VALUES (?, ?, ?, ?, ?)
+      `).run(documentId, title, source, customPrompt, triggeredBy ? JSON.stringify(triggeredBy) : null);
+      return result.lastInsertRowid;
+    } catch (error) {
+      console.error('[ERROR] adding job for document:', documentId, error);
+      return false;
+    }
+  },
+
+  async getJob(id) {
+    try {
+      return db.prepare('SELECT * FROM jobs WHERE id = ?').get(id) || null;
+    } catch (error) {
+      console.error('[ERROR] getting job:', id, error);
+      return null;
+    }
+  },
+
+  async getJobs({ state = '', limit = 100, offset = 0 } = {}) {
+    try {
+      if (state) {
+        return db.prepare(`
+          SELECT * FROM jobs WHERE state = ?
+          ORDER BY id DESC LIMIT ? OFFSET ?
+        `).all(state, limit, offset);
+      }
+      return db.prepare(`
+        SELECT * FROM jobs ORDER BY id DESC LIMIT ? OFFSET ?
+      `).all(limit, offset);
+    } catch (error) {
+      console.error('[ERROR] getting jobs:', error);
+      return [];
+    }
+  },
+
+  async getJobCounts() {
+    try {
+      const counts = { queued: 0, running: 0, done: 0, failed: 0, cancelled: 0, skipped: 0 };
+      db.prepare('SELECT state, COUNT(*) as count FROM jobs GROUP BY state').all()
+        .forEach(row => { counts[row.state] = row.count; });
+      return counts;
+    } catch (error) {
+      console.error('[ERROR] counting jobs:', error);
+      return {};
+    }
+  },
+
+  async getActiveJobForDocument(documentId) {
+    try {
+      return db.prepare(`
+        SELECT * FROM jobs
+        WHERE document_id = ? AND state IN ('queued', 'running')
+        ORDER BY id DESC LIMIT 1
+      `).get(documentId) || null;
+    } catch (error) {
+      console.error('[ERROR] getting active job for document:', documentId, error);
+      return null;
+    }
+  },
+
+  // Documents a scan must not enqueue again: jobs still pending, or ended
+  // in a state that needs a manual re-queue (failed, cancelled, skipped)
+  async getBlockedJobDocumentIds() {
+    try {
+      const rows = db.prepare(`
+        SELECT DISTINCT document_id FROM jobs
+        WHERE state IN ('queued', 'running', 'failed', 'cancelled', 'skipped')
+      `).all();
+      return new Set(rows.map(row => row.document_id));
+    } catch (error) {
+      console.error('[ERROR] getting blocked job documents:', error);
+      return new Set();
+    }
+  },
+
+  async getNextDueJob() {
+    try {
+      return db.prepare(`
+        SELECT * FROM jobs
+        WHERE state = 'queued' AND (next_retry_at IS NULL OR next_retry_at <= datetime('now'))
+        ORDER BY id ASC LIMIT 1
+      `).get() || null;
+    } catch (error) {
+      console.error('[ERROR] getting next job:', error);
+      return null;
+    }
+  },
+
+  async getNextRetryTime() {
+    try {
+      const row = db.prepare(`
+        SELECT MIN(next_retry_at) as next_retry_at FROM jobs
+        WHERE state = 'queued' AND next_retry_at IS NOT NULL
+      `).get();
+      return row?.next_retry_at || null;
+    } catch (error) {
+      console.error('[ERROR] getting next retry time:', error);
+      return null;
+    }
+  },
+
+  async startJob(id) {
+    try {
+      const result = db.prepare(`
+        UPDATE jobs
+        SET state = 'running', attempts = attempts + 1, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND state = 'queued'
+      `).run(id);
+      return result.changes > 0;
+    } catch (error) {
+      console.error('[ERROR] starting job:', id, error);
+      return false;
+    }
+  },
+
+  async finishJob(id, state, lastError = null) {
+    try {
+      const result = db.prepare(`
+        UPDATE jobs
+        SET state = ?, last_error = ?, next_retry_at = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(state, lastError, id);
+      return result.changes > 0;
+    } catch (error) {
+      console.error('[ERROR] finishing job:', id, error);
+      return false;
+    }
+  },
+
+  async retryJobLater(id, lastError, delaySeconds) {
+    try {
+      const result = db.prepare(`
+        UPDATE jobs
+        SET state = 'queued', last_error = ?, next_retry_at = datetime('now', ?), updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(lastError, `+${delaySeconds} seconds`, id);
+      return result.changes > 0;
+    } catch (error) {
+      console.error('[ERROR] scheduling job retry:', id, error);
+      return false;
+    }
+  },
+
+  async cancelJob(id) {
+    try {
+      const result = db.prepare(`
+        UPDATE jobs
+        SET state = 'cancelled', next_retry_at = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND state = 'queued'
+      `).run(id);
+      return result.changes > 0;
+    } catch (error) {
+      console.error('[ERROR] cancelling job:', id, error);
+      return false;
+    }
+  },
+
+  async requeueJob(id) {
+    try {
+      const result = db.prepare(`
+        UPDATE jobs
+        SET state = 'queued', attempts = 0, last_error = NULL, next_retry_at = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ? AND state IN ('failed', 'cancelled', 'skipped', 'done')
+      `).run(id);
+      return result.changes > 0;
+    } catch (error) {
+      console.error('[ERROR] re-queueing job:', id, error);
+      return false;
+    }
+  },
+
+  // Jobs that were running when the process stopped are picked up again
+  async resetRunningJobs() {
+    try {
+      const result = db.prepare(`
+        UPDATE jobs SET state = 'queued', updated_at = CURRENT_TIMESTAMP
+        WHERE state = 'running'
+      `).run();
+      return result.changes;
+    } catch (error) {
+      console.error('[ERROR] resetting running jobs:', error);
+      return 0;
+    }
+  },
+
+  async deleteFinishedJobs(olderThanDays = 30) {
+    try {
+      const result = db.prepare(`
+        DELETE FROM jobs
+        WHERE state = 'done' AND updated_at < datetime('now', ?)
+      `).run(`-${olderThanDays} days`);
+      return result.changes;
+    } catch (error) {
+      console.error('[ERROR] deleting finished jobs:', error);
+      return 0;
+    }
+  },
+
+  // Token usage of the current day or month (local time), grouped by model
+  async getTokenUsageByModel(period = 'day') {
+    try {
+      const filter = period === 'month'
+        ? `strftime('%Y-%m', created_at, 'localtime') = strftime('%Y-%m', 'now', 'localtime')`
+        : `date(created_at, 'localtime') = date('now', 'localtime')`;
+      return db.prepare(`
+        SELECT model,
+          COALESCE(SUM(promptTokens), 0) as promptTokens,
+          COALESCE(SUM(completionTokens), 0) as completionTokens,
+          COALESCE(SUM(totalTokens), 0) as totalTokens
+        FROM openai_metrics
+        WHERE ${filter}
+        GROUP BY model
+      `).all();
+    } catch (error) {
+      console.error('[ERROR] getting token usage:', error);
+      return [];
+    }
+  },
+
+  async getScanState(key) {
+    try {
+      const row = db.prepare('SELECT value FROM scan_state WHERE key = ?').get(key);
+      return row ? row.value : null;
+    } catch (error) {
+      console.error('[ERROR] getting scan state:', key, error);
+      return null;
+    }
+  },
+
+  async setScanState(key, value) {
+    try {
+      db.prepare(`
+        INSERT INTO scan_state (key, value, updated_at)
+        VALUES (?, ?, CURRENT_TIMESTAMP)
+        ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = CURRENT_TIMESTAMP
+      `).run(key, value === null ? null : String(value));
+      return true;
+    } catch (error) {
+      console.error('[ERROR] setting scan state:', key, error);
+      return false;
+    }
+  },
+
+  // Enabled and disabled profiles, in the order they are matched
+  async getProcessingProfiles() {
+    try {
+      return db.prepare(`
+        SELECT * FROM processing_profiles ORDER BY priority ASC, id ASC
+      `).all().map(parseProfileRow);
+    } catch (error) {
+      console.error('[ERROR] getting processing profiles:', error);
+      return [];
+    }
+  },
+
+  async getProcessingProfile(id) {
+    try {
+      const row = db.prepare('SELECT * FROM processing_profiles WHERE id = ?').get(id);
+      return row ? parseProfileRow(row) : null;
+    } catch (error) {
+      console.error('[ERROR] getting processing profile:', id, error);
+      return null;
+    }
+  },
+
+  async addProcessingProfile(profile) {
+    try {
+      const result = db.prepare(`
+        INSERT INTO processing_profiles
+          (name, enabled, priority, match_criteria, system_prompt, provider, model, limit_functions, custom_fields)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(...profileParams(profile));
+      return result.changes > 0 ? result.lastInsertRowid : false;
+    } catch (error) {
+      console.error('[ERROR] adding processing profile:', error);
+      return false;
+    }
+  },
+
+  async updateProcessingProfile(id, profile) {
+    try {
+      const result = db.prepare(`
+        UPDATE processing_profiles
+        SET name = ?, enabled = ?, priority = ?, match_criteria = ?, system_prompt = ?,
+          provider = ?, model = ?, limit_functions = ?, custom_fields = ?, updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(...profileParams(profile), id);
+      return result.changes > 0;
+    } catch (error) {
+      console.error('[ERROR] updating processing profile:', id, error);
+      return false;
+    }
+  },
+
+  async deleteProcessingProfile(id) {
+    try {
+      return db.prepare('DELETE FROM processing_profiles WHERE id = ?').run(id).changes > 0;
+    } catch (error) {
+      console.error('[ERROR] deleting processing profile:', id, error);
+      return false;
+    }
+  },
+
+  // Enabled and disabled rules, in the order they are matched
+  async getPermissionRules() {
+    try {
+      return db.prepare(`
+        SELECT * FROM permission_rules ORDER BY priority ASC, id ASC
+      `).all().map(parsePermissionRuleRow);
+    } catch (error) {
+      console.error('[ERROR] getting permission rules:', error);
+      return [];
+    }
+  },
+
+  async getPermissionRule(id) {
+    try {
+      const row = db.prepare('SELECT * FROM permission_rules WHERE id = ?').get(id);
+      return row ? parsePermissionRuleRow(row) : null;
+    } catch (error) {
+      console.error('[ERROR] getting permission rule:', id, error);
+      return null;
+    }
+  },
+
+  async addPermissionRule(rule) {
+    try {
+      const result = db.prepare(`
+        INSERT INTO permission_rules (name, enabled, priority, match_criteria, owner, permissions)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(...permissionRuleParams(rule));
+      return result.changes > 0 ? result.lastInsertRowid : false;
+    } catch (error) {
+      console.error('[ERROR] adding permission rule:', error);
+      return false;
+    }
+  },
+
+  async updatePermissionRule(id, rule) {
+    try {
+      const result = db.prepare(`
+        UPDATE permission_rules
+        SET name = ?, enabled = ?, priority = ?, match_criteria = ?, owner = ?, permissions = ?,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE id = ?
+      `).run(...permissionRuleParams(rule), id);
+      return result.changes > 0;
+    } catch (error) {
+      console.error('[ERROR] updating permission rule:', id, error);
+      return false;
+    }
+  },
+
+  async deletePermissionRule(id) {
+    try {
+      return db.prepare('DELETE FROM permission_rules WHERE id = ?').run(id).changes > 0;
+    } catch (error) {
+      console.error('[ERROR] deleting permission rule:', id, error);
+      return false;
+    }
+  },
+
+  async getApiKeys() {
+    try {
+      return db.prepare('SELECT * FROM api_keys ORDER BY created_at DESC, id DESC').all().map(parseApiKeyRow);
+    } catch (error) {
+      console.error('[ERROR] getting API keys:', error);
+      return [];
+    }
+  },
+
+  async getApiKeyByHash(keyHash) {
+    try {
+      const row = db.prepare('SELECT * FROM api_keys WHERE key_hash = ?').get(keyHash);
+      return row ? parseApiKeyRow(row) : null;
+    } catch (error) {
+      console.error('[ERROR] getting API key:', error);
+      return null;
+    }
+  },
+
+  async addApiKey(name, keyHash, keyPrefix, scopes, expiresAt) {
+    try {
+      const result = db.prepare(`
+        INSERT INTO api_keys (name, key_hash, key_prefix, scopes, expires_at)
+        VALUES (?, ?, ?, ?, ?)
+      `).run(name, keyHash, keyPrefix, JSON.stringify(scopes), expiresAt || null);
+      return result.changes > 0 ? result.lastInsertRowid : false;
+    } catch (error) {
+      console.error('[ERROR] adding API key:', error);
+      return false;
+    }
+  },
+
+  async revokeApiKey(id) {
+    try {
+      return db.prepare(`
+        UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL
+      `).run(id).changes > 0;
+    } catch (error) {
+      console.error('[ERROR] revoking API key:', id, error);
+      return false;
+    }
+  },
+
+  async touchApiKey(id) {
+    try {
+      db.prepare('UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP WHERE id = ?').run(id);
+      return true;
+    } catch (error) {
+      console.error('[ERROR] updating API key usage:', id, error);
+      return false;
+    }
+  },
+
+  async addSession({ id, userId, refreshTokenHash, userAgent, ipAddress, expiresAt }) {
+    try {
+      const result = db.prepare(`
+        INSERT INTO sessions (id, user_id, refresh_token_hash, user_agent, ip_address, expires_at)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `).run(id, userId, refreshTokenHash, userAgent || null, ipAddress || null, expiresAt);
+      return result.changes > 0;
+    } catch (error) {
+      console.error('[ERROR] adding session:', error);
+      return false;
+    }
+  },
+
+  async getSession(id) {
+    try {
+      const row = db.prepare('SELECT * FROM sessions WHERE id = ?').get(id);
+      return row ? parseSessionRow(row) : null;
+    } catch (error) {
+      console.error('[ERROR] getting session:', error);
+      return null;
+    }
+  },
+
+  // Active (not revoked, not expired) sessions of a user, most recently used first
+  async getUserSessions(userId) {
+    try {
+      return db.prepare(`
+        SELECT * FROM sessions
+        WHERE user_id = ? AND revoked_at IS NULL AND expires_at > ?
+        ORDER BY last_used_at DESC
+      `).all(userId, new Date().toISOString()).map(parseSessionRow);
+    } catch (error) {
+      console.error('[ERROR] getting sessions:', error);
+      return [];
+    }
+  },
+
+  // Replaces the refresh token hash, only if it is still the expected one
+  async rotateSession(id, currentHash, newHash, expiresAt) {
+    try {
+      return db.prepare(`
+        UPDATE sessions
+        SET previous_token_hash = refresh_token_hash, refresh_token_hash = ?, rotated_at = ?,
+            last_used_at = CURRENT_TIMESTAMP, expires_at = ?
+        WHERE id = ? AND refresh_token_hash = ? AND revoked_at IS NULL
+      `).run(newHash, new Date().toISOString(), expiresAt, id, currentHash).changes > 0;
+    } catch (error) {
+      console.error('[ERROR] rotating session:', id, error);
+      return false;
+    }
+  },
+
+  async revokeSession(id) {
+    try {
+      return db.prepare(`
+        UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = ? AND revoked_at IS NULL
+      `).run(id).changes > 0;
+    } catch (error) {
+      console.error('[ERROR] revoking session:', id, error);
+      return false;
+    }
+  },
+
+  // Revokes all sessions of a user except exceptId; returns the number of revoked sessions
+  async revokeUserSessions(userId, exceptId = null) {
+    try {
+      return db.prepare(`
+        UPDATE sessions SET revoked_at = CURRENT_TIMESTAMP
+        WHERE user_id = ? AND revoked_at IS NULL AND id != ?
+      `).run(userId, exceptId || '').changes;
+    } catch (error) {
+      console.error('[ERROR] revoking sessions of user:', userId, error);
+      return 0;
+    }
+  },
+
+  async deleteExpiredSessions() {
+    try {
+      return db.prepare('DELETE FROM sessions WHERE expires_at <= ?').run(new Date().toISOString()).changes;
+    } catch (error) {
+      console.error('[ERROR] deleting expired sessions:', error);
+      return 0;
+    }
+  },
+
+  async addAuditEntry({ actorType, actorName, source, action, objectType, objectId, objectName, documentId, changes, provider, model }) {
+    try {
+      const result = db.prepare(`
+        INSERT INTO audit_log (actor_type, actor_name, source, action, object_type, object_id, object_name,
+                               document_id, changes, provider, model)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      `).run(
+        actorType, actorName || null, source || null, action, objectType || null, objectId ?? null,
+        objectName || null, documentId ?? null, JSON.stringify(changes || {}), provider || null, model || null
+      );
+      return result.lastInsertRowid;
+    } catch (error) {
+      console.error('[ERROR] adding audit entry:', action, error);
+      return false;
+    }
+  },
+
+  /**
+   * Audit entries matching the filters, newest first. A limit of 0 returns all entries (export).
+   */
+  async getAuditEntries(filters = {}, { limit = 50, offset = 0 } = {}) {
+    try {
+      const params = auditParams(filters);
+      const total = db.prepare(`SELECT COUNT(*) AS count FROM audit_log ${auditFilter}`).get(params).count;
+      const entries = db.prepare(`
+        SELECT * FROM audit_log ${auditFilter}
+        ORDER BY id DESC
+        LIMIT @limit OFFSET @offset
+      `).all({ ...params, limit: limit > 0 ? limit : -1, offset }).map(parseAuditRow);
+      return { entries, total };
+    } catch (error) {
+      console.error('[ERROR] getting audit entries:', error);
+      return { entries: [], total: 0 };
+    }
+  },
+
+  async getAuditActions() {
+    try {
+      return db.prepare('SELECT DISTINCT action FROM audit_log ORDER BY action').all().map(row => row.action);
+    } catch (error) {
+      console.error('[ERROR] getting audit actions:', error);
+      return [];
+    }
+  },
+
+  async getTagAliases() {
+    try {
+      return db.prepare('SELECT * FROM tag_aliases ORDER BY alias COLLATE NOCASE').all().map(parseTagAliasRow);
+    } catch (error) {
+      console.error('[ERROR] getting tag aliases:', error);
+      return [];
+    }
+  },
+
+  async getTagAliasByKey(aliasKey) {
+    try {
+      const row = db.prepare('SELECT * FROM tag_aliases WHERE alias_key = ?').get(aliasKey);
+      return row ? parseTagAliasRow(row) : null;
+    } catch (error) {
+      console.error('[ERROR] getting tag alias:', aliasKey, error);
+      return null;
+    }
+  },
+
+  // Adds an alias or points an existing one to another tag
+  async saveTagAlias(alias, aliasKey, tagId) {
+    try {
+      db.prepare(`
+        INSERT INTO tag_aliases (alias, alias_key, tag_id) VALUES (?, ?, ?)
+        ON CONFLICT(alias_key) DO UPDATE SET alias = excluded.alias, tag_id = excluded.tag_id
+      `).run(alias, aliasKey, tagId);
+      return this.getTagAliasByKey(aliasKey);
+    } catch (error) {
+      console.error('[ERROR] saving tag alias:', alias, error);
+      return null;
+    }
+  },
+
+  async deleteTagAlias(id) {
+    try {
+      return db.prepare('DELETE FROM tag_aliases WHERE id = ?').run(id).changes > 0;
+    } catch (error) {
+      console.error('[ERROR] deleting tag alias:', id, error);
+      return false;
+    }
+  },
+
+  // Points the aliases of a merged tag to the tag it was merged into
+  async retargetTagAliases(fromTagId, toTagId) {
+    try {
+      return db.prepare('UPDATE tag_aliases SET tag_id = ? WHERE tag_id = ?').run(toTagId, fromTagId).changes;
+    } catch (error) {
+      console.error('[ERROR] retargeting tag aliases:', fromTagId, error);
+      return 0;
+    }
+  },
+
+  async getCorrespondentAliases() {
+    try {
+      return db.prepare('SELECT * FROM correspondent_aliases ORDER BY type, value COLLATE NOCASE')
+        .all().map(parseCorrespondentAliasRow);
+    } catch (error) {
+      console.error('[ERROR] getting correspondent aliases:', error);
+      return [];
+    }
+  },
+
+  async getCorrespondentAlias(type, valueKey) {
+    try {
+      const row = db.prepare('SELECT * FROM correspondent_aliases WHERE type = ? AND value_key = ?').get(type, valueKey);
+      return row ? parseCorrespondentAliasRow(row) : null;
+    } catch (error) {
+      console.error('[ERROR] getting correspondent alias:', type, valueKey, error);
+      return null;
+    }
+  },
+
+  // Adds an alias or points an existing one (also a learned identifier) to another correspondent
+  async saveCorrespondentAlias({ type, value, valueKey, correspondentId, source = 'manual' }) {
+    try {
+      db.prepare(`
+        INSERT INTO correspondent_aliases (type, value, value_key, correspondent_id, source) VALUES (?, ?, ?, ?, ?)
+        ON CONFLICT(type, value_key) DO UPDATE
+        SET value = excluded.value, correspondent_id = excluded.correspondent_id, source = excluded.source
+      `).run(type, value, valueKey, correspondentId, source);
+      return this.getCorrespondentAlias(type, valueKey);
+    } catch (error) {
+      console.error('[ERROR] saving correspondent alias:', type, value, error);
+      return null;
+    }
+  },
+
+  // Remembers an identifier found in a document of the correspondent; an identifier already
+  // learned for another correspondent becomes ambiguous. Manual aliases are never changed.
+  async learnCorrespondentIdentifier(type, value, valueKey, correspondentId) {
+    try {
+      db.prepare(`
+        INSERT INTO correspondent_aliases (type, value, value_key, correspondent_id, source) VALUES (?, ?, ?, ?, 'learned')
+        ON CONFLICT(type, value_key) DO UPDATE SET correspondent_id = NULL
+        WHERE source = 'learned' AND correspondent_id IS NOT excluded.correspondent_id
+      `).run(type, value, valueKey, correspondentId);
+      return true;
+    } catch (error) {
+      console.error('[ERROR] learning correspondent identifier:', type, value, error);
+      return false;
+    }
+  },
+
+  async deleteCorrespondentAlias(id) {
+    try {
+      return db.prepare('DELETE FROM correspondent_aliases WHERE id = ?').run(id).changes > 0;
+    } catch (error) {
+      console.error('[ERROR] deleting correspondent alias:', id, error);
+      return false;
+    }
+  },
+
+  // Points the aliases of a merged correspondent to the correspondent it was merged into
+  async retargetCorrespondentAliases(fromCorrespondentId, toCorrespondentId) {
+    try {
+      return db.prepare('UPDATE correspondent_aliases SET correspondent_id = ? WHERE correspondent_id = ?')
+        .run(toCorrespondentId, fromCorrespondentId).changes;
+    } catch (error) {
+      console.error('[ERROR] retargeting correspondent aliases:', fromCorrespondentId, error);
+      return 0;
+    }
+  },
+
   async getAllOriginalData() {
     try {
       return db.prepare('SELECT * FROM original_documents').all();
@@ -432,6 +1571,10 @@ module.exports = {
       console.log('[DEBUG] All history_documents deleted');
       db.prepare('DELETE FROM original_documents').run();
       console.log('[DEBUG] All original_documents deleted');
+      db.prepare(`DELETE FROM jobs WHERE state NOT IN ('queued', 'running')`).run();
+      console.log('[DEBUG] All finished jobs deleted');
+      // Reset documents may lie below the high-water mark, so the next scan is a full one
+      db.prepare(`DELETE FROM scan_state WHERE key = 'last_full_scan_at'`).run();
       return true;
     } catch (error) {
       console.error('[ERROR] deleting documents:', error);
@@ -468,6 +1611,9 @@ module.exports = {
       const result = stmt.run(numericIds);
       const result2 = stmt2.run(numericIds);
       const result3 = stmt3.run(numericIds);
+      // Reset documents are picked up by the next scan again, even if their job had failed
+      db.prepare(`DELETE FROM jobs WHERE document_id IN (${placeholders}) AND state NOT IN ('queued', 'running')`).run(numericIds);
+      db.prepare(`DELETE FROM scan_state WHERE key = 'last_full_scan_at'`).run();
 
       console.log('[DEBUG] SQL result:', result);
       console.log('[DEBUG] SQL result:', result2);
@@ -481,17 +1627,12 @@ module.exports = {
   },
 
 
-  async addUser(username, password) {
+  async addUser(username, password, role = 'admin', authSource = 'local') {
     try {
-      // Lösche alle vorhandenen Benutzer
-      const deleteResult = db.prepare('DELETE FROM users').run();
-      console.log(`[DEBUG] ${deleteResult.changes} existing users deleted`);
-  
-      // Füge den neuen Benutzer hinzu
-      const result = insertUser.run(username, password);
+      const result = insertUser.run(username, password, role, authSource);
       if (result.changes > 0) {
         console.log(`[DEBUG] User ${username} added`);
-        return true;
+        return result.lastInsertRowid;
       }
       return false;
     } catch (error) {
@@ -518,6 +1659,42 @@ module.exports = {
     }
   },
 
+  async getUserById(id) {
+    try {
+      return db.prepare('SELECT * FROM users WHERE id = ?').get(id) || null;
+    } catch (error) {
+      console.error('[ERROR] getting user:', id, error);
+      return null;
+    }
+  },
+
+  async updateUserRole(id, role) {
+    try {
+      return db.prepare('UPDATE users SET role = ? WHERE id = ?').run(role, id).changes > 0;
+    } catch (error) {
+      console.error('[ERROR] updating user role:', id, error);
+      return false;
+    }
+  },
+
+  async updateUserPassword(id, password) {
+    try {
+      return db.prepare('UPDATE users SET password = ? WHERE id = ?').run(password, id).changes > 0;
+    } catch (error) {
+      console.error('[ERROR] updating user password:', id, error);
+      return false;
+    }
+  },
+
+  async deleteUser(id) {
+    try {
+      return db.prepare('DELETE FROM users WHERE id = ?').run(id).changes > 0;
+    } catch (error) {
+      console.error('[ERROR] deleting user:', id, error);
+      return false;
+    }
+  },
+
   async getProcessingTimeStats() {
     try {
       return db.prepare(`
@@ -588,9 +1765,31 @@ async setProcessingStatus(documentId, title, status) {
   }
 },
 
+async clearInterruptedProcessingStatus() {
+  try {
+      const result = db.prepare(`DELETE FROM processing_status WHERE status = 'processing'`).run();
+      return result.changes;
+  } catch (error) {
+      console.error('[ERROR] clearing interrupted processing status:', error);
+      return 0;
+  }
+},
+
 async getCurrentProcessingStatus() {
   try {
-      const active = getActiveProcessing.get();
+      const inFlight = getInFlightProcessing.all().map(row => ({
+          documentId: row.document_id,
+          title: row.title,
+          startTime: row.start_time,
+          status: row.status
+      }));
+      const activeRow = getActiveProcessing.get();
+      const active = activeRow || (inFlight.length > 0 ? {
+          document_id: inFlight[0].documentId,
+          title: inFlight[0].title,
+          start_time: inFlight[0].startTime,
+          status: inFlight[0].status
+      } : null);
       
       // Get last processed document with explicit UTC time
       const lastProcessed = db.prepare(`
@@ -609,6 +1808,8 @@ async getCurrentProcessingStatus() {
           WHERE date(processed_at) = date('now', 'localtime')`
       ).get();
 
+      const queued = db.prepare(`SELECT COUNT(*) as count FROM jobs WHERE state = 'queued'`).get();
+
       return {
           currentlyProcessing: active ? {
               documentId: active.document_id,
@@ -622,6 +1823,8 @@ async getCurrentProcessingStatus() {
               processed_at: lastProcessed.processed_at
           } : null,
           processedToday: processedToday.count,
+          inFlight,
+          queueLength: queued.count,
           isProcessing: !!active
       };
   } catch (error) {
@@ -630,6 +1833,8 @@ async getCurrentProcessingStatus() {
           currentlyProcessing: null,
           lastProcessed: null,
           processedToday: 0,
+          inFlight: [],
+          queueLength: 0,
           isProcessing: false
       };
   }
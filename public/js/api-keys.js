@@ -0,0 +1,195 @@
+// Theme Management
+class ThemeManager {
+    constructor() {
+        this.themeToggle = document.getElementById('themeToggle');
+        this.initialize();
+    }
+
+    initialize() {
+        const savedTheme = localStorage.getItem('theme') || 'light';
+        this.setTheme(savedTheme);
+        this.themeToggle?.addEventListener('click', () => this.toggleTheme());
+    }
+
+    setTheme(theme) {
+        document.documentElement.setAttribute('data-theme', theme);
+        localStorage.setItem('theme', theme);
+        const icon = this.themeToggle.querySelector('i');
+        if (icon) {
+            icon.className = theme === 'light' ? 'fas fa-moon' : 'fas fa-sun';
+        }
+    }
+
+    toggleTheme() {
+        const currentTheme = document.documentElement.getAttribute('data-theme');
+        const newTheme = currentTheme === 'light' ? 'dark' : 'light';
+        this.setTheme(newTheme);
+    }
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+function formatDate(value) {
+    if (!value) return '-';
+    // SQLite timestamps are UTC without a zone marker
+    const date = new Date(value.includes('T') ? value : value.replace(' ', 'T') + 'Z');
+    return date.toLocaleString();
+}
+
+class ApiKeyManager {
+    constructor() {
+        this.keyModal = document.getElementById('keyModal');
+        this.keys = [];
+        this.initializeModal();
+
+        document.getElementById('addKeyBtn')?.addEventListener('click', () => this.openKey());
+        document.getElementById('copyKeyBtn')?.addEventListener('click', () => this.copyNewKey());
+        this.loadKeys();
+    }
+
+    initializeModal() {
+        this.keyModal.querySelector('.modal-overlay')?.addEventListener('click', () => this.hideModal());
+        this.keyModal.querySelector('.modal-close')?.addEventListener('click', () => this.hideModal());
+        document.getElementById('cancelKey')?.addEventListener('click', () => this.hideModal());
+        document.getElementById('saveKey')?.addEventListener('click', () => this.save());
+        document.getElementById('keyForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.save();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.hideModal();
+        });
+    }
+
+    showModal() {
+        this.keyModal.classList.remove('hidden');
+        this.keyModal.classList.add('show');
+    }
+
+    hideModal() {
+        this.keyModal.classList.remove('show');
+        this.keyModal.classList.add('hidden');
+    }
+
+    async loadKeys() {
+        try {
+            const response = await fetch('/api/api-keys');
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to load API keys');
+            }
+            this.keys = data.keys;
+            this.renderKeys();
+        } catch (error) {
+            console.error('Error loading API keys:', error);
+            document.getElementById('keysBody').innerHTML =
+                `<tr><td colspan="7" class="py-4 text-center text-red-500">${escapeHtml(error.message)}</td></tr>`;
+        }
+    }
+
+    describeStatus(apiKey) {
+        if (apiKey.revokedAt) return '<span class="text-gray-500">Revoked</span>';
+        if (apiKey.expired) return '<span class="text-red-500">Expired</span>';
+        return '<span class="text-green-600">Active</span>';
+    }
+
+    renderKeys() {
+        const body = document.getElementById('keysBody');
+        if (this.keys.length === 0) {
+            body.innerHTML = '<tr><td colspan="7" class="py-4 text-center text-gray-500">No API keys yet</td></tr>';
+            return;
+        }
+
+        body.innerHTML = this.keys.map(apiKey => `
+            <tr class="border-b align-top">
+                <td class="py-2 pr-4 font-medium">${escapeHtml(apiKey.name)}</td>
+                <td class="py-2 pr-4"><code>${escapeHtml(apiKey.keyPrefix)}…</code></td>
+                <td class="py-2 pr-4">${apiKey.scopes.map(scope => `<code>${escapeHtml(scope)}</code>`).join(', ')}</td>
+                <td class="py-2 pr-4">${escapeHtml(apiKey.expiresAt ? formatDate(apiKey.expiresAt) : 'Never')}</td>
+                <td class="py-2 pr-4">${escapeHtml(formatDate(apiKey.lastUsedAt))}</td>
+                <td class="py-2 pr-4">${this.describeStatus(apiKey)}</td>
+                <td class="py-2 whitespace-nowrap">
+                    ${apiKey.revokedAt ? '' : `
+                    <button onclick="window.apiKeyManager.revokeKey(${apiKey.id})" class="px-3 py-1 bg-red-500 text-white rounded-lg hover:bg-red-600 transition-colors" title="Revoke">
+                        <i class="fas fa-ban"></i>
+                    </button>`}
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    openKey() {
+        document.getElementById('keyForm').reset();
+        this.showModal();
+    }
+
+    async save() {
+        const button = document.getElementById('saveKey');
+        button.disabled = true;
+        try {
+            const expires = document.getElementById('keyExpires').value;
+            const response = await fetch('/api/api-keys', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    name: document.getElementById('keyName').value,
+                    scopes: Array.from(document.querySelectorAll('[data-scope]:checked')).map(input => input.dataset.scope),
+                    // End of the selected day in local time
+                    expiresAt: expires ? new Date(`${expires}T23:59:59`).toISOString() : undefined
+                })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Request failed');
+            }
+            this.hideModal();
+            document.getElementById('newKeyName').textContent = data.apiKey.name;
+            document.getElementById('newKeyValue').textContent = data.apiKey.key;
+            document.getElementById('newKeyCard').classList.remove('hidden');
+            await this.loadKeys();
+        } catch (error) {
+            console.error('Error creating API key:', error);
+            alert(`Failed to create API key: ${error.message}`);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    async copyNewKey() {
+        try {
+            await navigator.clipboard.writeText(document.getElementById('newKeyValue').textContent);
+        } catch (error) {
+            console.error('Failed to copy API key:', error);
+        }
+    }
+
+    async revokeKey(id) {
+        const apiKey = this.keys.find(k => k.id === id);
+        if (!confirm(`Revoke the API key "${apiKey?.name}"? Integrations using it stop working immediately.`)) return;
+
+        try {
+            const response = await fetch(`/api/api-keys/${id}`, { method: 'DELETE' });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Request failed');
+            }
+            await this.loadKeys();
+        } catch (error) {
+            console.error('Error revoking API key:', error);
+            alert(`Failed to revoke API key: ${error.message}`);
+        }
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.themeManager = new ThemeManager();
+    window.apiKeyManager = new ApiKeyManager();
+});
@@ -0,0 +1,164 @@
+// Theme Management
+class ThemeManager {
+    constructor() {
+        this.themeToggle = document.getElementById('themeToggle');
+        this.initialize();
+    }
+
+    initialize() {
+        const savedTheme = localStorage.getItem('theme') || 'light';
+        this.setTheme(savedTheme);
+        this.themeToggle?.addEventListener('click', () => this.toggleTheme());
+    }
+
+    setTheme(theme) {
+        document.documentElement.setAttribute('data-theme', theme);
+        localStorage.setItem('theme', theme);
+        const icon = this.themeToggle.querySelector('i');
+        if (icon) {
+            icon.className = theme === 'light' ? 'fas fa-moon' : 'fas fa-sun';
+        }
+    }
+
+    toggleTheme() {
+        const currentTheme = document.documentElement.getAttribute('data-theme');
+        const newTheme = currentTheme === 'light' ? 'dark' : 'light';
+        this.setTheme(newTheme);
+    }
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+const ACTOR_ICONS = {
+    cron: 'fa-clock',
+    webhook: 'fa-bolt',
+    user: 'fa-user',
+    'api-key': 'fa-key',
+    system: 'fa-gear'
+};
+const PAGE_SIZE = 50;
+
+class AuditLog {
+    constructor() {
+        this.form = document.getElementById('auditFilters');
+        this.offset = 0;
+        this.total = 0;
+        this.searchTimer = null;
+
+        this.form.addEventListener('submit', (e) => e.preventDefault());
+        this.form.addEventListener('change', () => this.reload());
+        document.getElementById('auditSearch').addEventListener('input', () => {
+            clearTimeout(this.searchTimer);
+            this.searchTimer = setTimeout(() => this.reload(), 300);
+        });
+        document.getElementById('auditPrev').addEventListener('click', () => this.page(-1));
+        document.getElementById('auditNext').addEventListener('click', () => this.page(1));
+        document.getElementById('exportCsvBtn').addEventListener('click', () => this.export('csv'));
+        document.getElementById('exportJsonBtn').addEventListener('click', () => this.export('json'));
+
+        this.load();
+    }
+
+    getFilters() {
+        const params = new URLSearchParams();
+        for (const [key, value] of new FormData(this.form)) {
+            if (value) params.set(key, value.trim());
+        }
+        return params;
+    }
+
+    reload() {
+        this.offset = 0;
+        this.load();
+    }
+
+    page(direction) {
+        this.offset = Math.max(this.offset + direction * PAGE_SIZE, 0);
+        this.load();
+    }
+
+    async load() {
+        const params = this.getFilters();
+        params.set('limit', PAGE_SIZE);
+        params.set('offset', this.offset);
+
+        try {
+            const response = await fetch(`/api/audit?${params}`);
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to load the audit log');
+            }
+            this.total = data.total;
+            this.render(data.entries);
+        } catch (error) {
+            console.error('Error loading audit log:', error);
+            document.getElementById('auditBody').innerHTML =
+                `<tr><td colspan="6" class="py-4 text-center text-red-500">${escapeHtml(error.message)}</td></tr>`;
+        }
+    }
+
+    render(entries) {
+        const body = document.getElementById('auditBody');
+        if (entries.length === 0) {
+            body.innerHTML = '<tr><td colspan="6" class="py-4 text-center text-gray-500">No entries found</td></tr>';
+        } else {
+            body.innerHTML = entries.map(entry => `
+                <tr class="border-b align-top">
+                    <td class="py-2 pr-4 whitespace-nowrap">${escapeHtml(new Date(entry.createdAt.replace(' ', 'T') + 'Z').toLocaleString())}</td>
+                    <td class="py-2 pr-4 whitespace-nowrap" title="${escapeHtml(entry.source || '')}">
+                        <i class="fas ${ACTOR_ICONS[entry.actorType] || 'fa-question'} text-gray-500 mr-1"></i>${escapeHtml(entry.actorType)}${entry.actorName ? `: ${escapeHtml(entry.actorName)}` : ''}
+                    </td>
+                    <td class="py-2 pr-4 whitespace-nowrap">${escapeHtml(entry.action)}</td>
+                    <td class="py-2 pr-4">${this.renderObject(entry)}</td>
+                    <td class="py-2 pr-4">${this.renderChanges(entry.changes)}</td>
+                    <td class="py-2 whitespace-nowrap">${entry.provider ? `${escapeHtml(entry.provider)}${entry.model ? ` / ${escapeHtml(entry.model)}` : ''}` : '-'}</td>
+                </tr>
+            `).join('');
+        }
+
+        const first = this.total === 0 ? 0 : this.offset + 1;
+        document.getElementById('auditInfo').textContent =
+            `${first}-${Math.min(this.offset + PAGE_SIZE, this.total)} of ${this.total} entries`;
+        document.getElementById('auditPrev').disabled = this.offset === 0;
+        document.getElementById('auditNext').disabled = this.offset + PAGE_SIZE >= this.total;
+    }
+
+    renderObject(entry) {
+        const name = escapeHtml(entry.objectName || '');
+        if (entry.documentId) {
+            return `Document #${entry.documentId}${name ? `<br><span class="text-gray-500">${name}</span>` : ''}`;
+        }
+        return `${escapeHtml(entry.objectType || '')} #${entry.objectId ?? '-'}${name ? ` <span class="text-gray-500">${name}</span>` : ''}`;
+    }
+
+    renderChanges(changes) {
+        const format = (value, name) => {
+            if (value === null || value === undefined) return '<span class="text-gray-400">empty</span>';
+            const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+            return escapeHtml(name ? `${name} (${text})` : text);
+        };
+        return Object.entries(changes).map(([field, change]) => `
+            <div><strong>${escapeHtml(field)}</strong>: ${format(change.before, change.beforeName)}
+                <i class="fas fa-arrow-right text-gray-400 mx-1"></i>${format(change.after, change.afterName)}</div>
+        `).join('');
+    }
+
+    export(format) {
+        const params = this.getFilters();
+        params.set('format', format);
+        window.location.href = `/api/audit/export?${params}`;
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.themeManager = new ThemeManager();
+    window.auditLog = new AuditLog();
+});
@@ -0,0 +1,252 @@
+// Theme Management
+class ThemeManager {
+    constructor() {
+        this.themeToggle = document.getElementById('themeToggle');
+        this.initialize();
+    }
+
+    initialize() {
+        const savedTheme = localStorage.getItem('theme') || 'light';
+        this.setTheme(savedTheme);
+        this.themeToggle?.addEventListener('click', () => this.toggleTheme());
+    }
+
+    setTheme(theme) {
+        document.documentElement.setAttribute('data-theme', theme);
+        localStorage.setItem('theme', theme);
+        const icon = this.themeToggle.querySelector('i');
+        if (icon) {
+            icon.className = theme === 'light' ? 'fas fa-moon' : 'fas fa-sun';
+        }
+    }
+
+    toggleTheme() {
+        const currentTheme = document.documentElement.getAttribute('data-theme');
+        const newTheme = currentTheme === 'light' ? 'dark' : 'light';
+        this.setTheme(newTheme);
+    }
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+const TYPE_LABELS = {
+    name: 'Name',
+    iban: 'IBAN',
+    vat: 'VAT ID',
+    email: 'Email'
+};
+
+const SOURCE_LABELS = {
+    manual: 'added by hand',
+    learned: 'learned',
+    merge: 'merged'
+};
+
+const TYPE_PLACEHOLDERS = {
+    name: 'e.g. Telekom Deutschland GmbH',
+    iban: 'e.g. DE89 3704 0044 0532 0130 00',
+    vat: 'e.g. DE123456789',
+    email: 'e.g. rechnung@telekom.de'
+};
+
+class CorrespondentManager {
+    constructor() {
+        this.groups = [];
+        this.correspondents = [];
+
+        document.getElementById('findDuplicatesBtn').addEventListener('click', () => this.findDuplicates());
+        document.getElementById('aliasForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addAlias();
+        });
+        document.getElementById('aliasType').addEventListener('change', (e) => {
+            document.getElementById('aliasValue').placeholder = TYPE_PLACEHOLDERS[e.target.value];
+        });
+        this.loadAliases();
+    }
+
+    async request(url, options = {}) {
+        const response = await fetch(url, options);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Request failed');
+        }
+        return data;
+    }
+
+    async loadAliases() {
+        try {
+            const data = await this.request('/api/correspondents/aliases');
+            this.correspondents = data.correspondents;
+            this.renderCorrespondentOptions();
+            this.renderAliases(data.aliases);
+        } catch (error) {
+            console.error('Error loading correspondent aliases:', error);
+            document.getElementById('aliasesBody').innerHTML =
+                `<tr><td colspan="6" class="py-4 text-center text-red-500">${escapeHtml(error.message)}</td></tr>`;
+        }
+    }
+
+    renderCorrespondentOptions() {
+        const select = document.getElementById('aliasCorrespondent');
+        const selected = select.value;
+        select.innerHTML = this.correspondents
+            .map(correspondent => `<option value="${correspondent.id}">${escapeHtml(correspondent.name)}</option>`)
+            .join('');
+        select.value = selected;
+    }
+
+    renderAliases(aliases) {
+        const body = document.getElementById('aliasesBody');
+        if (aliases.length === 0) {
+            body.innerHTML = '<tr><td colspan="6" class="py-4 text-center text-gray-500">No aliases yet</td></tr>';
+            return;
+        }
+
+        const renderCorrespondent = (alias) => {
+            if (!alias.correspondentId) {
+                return '<span class="text-yellow-600" title="Seen with several correspondents, ignored until assigned">ambiguous</span>';
+            }
+            return alias.correspondentName
+                ? escapeHtml(alias.correspondentName)
+                : `<span class="text-red-500">Correspondent #${alias.correspondentId} no longer exists</span>`;
+        };
+
+        body.innerHTML = aliases.map(alias => `
+            <tr class="border-b">
+                <td class="py-2 pr-4">${TYPE_LABELS[alias.type] || escapeHtml(alias.type)}</td>
+                <td class="py-2 pr-4 font-medium">${escapeHtml(alias.value)}</td>
+                <td class="py-2 pr-4">${renderCorrespondent(alias)}</td>
+                <td class="py-2 pr-4 text-gray-500">${SOURCE_LABELS[alias.source] || escapeHtml(alias.source)}</td>
+                <td class="py-2 pr-4 text-gray-500">${escapeHtml(alias.createdAt)}</td>
+                <td class="py-2 text-right">
+                    <button onclick="window.correspondentManager.deleteAlias(${alias.id})" class="px-3 py-1 bg-red-500 text-white rounded-lg hover:bg-red-600 transition-colors" title="Delete">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    async addAlias() {
+        const input = document.getElementById('aliasValue');
+        try {
+            await this.request('/api/correspondents/aliases', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    type: document.getElementById('aliasType').value,
+                    value: input.value,
+                    correspondentId: Number(document.getElementById('aliasCorrespondent').value)
+                })
+            });
+            input.value = '';
+            await this.loadAliases();
+        } catch (error) {
+            console.error('Error saving correspondent alias:', error);
+            alert(`Failed to save alias: ${error.message}`);
+        }
+    }
+
+    async deleteAlias(id) {
+        if (!confirm('Delete this alias? The AI may create a correspondent of that name again.')) return;
+
+        try {
+            await this.request(`/api/correspondents/aliases/${id}`, { method: 'DELETE' });
+            await this.loadAliases();
+        } catch (error) {
+            console.error('Error deleting correspondent alias:', error);
+            alert(`Failed to delete alias: ${error.message}`);
+        }
+    }
+
+    async findDuplicates() {
+        const button = document.getElementById('findDuplicatesBtn');
+        const container = document.getElementById('duplicateGroups');
+        button.disabled = true;
+        container.innerHTML = '<p class="text-sm text-gray-500"><i class="fas fa-spinner fa-spin mr-2"></i>Comparing correspondents...</p>';
+
+        try {
+            const data = await this.request('/api/correspondents/duplicates');
+            this.groups = data.groups;
+            this.renderGroups();
+        } catch (error) {
+            console.error('Error finding duplicate correspondents:', error);
+            container.innerHTML = `<p class="text-sm text-red-500">${escapeHtml(error.message)}</p>`;
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    renderGroups() {
+        const container = document.getElementById('duplicateGroups');
+        if (this.groups.length === 0) {
+            container.innerHTML = '<p class="text-sm text-gray-500">No duplicate correspondents found.</p>';
+            return;
+        }
+
+        const renderCorrespondent = (correspondent, index, checked) => `
+            <li class="flex items-center gap-3">
+                <label class="flex items-center gap-2" title="Canonical correspondent">
+                    <input type="radio" name="canonical-${index}" value="${correspondent.id}" ${checked ? 'checked' : ''}>
+                    <span class="font-medium">${escapeHtml(correspondent.name)}</span>
+                </label>
+                <span class="text-gray-500">${correspondent.documentCount} documents</span>
+                <span class="text-xs text-gray-500">${escapeHtml(correspondent.reason)}</span>
+            </li>
+        `;
+
+        container.innerHTML = this.groups.map((group, index) => `
+            <div class="border rounded-lg p-4" data-group="${index}">
+                <ul class="space-y-2 text-sm mb-3">
+                    ${[group.canonical, ...group.duplicates].map((correspondent, position) => renderCorrespondent(correspondent, index, position === 0)).join('')}
+                </ul>
+                <button onclick="window.correspondentManager.mergeGroup(${index})" class="px-3 py-1 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors">
+                    <i class="fas fa-code-merge"></i> Merge into selected correspondent
+                </button>
+            </div>
+        `).join('');
+    }
+
+    async mergeGroup(index) {
+        const group = this.groups[index];
+        const correspondents = [group.canonical, ...group.duplicates];
+        const targetId = Number(document.querySelector(`input[name="canonical-${index}"]:checked`)?.value);
+        const target = correspondents.find(correspondent => correspondent.id === targetId);
+        const sources = correspondents.filter(correspondent => correspondent.id !== targetId);
+        if (!target) return;
+
+        const names = sources.map(correspondent => `"${correspondent.name}"`).join(', ');
+        if (!confirm(`Merge ${names} into "${target.name}"? The merged correspondents are deleted in Paperless-ngx.`)) return;
+
+        const container = document.querySelector(`[data-group="${index}"]`);
+        container.querySelector('button').disabled = true;
+        try {
+            const data = await this.request('/api/correspondents/merge', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ targetId, sourceIds: sources.map(correspondent => correspondent.id) })
+            });
+            const documents = data.merged.reduce((sum, correspondent) => sum + correspondent.documents, 0);
+            container.innerHTML = `<p class="text-sm text-green-600"><i class="fas fa-check mr-2"></i>Merged ${escapeHtml(names)} into "${escapeHtml(data.target.name)}" (${documents} documents).</p>`;
+            await this.loadAliases();
+        } catch (error) {
+            console.error('Error merging correspondents:', error);
+            alert(`Failed to merge correspondents: ${error.message}`);
+            container.querySelector('button').disabled = false;
+        }
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.themeManager = new ThemeManager();
+    window.correspondentManager = new CorrespondentManager();
+});
@@ -0,0 +1,32 @@
+// Sends the CSRF token from the csrf_token cookie with every state-changing
+// same-origin fetch request, so the pages don't have to add it themselves.
+(function () {
+    const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+    const originalFetch = window.fetch;
+
+    function getCsrfToken() {
+        const match = document.cookie.match(/(?:^|;\s*)csrf_token=([^;]*)/);
+        return match ? decodeURIComponent(match[1]) : '';
+    }
+
+    function isSameOrigin(url) {
+        try {
+            return new URL(url, window.location.href).origin === window.location.origin;
+        } catch {
+            return false;
+        }
+    }
+
+    window.fetch = function (input, init = {}) {
+        const isRequest = input instanceof Request;
+        const method = (init.method || (isRequest ? input.method : 'GET')).toUpperCase();
+        const url = isRequest ? input.url : String(input);
+
+        if (!SAFE_METHODS.includes(method) && isSameOrigin(url)) {
+            const headers = new Headers(init.headers || (isRequest ? input.headers : undefined));
+            headers.set('X-CSRF-Token', getCsrfToken());
+            init = { ...init, headers };
+        }
+        return originalFetch.call(this, input, init);
+    };
+})();
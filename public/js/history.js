@@ -31,6 +31,8 @@ class HistoryManager {
     constructor() {
         this.confirmModal = document.getElementById('confirmModal');
         this.confirmModalAll = document.getElementById('confirmModalAll');
+        this.revertModal = document.getElementById('revertModal');
+        this.pendingRevertIds = [];
         this.selectAll = document.getElementById('selectAll');
         this.table = null; // Will be initialized in initializeDataTable
         this.validateModal = null;
@@ -246,9 +248,17 @@ class HistoryManager {
                     data: 'title',
                     render: (data, type, row) => {
                         if (type === 'display') {
+                            const revertedBadge = row.action === 'reverted'
+                                ? '<span class="ml-2 px-2 py-0.5 bg-yellow-100 text-yellow-800 rounded-full text-xs">Reverted</span>'
+                                : '';
+                            // Lowest confidence of the AI result over all fields
+                            const confidences = row.confidence
+                                ? Object.values({ ...row.confidence, ...row.confidence.custom_fields }).filter(value => typeof value === 'number')
+                                : [];
+                            const confidence = confidences.length > 0 ? ` · min. confidence ${Math.round(Math.min(...confidences) * 100)}%` : '';
                             return `
-                                <div class="font-medium">${data}</div>
-                                <div class="text-xs text-gray-500">Modified: ${new Date(row.created_at).toLocaleString()}</div>
+                                <div class="font-medium">${data}${revertedBadge}</div>
+                                <div class="text-xs text-gray-500">${row.action === 'reverted' ? 'Reverted' : 'Modified'}: ${new Date(row.created_at).toLocaleString()}${row.provider ? ` via ${row.provider}${row.model ? ` (${row.model})` : ''}` : ''}${confidence}</div>
                             `;
                         }
                         return data;
@@ -279,10 +289,15 @@ class HistoryManager {
                                 <i class="fa-solid fa-comment"></i>
                                 <span class="hidden sm:inline ml-1">Chat</span>
                             </button>
+                            ${data.action === 'reverted' ? '' : `
+                            <button onclick="window.historyManager.confirmRevert(['${data.document_id}'])" class="px-3 py-2 bg-yellow-500 text-white rounded-lg hover:bg-yellow-600 transition-colors" title="Restore the values from before the AI update">
+                                <i class="fa-solid fa-rotate-left"></i>
+                                <span class="hidden sm:inline ml-1">Revert</span>
+                            </button>`}
                         </div>
                     `,
                     orderable: false,
-                    width: '150px'
+                    width: '240px'
                 }
             ],
             order: [[1, 'desc']], // Sort by document_id (column 1) descending - newest first
@@ -306,7 +321,7 @@ class HistoryManager {
 
     initializeModals() {
         // Modal close handlers
-        [this.confirmModal, this.confirmModalAll].forEach(modal => {
+        [this.confirmModal, this.confirmModalAll, this.revertModal].forEach(modal => {
             if (!modal) return;
             
             // Close on overlay click
@@ -330,6 +345,7 @@ class HistoryManager {
             if (e.key === 'Escape') {
                 this.hideModal(this.confirmModal);
                 this.hideModal(this.confirmModalAll);
+                this.hideModal(this.revertModal);
             }
         });
 
@@ -349,6 +365,13 @@ class HistoryManager {
             }
         });
 
+        document.getElementById('confirmRevert')?.addEventListener('click', async () => {
+            const success = await this.revertDocuments(this.pendingRevertIds);
+            if (success) {
+                this.hideModal(this.revertModal);
+            }
+        });
+
         // Force Reload button handler
         document.getElementById('forceReloadBtn')?.addEventListener('click', async () => {
             await this.forceReloadFilters();
@@ -394,6 +417,25 @@ class HistoryManager {
         document.getElementById('resetAllBtn')?.addEventListener('click', () => {
             this.showModal(this.confirmModalAll);
         });
+
+        // Revert Selected button
+        document.getElementById('revertSelectedBtn')?.addEventListener('click', () => {
+            const selectedDocs = this.getSelectedDocuments();
+            if (selectedDocs.length === 0) {
+                alert('Please select at least one document to revert.');
+                return;
+            }
+            this.confirmRevert(selectedDocs);
+        });
+    }
+
+    confirmRevert(ids) {
+        this.pendingRevertIds = ids;
+        const countText = document.getElementById('revertCount');
+        if (countText) {
+            countText.textContent = ids.length === 1 ? 'this document' : `these ${ids.length} documents`;
+        }
+        this.showModal(this.revertModal);
     }
 
     initializeFilters() {
@@ -485,6 +527,35 @@ class HistoryManager {
         }
     }
 
+    async revertDocuments(ids) {
+        try {
+            const response = await fetch('/api/history/revert', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ ids })
+            });
+
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || 'Failed to revert documents');
+            }
+
+            await this.table.ajax.reload();
+            if (result.failed > 0) {
+                const failures = result.results
+                    .filter(item => !item.success)
+                    .map(item => `#${item.documentId}: ${item.error}`)
+                    .join('\n');
+                alert(`${result.reverted} document(s) reverted, ${result.failed} failed:\n${failures}`);
+            }
+            return true;
+        } catch (error) {
+            console.error('Error reverting documents:', error);
+            alert('Failed to revert documents. Please try again.');
+            return false;
+        }
+    }
+
     async resetAllDocuments() {
         try {
             const response = await fetch('/api/reset-all-documents', {
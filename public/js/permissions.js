@@ -0,0 +1,287 @@
+// Theme Management
+class ThemeManager {
+    constructor() {
+        this.themeToggle = document.getElementById('themeToggle');
+        this.initialize();
+    }
+
+    initialize() {
+        const savedTheme = localStorage.getItem('theme') || 'light';
+        this.setTheme(savedTheme);
+        this.themeToggle?.addEventListener('click', () => this.toggleTheme());
+    }
+
+    setTheme(theme) {
+        document.documentElement.setAttribute('data-theme', theme);
+        localStorage.setItem('theme', theme);
+        const icon = this.themeToggle.querySelector('i');
+        if (icon) {
+            icon.className = theme === 'light' ? 'fas fa-moon' : 'fas fa-sun';
+        }
+    }
+
+    toggleTheme() {
+        const currentTheme = document.documentElement.getAttribute('data-theme');
+        const newTheme = currentTheme === 'light' ? 'dark' : 'light';
+        this.setTheme(newTheme);
+    }
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Match criterion -> select element and label
+const CRITERIA = {
+    correspondents: { select: 'matchCorrespondents', label: 'Correspondent' },
+    documentTypes: { select: 'matchDocumentTypes', label: 'Type' },
+    tags: { select: 'matchTags', label: 'Tags' },
+    storagePaths: { select: 'matchStoragePaths', label: 'Storage path' }
+};
+
+// Permission select elements, as [type, principal ('users' or 'groups'), select]
+const PERMISSION_SELECTS = [
+    ['view', 'users', 'viewUsers'],
+    ['view', 'groups', 'viewGroups'],
+    ['change', 'users', 'changeUsers'],
+    ['change', 'groups', 'changeGroups']
+];
+
+class PermissionRuleManager {
+    constructor() {
+        this.ruleModal = document.getElementById('ruleModal');
+        this.rules = [];
+        this.options = {};
+        this.currentRuleId = null;
+        this.initializeModal();
+
+        document.getElementById('addRuleBtn')?.addEventListener('click', () => this.openRule(null));
+        this.loadOptions().then(() => this.loadRules());
+    }
+
+    initializeModal() {
+        this.ruleModal.querySelector('.modal-overlay')?.addEventListener('click', () => this.hideModal());
+        this.ruleModal.querySelector('.modal-close')?.addEventListener('click', () => this.hideModal());
+        document.getElementById('cancelRule')?.addEventListener('click', () => this.hideModal());
+        document.getElementById('saveRule')?.addEventListener('click', () => this.save());
+        document.getElementById('ruleForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.save();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.hideModal();
+        });
+    }
+
+    showModal() {
+        this.ruleModal.classList.remove('hidden');
+        this.ruleModal.classList.add('show');
+    }
+
+    hideModal() {
+        this.ruleModal.classList.remove('show');
+        this.ruleModal.classList.add('hidden');
+        this.currentRuleId = null;
+    }
+
+    async loadOptions() {
+        try {
+            const response = await fetch('/api/permission-rules/options');
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to load options');
+            }
+            this.options = data.options;
+
+            const toOptions = list => (list || [])
+                .map(option => `<option value="${option.id}">${escapeHtml(option.name)}</option>`)
+                .join('');
+            for (const [criterion, { select }] of Object.entries(CRITERIA)) {
+                document.getElementById(select).innerHTML = toOptions(this.options[criterion]);
+            }
+            for (const [, principal, select] of PERMISSION_SELECTS) {
+                document.getElementById(select).innerHTML = toOptions(this.options[principal]);
+            }
+            document.getElementById('ruleOwner').innerHTML =
+                '<option value="">Keep the owner</option>' + toOptions(this.options.users);
+        } catch (error) {
+            console.error('Error loading permission rule options:', error);
+            alert(`Failed to load users, groups and criteria from Paperless-ngx: ${error.message}`);
+        }
+    }
+
+    async loadRules() {
+        try {
+            const response = await fetch('/api/permission-rules');
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to load permission rules');
+            }
+            this.rules = data.rules;
+            this.renderRules();
+        } catch (error) {
+            console.error('Error loading permission rules:', error);
+            document.getElementById('rulesBody').innerHTML =
+                `<tr><td colspan="6" class="py-4 text-center text-red-500">${escapeHtml(error.message)}</td></tr>`;
+        }
+    }
+
+    nameOf(list, id) {
+        return (this.options[list] || []).find(option => option.id === id)?.name || `#${id}`;
+    }
+
+    describeMatch(rule) {
+        const parts = Object.entries(CRITERIA)
+            .filter(([criterion]) => rule.match[criterion]?.length > 0)
+            .map(([criterion, { label }]) =>
+                `${label}: ${rule.match[criterion].map(id => this.nameOf(criterion, id)).join(', ')}`);
+        return parts.length > 0 ? parts.join('; ') : 'All documents';
+    }
+
+    describeAssignment(rule) {
+        const parts = [];
+        if (rule.owner !== null) {
+            parts.push(`Owner: ${this.nameOf('users', rule.owner)}`);
+        }
+        if (rule.permissions) {
+            for (const type of ['view', 'change']) {
+                const names = [
+                    ...rule.permissions[type].users.map(id => this.nameOf('users', id)),
+                    ...rule.permissions[type].groups.map(id => this.nameOf('groups', id))
+                ];
+                if (names.length > 0) {
+                    parts.push(`${type === 'view' ? 'View' : 'Change'}: ${names.join(', ')}`);
+                }
+            }
+        }
+        return parts.join('; ');
+    }
+
+    renderRules() {
+        const body = document.getElementById('rulesBody');
+        if (this.rules.length === 0) {
+            body.innerHTML = '<tr><td colspan="6" class="py-4 text-center text-gray-500">No permission rules yet - owner and permissions are left as they are</td></tr>';
+            return;
+        }
+
+        body.innerHTML = this.rules.map(rule => `
+            <tr class="border-b align-top">
+                <td class="py-2 pr-4">${rule.priority}</td>
+                <td class="py-2 pr-4 font-medium">${escapeHtml(rule.name)}</td>
+                <td class="py-2 pr-4">${escapeHtml(this.describeMatch(rule))}</td>
+                <td class="py-2 pr-4">${escapeHtml(this.describeAssignment(rule))}</td>
+                <td class="py-2 pr-4">${rule.enabled ? '<span class="text-green-600">Enabled</span>' : '<span class="text-gray-500">Disabled</span>'}</td>
+                <td class="py-2 whitespace-nowrap">
+                    <button onclick="window.permissionRuleManager.openRule(${rule.id})" class="px-3 py-1 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors" title="Edit">
+                        <i class="fas fa-pen"></i>
+                    </button>
+                    <button onclick="window.permissionRuleManager.deleteRule(${rule.id})" class="px-3 py-1 bg-red-500 text-white rounded-lg hover:bg-red-600 transition-colors" title="Delete">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    openRule(id) {
+        const rule = this.rules.find(r => r.id === id) || {
+            name: '', enabled: true, priority: 100, match: {}, owner: null, permissions: null
+        };
+        this.currentRuleId = id;
+
+        document.getElementById('ruleModalTitle').textContent = id ? `Edit Rule "${rule.name}"` : 'New Rule';
+        document.getElementById('ruleName').value = rule.name;
+        document.getElementById('rulePriority').value = rule.priority;
+        document.getElementById('ruleEnabled').checked = rule.enabled;
+        document.getElementById('ruleOwner').value = rule.owner ?? '';
+
+        const select = (element, selected) => {
+            Array.from(document.getElementById(element).options).forEach(option => {
+                option.selected = selected.includes(parseInt(option.value, 10));
+            });
+        };
+        for (const [criterion, { select: element }] of Object.entries(CRITERIA)) {
+            select(element, rule.match[criterion] || []);
+        }
+        for (const [type, principal, element] of PERMISSION_SELECTS) {
+            select(element, rule.permissions?.[type]?.[principal] || []);
+        }
+
+        this.showModal();
+    }
+
+    collectRule() {
+        const selected = element => Array.from(document.getElementById(element).selectedOptions)
+            .map(option => parseInt(option.value, 10));
+
+        const match = {};
+        for (const [criterion, { select }] of Object.entries(CRITERIA)) {
+            match[criterion] = selected(select);
+        }
+        const permissions = { view: {}, change: {} };
+        for (const [type, principal, select] of PERMISSION_SELECTS) {
+            permissions[type][principal] = selected(select);
+        }
+
+        return {
+            name: document.getElementById('ruleName').value,
+            priority: document.getElementById('rulePriority').value,
+            enabled: document.getElementById('ruleEnabled').checked,
+            owner: document.getElementById('ruleOwner').value || null,
+            match,
+            permissions
+        };
+    }
+
+    async save() {
+        const button = document.getElementById('saveRule');
+        button.disabled = true;
+        try {
+            const id = this.currentRuleId;
+            const response = await fetch(id ? `/api/permission-rules/${id}` : '/api/permission-rules', {
+                method: id ? 'PUT' : 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(this.collectRule())
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Request failed');
+            }
+            this.hideModal();
+            await this.loadRules();
+        } catch (error) {
+            console.error('Error saving permission rule:', error);
+            alert(`Failed to save permission rule: ${error.message}`);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    async deleteRule(id) {
+        const rule = this.rules.find(r => r.id === id);
+        if (!confirm(`Delete the permission rule "${rule?.name}"? Documents it was applied to keep their owner and permissions.`)) return;
+
+        try {
+            const response = await fetch(`/api/permission-rules/${id}`, { method: 'DELETE' });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Request failed');
+            }
+            await this.loadRules();
+        } catch (error) {
+            console.error('Error deleting permission rule:', error);
+            alert(`Failed to delete permission rule: ${error.message}`);
+        }
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.themeManager = new ThemeManager();
+    window.permissionRuleManager = new PermissionRuleManager();
+});
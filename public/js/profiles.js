@@ -0,0 +1,258 @@
+// Theme Management
+class ThemeManager {
+    constructor() {
+        this.themeToggle = document.getElementById('themeToggle');
+        this.initialize();
+    }
+
+    initialize() {
+        const savedTheme = localStorage.getItem('theme') || 'light';
+        this.setTheme(savedTheme);
+        this.themeToggle?.addEventListener('click', () => this.toggleTheme());
+    }
+
+    setTheme(theme) {
+        document.documentElement.setAttribute('data-theme', theme);
+        localStorage.setItem('theme', theme);
+        const icon = this.themeToggle.querySelector('i');
+        if (icon) {
+            icon.className = theme === 'light' ? 'fas fa-moon' : 'fas fa-sun';
+        }
+    }
+
+    toggleTheme() {
+        const currentTheme = document.documentElement.getAttribute('data-theme');
+        const newTheme = currentTheme === 'light' ? 'dark' : 'light';
+        this.setTheme(newTheme);
+    }
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Match criterion -> select element and label
+const CRITERIA = {
+    tags: { select: 'matchTags', label: 'Tags' },
+    documentTypes: { select: 'matchDocumentTypes', label: 'Type' },
+    correspondents: { select: 'matchCorrespondents', label: 'Correspondent' },
+    owners: { select: 'matchOwners', label: 'Owner' },
+    storagePaths: { select: 'matchStoragePaths', label: 'Storage path' }
+};
+
+class ProfileManager {
+    constructor() {
+        this.profileModal = document.getElementById('profileModal');
+        this.profiles = [];
+        this.options = {};
+        this.currentProfileId = null;
+        this.initializeModal();
+
+        document.getElementById('addProfileBtn')?.addEventListener('click', () => this.openProfile(null));
+        this.loadOptions().then(() => this.loadProfiles());
+    }
+
+    initializeModal() {
+        this.profileModal.querySelector('.modal-overlay')?.addEventListener('click', () => this.hideModal());
+        this.profileModal.querySelector('.modal-close')?.addEventListener('click', () => this.hideModal());
+        document.getElementById('cancelProfile')?.addEventListener('click', () => this.hideModal());
+        document.getElementById('saveProfile')?.addEventListener('click', () => this.save());
+        document.getElementById('profileForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.save();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.hideModal();
+        });
+    }
+
+    showModal() {
+        this.profileModal.classList.remove('hidden');
+        this.profileModal.classList.add('show');
+    }
+
+    hideModal() {
+        this.profileModal.classList.remove('show');
+        this.profileModal.classList.add('hidden');
+        this.currentProfileId = null;
+    }
+
+    async loadOptions() {
+        try {
+            const response = await fetch('/api/profiles/options');
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to load options');
+            }
+            this.options = data.options;
+
+            for (const [criterion, { select }] of Object.entries(CRITERIA)) {
+                document.getElementById(select).innerHTML = (this.options[criterion] || [])
+                    .map(option => `<option value="${option.id}">${escapeHtml(option.name)}</option>`)
+                    .join('');
+            }
+        } catch (error) {
+            console.error('Error loading profile options:', error);
+            alert(`Failed to load tags, correspondents and document types from Paperless-ngx: ${error.message}`);
+        }
+    }
+
+    async loadProfiles() {
+        try {
+            const response = await fetch('/api/profiles');
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to load profiles');
+            }
+            this.profiles = data.profiles;
+            this.renderProfiles();
+        } catch (error) {
+            console.error('Error loading profiles:', error);
+            document.getElementById('profilesBody').innerHTML =
+                `<tr><td colspan="6" class="py-4 text-center text-red-500">${escapeHtml(error.message)}</td></tr>`;
+        }
+    }
+
+    describeMatch(profile) {
+        const parts = Object.entries(CRITERIA)
+            .filter(([criterion]) => profile.match[criterion]?.length > 0)
+            .map(([criterion, { label }]) => {
+                const names = profile.match[criterion].map(id =>
+                    (this.options[criterion] || []).find(option => option.id === id)?.name || `#${id}`);
+                return `${label}: ${names.join(', ')}`;
+            });
+        return parts.length > 0 ? parts.join('; ') : 'All documents';
+    }
+
+    renderProfiles() {
+        const body = document.getElementById('profilesBody');
+        if (this.profiles.length === 0) {
+            body.innerHTML = '<tr><td colspan="6" class="py-4 text-center text-gray-500">No profiles yet - all documents use the global settings</td></tr>';
+            return;
+        }
+
+        body.innerHTML = this.profiles.map(profile => `
+            <tr class="border-b align-top">
+                <td class="py-2 pr-4">${profile.priority}</td>
+                <td class="py-2 pr-4 font-medium">${escapeHtml(profile.name)}</td>
+                <td class="py-2 pr-4">${escapeHtml(this.describeMatch(profile))}</td>
+                <td class="py-2 pr-4">${escapeHtml(profile.provider || 'Global')}${profile.model ? ` / ${escapeHtml(profile.model)}` : ''}</td>
+                <td class="py-2 pr-4">${profile.enabled ? '<span class="text-green-600">Enabled</span>' : '<span class="text-gray-500">Disabled</span>'}</td>
+                <td class="py-2 whitespace-nowrap">
+                    <button onclick="window.profileManager.openProfile(${profile.id})" class="px-3 py-1 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors" title="Edit">
+                        <i class="fas fa-pen"></i>
+                    </button>
+                    <button onclick="window.profileManager.deleteProfile(${profile.id})" class="px-3 py-1 bg-red-500 text-white rounded-lg hover:bg-red-600 transition-colors" title="Delete">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    openProfile(id) {
+        const profile = this.profiles.find(p => p.id === id) || {
+            name: '', enabled: true, priority: 100, match: {}, systemPrompt: '',
+            provider: '', model: '', limitFunctions: {}, customFields: ''
+        };
+        this.currentProfileId = id;
+
+        document.getElementById('profileModalTitle').textContent = id ? `Edit Profile "${profile.name}"` : 'New Profile';
+        document.getElementById('profileName').value = profile.name;
+        document.getElementById('profilePriority').value = profile.priority;
+        document.getElementById('profileEnabled').checked = profile.enabled;
+        document.getElementById('profileProvider').value = profile.provider;
+        document.getElementById('profileModel').value = profile.model;
+        document.getElementById('profilePrompt').value = profile.systemPrompt;
+        document.getElementById('profileCustomFields').value = profile.customFields;
+
+        for (const [criterion, { select }] of Object.entries(CRITERIA)) {
+            const selected = profile.match[criterion] || [];
+            Array.from(document.getElementById(select).options).forEach(option => {
+                option.selected = selected.includes(parseInt(option.value, 10));
+            });
+        }
+        document.querySelectorAll('[data-limit-function]').forEach(select => {
+            select.value = profile.limitFunctions[select.dataset.limitFunction] || '';
+        });
+
+        this.showModal();
+    }
+
+    collectProfile() {
+        const match = {};
+        for (const [criterion, { select }] of Object.entries(CRITERIA)) {
+            match[criterion] = Array.from(document.getElementById(select).selectedOptions)
+                .map(option => parseInt(option.value, 10));
+        }
+
+        const limitFunctions = {};
+        document.querySelectorAll('[data-limit-function]').forEach(select => {
+            if (select.value) limitFunctions[select.dataset.limitFunction] = select.value;
+        });
+
+        return {
+            name: document.getElementById('profileName').value,
+            priority: document.getElementById('profilePriority').value,
+            enabled: document.getElementById('profileEnabled').checked,
+            provider: document.getElementById('profileProvider').value,
+            model: document.getElementById('profileModel').value,
+            systemPrompt: document.getElementById('profilePrompt').value,
+            customFields: document.getElementById('profileCustomFields').value,
+            match,
+            limitFunctions
+        };
+    }
+
+    async save() {
+        const button = document.getElementById('saveProfile');
+        button.disabled = true;
+        try {
+            const id = this.currentProfileId;
+            const response = await fetch(id ? `/api/profiles/${id}` : '/api/profiles', {
+                method: id ? 'PUT' : 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(this.collectProfile())
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Request failed');
+            }
+            this.hideModal();
+            await this.loadProfiles();
+        } catch (error) {
+            console.error('Error saving profile:', error);
+            alert(`Failed to save profile: ${error.message}`);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    async deleteProfile(id) {
+        const profile = this.profiles.find(p => p.id === id);
+        if (!confirm(`Delete the profile "${profile?.name}"? Matching documents will use the global settings.`)) return;
+
+        try {
+            const response = await fetch(`/api/profiles/${id}`, { method: 'DELETE' });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Request failed');
+            }
+            await this.loadProfiles();
+        } catch (error) {
+            console.error('Error deleting profile:', error);
+            alert(`Failed to delete profile: ${error.message}`);
+        }
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.themeManager = new ThemeManager();
+    window.profileManager = new ProfileManager();
+});
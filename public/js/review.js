@@ -0,0 +1,246 @@
+/* global $ */
+// Theme Management
+class ThemeManager {
+    constructor() {
+        this.themeToggle = document.getElementById('themeToggle');
+        this.initialize();
+    }
+
+    initialize() {
+        const savedTheme = localStorage.getItem('theme') || 'light';
+        this.setTheme(savedTheme);
+        this.themeToggle?.addEventListener('click', () => this.toggleTheme());
+    }
+
+    setTheme(theme) {
+        document.documentElement.setAttribute('data-theme', theme);
+        localStorage.setItem('theme', theme);
+        const icon = this.themeToggle.querySelector('i');
+        if (icon) {
+            icon.className = theme === 'light' ? 'fas fa-moon' : 'fas fa-sun';
+        }
+    }
+
+    toggleTheme() {
+        const currentTheme = document.documentElement.getAttribute('data-theme');
+        const newTheme = currentTheme === 'light' ? 'dark' : 'light';
+        this.setTheme(newTheme);
+    }
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+class ReviewManager {
+    constructor() {
+        this.reviewModal = document.getElementById('reviewModal');
+        this.statusFilter = document.getElementById('statusFilter');
+        this.currentSuggestion = null;
+        this.table = this.initializeDataTable();
+        this.initializeModal();
+
+        this.statusFilter?.addEventListener('change', () => this.table.ajax.reload());
+        document.getElementById('reloadQueueBtn')?.addEventListener('click', () => this.table.ajax.reload());
+    }
+
+    initializeDataTable() {
+        return $('#reviewTable').DataTable({
+            ajax: {
+                url: '/api/review',
+                data: (d) => {
+                    d.status = this.statusFilter?.value || 'pending';
+                },
+                dataSrc: 'suggestions'
+            },
+            columns: [
+                { data: 'document_id', width: '60px' },
+                {
+                    data: 'title',
+                    render: (data, type) => type === 'display' ? escapeHtml(data) : data
+                },
+                {
+                    data: 'proposed_title',
+                    render: (data, type) => type === 'display' ? `<span class="font-medium">${escapeHtml(data)}</span>` : data
+                },
+                {
+                    data: 'created_at',
+                    render: (data, type) => type === 'display' ? new Date(data).toLocaleString() : data
+                },
+                {
+                    data: null,
+                    render: (data) => data.status !== 'pending'
+                        ? `<span class="text-sm text-gray-500">${escapeHtml(data.status)}</span>`
+                        : `
+                        <button onclick="window.reviewManager.openSuggestion(${data.id})" class="px-3 py-2 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors">
+                            <i class="fa-solid fa-clipboard-check"></i>
+                            <span class="hidden sm:inline ml-1">Review</span>
+                        </button>
+                    `,
+                    orderable: false,
+                    width: '120px'
+                }
+            ],
+            order: [[3, 'desc']],
+            pageLength: 10,
+            language: {
+                search: "Search suggestions:",
+                emptyTable: "No suggestions waiting for review",
+                info: "Showing _START_ to _END_ of _TOTAL_ suggestions",
+                infoEmpty: "Showing 0 to 0 of 0 suggestions"
+            }
+        });
+    }
+
+    initializeModal() {
+        this.reviewModal.querySelector('.modal-overlay')?.addEventListener('click', () => this.hideModal());
+        this.reviewModal.querySelector('.modal-close')?.addEventListener('click', () => this.hideModal());
+        document.getElementById('cancelReview')?.addEventListener('click', () => this.hideModal());
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.hideModal();
+        });
+
+        document.getElementById('approveSuggestion')?.addEventListener('click', () => this.approve());
+        document.getElementById('rejectSuggestion')?.addEventListener('click', () => this.reject());
+    }
+
+    showModal() {
+        this.reviewModal.classList.remove('hidden');
+        this.reviewModal.classList.add('show');
+    }
+
+    hideModal() {
+        this.reviewModal.classList.remove('show');
+        this.reviewModal.classList.add('hidden');
+        this.currentSuggestion = null;
+    }
+
+    async openSuggestion(id) {
+        document.getElementById('reviewLoading').classList.remove('hidden');
+        document.getElementById('reviewDetails').classList.add('hidden');
+        this.showModal();
+
+        try {
+            const response = await fetch(`/api/review/${id}`);
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to load suggestion');
+            }
+
+            this.currentSuggestion = data.suggestion;
+            this.renderSuggestion(data.suggestion);
+            document.getElementById('reviewLoading').classList.add('hidden');
+            document.getElementById('reviewDetails').classList.remove('hidden');
+        } catch (error) {
+            console.error('Error loading suggestion:', error);
+            alert(`Failed to load suggestion: ${error.message}`);
+            this.hideModal();
+        }
+    }
+
+    renderSuggestion(suggestion) {
+        const { current, proposed } = suggestion;
+        const confidence = suggestion.confidence || {};
+        const lowConfidenceFields = suggestion.lowConfidenceFields || [];
+        document.getElementById('reviewDocumentId').textContent = `#${suggestion.documentId}`;
+
+        // Confidence of the AI in a field, highlighted when it is below the threshold
+        const confidenceBadge = (field, value) => {
+            if (typeof value !== 'number') return '';
+            const color = lowConfidenceFields.includes(field) ? 'bg-red-100 text-red-800' : 'bg-gray-100 text-gray-600';
+            return `<div><span class="px-2 py-0.5 rounded-full text-xs ${color}" title="AI confidence">${Math.round(value * 100)}%</span></div>`;
+        };
+        const row = (label, currentValue, input, field = null) => `
+            <tr class="border-b align-top">
+                <td class="py-2 pr-4 font-medium">${label}${field ? confidenceBadge(field, field.startsWith('custom_fields.')
+                    ? confidence.custom_fields?.[field.slice('custom_fields.'.length)]
+                    : confidence[field]) : ''}</td>
+                <td class="py-2 pr-4 text-gray-600">${escapeHtml(currentValue) || '<span class="text-gray-400">-</span>'}</td>
+                <td class="py-2">${input}</td>
+            </tr>
+        `;
+        const textInput = (id, value, type = 'text') =>
+            `<input id="${id}" type="${type}" value="${escapeHtml(value)}" class="w-full px-2 py-1 border rounded-lg focus:outline-none focus:ring-2 focus:ring-blue-500">`;
+
+        const currentFields = new Map(current.custom_fields.map(field => [field.field, field.value]));
+        const customFieldRows = proposed.custom_fields.map(field => row(
+            escapeHtml(field.name),
+            currentFields.get(field.field),
+            textInput(`reviewCustomField-${field.field}`, field.value),
+            `custom_fields.${field.name}`
+        )).join('');
+
+        document.getElementById('reviewFields').innerHTML = [
+            row('Title', current.title, textInput('reviewTitle', proposed.title), 'title'),
+            row('Created', current.created, textInput('reviewCreated', (proposed.created || '').substring(0, 10), 'date'), 'document_date'),
+            row('Tags', current.tags.join(', '), textInput('reviewTags', proposed.tags.join(', ')), 'tags'),
+            row('Correspondent', current.correspondent, textInput('reviewCorrespondent', proposed.correspondent), 'correspondent'),
+            row('Document Type', current.document_type, textInput('reviewDocumentType', proposed.document_type), 'document_type'),
+            // Storage path and owner are only shown, they are applied as suggested
+            proposed.storage_path ? row('Storage Path', current.storage_path, escapeHtml(proposed.storage_path), 'storage_path') : '',
+            proposed.owner ? row('Owner', current.owner, escapeHtml(proposed.owner)) : '',
+            customFieldRows
+        ].join('');
+    }
+
+    collectEdits() {
+        const { proposed } = this.currentSuggestion;
+        const edits = {
+            title: document.getElementById('reviewTitle').value,
+            created: document.getElementById('reviewCreated').value,
+            tags: document.getElementById('reviewTags').value.split(',').map(tag => tag.trim()).filter(Boolean),
+            correspondent: document.getElementById('reviewCorrespondent').value.trim(),
+            document_type: document.getElementById('reviewDocumentType').value.trim(),
+            custom_fields: {}
+        };
+        proposed.custom_fields.forEach(field => {
+            edits.custom_fields[field.field] = document.getElementById(`reviewCustomField-${field.field}`).value;
+        });
+        return edits;
+    }
+
+    async approve() {
+        if (!this.currentSuggestion) return;
+        await this.submit(`/api/review/${this.currentSuggestion.id}/approve`, { edits: this.collectEdits() });
+    }
+
+    async reject() {
+        if (!this.currentSuggestion) return;
+        if (!confirm('Reject this suggestion? The document will not be changed.')) return;
+        await this.submit(`/api/review/${this.currentSuggestion.id}/reject`, {});
+    }
+
+    async submit(url, body) {
+        const buttons = this.reviewModal.querySelectorAll('#reviewActions button');
+        buttons.forEach(button => button.disabled = true);
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Request failed');
+            }
+            this.hideModal();
+            this.table.ajax.reload();
+        } catch (error) {
+            console.error('Error submitting review:', error);
+            alert(`Failed to submit review: ${error.message}`);
+        } finally {
+            buttons.forEach(button => button.disabled = false);
+        }
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.themeManager = new ThemeManager();
+    window.reviewManager = new ReviewManager();
+});
@@ -150,6 +150,14 @@ class FormManager {
         azureEndpoint.required = false;
         azureDeploymentName.required = false;
         azureApiVersion.required = false;
+
+        // Native providers (Anthropic, Gemini, Mistral) have an API key and a model
+        const nativeProviders = ['anthropic', 'gemini', 'mistral'];
+        nativeProviders.forEach(name => {
+            document.getElementById(`${name}Settings`).classList.add('hidden');
+            document.getElementById(`${name}ApiKey`).required = false;
+            document.getElementById(`${name}Model`).required = false;
+        });
         
         // Show and set required fields based on selected provider
         switch (provider) {
@@ -175,6 +183,13 @@ class FormManager {
                 azureDeploymentName.required = true;
                 azureApiVersion.required = true;
                 break;
+            case 'anthropic':
+            case 'gemini':
+            case 'mistral':
+                document.getElementById(`${provider}Settings`).classList.remove('hidden');
+                document.getElementById(`${provider}ApiKey`).required = true;
+                document.getElementById(`${provider}Model`).required = true;
+                break;
         }
     }
 
@@ -807,6 +822,7 @@ function updateCustomFieldsJson() {
         const typeText = item.querySelector('p.text-sm').textContent;
         const data_type = typeText.split('Type: ')[1].split(' ')[0];
         const currency = typeText.includes('(') ? typeText.split('(')[1].split(')')[0] : null;
+        const mergePolicy = item.querySelector('select.custom-field-policy')?.value;
         
         const field = {
             value: fieldName,
@@ -816,6 +832,10 @@ function updateCustomFieldsJson() {
         if (currency) {
             field.currency = currency;
         }
+
+        if (mergePolicy) {
+            field.merge_policy = mergePolicy;
+        }
         
         return field;
     });
@@ -846,6 +866,14 @@ function createFieldElement(fieldName, data_type, currency = null) {
             <p class="font-medium ${isDark ? 'text-gray-100' : 'text-gray-900'}">${fieldName}</p>
             <p class="text-sm ${isDark ? 'text-gray-400' : 'text-gray-500'}">${typeDisplay}</p>
         </div>
+        <select class="custom-field-policy px-2 py-1 text-sm border rounded-lg ${isDark ? 'bg-gray-800 text-gray-100 border-gray-600' : 'bg-white text-gray-900 border-gray-300'}"
+                title="Merge policy"
+                onchange="updateCustomFieldsJson()">
+            <option value="" selected>Default policy</option>
+            <option value="overwrite">Overwrite</option>
+            <option value="fill-if-empty">Fill if empty</option>
+            <option value="never">Never change</option>
+        </select>
         <button type="button" 
                 onclick="removeCustomField(this)"
                 class="text-gray-400 hover:text-red-500 transition-colors">
@@ -114,6 +114,14 @@ class FormManager {
         azureEndpoint.required = false;
         azureModel.required = false;
         azureDeployment.required = false;
+
+        // Native providers (Anthropic, Gemini, Mistral) have an API key and a model
+        const nativeProviders = ['anthropic', 'gemini', 'mistral'];
+        nativeProviders.forEach(name => {
+            document.getElementById(`${name}Settings`).style.display = 'none';
+            document.getElementById(`${name}ApiKey`).required = false;
+            document.getElementById(`${name}Model`).required = false;
+        });
         
         // Show and set required fields based on selected provider
         switch (provider) {
@@ -139,6 +147,13 @@ class FormManager {
                 azureModel.required = true;
                 azureDeployment.required = true;
                 break;
+            case 'anthropic':
+            case 'gemini':
+            case 'mistral':
+                document.getElementById(`${provider}Settings`).style.display = 'block';
+                document.getElementById(`${provider}ApiKey`).required = true;
+                document.getElementById(`${provider}Model`).required = true;
+                break;
         }
     }
 
@@ -0,0 +1,223 @@
+// Theme Management
+class ThemeManager {
+    constructor() {
+        this.themeToggle = document.getElementById('themeToggle');
+        this.initialize();
+    }
+
+    initialize() {
+        const savedTheme = localStorage.getItem('theme') || 'light';
+        this.setTheme(savedTheme);
+        this.themeToggle?.addEventListener('click', () => this.toggleTheme());
+    }
+
+    setTheme(theme) {
+        document.documentElement.setAttribute('data-theme', theme);
+        localStorage.setItem('theme', theme);
+        const icon = this.themeToggle.querySelector('i');
+        if (icon) {
+            icon.className = theme === 'light' ? 'fas fa-moon' : 'fas fa-sun';
+        }
+    }
+
+    toggleTheme() {
+        const currentTheme = document.documentElement.getAttribute('data-theme');
+        const newTheme = currentTheme === 'light' ? 'dark' : 'light';
+        this.setTheme(newTheme);
+    }
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+const METHOD_LABELS = {
+    similarity: 'similar spelling',
+    embedding: 'similar meaning'
+};
+
+class TagManager {
+    constructor() {
+        this.groups = [];
+        this.tags = [];
+
+        document.getElementById('duplicatesForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.findDuplicates();
+        });
+        document.getElementById('aliasForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addAlias();
+        });
+        this.loadAliases();
+    }
+
+    async request(url, options = {}) {
+        const response = await fetch(url, options);
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Request failed');
+        }
+        return data;
+    }
+
+    async loadAliases() {
+        try {
+            const data = await this.request('/api/tags/aliases');
+            this.tags = data.tags;
+            this.renderTagOptions();
+            this.renderAliases(data.aliases);
+        } catch (error) {
+            console.error('Error loading tag aliases:', error);
+            document.getElementById('aliasesBody').innerHTML =
+                `<tr><td colspan="4" class="py-4 text-center text-red-500">${escapeHtml(error.message)}</td></tr>`;
+        }
+    }
+
+    renderTagOptions() {
+        const select = document.getElementById('aliasTag');
+        const selected = select.value;
+        select.innerHTML = this.tags
+            .map(tag => `<option value="${tag.id}">${escapeHtml(tag.name)}</option>`)
+            .join('');
+        select.value = selected;
+    }
+
+    renderAliases(aliases) {
+        const body = document.getElementById('aliasesBody');
+        if (aliases.length === 0) {
+            body.innerHTML = '<tr><td colspan="4" class="py-4 text-center text-gray-500">No aliases yet</td></tr>';
+            return;
+        }
+
+        body.innerHTML = aliases.map(alias => `
+            <tr class="border-b">
+                <td class="py-2 pr-4 font-medium">${escapeHtml(alias.alias)}</td>
+                <td class="py-2 pr-4">${alias.tagName ? escapeHtml(alias.tagName) : `<span class="text-red-500">Tag #${alias.tagId} no longer exists</span>`}</td>
+                <td class="py-2 pr-4 text-gray-500">${escapeHtml(alias.createdAt)}</td>
+                <td class="py-2 text-right">
+                    <button onclick="window.tagManager.deleteAlias(${alias.id})" class="px-3 py-1 bg-red-500 text-white rounded-lg hover:bg-red-600 transition-colors" title="Delete">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    async addAlias() {
+        const input = document.getElementById('aliasName');
+        try {
+            await this.request('/api/tags/aliases', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ alias: input.value, tagId: Number(document.getElementById('aliasTag').value) })
+            });
+            input.value = '';
+            await this.loadAliases();
+        } catch (error) {
+            console.error('Error saving tag alias:', error);
+            alert(`Failed to save alias: ${error.message}`);
+        }
+    }
+
+    async deleteAlias(id) {
+        if (!confirm('Delete this alias? The AI may create a tag of that name again.')) return;
+
+        try {
+            await this.request(`/api/tags/aliases/${id}`, { method: 'DELETE' });
+            await this.loadAliases();
+        } catch (error) {
+            console.error('Error deleting tag alias:', error);
+            alert(`Failed to delete alias: ${error.message}`);
+        }
+    }
+
+    async findDuplicates() {
+        const button = document.getElementById('findDuplicatesBtn');
+        const container = document.getElementById('duplicateGroups');
+        const threshold = document.getElementById('duplicateThreshold').value;
+        button.disabled = true;
+        container.innerHTML = '<p class="text-sm text-gray-500"><i class="fas fa-spinner fa-spin mr-2"></i>Comparing tags...</p>';
+
+        try {
+            const data = await this.request(`/api/tags/duplicates?${new URLSearchParams({ threshold })}`);
+            this.groups = data.groups;
+            this.renderGroups();
+        } catch (error) {
+            console.error('Error finding duplicate tags:', error);
+            container.innerHTML = `<p class="text-sm text-red-500">${escapeHtml(error.message)}</p>`;
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    renderGroups() {
+        const container = document.getElementById('duplicateGroups');
+        if (this.groups.length === 0) {
+            container.innerHTML = '<p class="text-sm text-gray-500">No duplicate tags found.</p>';
+            return;
+        }
+
+        const renderTag = (tag, index, checked) => `
+            <li class="flex items-center gap-3">
+                <label class="flex items-center gap-2" title="Canonical tag">
+                    <input type="radio" name="canonical-${index}" value="${tag.id}" ${checked ? 'checked' : ''}>
+                    <span class="font-medium">${escapeHtml(tag.path)}</span>
+                </label>
+                <span class="text-gray-500">${tag.documentCount} documents</span>
+                ${tag.method ? `<span class="text-xs text-gray-500">${METHOD_LABELS[tag.method] || tag.method} (${Math.round(tag.score * 100)}%)</span>` : ''}
+            </li>
+        `;
+
+        container.innerHTML = this.groups.map((group, index) => `
+            <div class="border rounded-lg p-4" data-group="${index}">
+                <ul class="space-y-2 text-sm mb-3">
+                    ${[group.canonical, ...group.duplicates].map((tag, position) => renderTag(tag, index, position === 0)).join('')}
+                </ul>
+                <button onclick="window.tagManager.mergeGroup(${index})" class="px-3 py-1 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors">
+                    <i class="fas fa-code-merge"></i> Merge into selected tag
+                </button>
+            </div>
+        `).join('');
+    }
+
+    async mergeGroup(index) {
+        const group = this.groups[index];
+        const tags = [group.canonical, ...group.duplicates];
+        const targetId = Number(document.querySelector(`input[name="canonical-${index}"]:checked`)?.value);
+        const target = tags.find(tag => tag.id === targetId);
+        const sources = tags.filter(tag => tag.id !== targetId);
+        if (!target) return;
+
+        const names = sources.map(tag => `"${tag.name}"`).join(', ');
+        if (!confirm(`Merge ${names} into "${target.name}"? The merged tags are deleted in Paperless-ngx.`)) return;
+
+        const container = document.querySelector(`[data-group="${index}"]`);
+        container.querySelector('button').disabled = true;
+        try {
+            const data = await this.request('/api/tags/merge', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ targetId, sourceIds: sources.map(tag => tag.id) })
+            });
+            const documents = data.merged.reduce((sum, tag) => sum + tag.documents, 0);
+            container.innerHTML = `<p class="text-sm text-green-600"><i class="fas fa-check mr-2"></i>Merged ${escapeHtml(names)} into "${escapeHtml(data.target.name)}" (${documents} documents).</p>`;
+            await this.loadAliases();
+        } catch (error) {
+            console.error('Error merging tags:', error);
+            alert(`Failed to merge tags: ${error.message}`);
+            container.querySelector('button').disabled = false;
+        }
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.themeManager = new ThemeManager();
+    window.tagManager = new TagManager();
+});
@@ -0,0 +1,321 @@
+// Theme Management
+class ThemeManager {
+    constructor() {
+        this.themeToggle = document.getElementById('themeToggle');
+        this.initialize();
+    }
+
+    initialize() {
+        const savedTheme = localStorage.getItem('theme') || 'light';
+        this.setTheme(savedTheme);
+        this.themeToggle?.addEventListener('click', () => this.toggleTheme());
+    }
+
+    setTheme(theme) {
+        document.documentElement.setAttribute('data-theme', theme);
+        localStorage.setItem('theme', theme);
+        const icon = this.themeToggle.querySelector('i');
+        if (icon) {
+            icon.className = theme === 'light' ? 'fas fa-moon' : 'fas fa-sun';
+        }
+    }
+
+    toggleTheme() {
+        const currentTheme = document.documentElement.getAttribute('data-theme');
+        const newTheme = currentTheme === 'light' ? 'dark' : 'light';
+        this.setTheme(newTheme);
+    }
+}
+
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+const ROLE_LABELS = {
+    admin: 'Admin',
+    reviewer: 'Reviewer',
+    readonly: 'Read-only'
+};
+
+class UserManager {
+    constructor() {
+        this.userModal = document.getElementById('userModal');
+        this.currentUserId = parseInt(this.userModal.dataset.currentUserId, 10);
+        this.users = [];
+        this.editUserId = null;
+        this.initializeModal();
+        document.getElementById('userAuthSource').addEventListener('change', () => this.togglePassword());
+
+        document.getElementById('passwordForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.changePassword();
+        });
+
+        if (document.getElementById('sessionsBody')) {
+            document.getElementById('logoutEverywhereBtn')?.addEventListener('click', () => this.logoutEverywhere());
+            this.loadSessions();
+        }
+
+        // The user table is only rendered for admins
+        if (document.getElementById('usersBody')) {
+            document.getElementById('addUserBtn')?.addEventListener('click', () => this.openUser(null));
+            this.loadUsers();
+        }
+    }
+
+    initializeModal() {
+        this.userModal.querySelector('.modal-overlay')?.addEventListener('click', () => this.hideModal());
+        this.userModal.querySelector('.modal-close')?.addEventListener('click', () => this.hideModal());
+        document.getElementById('cancelUser')?.addEventListener('click', () => this.hideModal());
+        document.getElementById('saveUser')?.addEventListener('click', () => this.save());
+        document.getElementById('userForm')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.save();
+        });
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') this.hideModal();
+        });
+    }
+
+    showModal() {
+        this.userModal.classList.remove('hidden');
+        this.userModal.classList.add('show');
+    }
+
+    hideModal() {
+        this.userModal.classList.remove('show');
+        this.userModal.classList.add('hidden');
+        this.editUserId = null;
+    }
+
+    async loadUsers() {
+        try {
+            const response = await fetch('/api/users');
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to load users');
+            }
+            this.users = data.users;
+            this.renderUsers();
+        } catch (error) {
+            console.error('Error loading users:', error);
+            document.getElementById('usersBody').innerHTML =
+                `<tr><td colspan="4" class="py-4 text-center text-red-500">${escapeHtml(error.message)}</td></tr>`;
+        }
+    }
+
+    renderUsers() {
+        document.getElementById('usersBody').innerHTML = this.users.map(user => `
+            <tr class="border-b">
+                <td class="py-2 pr-4 font-medium">${escapeHtml(user.username)}${user.id === this.currentUserId ? ' <span class="text-gray-500">(you)</span>' : ''}${user.authSource !== 'local' ? ` <span class="text-xs text-gray-500">${escapeHtml(user.authSource.toUpperCase())}</span>` : ''}</td>
+                <td class="py-2 pr-4">${escapeHtml(ROLE_LABELS[user.role] || user.role)}</td>
+                <td class="py-2 pr-4">${user.createdAt ? escapeHtml(new Date(user.createdAt.replace(' ', 'T') + 'Z').toLocaleString()) : '-'}</td>
+                <td class="py-2 whitespace-nowrap">
+                    <button onclick="window.userManager.openUser(${user.id})" class="px-3 py-1 bg-blue-500 text-white rounded-lg hover:bg-blue-600 transition-colors" title="Edit role / reset password">
+                        <i class="fas fa-pen"></i>
+                    </button>
+                    ${user.id === this.currentUserId ? '' : `
+                    <button onclick="window.userManager.deleteUser(${user.id})" class="px-3 py-1 bg-red-500 text-white rounded-lg hover:bg-red-600 transition-colors" title="Delete">
+                        <i class="fas fa-trash"></i>
+                    </button>`}
+                </td>
+            </tr>
+        `).join('');
+    }
+
+    openUser(id) {
+        const user = this.users.find(u => u.id === id) || { username: '', role: 'readonly' };
+        this.editUserId = id;
+
+        document.getElementById('userModalTitle').textContent = id ? `Edit User "${user.username}"` : 'New User';
+        const nameInput = document.getElementById('userName');
+        nameInput.value = user.username;
+        nameInput.disabled = Boolean(id);
+        document.getElementById('userRole').value = user.role;
+        document.getElementById('userAuthSource').value = user.authSource || 'local';
+        document.getElementById('userAuthSourceGroup').classList.toggle('hidden', Boolean(id));
+        this.togglePassword();
+        document.getElementById('userPassword').value = '';
+        document.getElementById('userPasswordHint').textContent = id
+            ? 'Leave empty to keep the current password.'
+            : 'At least 8 characters.';
+
+        this.showModal();
+    }
+
+    // SSO accounts have no password
+    togglePassword() {
+        const user = this.users.find(u => u.id === this.editUserId);
+        const authSource = user ? user.authSource : document.getElementById('userAuthSource').value;
+        document.getElementById('userPasswordGroup').classList.toggle('hidden', authSource !== 'local');
+    }
+
+    async save() {
+        const button = document.getElementById('saveUser');
+        button.disabled = true;
+        try {
+            const id = this.editUserId;
+            const payload = {
+                role: document.getElementById('userRole').value,
+                password: document.getElementById('userPassword').value || undefined
+            };
+            if (!id) {
+                payload.username = document.getElementById('userName').value;
+                payload.authSource = document.getElementById('userAuthSource').value;
+                if (payload.authSource !== 'local') delete payload.password;
+            }
+
+            const response = await fetch(id ? `/api/users/${id}` : '/api/users', {
+                method: id ? 'PUT' : 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(payload)
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Request failed');
+            }
+            this.hideModal();
+            await this.loadUsers();
+        } catch (error) {
+            console.error('Error saving user:', error);
+            alert(`Failed to save user: ${error.message}`);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    async deleteUser(id) {
+        const user = this.users.find(u => u.id === id);
+        if (!confirm(`Delete the user "${user?.username}"?`)) return;
+
+        try {
+            const response = await fetch(`/api/users/${id}`, { method: 'DELETE' });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Request failed');
+            }
+            await this.loadUsers();
+        } catch (error) {
+            console.error('Error deleting user:', error);
+            alert(`Failed to delete user: ${error.message}`);
+        }
+    }
+
+    async changePassword() {
+        const newPassword = document.getElementById('newPassword').value;
+        if (newPassword !== document.getElementById('confirmNewPassword').value) {
+            alert('The new passwords do not match');
+            return;
+        }
+
+        const button = document.getElementById('changePasswordBtn');
+        button.disabled = true;
+        try {
+            const response = await fetch('/api/account/password', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    currentPassword: document.getElementById('currentPassword').value,
+                    newPassword
+                })
+            });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Request failed');
+            }
+            document.getElementById('passwordForm').reset();
+            alert('Password changed. Your other sessions have been logged out.');
+            await this.loadSessions();
+        } catch (error) {
+            console.error('Error changing password:', error);
+            alert(`Failed to change password: ${error.message}`);
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    async loadSessions() {
+        const body = document.getElementById('sessionsBody');
+        try {
+            const response = await fetch('/api/account/sessions');
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to load sessions');
+            }
+            if (data.sessions.length === 0) {
+                body.innerHTML = '<tr><td colspan="4" class="py-4 text-center text-gray-500">No active sessions</td></tr>';
+                return;
+            }
+            body.innerHTML = data.sessions.map(session => `
+                <tr class="border-b">
+                    <td class="py-2 pr-4" title="${escapeHtml(session.userAgent)}">${escapeHtml(this.describeUserAgent(session.userAgent))}${session.current ? ' <span class="text-gray-500">(this session)</span>' : ''}</td>
+                    <td class="py-2 pr-4">${escapeHtml(session.ipAddress || '-')}</td>
+                    <td class="py-2 pr-4">${session.lastUsedAt ? escapeHtml(new Date(session.lastUsedAt.replace(' ', 'T') + 'Z').toLocaleString()) : '-'}</td>
+                    <td class="py-2 whitespace-nowrap">
+                        <button onclick="window.userManager.revokeSession('${escapeHtml(session.id)}', ${session.current})" class="px-3 py-1 bg-red-500 text-white rounded-lg hover:bg-red-600 transition-colors" title="Log out this session">
+                            <i class="fas fa-right-from-bracket"></i>
+                        </button>
+                    </td>
+                </tr>
+            `).join('');
+        } catch (error) {
+            console.error('Error loading sessions:', error);
+            body.innerHTML = `<tr><td colspan="4" class="py-4 text-center text-red-500">${escapeHtml(error.message)}</td></tr>`;
+        }
+    }
+
+    describeUserAgent(userAgent) {
+        if (!userAgent) return 'Unknown';
+        const browser = ['Edg', 'Firefox', 'Chrome', 'Safari'].find(name => userAgent.includes(`${name}/`));
+        const os = ['Windows', 'Android', 'iPhone', 'Mac OS', 'Linux'].find(name => userAgent.includes(name));
+        if (!browser) return userAgent.slice(0, 60);
+        return `${browser === 'Edg' ? 'Edge' : browser}${os ? ` on ${os}` : ''}`;
+    }
+
+    async revokeSession(id, current) {
+        if (current && !confirm('This logs out the current session. Continue?')) return;
+
+        try {
+            const response = await fetch(`/api/account/sessions/${encodeURIComponent(id)}`, { method: 'DELETE' });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Request failed');
+            }
+            if (current) {
+                window.location.href = '/login';
+                return;
+            }
+            await this.loadSessions();
+        } catch (error) {
+            console.error('Error revoking session:', error);
+            alert(`Failed to log out session: ${error.message}`);
+        }
+    }
+
+    async logoutEverywhere() {
+        if (!confirm('Log out all sessions, including this one?')) return;
+
+        try {
+            const response = await fetch('/api/account/logout-everywhere', { method: 'POST' });
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Request failed');
+            }
+            window.location.href = '/login';
+        } catch (error) {
+            console.error('Error logging out everywhere:', error);
+            alert(`Failed to log out: ${error.message}`);
+        }
+    }
+}
+
+// Initialize when DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    window.themeManager = new ThemeManager();
+    window.userManager = new UserManager();
+});
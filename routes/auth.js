@@ -1,53 +1,62 @@
-const jwt = require('jsonwebtoken');
-const config = require('../config/config');
-
-// JWT secret key - should be moved to environment variables
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
+const apiKeyService = require('../services/apiKeyService');
+const sessionService = require('../services/sessionService');
 
 // JWT middleware to verify token
-const authenticateJWT = (req, res, next) => {
+const authenticateJWT = async (req, res, next) => {
+  // Already authenticated by the router middleware (session, API key or trusted proxy)
+  if (req.user) {
+    return next();
+  }
+
   const token = req.cookies.jwt || req.headers.authorization?.split(' ')[1];
   const apiKey = req.headers['x-api-key'];
 
-  if (apiKey && apiKey === process.env.API_KEY) {
-    req.user = { apiKey: true };
+  // Legacy API_KEY or a scoped key; scopes are checked by the router middleware
+  const apiKeyUser = await apiKeyService.authenticate(apiKey);
+  if (apiKeyUser) {
+    req.user = apiKeyUser;
     return next();
   }
 
-  if (!token) {
+  if (!token && !req.cookies.refresh_token) {
     return res.status(401).json({ message: 'Authentication required' });
   }
 
-  try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded;
-    next();
-  } catch (error) {
+  const decoded = await sessionService.authenticateRequest(req, res);
+  if (!decoded) {
     return res.status(403).json({ message: 'Invalid or expired token' });
   }
+  req.user = decoded;
+  next();
 };
 
-const isAuthenticated = (req, res, next) => {
+const isAuthenticated = async (req, res, next) => {
+  // Already authenticated by the router middleware (session, API key or trusted proxy)
+  if (req.user) {
+    return next();
+  }
+
   const token = req.cookies.jwt || req.headers.authorization?.split(' ')[1];
   const apiKey = req.headers['x-api-key'];
 
-  if (apiKey && apiKey === process.env.API_KEY) {
-    req.user = { apiKey: true };
+  // Legacy API_KEY or a scoped key; scopes are checked by the router middleware
+  const apiKeyUser = await apiKeyService.authenticate(apiKey);
+  if (apiKeyUser) {
+    req.user = apiKeyUser;
     return next();
   }
 
-  if (!token) {
+  if (!token && !req.cookies.refresh_token) {
     return res.redirect('/login');
   }
 
-  try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded;
-    next();
-  } catch (error) {
-    res.clearCookie('jwt');
+  const decoded = await sessionService.authenticateRequest(req, res);
+  if (!decoded) {
+    sessionService.clearCookies(res);
     return res.redirect('/login');
   }
+  req.user = decoded;
+  next();
 };
 
 module.exports = { authenticateJWT, isAuthenticated };
\ No newline at end of file
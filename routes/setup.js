@@ -2,24 +2,37 @@ const express = require('express');
 const router = express.Router();
 const setupService = require('../services/setupService.js');
 const paperlessService = require('../services/paperlessService.js');
-const openaiService = require('../services/openaiService.js');
-const ollamaService = require('../services/ollamaService.js');
-const azureService = require('../services/azureService.js');
 const documentModel = require('../models/document.js');
-const AIServiceFactory = require('../services/aiServiceFactory');
 const debugService = require('../services/debugService.js');
 const configFile = require('../config/config.js');
 const ChatService = require('../services/chatService.js');
 const documentsService = require('../services/documentsService.js');
 const RAGService = require('../services/ragService.js');
+const rollbackService = require('../services/rollbackService.js');
+const reviewService = require('../services/reviewService.js');
+const documentProcessor = require('../services/documentProcessorService.js');
+const jobQueue = require('../services/jobQueueService.js');
+const budgetService = require('../services/budgetService.js');
+const profileService = require('../services/profileService.js');
+const AIServiceFactory = require('../services/aiServiceFactory.js');
+const circuitBreaker = require('../services/circuitBreakerService.js');
+const userService = require('../services/userService.js');
+const apiKeyService = require('../services/apiKeyService.js');
+const oidcService = require('../services/oidcService.js');
+const sessionService = require('../services/sessionService.js');
+const auditService = require('../services/auditService.js');
+const mergePolicyService = require('../services/mergePolicyService.js');
+const confidenceService = require('../services/confidenceService.js');
+const tagTaxonomyService = require('../services/tagTaxonomyService.js');
+const correspondentService = require('../services/correspondentService.js');
+const permissionRuleService = require('../services/permissionRuleService.js');
 const fs = require('fs').promises;
 const path = require('path');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const cookieParser = require('cookie-parser');
 const { authenticateJWT, isAuthenticated } = require('./auth.js');
-const JWT_SECRET = process.env.JWT_SECRET || 'your-secret-key';
-const customService = require('../services/customService.js');
+const JWT_SECRET = configFile.jwtSecret;
 const config = require('../config/config.js');
 require('dotenv').config({ path: '../data/.env' });
 
@@ -139,9 +152,73 @@ let PUBLIC_ROUTES = [
   '/health',
   '/login',
   '/logout',
-  '/setup'
+  '/setup',
+  '/auth/oidc'
 ];
 
+// Minimum role per route; the first matching rule wins. Routes without a rule
+// can be read by every user (GET) and changed by admins only (other methods).
+const ROUTE_ROLES = [
+  { method: 'GET', pattern: /^\/(settings|debug)(\/|$)/, role: 'admin' },
+  { method: 'GET', pattern: /^\/api-keys$/, role: 'admin' },
+  { method: 'GET', pattern: /^\/api\/(users|api-keys|rag-test)(\/|$)/, role: 'admin' },
+  { method: 'POST', pattern: /^\/api\/review\/\d+\/(approve|reject)$/, role: 'reviewer' },
+  { method: 'POST', pattern: /^\/api\/history\/revert(\/\d+)?$/, role: 'reviewer' },
+  { method: 'POST', pattern: /^\/manual\/(analyze|updateDocument)$/, role: 'reviewer' },
+  { method: 'POST', pattern: /^\/(chat\/message|api\/rag\/(search|ask)|api\/account\/(password|logout-everywhere))$/, role: 'readonly' },
+  { method: 'DELETE', pattern: /^\/api\/account\/sessions\/[\w-]+$/, role: 'readonly' }
+];
+
+// Routes a scoped API key may call, per scope (see services/apiKeyService.js).
+// Scoped keys cannot call any other route; the legacy API_KEY has full access.
+const SCOPE_ROUTES = [
+  { method: 'POST', pattern: /^\/api\/webhook\/document$/, scope: 'webhook' },
+  { method: 'GET', pattern: /^\/api\/history(\/(load-progress|validate))?$/, scope: 'history:read' },
+  { method: 'POST', pattern: /^\/api\/scan\/now$/, scope: 'scan' },
+  { method: 'GET', pattern: /^\/api\/(processing-status|jobs)$/, scope: 'scan' },
+  { method: 'POST', pattern: /^\/api\/rag\/(ask|search)$/, scope: 'rag:ask' }
+];
+
+function hasScopeFor(scopes, method, path) {
+  return SCOPE_ROUTES.some(rule => rule.method === method && rule.pattern.test(path) && scopes.includes(rule.scope));
+}
+
+/**
+ * Returns the identity from the reverse proxy headers (PROXY_AUTH_*) if the
+ * request comes directly from one of the trusted proxies, otherwise null.
+ */
+function getProxyIdentity(req) {
+  const { proxyAuth } = config;
+  if (proxyAuth.enabled !== 'yes') return null;
+
+  const remoteAddress = (req.socket.remoteAddress || '').replace(/^::ffff:/, '');
+  if (!proxyAuth.trustedProxies.includes(remoteAddress)) return null;
+
+  const username = req.headers[proxyAuth.userHeader];
+  if (!username) return null;
+  return {
+    username,
+    groups: oidcService.normalizeGroups(req.headers[proxyAuth.groupsHeader] || ''),
+    source: 'proxy'
+  };
+}
+
+// Creates a server-side session and sets its cookies after a successful local or SSO login
+async function issueSession(req, res, user) {
+  const tokens = await sessionService.createSession(user, req);
+  sessionService.setCookies(res, tokens);
+}
+
+function renderLogin(res, error = null) {
+  res.render('login', { error, oidc: oidcService.getLoginOptions() });
+}
+
+function getRequiredRole(method, path) {
+  const rule = ROUTE_ROLES.find(rule => rule.method === method && rule.pattern.test(path));
+  if (rule) return rule.role;
+  return method === 'GET' || method === 'HEAD' ? 'readonly' : 'admin';
+}
+
 // Combined middleware to check authentication and setup
 router.use(async (req, res, next) => {
   const token = req.cookies.jwt || req.headers.authorization?.split(' ')[1];
@@ -153,23 +230,78 @@ router.use(async (req, res, next) => {
   }
 
   // API key authentication
-  if (apiKey && apiKey === process.env.API_KEY) {
-    req.user = { apiKey: true };
+  const apiKeyUser = await apiKeyService.authenticate(apiKey);
+  if (apiKeyUser) {
+    req.user = apiKeyUser;
   } else {
-    // Fallback to JWT authentication
-    if (!token) {
-      return res.redirect('/login');
+    if (apiKey && !token) {
+      return res.status(401).json({ success: false, error: 'Invalid, expired or revoked API key' });
     }
 
-    try {
-      const decoded = jwt.verify(token, JWT_SECRET);
-      req.user = decoded;
-    } catch (error) {
-      res.clearCookie('jwt');
-      return res.redirect('/login');
+    let decoded;
+    let user;
+    let csrfSubject;
+    const proxyIdentity = getProxyIdentity(req);
+    if (proxyIdentity) {
+      // Authenticated by the trusted reverse proxy; no session cookie needed
+      try {
+        user = await userService.resolveSsoUser(proxyIdentity);
+      } catch (error) {
+        console.warn('[WARN] Proxy authentication denied:', error.message);
+        return res.status(403).send(`Access denied: ${error.message}`);
+      }
+      decoded = { id: user.id, username: user.username };
+      csrfSubject = `proxy:${user.id}`;
+    } else {
+      // Session authentication; an expired access token is renewed with the refresh token
+      if (!token && !req.cookies.refresh_token) {
+        return res.redirect('/login');
+      }
+
+      decoded = await sessionService.authenticateRequest(req, res);
+      // Load the role from the database so role changes and deletions apply immediately
+      user = decoded && await documentModel.getUserById(decoded.id);
+      if (!user) {
+        sessionService.clearCookies(res);
+        if (req.path.startsWith('/api/')) {
+          return res.status(401).json({ success: false, error: 'Session expired, please log in again' });
+        }
+        return res.redirect('/login');
+      }
+      csrfSubject = decoded.sid;
+    }
+    req.user = { ...decoded, role: user.role || 'admin' };
+    res.locals.currentUser = { id: user.id, username: user.username, role: req.user.role };
+
+    // CSRF protection for browser requests; clients sending a Bearer token instead of the cookie are exempt
+    const usesCookies = proxyIdentity || req.cookies.jwt || !req.headers.authorization;
+    if (usesCookies) {
+      sessionService.setCsrfCookie(req, res, csrfSubject);
+      if (!sessionService.isValidCsrfRequest(req, csrfSubject)) {
+        console.warn(`[WARN] Invalid CSRF token for ${req.user.username} on ${req.method} ${req.path}`);
+        return res.status(403).json({ success: false, error: 'Invalid CSRF token' });
+      }
+    }
+  }
+
+  // Scope check for scoped API keys
+  if (req.user.scopes) {
+    if (!hasScopeFor(req.user.scopes, req.method, req.path)) {
+      console.warn(`[WARN] API key "${req.user.apiKeyName}" denied ${req.method} ${req.path}, scopes: ${req.user.scopes.join(', ')}`);
+      return res.status(403).json({ success: false, error: 'API key scope does not allow this request' });
     }
   }
 
+  // Role check
+  const requiredRole = getRequiredRole(req.method, req.path);
+  if (!req.user.scopes && !userService.hasRole(req.user, requiredRole)) {
+    console.warn(`[WARN] ${req.user.username} (${req.user.role}) denied ${req.method} ${req.path}, requires ${requiredRole}`);
+    if (req.method !== 'GET' || req.path.startsWith('/api/')) {
+      return res.status(403).json({ success: false, error: 'Insufficient permissions' });
+    }
+    return res.redirect('/dashboard');
+  }
+
   // Setup check
   try {
     const isConfigured = await setupService.isConfigured();
@@ -184,24 +316,28 @@ router.use(async (req, res, next) => {
     return res.status(500).send('Internal Server Error');
   }
   
-  next();
+  // Changes made in Paperless-ngx while handling the request are attributed to its user or API key
+  auditService.run({ actor: auditService.actorFromRequest(req), source: `${req.method} ${req.path}` }, next);
 });
 
 // Protected route middleware for API endpoints
-const protectApiRoute = (req, res, next) => {
+const protectApiRoute = async (req, res, next) => {
+  if (req.user) {
+    return next();
+  }
+
   const token = req.cookies.jwt || req.headers.authorization?.split(' ')[1];
   
-  if (!token) {
+  if (!token && !req.cookies.refresh_token) {
     return res.status(401).json({ message: 'Authentication required' });
   }
 
-  try {
-    const decoded = jwt.verify(token, JWT_SECRET);
-    req.user = decoded;
-    next();
-  } catch (error) {
+  const decoded = await sessionService.authenticateRequest(req, res);
+  if (!decoded) {
     return res.status(403).json({ message: 'Invalid or expired token' });
   }
+  req.user = decoded;
+  next();
 };
 
 /**
@@ -247,7 +383,7 @@ router.get('/login', (req, res) => {
     if(users.length === 0) {
       res.redirect('setup');
     } else {
-      res.render('login', { error: null });
+      renderLogin(res);
     }
   });
 });
@@ -340,7 +476,7 @@ router.post('/login', async (req, res) => {
     // Check if user was found and has required fields
     if (!user || !user.password) {
       console.log('[FAILED LOGIN] User not found or invalid data:', username);
-      return res.render('login', { error: 'Invalid credentials' });
+      return renderLogin(res, 'Invalid credentials');
     }
 
     // Compare passwords
@@ -348,29 +484,14 @@ router.post('/login', async (req, res) => {
     console.log('Password validation result:', isValidPassword);
 
     if (isValidPassword) {
-      const token = jwt.sign(
-        { 
-          id: user.id, 
-          username: user.username 
-        },
-        JWT_SECRET,
-        { expiresIn: '24h' }
-      );
-      res.cookie('jwt', token, {
-        httpOnly: true,
-        secure: false,  
-        sameSite: 'lax', 
-        path: '/',
-        maxAge: 24 * 60 * 60 * 1000 
-      });
-
+      await issueSession(req, res, user);
       return res.redirect('/dashboard');
     }else{
-      return res.render('login', { error: 'Invalid credentials' });
+      return renderLogin(res, 'Invalid credentials');
     }
   } catch (error) {
     console.error('Login error:', error);
-    res.render('login', { error: 'An error occurred during login' });
+    renderLogin(res, 'An error occurred during login');
   }
 });
 
@@ -379,13 +500,11 @@ router.post('/login', async (req, res) => {
  * @swagger
  * /logout:
  *   get:
- *     summary: Log out user and clear JWT cookie
+ *     summary: Log out user and revoke the session
  *     description: |
- *       Terminates the current user session by invalidating and clearing the JWT authentication
- *       cookie. After logging out, the user is redirected to the login page.
- *       
- *       This endpoint also clears any session-related data stored on the server side
- *       for the current user.
+ *       Terminates the current user session: the server-side session is revoked, so its access
+ *       and refresh tokens stop working immediately, and the session cookies are cleared.
+ *       After logging out, the user is redirected to the login page.
  *     tags:
  *       - Authentication
  *     security:
@@ -401,7 +520,7 @@ router.post('/login', async (req, res) => {
  *           Set-Cookie:
  *             schema:
  *               type: string
- *               description: HTTP-only cookie with cleared JWT token and immediate expiration
+ *               description: Cleared session cookies (jwt, refresh_token, csrf_token)
  *       500:
  *         description: Server error
  *         content:
@@ -409,11 +528,117 @@ router.post('/login', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.get('/logout', (req, res) => {
-  res.clearCookie('jwt');
+router.get('/logout', async (req, res) => {
+  const sessionId = await sessionService.getRequestSessionId(req);
+  if (sessionId) {
+    await documentModel.revokeSession(sessionId);
+  }
+  sessionService.clearCookies(res);
   res.redirect('/login');
 });
 
+/**
+ * @swagger
+ * /auth/oidc/login:
+ *   get:
+ *     summary: Start OpenID Connect login
+ *     description: |
+ *       Redirects to the identity provider configured in OIDC_ISSUER_URL (authorization code
+ *       flow with PKCE). State, nonce and code verifier are kept in a short-lived signed cookie.
+ *     tags:
+ *       - Authentication
+ *     responses:
+ *       302:
+ *         description: Redirect to the identity provider
+ *       404:
+ *         description: OIDC is not enabled
+ */
+router.get('/auth/oidc/login', async (req, res) => {
+  if (!oidcService.isEnabled()) {
+    return res.status(404).send('OIDC login is not enabled');
+  }
+
+  try {
+    const redirectUri = config.oidc.redirectUri || `${req.protocol}://${req.get('host')}/auth/oidc/callback`;
+    const { url, state, nonce, codeVerifier } = await oidcService.createAuthorizationRequest(redirectUri);
+    res.cookie('oidc_state', jwt.sign({ state, nonce, codeVerifier, redirectUri }, JWT_SECRET, { expiresIn: '10m' }), {
+      httpOnly: true,
+      sameSite: 'lax',
+      path: '/auth/oidc',
+      maxAge: 10 * 60 * 1000
+    });
+    res.redirect(url);
+  } catch (error) {
+    console.error('[ERROR] starting OIDC login:', error.message);
+    renderLogin(res, `Single sign-on is unavailable: ${error.message}`);
+  }
+});
+
+/**
+ * @swagger
+ * /auth/oidc/callback:
+ *   get:
+ *     summary: OpenID Connect callback
+ *     description: |
+ *       Exchanges the authorization code, verifies the ID token against the issuer's JWKS
+ *       and logs the user in. Users are matched by the OIDC_USERNAME_CLAIM; unknown users are
+ *       created if SSO_AUTO_PROVISION is enabled. With SSO_ROLE_MAPPING the role is
+ *       synchronised from the groups claim on every login.
+ *     tags:
+ *       - Authentication
+ *     parameters:
+ *       - in: query
+ *         name: code
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *     responses:
+ *       302:
+ *         description: Logged in, redirected to the dashboard
+ *       200:
+ *         description: Login page with an error message
+ */
+router.get('/auth/oidc/callback', async (req, res) => {
+  res.clearCookie('oidc_state', { path: '/auth/oidc' });
+  if (!oidcService.isEnabled()) {
+    return res.status(404).send('OIDC login is not enabled');
+  }
+
+  try {
+    if (req.query.error) {
+      throw new Error(req.query.error_description || req.query.error);
+    }
+
+    let pending;
+    try {
+      pending = jwt.verify(req.cookies.oidc_state || '', JWT_SECRET);
+    } catch {
+      throw new Error('Login request expired, please try again');
+    }
+    if (!req.query.state || req.query.state !== pending.state) {
+      throw new Error('Invalid login state, please try again');
+    }
+
+    const identity = await oidcService.handleCallback({
+      code: req.query.code,
+      redirectUri: pending.redirectUri,
+      nonce: pending.nonce,
+      codeVerifier: pending.codeVerifier
+    });
+    const user = await userService.resolveSsoUser({ ...identity, source: 'oidc' });
+
+    console.log(`[DEBUG] OIDC login for user ${user.username} (${user.role})`);
+    await issueSession(req, res, user);
+    res.redirect('/dashboard');
+  } catch (error) {
+    console.error('[ERROR] OIDC login failed:', error.message);
+    renderLogin(res, `Single sign-on failed: ${error.message}`);
+  }
+});
+
 /**
  * @swagger
  * /sampleData/{id}:
@@ -1400,6 +1625,10 @@ router.get('/api/history', isAuthenticated, async (req, res) => {
         created_at: doc.created_at,
         tags: resolvedTags,
         correspondent: doc.correspondent || 'Not assigned',
+        action: doc.action || 'processed',
+        provider: doc.provider || null,
+        model: doc.model || null,
+        confidence: doc.confidence ? JSON.parse(doc.confidence) : null,
         link: `${baseURL}/documents/${doc.document_id}/`
       };
     });
@@ -1609,405 +1838,3118 @@ router.post('/api/reset-documents', isAuthenticated, async (req, res) => {
 
 /**
  * @swagger
- * /api/history/validate:
- *   get:
- *     summary: Validate history entries against Paperless-ngx (Server-Sent Events)
+ * /api/history/revert:
+ *   post:
+ *     summary: Revert AI changes for multiple documents
  *     description: |
- *       Checks each history entry stored locally and verifies the corresponding document still exists in Paperless-ngx.
- *       Uses Server-Sent Events (SSE) to stream real-time progress updates.
- *       Processes documents in parallel batches (50 at a time) for faster validation.
- *       Returns progress updates and final list of missing documents.
+ *       Restores the selected documents in Paperless-ngx to the snapshot that was stored
+ *       before Paperless-AI changed them for the first time (title, tags, correspondent and,
+ *       for snapshots taken since this feature exists, document type, created date and custom fields).
+ *
+ *       Tags are replaced and the correspondent is overwritten, so the document ends up exactly
+ *       in its original state. Each revert is recorded as a "reverted" entry in the history.
+ *       Documents stay marked as processed so the next scan does not re-apply the AI changes.
  *     tags:
  *       - Documents
- *       - API
+ *       - History
  *     security:
  *       - BearerAuth: []
  *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - ids
+ *             properties:
+ *               ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Array of document IDs to revert
+ *                 example: [123, 456]
  *     responses:
  *       200:
- *         description: Validation in progress (SSE stream)
+ *         description: Revert attempted for every document, see per-document results
  *         content:
- *           text/event-stream:
+ *           application/json:
  *             schema:
- *               type: string
- *               example: |
- *                 data: {"type":"progress","current":50,"total":100,"missing":3,"percentage":50}
- *                 
- *                 data: {"type":"complete","missing":[{"document_id":123,"title":"Test Doc"}]}
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   description: True if all documents were reverted
+ *                   example: true
+ *                 reverted:
+ *                   type: integer
+ *                   example: 2
+ *                 failed:
+ *                   type: integer
+ *                   example: 0
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       documentId:
+ *                         type: integer
+ *                         example: 123
+ *                       success:
+ *                         type: boolean
+ *                         example: true
+ *                       error:
+ *                         type: string
+ *                         example: "No original snapshot stored for this document"
+ *       400:
+ *         description: Invalid request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       401:
  *         description: Unauthorized - authentication required
  *       500:
- *         description: Server error during validation
+ *         description: Server error
  */
-router.get('/api/history/validate', isAuthenticated, async (req, res) => {
+router.post('/api/history/revert', isAuthenticated, async (req, res) => {
   try {
-    // Set headers for Server-Sent Events
-    res.setHeader('Content-Type', 'text/event-stream');
-    res.setHeader('Cache-Control', 'no-cache');
-    res.setHeader('Connection', 'keep-alive');
-    res.flushHeaders();
-
-    // Get all history entries from local DB
-    const allHistory = await documentModel.getAllHistory();
-    const total = allHistory.length;
-    
-    // Send initial progress
-    res.write(`data: ${JSON.stringify({ type: 'progress', current: 0, total, missing: 0 })}\n\n`);
-
-    // Process documents in parallel batches for faster validation
-    const missing = [];
-    const BATCH_SIZE = 50; // Process 50 documents at a time
-    let processed = 0;
-
-    // Split into batches
-    for (let i = 0; i < allHistory.length; i += BATCH_SIZE) {
-      const batch = allHistory.slice(i, i + BATCH_SIZE);
-      
-      // Process batch in parallel
-      const results = await Promise.allSettled(
-        batch.map(async (h) => {
-          try {
-            await paperlessService.getDocument(h.document_id);
-            return { success: true, doc: h };
-          } catch (error) {
-            return { success: false, doc: h };
-          }
-        })
-      );
-      
-      // Collect missing documents from this batch
-      results.forEach((result) => {
-        if (result.status === 'fulfilled' && !result.value.success) {
-          missing.push({ 
-            document_id: result.value.doc.document_id, 
-            title: result.value.doc.title || null 
-          });
-        }
-      });
-      
-      processed += batch.length;
-      
-      // Send progress update after each batch
-      res.write(`data: ${JSON.stringify({ 
-        type: 'progress', 
-        current: processed, 
-        total, 
-        missing: missing.length,
-        percentage: Math.round((processed / total) * 100)
-      })}\n\n`);
+    const { ids } = req.body;
+    if (!ids || !Array.isArray(ids) || ids.length === 0) {
+      return res.status(400).json({ success: false, error: 'Invalid document IDs' });
     }
 
-    // Send final result
-    res.write(`data: ${JSON.stringify({ type: 'complete', missing })}\n\n`);
-    res.end();
+    const results = await rollbackService.revertDocuments(ids);
+    const reverted = results.filter(result => result.success).length;
+    res.json({
+      success: reverted === results.length,
+      reverted,
+      failed: results.length - reverted,
+      results
+    });
   } catch (error) {
-    console.error('[ERROR] validating history:', error);
-    res.write(`data: ${JSON.stringify({ type: 'error', error: 'Error validating history' })}\n\n`);
-    res.end();
+    console.error('[ERROR] reverting documents:', error);
+    res.status(500).json({ success: false, error: 'Error reverting documents' });
   }
 });
 
 /**
  * @swagger
- * /api/scan/now:
+ * /api/history/revert/{id}:
  *   post:
- *     summary: Trigger immediate document scan
+ *     summary: Revert AI changes for a single document
  *     description: |
- *       Initiates an immediate scan of documents in Paperless-ngx that haven't been processed yet.
- *       This endpoint can be used to manually trigger processing without waiting for the scheduled interval.
- *       
- *       The scan will:
- *       - Connect to Paperless-ngx API
- *       - Fetch all unprocessed documents
- *       - Process each document with the configured AI service
- *       - Update documents in Paperless-ngx with generated metadata
- *       
- *       The process respects the function limitations set in the configuration.
+ *       Restores one document in Paperless-ngx to the snapshot stored before Paperless-AI
+ *       changed it for the first time and records the revert in the history.
+ *       See `POST /api/history/revert` for details on which fields are restored.
  *     tags:
  *       - Documents
- *       - API
+ *       - History
  *     security:
  *       - BearerAuth: []
  *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: The Paperless document ID
+ *         example: 123
  *     responses:
  *       200:
- *         description: Scan initiated successfully
+ *         description: Document reverted
  *         content:
- *           text/plain:
+ *           application/json:
  *             schema:
- *               type: string
- *               example: "Task completed"
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 documentId:
+ *                   type: integer
+ *                   example: 123
+ *       400:
+ *         description: Invalid document ID
  *       401:
  *         description: Unauthorized - authentication required
+ *       404:
+ *         description: No original snapshot stored for this document
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: "Authentication required"
+ *               $ref: '#/components/schemas/Error'
  *       500:
- *         description: Server error
+ *         description: Paperless-ngx rejected the update
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: "Error during document scan"
+ *               $ref: '#/components/schemas/Error'
  */
-router.post('/api/scan/now', async (req, res) => {
-try {
-    const isConfigured = await setupService.isConfigured();
-    if (!isConfigured) {
-      console.log(`Setup not completed. Visit http://your-machine-ip:${process.env.PAPERLESS_AI_PORT || 3000}/setup to complete setup.`);
-      return;
+router.post('/api/history/revert/:id', isAuthenticated, async (req, res) => {
+  try {
+    const result = await rollbackService.revertDocument(req.params.id);
+    if (result.success) {
+      return res.json(result);
     }
 
-    const userId = await paperlessService.getOwnUserID();
-    if (!userId) {
-      console.error('Failed to get own user ID. Abort scanning.');
-      return;
+    let status = 500;
+    if (result.error === 'Invalid document ID') {
+      status = 400;
+    } else if (result.error.startsWith('No original snapshot')) {
+      status = 404;
     }
-    
-      try {
-        let [existingTags, documents, ownUserId, existingCorrespondentList, existingDocumentTypes] = await Promise.all([
-          paperlessService.getTags(),
-          paperlessService.getAllDocuments(),
-          paperlessService.getOwnUserID(),
-          paperlessService.listCorrespondentsNames(),
-          paperlessService.listDocumentTypesNames()
-        ]);
-    
-        //get existing correspondent list
-        existingCorrespondentList = existingCorrespondentList.map(correspondent => correspondent.name);
-        
-        //get existing document types list
-        let existingDocumentTypesList = existingDocumentTypes.map(docType => docType.name);
-        
-        // Extract tag names from tag objects
-        const existingTagNames = existingTags.map(tag => tag.name);
-    
-        for (const doc of documents) {
-          try {
-            const result = await processDocument(doc, existingTagNames, existingCorrespondentList, existingDocumentTypesList, ownUserId);
-            if (!result) continue;
-    
-            const { analysis, originalData } = result;
-            const updateData = await buildUpdateData(analysis, doc);
-            await saveDocumentChanges(doc.id, updateData, analysis, originalData);
-          } catch (error) {
-            console.error(`[ERROR] processing document ${doc.id}:`, error);
-          }
-        }
-      } catch (error) {
-        console.error('[ERROR]  during document scan:', error);
-      } finally {
-        runningTask = false;
-        console.log('[INFO] Task completed');
-        res.send('Task completed');
-      }
+    res.status(status).json(result);
   } catch (error) {
-    console.error('[ERROR] in startScanning:', error);
+    console.error('[ERROR] reverting document:', error);
+    res.status(500).json({ success: false, error: 'Error reverting document' });
   }
 });
 
-async function processDocument(doc, existingTags, existingCorrespondentList, existingDocumentTypesList, ownUserId, customPrompt = null) {
-  const isProcessed = await documentModel.isDocumentProcessed(doc.id);
-  if (isProcessed) return null;
-  await documentModel.setProcessingStatus(doc.id, doc.title, 'processing');
-
-  const documentEditable = await paperlessService.getPermissionOfDocument(doc.id);
-  if (!documentEditable) {
-    console.log(`[DEBUG] Document belongs to: ${documentEditable}, skipping analysis`);
-    console.log(`[DEBUG] Document ${doc.id} Not Editable by Paper-Ai User, skipping analysis`);
-    return null;
-  }else {
-    console.log(`[DEBUG] Document ${doc.id} rights for AI User - processed`);
-  }
-
-  let [content, originalData] = await Promise.all([
-    paperlessService.getDocumentContent(doc.id),
-    paperlessService.getDocument(doc.id)
-  ]);
-
-  if (!content || !content.length >= 10) {
-    console.log(`[DEBUG] Document ${doc.id} has no content, skipping analysis`);
-    return null;
-  }
-
-  if (content.length > 50000) {
-    content = content.substring(0, 50000);
+/**
+ * @swagger
+ * /review:
+ *   get:
+ *     summary: Review queue page
+ *     description: |
+ *       Renders the review queue page. When review mode (`REVIEW_MODE=yes`) is enabled,
+ *       AI suggestions are not written to Paperless-ngx directly but wait here until a user
+ *       approves, edits or rejects them.
+ *     tags:
+ *       - Navigation
+ *       - Review
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Review page rendered successfully
+ *         content:
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Unauthorized - user not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.get('/review', async (req, res) => {
+  try {
+    res.render('review', {
+      version: configFile.PAPERLESS_AI_VERSION,
+      ragEnabled: process.env.RAG_SERVICE_ENABLED === 'true',
+      reviewMode: config.reviewMode === 'yes'
+    });
+  } catch (error) {
+    console.error('[ERROR] loading review page:', error);
+    res.status(500).send('Error loading review page');
   }
+});
 
-  // Prepare options for AI service
-  const options = {
-    restrictToExistingTags: config.restrictToExistingTags === 'yes',
-    restrictToExistingCorrespondents: config.restrictToExistingCorrespondents === 'yes'
-  };
-
-  // Get external API data if enabled
-  if (config.externalApiConfig.enabled === 'yes') {
-    try {
-      const externalApiService = require('../services/externalApiService');
-      const externalData = await externalApiService.fetchData();
-      if (externalData) {
-        options.externalApiData = externalData;
-        console.log('[DEBUG] Retrieved external API data for prompt enrichment');
-      }
-    } catch (error) {
-      console.error('[ERROR] Failed to fetch external API data:', error.message);
+/**
+ * @swagger
+ * /api/review:
+ *   get:
+ *     summary: List AI suggestions waiting for review
+ *     description: |
+ *       Returns the suggestions stored by review mode. By default only pending
+ *       suggestions are returned; use the `status` parameter to list approved or rejected ones.
+ *     tags:
+ *       - Review
+ *       - API
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected]
+ *           default: pending
+ *         description: Suggestion status to list
+ *     responses:
+ *       200:
+ *         description: List of suggestions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 suggestions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                         example: 7
+ *                       document_id:
+ *                         type: integer
+ *                         example: 123
+ *                       title:
+ *                         type: string
+ *                         description: Title of the document when it was analysed
+ *                       proposed_title:
+ *                         type: string
+ *                       status:
+ *                         type: string
+ *                         example: pending
+ *                       created_at:
+ *                         type: string
+ *                         format: date-time
+ *       400:
+ *         description: Invalid status
+ *       401:
+ *         description: Unauthorized - authentication required
+ *       500:
+ *         description: Server error
+ */
+router.get('/api/review', isAuthenticated, async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    if (!['pending', 'approved', 'rejected'].includes(status)) {
+      return res.status(400).json({ success: false, error: 'Invalid status' });
     }
-  }
 
-  const aiService = AIServiceFactory.getService();
-  let analysis;
-  if(customPrompt) {
-    console.log('[DEBUG] Starting document analysis with custom prompt');
-    analysis = await aiService.analyzeDocument(content, existingTags, existingCorrespondentList, existingDocumentTypesList, doc.id, customPrompt, options);
-  }else{
-    analysis = await aiService.analyzeDocument(content, existingTags, existingCorrespondentList, existingDocumentTypesList, doc.id, null, options);
-  }
-  console.log('Repsonse from AI service:', analysis);
-  if (analysis.error) {
-    throw new Error(`[ERROR] Document analysis failed: ${analysis.error}`);
+    const suggestions = await documentModel.getPendingSuggestions(status);
+    res.json({
+      success: true,
+      suggestions: suggestions.map(suggestion => ({
+        id: suggestion.id,
+        document_id: suggestion.document_id,
+        title: suggestion.title,
+        proposed_title: suggestion.update_data.title || suggestion.title,
+        status: suggestion.status,
+        created_at: suggestion.created_at,
+        reviewed_at: suggestion.reviewed_at
+      }))
+    });
+  } catch (error) {
+    console.error('[ERROR] loading review queue:', error);
+    res.status(500).json({ success: false, error: 'Error loading review queue' });
   }
-  await documentModel.setProcessingStatus(doc.id, doc.title, 'complete');
-  return { analysis, originalData };
-}
-
-async function buildUpdateData(analysis, doc) {
-  const updateData = {};
-
-  // Create options object with restriction settings
-  const options = {
-    restrictToExistingTags: config.restrictToExistingTags === 'yes' ? true : false,
-    restrictToExistingCorrespondents: config.restrictToExistingCorrespondents === 'yes' ? true : false
-  };
-
-  console.log(`[DEBUG] Building update data with restrictions: tags=${options.restrictToExistingTags}, correspondents=${options.restrictToExistingCorrespondents}`);
+});
 
-  // Only process tags if tagging is activated
-  if (config.limitFunctions?.activateTagging !== 'no') {
-    const { tagIds, errors } = await paperlessService.processTags(analysis.document.tags, options);
-    if (errors.length > 0) {
-      console.warn('[ERROR] Some tags could not be processed:', errors);
-    }
-    updateData.tags = tagIds;
-  } else if (config.limitFunctions?.activateTagging === 'no' && config.addAIProcessedTag === 'yes') {
-    // Add AI processed tags to the document (processTags function awaits a tags array)
-    // get tags from .env file and split them by comma and make an array
-    console.log('[DEBUG] Tagging is deactivated but AI processed tag will be added');
-    const tags = config.addAIProcessedTags.split(',');
-    const { tagIds, errors } = await paperlessService.processTags(tags, options);
-    if (errors.length > 0) {
-      console.warn('[ERROR] Some tags could not be processed:', errors);
+/**
+ * @swagger
+ * /api/review/{id}:
+ *   get:
+ *     summary: Compare a suggestion with the current document
+ *     description: |
+ *       Returns the current values of the document in Paperless-ngx next to the values
+ *       proposed by the AI (title, created date, tags, correspondent, document type and
+ *       custom fields), with all IDs resolved to names.
+ *     tags:
+ *       - Review
+ *       - API
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Suggestion ID
+ *     responses:
+ *       200:
+ *         description: Suggestion details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 suggestion:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                     documentId:
+ *                       type: integer
+ *                     status:
+ *                       type: string
+ *                     current:
+ *                       type: object
+ *                       description: Current values in Paperless-ngx
+ *                     proposed:
+ *                       type: object
+ *                       description: Values proposed by the AI
+ *       401:
+ *         description: Unauthorized - authentication required
+ *       404:
+ *         description: Suggestion not found
+ *       500:
+ *         description: Server error
+ */
+router.get('/api/review/:id', isAuthenticated, async (req, res) => {
+  try {
+    const suggestion = await reviewService.getSuggestionDetails(req.params.id);
+    if (!suggestion) {
+      return res.status(404).json({ success: false, error: 'Suggestion not found' });
     }
-    updateData.tags = tagIds;
-    console.log('[DEBUG] Tagging is deactivated');
+    res.json({ success: true, suggestion });
+  } catch (error) {
+    console.error('[ERROR] loading suggestion:', error);
+    res.status(500).json({ success: false, error: 'Error loading suggestion' });
   }
+});
 
-  // Only process title if title generation is activated
-  if (config.limitFunctions?.activateTitle !== 'no') {
-    updateData.title = analysis.document.title || doc.title;
+/**
+ * @swagger
+ * /api/review/{id}/approve:
+ *   post:
+ *     summary: Approve a suggestion and apply it to Paperless-ngx
+ *     description: |
+ *       Applies the suggested values to the document via the regular update logic
+ *       (tags are added to the existing ones, an existing correspondent is kept).
+ *       The reviewer can override single values by name; missing tags, correspondents
+ *       and document types are created unless the AI restrictions forbid it.
+ *       The original state is snapshotted first, so the change can be reverted from the History page.
+ *     tags:
+ *       - Review
+ *       - API
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Suggestion ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               edits:
+ *                 type: object
+ *                 properties:
+ *                   title:
+ *                     type: string
+ *                   created:
+ *                     type: string
+ *                     example: "2024-03-01"
+ *                   tags:
+ *                     type: array
+ *                     items:
+ *                       type: string
+ *                   correspondent:
+ *                     type: string
+ *                   document_type:
+ *                     type: string
+ *                   custom_fields:
+ *                     type: object
+ *                     description: Map of custom field ID to value, checked against the data type of the field (empty leaves the field out)
+ *                     example: { "3": "42.50" }
+ *     responses:
+ *       200:
+ *         description: Suggestion applied
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *       400:
+ *         description: Suggestion not found, already reviewed or an edited custom field value is invalid
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - authentication required
+ *       500:
+ *         description: Paperless-ngx rejected the update
+ */
+router.post('/api/review/:id/approve', isAuthenticated, async (req, res) => {
+  try {
+    await reviewService.approveSuggestion(req.params.id, req.body?.edits || null);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[ERROR] approving suggestion:', error.message);
+    const status = /not found|already|Invalid/.test(error.message) ? 400 : 500;
+    res.status(status).json({ success: false, error: error.message });
   }
+});
 
-  // Add created date regardless of settings as it's a core field
-  updateData.created = analysis.document.document_date || doc.created;
+/**
+ * @swagger
+ * /api/review/{id}/reject:
+ *   post:
+ *     summary: Reject a suggestion
+ *     description: |
+ *       Discards the suggestion without touching the document in Paperless-ngx.
+ *       The document stays marked as processed; reset it on the History page
+ *       to have it analysed again.
+ *     tags:
+ *       - Review
+ *       - API
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Suggestion ID
+ *     responses:
+ *       200:
+ *         description: Suggestion rejected
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *       400:
+ *         description: Suggestion not found or already reviewed
+ *       401:
+ *         description: Unauthorized - authentication required
+ *       500:
+ *         description: Server error
+ */
+router.post('/api/review/:id/reject', isAuthenticated, async (req, res) => {
+  try {
+    await reviewService.rejectSuggestion(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[ERROR] rejecting suggestion:', error.message);
+    const status = /not found|already/.test(error.message) ? 400 : 500;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
 
-  // Only process document type if document type classification is activated
-  if (config.limitFunctions?.activateDocumentType !== 'no' && analysis.document.document_type) {
-    try {
-      const documentType = await paperlessService.getOrCreateDocumentType(analysis.document.document_type);
-      if (documentType) {
-        updateData.document_type = documentType.id;
-      }
-    } catch (error) {
-      console.error(`[ERROR] Error processing document type:`, error);
+/**
+ * @swagger
+ * /profiles:
+ *   get:
+ *     summary: Processing profiles page
+ *     description: |
+ *       Renders the page for managing processing profiles. A profile selects the prompt,
+ *       AI provider/model, enabled AI functions and custom fields template for documents
+ *       matching its tags, document types, correspondents, owners or storage paths.
+ *     tags:
+ *       - Navigation
+ *       - Profiles
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Profiles page rendered successfully
+ *         content:
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Unauthorized - user not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.get('/profiles', async (req, res) => {
+  try {
+    res.render('profiles', {
+      version: configFile.PAPERLESS_AI_VERSION,
+      ragEnabled: process.env.RAG_SERVICE_ENABLED === 'true',
+      aiProvider: config.aiProvider
+    });
+  } catch (error) {
+    console.error('[ERROR] loading profiles page:', error);
+    res.status(500).send('Error loading profiles page');
+  }
+});
+
+/**
+ * @swagger
+ * /api/profiles:
+ *   get:
+ *     summary: List processing profiles
+ *     description: |
+ *       Returns all processing profiles in the order they are matched (ascending priority).
+ *       The first enabled profile whose criteria match a document is used for it;
+ *       documents without a matching profile use the global settings.
+ *     tags:
+ *       - Profiles
+ *       - API
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: List of profiles
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 profiles:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       401:
+ *         description: Unauthorized - authentication required
+ *       500:
+ *         description: Server error
+ */
+router.get('/api/profiles', isAuthenticated, async (req, res) => {
+  try {
+    const profiles = await profileService.listProfiles();
+    res.json({ success: true, profiles });
+  } catch (error) {
+    console.error('[ERROR] loading profiles:', error);
+    res.status(500).json({ success: false, error: 'Error loading profiles' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/profiles/options:
+ *   get:
+ *     summary: List the criteria available for processing profiles
+ *     description: |
+ *       Returns the tags, document types, correspondents, users (owners) and storage paths
+ *       from Paperless-ngx as `{ id, name }` lists for the profile editor.
+ *     tags:
+ *       - Profiles
+ *       - API
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Available criteria
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 options:
+ *                   type: object
+ *                   properties:
+ *                     tags:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     documentTypes:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     correspondents:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     owners:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     storagePaths:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *       401:
+ *         description: Unauthorized - authentication required
+ *       500:
+ *         description: Server error
+ */
+router.get('/api/profiles/options', isAuthenticated, async (req, res) => {
+  try {
+    const options = await profileService.getMatchOptions();
+    res.json({ success: true, options });
+  } catch (error) {
+    console.error('[ERROR] loading profile options:', error);
+    res.status(500).json({ success: false, error: 'Error loading profile options' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/profiles:
+ *   post:
+ *     summary: Create a processing profile
+ *     description: |
+ *       Creates a processing profile. Custom fields of the template that do not exist
+ *       in Paperless-ngx yet are created, like the global custom fields.
+ *     tags:
+ *       - Profiles
+ *       - API
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Invoices"
+ *               enabled:
+ *                 type: boolean
+ *                 example: true
+ *               priority:
+ *                 type: integer
+ *                 description: Profiles are matched in ascending order
+ *                 example: 10
+ *               match:
+ *                 type: object
+ *                 description: |
+ *                   Paperless-ngx IDs per criterion. All non-empty criteria must match,
+ *                   within a criterion any ID is enough.
+ *                 properties:
+ *                   tags:
+ *                     type: array
+ *                     items:
+ *                       type: integer
+ *                   documentTypes:
+ *                     type: array
+ *                     items:
+ *                       type: integer
+ *                   correspondents:
+ *                     type: array
+ *                     items:
+ *                       type: integer
+ *                   owners:
+ *                     type: array
+ *                     items:
+ *                       type: integer
+ *                   storagePaths:
+ *                     type: array
+ *                     items:
+ *                       type: integer
+ *               systemPrompt:
+ *                 type: string
+ *                 description: Replaces SYSTEM_PROMPT, empty for the global prompt
+ *               provider:
+ *                 type: string
+ *                 enum: ["", openai, ollama, custom, azure]
+ *               model:
+ *                 type: string
+ *                 example: "gpt-4o"
+ *               limitFunctions:
+ *                 type: object
+ *                 description: Overrides of the AI function limits ('yes' or 'no'); missing keys use the global setting
+ *                 example: { "activateTagging": "no" }
+ *               customFields:
+ *                 type: string
+ *                 description: Custom fields template in the CUSTOM_FIELDS format
+ *                 example: '{"custom_fields":[{"value":"Amount","data_type":"monetary","currency":"EUR"}]}'
+ *     responses:
+ *       200:
+ *         description: Profile created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 profile:
+ *                   type: object
+ *       400:
+ *         description: Invalid profile
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - authentication required
+ *       500:
+ *         description: Server error
+ */
+router.post('/api/profiles', isAuthenticated, async (req, res) => {
+  try {
+    const profile = await profileService.createProfile(req.body);
+    res.json({ success: true, profile });
+  } catch (error) {
+    console.error('[ERROR] creating profile:', error.message);
+    const status = /required|Invalid|must/.test(error.message) ? 400 : 500;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/profiles/{id}:
+ *   put:
+ *     summary: Update a processing profile
+ *     description: Replaces all settings of a processing profile.
+ *     tags:
+ *       - Profiles
+ *       - API
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Profile ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Invoices"
+ *               enabled:
+ *                 type: boolean
+ *                 example: true
+ *               priority:
+ *                 type: integer
+ *                 description: Profiles are matched in ascending order
+ *                 example: 10
+ *               match:
+ *                 type: object
+ *                 description: |
+ *                   Paperless-ngx IDs per criterion. All non-empty criteria must match,
+ *                   within a criterion any ID is enough.
+ *                 properties:
+ *                   tags:
+ *                     type: array
+ *                     items:
+ *                       type: integer
+ *                   documentTypes:
+ *                     type: array
+ *                     items:
+ *                       type: integer
+ *                   correspondents:
+ *                     type: array
+ *                     items:
+ *                       type: integer
+ *                   owners:
+ *                     type: array
+ *                     items:
+ *                       type: integer
+ *                   storagePaths:
+ *                     type: array
+ *                     items:
+ *                       type: integer
+ *               systemPrompt:
+ *                 type: string
+ *                 description: Replaces SYSTEM_PROMPT, empty for the global prompt
+ *               provider:
+ *                 type: string
+ *                 enum: ["", openai, ollama, custom, azure]
+ *               model:
+ *                 type: string
+ *                 example: "gpt-4o"
+ *               limitFunctions:
+ *                 type: object
+ *                 description: Overrides of the AI function limits ('yes' or 'no'); missing keys use the global setting
+ *                 example: { "activateTagging": "no" }
+ *               customFields:
+ *                 type: string
+ *                 description: Custom fields template in the CUSTOM_FIELDS format
+ *                 example: '{"custom_fields":[{"value":"Amount","data_type":"monetary","currency":"EUR"}]}'
+ *     responses:
+ *       200:
+ *         description: Profile updated
+ *       400:
+ *         description: Invalid profile
+ *       401:
+ *         description: Unauthorized - authentication required
+ *       404:
+ *         description: Profile not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/api/profiles/:id', isAuthenticated, async (req, res) => {
+  try {
+    const profile = await profileService.updateProfile(req.params.id, req.body);
+    res.json({ success: true, profile });
+  } catch (error) {
+    console.error('[ERROR] updating profile:', error.message);
+    const status = /not found/.test(error.message) ? 404
+      : /required|Invalid|must/.test(error.message) ? 400 : 500;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/profiles/{id}:
+ *   delete:
+ *     summary: Delete a processing profile
+ *     description: Documents matched by the profile are processed with the global settings again.
+ *     tags:
+ *       - Profiles
+ *       - API
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Profile ID
+ *     responses:
+ *       200:
+ *         description: Profile deleted
+ *       401:
+ *         description: Unauthorized - authentication required
+ *       404:
+ *         description: Profile not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/api/profiles/:id', isAuthenticated, async (req, res) => {
+  try {
+    await profileService.deleteProfile(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[ERROR] deleting profile:', error.message);
+    const status = /not found/.test(error.message) ? 404 : 500;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /tags:
+ *   get:
+ *     summary: Tag taxonomy page
+ *     description: |
+ *       Renders the page for managing tag aliases and for finding and merging duplicate tags
+ *       in Paperless-ngx.
+ *     tags:
+ *       - Navigation
+ *       - Tags
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Tags page rendered successfully
+ *         content:
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Unauthorized - user not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.get('/tags', async (req, res) => {
+  try {
+    res.render('tags', {
+      version: configFile.PAPERLESS_AI_VERSION,
+      ragEnabled: process.env.RAG_SERVICE_ENABLED === 'true',
+      tagMatching: config.tagMatching
+    });
+  } catch (error) {
+    console.error('[ERROR] loading tags page:', error);
+    res.status(500).send('Error loading tags page');
+  }
+});
+
+/**
+ * @swagger
+ * /api/tags/aliases:
+ *   get:
+ *     summary: List tag aliases
+ *     description: |
+ *       Returns the aliases that map tag names suggested by the AI to an existing tag, and all
+ *       tags as `{ id, name }` for choosing the target of a new alias.
+ *     tags:
+ *       - Tags
+ *       - API
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Aliases and tags
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 aliases:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       alias:
+ *                         type: string
+ *                         example: Rechnung
+ *                       tagId:
+ *                         type: integer
+ *                       tagName:
+ *                         type: string
+ *                         example: Invoice
+ *                 tags:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       401:
+ *         description: Unauthorized - authentication required
+ *       500:
+ *         description: Server error
+ */
+router.get('/api/tags/aliases', isAuthenticated, async (req, res) => {
+  try {
+    const [aliases, tags] = await Promise.all([tagTaxonomyService.listAliases(), tagTaxonomyService.getTags()]);
+    res.json({
+      success: true,
+      aliases,
+      tags: tags.map(tag => ({ id: tag.id, name: tag.name })).sort((a, b) => a.name.localeCompare(b.name))
+    });
+  } catch (error) {
+    console.error('[ERROR] loading tag aliases:', error);
+    res.status(500).json({ success: false, error: 'Error loading tag aliases' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tags/aliases:
+ *   post:
+ *     summary: Add a tag alias
+ *     description: |
+ *       Maps a name to an existing tag. When the AI suggests the name, the tag is used instead
+ *       of creating a new one. An existing alias with the same name is pointed to the new tag.
+ *     tags:
+ *       - Tags
+ *       - API
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - alias
+ *               - tagId
+ *             properties:
+ *               alias:
+ *                 type: string
+ *                 example: Rechnung
+ *               tagId:
+ *                 type: integer
+ *                 example: 12
+ *     responses:
+ *       200:
+ *         description: Alias saved
+ *       400:
+ *         description: Invalid alias
+ *       401:
+ *         description: Unauthorized - authentication required
+ *       404:
+ *         description: Tag not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/api/tags/aliases', isAuthenticated, async (req, res) => {
+  try {
+    const alias = await tagTaxonomyService.addAlias(req.body.alias, req.body.tagId);
+    res.json({ success: true, alias });
+  } catch (error) {
+    console.error('[ERROR] saving tag alias:', error.message);
+    const status = /not found/.test(error.message) ? 404
+      : /required|must/.test(error.message) ? 400 : 500;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tags/aliases/{id}:
+ *   delete:
+ *     summary: Delete a tag alias
+ *     tags:
+ *       - Tags
+ *       - API
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Alias ID
+ *     responses:
+ *       200:
+ *         description: Alias deleted
+ *       401:
+ *         description: Unauthorized - authentication required
+ *       404:
+ *         description: Alias not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/api/tags/aliases/:id', isAuthenticated, async (req, res) => {
+  try {
+    await tagTaxonomyService.deleteAlias(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[ERROR] deleting tag alias:', error.message);
+    const status = /not found/.test(error.message) ? 404 : 500;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tags/duplicates:
+ *   get:
+ *     summary: Find duplicate tags
+ *     description: |
+ *       Groups existing tags with similar names (plural forms, accents, separators, typos) and,
+ *       if TAG_MATCH_EMBEDDINGS is enabled, similar meaning. Tags nested below each other are
+ *       never grouped. The tag with the most documents is proposed as canonical tag.
+ *     tags:
+ *       - Tags
+ *       - API
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: threshold
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 1
+ *         description: Minimum similarity, defaults to TAG_SIMILARITY_THRESHOLD (or 0.85 if disabled)
+ *     responses:
+ *       200:
+ *         description: Groups of duplicate tags
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 groups:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       canonical:
+ *                         type: object
+ *                         example: { "id": 12, "name": "Invoice", "path": "Finance / Invoice", "documentCount": 240 }
+ *                       duplicates:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           example: { "id": 57, "name": "Invoices", "path": "Invoices", "documentCount": 8, "score": 1, "method": "similarity" }
+ *       400:
+ *         description: Invalid threshold
+ *       401:
+ *         description: Unauthorized - authentication required
+ *       500:
+ *         description: Server error
+ */
+router.get('/api/tags/duplicates', isAuthenticated, async (req, res) => {
+  try {
+    const threshold = req.query.threshold !== undefined ? parseFloat(req.query.threshold) : undefined;
+    const groups = await tagTaxonomyService.findDuplicates(threshold);
+    res.json({ success: true, groups });
+  } catch (error) {
+    console.error('[ERROR] finding duplicate tags:', error.message);
+    const status = /Invalid/.test(error.message) ? 400 : 500;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/tags/merge:
+ *   post:
+ *     summary: Merge tags
+ *     description: |
+ *       Merges tags into a canonical tag in Paperless-ngx: their documents get the canonical tag,
+ *       their child tags are moved below it, the merged tags are deleted and their names become
+ *       aliases of the canonical tag. Every step is recorded in the audit log.
+ *     tags:
+ *       - Tags
+ *       - API
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - targetId
+ *               - sourceIds
+ *             properties:
+ *               targetId:
+ *                 type: integer
+ *                 description: ID of the canonical tag
+ *                 example: 12
+ *               sourceIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: IDs of the tags to merge into it
+ *                 example: [57, 91]
+ *     responses:
+ *       200:
+ *         description: Tags merged
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 target:
+ *                   type: object
+ *                 merged:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     example: { "id": 57, "name": "Invoices", "documents": 8, "children": 0 }
+ *       400:
+ *         description: Invalid merge
+ *       401:
+ *         description: Unauthorized - authentication required
+ *       404:
+ *         description: Tag not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/api/tags/merge', isAuthenticated, async (req, res) => {
+  try {
+    const result = await tagTaxonomyService.mergeTags(req.body.targetId, req.body.sourceIds);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('[ERROR] merging tags:', error.message);
+    const status = /not found/.test(error.message) ? 404
+      : /required|Invalid/.test(error.message) ? 400 : 500;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /correspondents:
+ *   get:
+ *     summary: Correspondent matching page
+ *     description: |
+ *       Renders the page for managing correspondent aliases and for finding and merging duplicate
+ *       correspondents in Paperless-ngx.
+ *     tags:
+ *       - Navigation
+ *       - Correspondents
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Correspondents page rendered successfully
+ *         content:
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Unauthorized - user not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.get('/correspondents', async (req, res) => {
+  try {
+    res.render('correspondents', {
+      version: configFile.PAPERLESS_AI_VERSION,
+      correspondentMatching: config.correspondentMatching
+    });
+  } catch (error) {
+    console.error('[ERROR] loading correspondents page:', error);
+    res.status(500).send('Error loading correspondents page');
+  }
+});
+
+/**
+ * @swagger
+ * /api/correspondents/aliases:
+ *   get:
+ *     summary: List correspondent aliases
+ *     description: |
+ *       Returns the names and identifiers (IBAN, VAT ID, email address) mapped to an existing
+ *       correspondent, and all correspondents as `{ id, name }` for choosing the target of a new
+ *       alias. Identifiers learned from processed documents have the source `learned`; one seen
+ *       with several correspondents has no correspondent and is ignored until it is assigned.
+ *     tags:
+ *       - Correspondents
+ *       - API
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Aliases and correspondents
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 aliases:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       type:
+ *                         type: string
+ *                         enum: [name, iban, vat, email]
+ *                       value:
+ *                         type: string
+ *                         example: Telekom Deutschland GmbH
+ *                       correspondentId:
+ *                         type: integer
+ *                         nullable: true
+ *                       correspondentName:
+ *                         type: string
+ *                         example: Deutsche Telekom AG
+ *                       source:
+ *                         type: string
+ *                         enum: [manual, learned, merge]
+ *                 correspondents:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       401:
+ *         description: Unauthorized - authentication required
+ *       500:
+ *         description: Server error
+ */
+router.get('/api/correspondents/aliases', isAuthenticated, async (req, res) => {
+  try {
+    const [aliases, correspondents] = await Promise.all([
+      correspondentService.listAliases(),
+      correspondentService.getCorrespondents()
+    ]);
+    res.json({
+      success: true,
+      aliases,
+      correspondents: correspondents
+        .map(correspondent => ({ id: correspondent.id, name: correspondent.name }))
+        .sort((a, b) => a.name.localeCompare(b.name))
+    });
+  } catch (error) {
+    console.error('[ERROR] loading correspondent aliases:', error);
+    res.status(500).json({ success: false, error: 'Error loading correspondent aliases' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/correspondents/aliases:
+ *   post:
+ *     summary: Add a correspondent alias
+ *     description: |
+ *       Maps a name, IBAN, VAT ID or email address to an existing correspondent. Names are
+ *       compared normalised (case, punctuation and legal forms like GmbH or Inc. are ignored).
+ *       An existing alias with the same value, including a learned one, is replaced.
+ *     tags:
+ *       - Correspondents
+ *       - API
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - type
+ *               - value
+ *               - correspondentId
+ *             properties:
+ *               type:
+ *                 type: string
+ *                 enum: [name, iban, vat, email]
+ *                 example: name
+ *               value:
+ *                 type: string
+ *                 example: Telekom Deutschland GmbH
+ *               correspondentId:
+ *                 type: integer
+ *                 example: 4
+ *     responses:
+ *       200:
+ *         description: Alias saved
+ *       400:
+ *         description: Invalid alias
+ *       401:
+ *         description: Unauthorized - authentication required
+ *       404:
+ *         description: Correspondent not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/api/correspondents/aliases', isAuthenticated, async (req, res) => {
+  try {
+    const alias = await correspondentService.addAlias(req.body.type, req.body.value, req.body.correspondentId);
+    res.json({ success: true, alias });
+  } catch (error) {
+    console.error('[ERROR] saving correspondent alias:', error.message);
+    const status = /not found/.test(error.message) ? 404
+      : /required|Invalid|must/.test(error.message) ? 400 : 500;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/correspondents/aliases/{id}:
+ *   delete:
+ *     summary: Delete a correspondent alias
+ *     tags:
+ *       - Correspondents
+ *       - API
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Alias ID
+ *     responses:
+ *       200:
+ *         description: Alias deleted
+ *       401:
+ *         description: Unauthorized - authentication required
+ *       404:
+ *         description: Alias not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/api/correspondents/aliases/:id', isAuthenticated, async (req, res) => {
+  try {
+    await correspondentService.deleteAlias(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[ERROR] deleting correspondent alias:', error.message);
+    const status = /not found/.test(error.message) ? 404 : 500;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/correspondents/duplicates:
+ *   get:
+ *     summary: Find duplicate correspondents
+ *     description: |
+ *       Groups existing correspondents whose normalised names are equal ("Deutsche Telekom AG",
+ *       "DEUTSCHE TELEKOM") or contain each other ("Telekom"). The correspondent with the most
+ *       documents is proposed as canonical correspondent.
+ *     tags:
+ *       - Correspondents
+ *       - API
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Groups of duplicate correspondents
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 groups:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       canonical:
+ *                         type: object
+ *                         example: { "id": 4, "name": "Deutsche Telekom AG", "normalizedName": "deutsche telekom", "documentCount": 52, "reason": "contained name" }
+ *                       duplicates:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           example: { "id": 19, "name": "Telekom", "normalizedName": "telekom", "documentCount": 3, "reason": "contained name" }
+ *       401:
+ *         description: Unauthorized - authentication required
+ *       500:
+ *         description: Server error
+ */
+router.get('/api/correspondents/duplicates', isAuthenticated, async (req, res) => {
+  try {
+    const groups = await correspondentService.findDuplicates();
+    res.json({ success: true, groups });
+  } catch (error) {
+    console.error('[ERROR] finding duplicate correspondents:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/correspondents/merge:
+ *   post:
+ *     summary: Merge correspondents
+ *     description: |
+ *       Merges correspondents into a canonical correspondent in Paperless-ngx: their documents get
+ *       the canonical correspondent, the merged correspondents are deleted and their names and
+ *       identifiers become aliases of the canonical one. Every step is recorded in the audit log.
+ *     tags:
+ *       - Correspondents
+ *       - API
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - targetId
+ *               - sourceIds
+ *             properties:
+ *               targetId:
+ *                 type: integer
+ *                 description: ID of the canonical correspondent
+ *                 example: 4
+ *               sourceIds:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: IDs of the correspondents to merge into it
+ *                 example: [19, 23]
+ *     responses:
+ *       200:
+ *         description: Correspondents merged
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 target:
+ *                   type: object
+ *                 merged:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     example: { "id": 19, "name": "Telekom", "documents": 3 }
+ *       400:
+ *         description: Invalid merge
+ *       401:
+ *         description: Unauthorized - authentication required
+ *       404:
+ *         description: Correspondent not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/api/correspondents/merge', isAuthenticated, async (req, res) => {
+  try {
+    const result = await correspondentService.mergeCorrespondents(req.body.targetId, req.body.sourceIds);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('[ERROR] merging correspondents:', error.message);
+    const status = /not found/.test(error.message) ? 404
+      : /required|Invalid/.test(error.message) ? 400 : 500;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /permissions:
+ *   get:
+ *     summary: Permission rules page
+ *     description: |
+ *       Renders the page for managing permission rules. A rule assigns the owner and the
+ *       view/change permissions of processed documents matching its correspondents, document
+ *       types, tags or storage paths.
+ *     tags:
+ *       - Navigation
+ *       - Permissions
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Permissions page rendered successfully
+ *         content:
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Unauthorized - user not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.get('/permissions', async (req, res) => {
+  try {
+    res.render('permissions', {
+      version: configFile.PAPERLESS_AI_VERSION,
+      permissionsEnabled: config.limitFunctions.activatePermissions !== 'no'
+    });
+  } catch (error) {
+    console.error('[ERROR] loading permissions page:', error);
+    res.status(500).send('Error loading permissions page');
+  }
+});
+
+/**
+ * @swagger
+ * /api/permission-rules:
+ *   get:
+ *     summary: List permission rules
+ *     description: |
+ *       Returns all permission rules in the order they are matched (ascending priority).
+ *       When owner and permission assignment is activated (ACTIVATE_PERMISSIONS), the first
+ *       enabled rule whose criteria match the processed document sets its owner and permissions.
+ *     tags:
+ *       - Permissions
+ *       - API
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: List of permission rules
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 rules:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       401:
+ *         description: Unauthorized - authentication required
+ *       500:
+ *         description: Server error
+ */
+router.get('/api/permission-rules', isAuthenticated, async (req, res) => {
+  try {
+    const rules = await permissionRuleService.listRules();
+    res.json({ success: true, rules });
+  } catch (error) {
+    console.error('[ERROR] loading permission rules:', error);
+    res.status(500).json({ success: false, error: 'Error loading permission rules' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/permission-rules/options:
+ *   get:
+ *     summary: List the criteria, users and groups available for permission rules
+ *     description: |
+ *       Returns the correspondents, document types, tags and storage paths to match on and the
+ *       users and groups to assign, from Paperless-ngx as `{ id, name }` lists for the rule editor.
+ *     tags:
+ *       - Permissions
+ *       - API
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Available criteria, users and groups
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 options:
+ *                   type: object
+ *                   properties:
+ *                     correspondents:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     documentTypes:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     tags:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     storagePaths:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     users:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                     groups:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *       401:
+ *         description: Unauthorized - authentication required
+ *       500:
+ *         description: Server error
+ */
+router.get('/api/permission-rules/options', isAuthenticated, async (req, res) => {
+  try {
+    const options = await permissionRuleService.getOptions();
+    res.json({ success: true, options });
+  } catch (error) {
+    console.error('[ERROR] loading permission rule options:', error);
+    res.status(500).json({ success: false, error: 'Error loading permission rule options' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/permission-rules:
+ *   post:
+ *     summary: Create a permission rule
+ *     description: |
+ *       Creates a permission rule. A rule must set an owner, permissions or both. Permissions
+ *       replace all existing permissions of the document in Paperless-ngx.
+ *     tags:
+ *       - Permissions
+ *       - API
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Anna's documents
+ *               enabled:
+ *                 type: boolean
+ *                 example: true
+ *               priority:
+ *                 type: integer
+ *                 description: Lower values are matched first
+ *                 example: 10
+ *               match:
+ *                 type: object
+ *                 description: All given criteria must match, any ID within a criterion; empty matches every document
+ *                 properties:
+ *                   correspondents:
+ *                     type: array
+ *                     items:
+ *                       type: integer
+ *                   documentTypes:
+ *                     type: array
+ *                     items:
+ *                       type: integer
+ *                   tags:
+ *                     type: array
+ *                     items:
+ *                       type: integer
+ *                   storagePaths:
+ *                     type: array
+ *                     items:
+ *                       type: integer
+ *               owner:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: Paperless-ngx user ID, null keeps the owner
+ *                 example: 3
+ *               permissions:
+ *                 type: object
+ *                 description: Users and groups with view and change permission (Paperless-ngx set_permissions format)
+ *                 example: { "view": { "users": [], "groups": [2] }, "change": { "users": [3], "groups": [] } }
+ *     responses:
+ *       200:
+ *         description: Permission rule created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 rule:
+ *                   type: object
+ *       400:
+ *         description: Invalid permission rule
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - authentication required
+ *       500:
+ *         description: Server error
+ */
+router.post('/api/permission-rules', isAuthenticated, async (req, res) => {
+  try {
+    const rule = await permissionRuleService.createRule(req.body);
+    res.json({ success: true, rule });
+  } catch (error) {
+    console.error('[ERROR] creating permission rule:', error.message);
+    const status = /required|Invalid|must/.test(error.message) ? 400 : 500;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/permission-rules/{id}:
+ *   put:
+ *     summary: Update a permission rule
+ *     description: Replaces all settings of a permission rule, with the same body as creating one.
+ *     tags:
+ *       - Permissions
+ *       - API
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Permission rule ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Permission rule updated
+ *       400:
+ *         description: Invalid permission rule
+ *       401:
+ *         description: Unauthorized - authentication required
+ *       404:
+ *         description: Permission rule not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/api/permission-rules/:id', isAuthenticated, async (req, res) => {
+  try {
+    const rule = await permissionRuleService.updateRule(req.params.id, req.body);
+    res.json({ success: true, rule });
+  } catch (error) {
+    console.error('[ERROR] updating permission rule:', error.message);
+    const status = /not found/.test(error.message) ? 404
+      : /required|Invalid|must/.test(error.message) ? 400 : 500;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/permission-rules/{id}:
+ *   delete:
+ *     summary: Delete a permission rule
+ *     description: Owner and permissions already assigned by the rule stay on the documents.
+ *     tags:
+ *       - Permissions
+ *       - API
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Permission rule ID
+ *     responses:
+ *       200:
+ *         description: Permission rule deleted
+ *       401:
+ *         description: Unauthorized - authentication required
+ *       404:
+ *         description: Permission rule not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/api/permission-rules/:id', isAuthenticated, async (req, res) => {
+  try {
+    await permissionRuleService.deleteRule(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[ERROR] deleting permission rule:', error.message);
+    const status = /not found/.test(error.message) ? 404 : 500;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /audit:
+ *   get:
+ *     summary: Audit log page
+ *     description: |
+ *       Renders the page for searching and exporting the audit log of all changes
+ *       paperless-ai made in Paperless-ngx.
+ *     tags:
+ *       - Navigation
+ *       - Audit
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Audit page rendered successfully
+ *         content:
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Unauthorized - user not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.get('/audit', async (req, res) => {
+  try {
+    res.render('audit', {
+      version: configFile.PAPERLESS_AI_VERSION,
+      ragEnabled: process.env.RAG_SERVICE_ENABLED === 'true',
+      actorTypes: auditService.actorTypes,
+      actions: await auditService.getActions()
+    });
+  } catch (error) {
+    console.error('[ERROR] loading audit page:', error);
+    res.status(500).send('Error loading audit page');
+  }
+});
+
+/**
+ * @swagger
+ * /api/audit:
+ *   get:
+ *     summary: Search the audit log
+ *     description: |
+ *       Returns audit entries, newest first. Each entry records who or what triggered the change
+ *       (cron, webhook, user, api-key or system), the action, the before/after diff and the AI
+ *       provider/model whose result was applied.
+ *     tags:
+ *       - Audit
+ *       - API
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Text contained in actor, action, object name, source or changes, or a document ID
+ *       - in: query
+ *         name: actorType
+ *         schema:
+ *           type: string
+ *           enum: [cron, webhook, user, api-key, system]
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           example: document.update
+ *       - in: query
+ *         name: documentId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 500
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Audit entries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 total:
+ *                   type: integer
+ *                 entries:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       createdAt:
+ *                         type: string
+ *                       actorType:
+ *                         type: string
+ *                       actorName:
+ *                         type: string
+ *                       source:
+ *                         type: string
+ *                         example: "job 12 (webhook)"
+ *                       action:
+ *                         type: string
+ *                         example: document.update
+ *                       objectType:
+ *                         type: string
+ *                       objectId:
+ *                         type: integer
+ *                       objectName:
+ *                         type: string
+ *                       documentId:
+ *                         type: integer
+ *                       changes:
+ *                         type: object
+ *                         example: { "correspondent": { "before": null, "after": 12, "beforeName": null, "afterName": "ACME" } }
+ *                       provider:
+ *                         type: string
+ *                       model:
+ *                         type: string
+ *       400:
+ *         description: Invalid filter
+ *       401:
+ *         description: Unauthorized - authentication required
+ *       500:
+ *         description: Server error
+ */
+router.get('/api/audit', isAuthenticated, async (req, res) => {
+  try {
+    const { limit, offset, ...filters } = req.query;
+    const { entries, total } = await auditService.search(filters, { limit, offset });
+    res.json({ success: true, entries, total });
+  } catch (error) {
+    console.error('[ERROR] searching audit log:', error.message);
+    const status = /Invalid/.test(error.message) ? 400 : 500;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/audit/export:
+ *   get:
+ *     summary: Export the audit log
+ *     description: Downloads all audit entries matching the filters as CSV or JSON.
+ *     tags:
+ *       - Audit
+ *       - API
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, json]
+ *           default: csv
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Text contained in actor, action, object name, source or changes, or a document ID
+ *       - in: query
+ *         name: actorType
+ *         schema:
+ *           type: string
+ *           enum: [cron, webhook, user, api-key, system]
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *           example: document.update
+ *       - in: query
+ *         name: documentId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *     responses:
+ *       200:
+ *         description: Export file
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/json:
+ *             schema:
+ *               type: array
+ *       400:
+ *         description: Invalid format or filter
+ *       401:
+ *         description: Unauthorized - authentication required
+ *       500:
+ *         description: Server error
+ */
+router.get('/api/audit/export', isAuthenticated, async (req, res) => {
+  try {
+    const { format = 'csv', ...filters } = req.query;
+    const content = await auditService.export(filters, format);
+    const filename = `paperless-ai-audit-${new Date().toISOString().slice(0, 10)}.${format}`;
+    res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+    res.type(format === 'json' ? 'application/json' : 'text/csv').send(content);
+  } catch (error) {
+    console.error('[ERROR] exporting audit log:', error.message);
+    const status = /Invalid/.test(error.message) ? 400 : 500;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /users:
+ *   get:
+ *     summary: User management page
+ *     description: |
+ *       Renders the page for managing user accounts and roles (admins only) and for
+ *       changing the password of the logged-in user (all roles).
+ *     tags:
+ *       - Navigation
+ *       - Users
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Users page rendered successfully
+ *         content:
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Unauthorized - user not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.get('/users', async (req, res) => {
+  try {
+    res.render('users', {
+      version: configFile.PAPERLESS_AI_VERSION,
+      ragEnabled: process.env.RAG_SERVICE_ENABLED === 'true',
+      currentUser: res.locals.currentUser || null,
+      roles: userService.roles
+    });
+  } catch (error) {
+    console.error('[ERROR] loading users page:', error);
+    res.status(500).send('Error loading users page');
+  }
+});
+
+/**
+ * @swagger
+ * /api/account:
+ *   get:
+ *     summary: Get the logged-in user
+ *     description: Returns ID, username and role of the logged-in user.
+ *     tags:
+ *       - Users
+ *       - API
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Current user
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 user:
+ *                   type: object
+ *                   properties:
+ *                     id:
+ *                       type: integer
+ *                     username:
+ *                       type: string
+ *                     role:
+ *                       type: string
+ *                       enum: [admin, reviewer, readonly]
+ *       400:
+ *         description: Requests authenticated with the API key have no account
+ *       401:
+ *         description: Unauthorized - authentication required
+ */
+router.get('/api/account', isAuthenticated, async (req, res) => {
+  if (req.user.apiKey) {
+    return res.status(400).json({ success: false, error: 'Requests authenticated with the API key have no account' });
+  }
+  try {
+    const user = await userService.getUser(req.user.id);
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+    res.json({ success: true, user });
+  } catch (error) {
+    console.error('[ERROR] loading account:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/account/password:
+ *   post:
+ *     summary: Change own password
+ *     description: |
+ *       Changes the password of the logged-in user and logs out all of their other sessions.
+ *       Available to all roles.
+ *     tags:
+ *       - Users
+ *       - API
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *               newPassword:
+ *                 type: string
+ *                 minLength: 8
+ *     responses:
+ *       200:
+ *         description: Password changed
+ *       400:
+ *         description: Current password is incorrect or new password is too short
+ *       401:
+ *         description: Unauthorized - authentication required
+ *       500:
+ *         description: Server error
+ */
+router.post('/api/account/password', isAuthenticated, async (req, res) => {
+  if (req.user.apiKey) {
+    return res.status(400).json({ success: false, error: 'Requests authenticated with the API key have no account' });
+  }
+  try {
+    const { currentPassword, newPassword } = req.body;
+    await userService.changePassword(req.user.id, currentPassword, newPassword, req.user.sid);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[ERROR] changing password:', error.message);
+    const status = /not found/.test(error.message) ? 404
+      : /incorrect|must/.test(error.message) ? 400 : 500;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/account/sessions:
+ *   get:
+ *     summary: List own sessions
+ *     description: |
+ *       Returns the active login sessions of the logged-in user (browser, IP address, last use).
+ *       The session of the current request is marked with `current: true`.
+ *     tags:
+ *       - Users
+ *       - API
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 sessions:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: string
+ *                       userAgent:
+ *                         type: string
+ *                       ipAddress:
+ *                         type: string
+ *                       createdAt:
+ *                         type: string
+ *                       lastUsedAt:
+ *                         type: string
+ *                       expiresAt:
+ *                         type: string
+ *                       current:
+ *                         type: boolean
+ *       401:
+ *         description: Unauthorized - authentication required
+ *       500:
+ *         description: Server error
+ */
+router.get('/api/account/sessions', isAuthenticated, async (req, res) => {
+  if (req.user.apiKey) {
+    return res.status(400).json({ success: false, error: 'Requests authenticated with the API key have no account' });
+  }
+  try {
+    const sessions = await sessionService.listSessions(req.user.id, req.user.sid);
+    res.json({ success: true, sessions });
+  } catch (error) {
+    console.error('[ERROR] loading sessions:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/account/sessions/{id}:
+ *   delete:
+ *     summary: Revoke one of the own sessions
+ *     description: Logs out the given session. Its access and refresh tokens stop working immediately.
+ *     tags:
+ *       - Users
+ *       - API
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Session revoked
+ *       404:
+ *         description: Session not found
+ *       401:
+ *         description: Unauthorized - authentication required
+ *       500:
+ *         description: Server error
+ */
+router.delete('/api/account/sessions/:id', isAuthenticated, async (req, res) => {
+  if (req.user.apiKey) {
+    return res.status(400).json({ success: false, error: 'Requests authenticated with the API key have no account' });
+  }
+  try {
+    await sessionService.revokeSession(req.user.id, req.params.id);
+    if (req.params.id === req.user.sid) {
+      sessionService.clearCookies(res);
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[ERROR] revoking session:', error.message);
+    const status = /not found/.test(error.message) ? 404 : 500;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/account/logout-everywhere:
+ *   post:
+ *     summary: Log out all own sessions
+ *     description: |
+ *       Revokes every session of the logged-in user, including the current one, and clears the
+ *       session cookies. All browsers and devices have to log in again.
+ *     tags:
+ *       - Users
+ *       - API
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Sessions revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 revoked:
+ *                   type: integer
+ *                   description: Number of revoked sessions
+ *       401:
+ *         description: Unauthorized - authentication required
+ *       500:
+ *         description: Server error
+ */
+router.post('/api/account/logout-everywhere', isAuthenticated, async (req, res) => {
+  if (req.user.apiKey) {
+    return res.status(400).json({ success: false, error: 'Requests authenticated with the API key have no account' });
+  }
+  try {
+    const revoked = await sessionService.revokeUserSessions(req.user.id);
+    sessionService.clearCookies(res);
+    res.json({ success: true, revoked });
+  } catch (error) {
+    console.error('[ERROR] logging out everywhere:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users:
+ *   get:
+ *     summary: List user accounts
+ *     description: Returns all user accounts with their roles. Requires the admin role.
+ *     tags:
+ *       - Users
+ *       - API
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: List of users
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 users:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       401:
+ *         description: Unauthorized - authentication required
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.get('/api/users', isAuthenticated, async (req, res) => {
+  try {
+    const users = await userService.listUsers();
+    res.json({ success: true, users });
+  } catch (error) {
+    console.error('[ERROR] loading users:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users:
+ *   post:
+ *     summary: Create a user account
+ *     description: |
+ *       Creates a user with one of the roles:
+ *       - admin: full access, including settings, users and resets
+ *       - reviewer: can approve/reject suggestions, analyse documents manually and revert changes
+ *       - readonly: can view all pages and use the chat
+ *
+ *       OIDC and proxy accounts have no password. SSO logins only use accounts of their own
+ *       login type, so without SSO_AUTO_PROVISION an admin creates them here.
+ *     tags:
+ *       - Users
+ *       - API
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - username
+ *               - role
+ *             properties:
+ *               username:
+ *                 type: string
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *                 description: Required for local accounts, not allowed for OIDC and proxy accounts
+ *               role:
+ *                 type: string
+ *                 enum: [admin, reviewer, readonly]
+ *               authSource:
+ *                 type: string
+ *                 enum: [local, oidc, proxy]
+ *                 default: local
+ *     responses:
+ *       200:
+ *         description: User created
+ *       400:
+ *         description: Invalid user or username already exists
+ *       401:
+ *         description: Unauthorized - authentication required
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.post('/api/users', isAuthenticated, async (req, res) => {
+  try {
+    const user = await userService.createUser(req.body);
+    res.json({ success: true, user });
+  } catch (error) {
+    console.error('[ERROR] creating user:', error.message);
+    const status = /required|Invalid|must|exists/.test(error.message) ? 400 : 500;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}:
+ *   put:
+ *     summary: Update a user account
+ *     description: |
+ *       Changes the role and/or resets the password of a user. The last admin
+ *       cannot be demoted.
+ *     tags:
+ *       - Users
+ *       - API
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               role:
+ *                 type: string
+ *                 enum: [admin, reviewer, readonly]
+ *               password:
+ *                 type: string
+ *                 minLength: 8
+ *                 description: New password (omit to keep the current one)
+ *     responses:
+ *       200:
+ *         description: User updated
+ *       400:
+ *         description: Invalid role or password, or the last admin would be demoted
+ *       401:
+ *         description: Unauthorized - authentication required
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.put('/api/users/:id', isAuthenticated, async (req, res) => {
+  try {
+    const { role, password } = req.body;
+    if (role) {
+      await userService.updateRole(req.params.id, role);
     }
+    if (password) {
+      await userService.resetPassword(req.params.id, password);
+    }
+    const user = await userService.getUser(parseInt(req.params.id, 10));
+    if (!user) {
+      throw new Error('User not found');
+    }
+    res.json({ success: true, user });
+  } catch (error) {
+    console.error('[ERROR] updating user:', error.message);
+    const status = /not found/.test(error.message) ? 404
+      : /Invalid|must/.test(error.message) ? 400 : 500;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/users/{id}:
+ *   delete:
+ *     summary: Delete a user account
+ *     description: Admins cannot delete their own account, and the last admin is kept.
+ *     tags:
+ *       - Users
+ *       - API
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User deleted
+ *       400:
+ *         description: Own account or last admin
+ *       401:
+ *         description: Unauthorized - authentication required
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: User not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/api/users/:id', isAuthenticated, async (req, res) => {
+  try {
+    await userService.deleteUser(req.params.id, req.user.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[ERROR] deleting user:', error.message);
+    const status = /not found/.test(error.message) ? 404
+      : /cannot|must/.test(error.message) ? 400 : 500;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api-keys:
+ *   get:
+ *     summary: API keys page
+ *     description: |
+ *       Renders the page for creating and revoking scoped API keys. Requires the admin role.
+ *     tags:
+ *       - Navigation
+ *       - API Keys
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: API keys page rendered successfully
+ *         content:
+ *           text/html:
+ *             schema:
+ *               type: string
+ *       401:
+ *         description: Unauthorized - user not authenticated
+ *       500:
+ *         description: Server error
+ */
+router.get('/api-keys', async (req, res) => {
+  try {
+    res.render('api-keys', {
+      version: configFile.PAPERLESS_AI_VERSION,
+      ragEnabled: process.env.RAG_SERVICE_ENABLED === 'true',
+      scopes: apiKeyService.scopes
+    });
+  } catch (error) {
+    console.error('[ERROR] loading API keys page:', error);
+    res.status(500).send('Error loading API keys page');
+  }
+});
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   get:
+ *     summary: List API keys
+ *     description: |
+ *       Returns all scoped API keys (without the keys themselves) and the available scopes.
+ *       Requires the admin role.
+ *     tags:
+ *       - API Keys
+ *       - API
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: List of API keys
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 keys:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       name:
+ *                         type: string
+ *                       keyPrefix:
+ *                         type: string
+ *                         example: pai_1a2b3c4d
+ *                       scopes:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                       expiresAt:
+ *                         type: string
+ *                         nullable: true
+ *                       lastUsedAt:
+ *                         type: string
+ *                         nullable: true
+ *                       revokedAt:
+ *                         type: string
+ *                         nullable: true
+ *                       expired:
+ *                         type: boolean
+ *                 scopes:
+ *                   type: object
+ *                   description: Scope name -> description
+ *       401:
+ *         description: Unauthorized - authentication required
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.get('/api/api-keys', isAuthenticated, async (req, res) => {
+  try {
+    const keys = await apiKeyService.listKeys();
+    res.json({ success: true, keys, scopes: apiKeyService.scopes });
+  } catch (error) {
+    console.error('[ERROR] loading API keys:', error.message);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/api-keys:
+ *   post:
+ *     summary: Create an API key
+ *     description: |
+ *       Creates a named API key limited to the given scopes:
+ *       - webhook: `POST /api/webhook/document`
+ *       - history:read: `GET /api/history`, `/api/history/load-progress`, `/api/history/validate`
+ *       - scan: `POST /api/scan/now`, `GET /api/processing-status`, `GET /api/jobs`
+ *       - rag:ask: `POST /api/rag/ask`, `POST /api/rag/search`
+ *
+ *       The key is returned only in this response; only its hash is stored.
+ *     tags:
+ *       - API Keys
+ *       - API
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - name
+ *               - scopes
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Paperless webhook
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [webhook, 'history:read', scan, 'rag:ask']
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Optional expiry
+ *     responses:
+ *       200:
+ *         description: API key created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 apiKey:
+ *                   type: object
+ *                   properties:
+ *                     key:
+ *                       type: string
+ *                       description: The API key (shown only once)
+ *       400:
+ *         description: Invalid name, scopes or expiry
+ *       401:
+ *         description: Unauthorized - authentication required
+ *       403:
+ *         description: Insufficient permissions
+ *       500:
+ *         description: Server error
+ */
+router.post('/api/api-keys', isAuthenticated, async (req, res) => {
+  try {
+    const apiKey = await apiKeyService.createKey(req.body);
+    res.json({ success: true, apiKey });
+  } catch (error) {
+    console.error('[ERROR] creating API key:', error.message);
+    const status = /required|Invalid|must/.test(error.message) ? 400 : 500;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key
+ *     description: The key stops working immediately. Revoked keys stay listed for reference.
+ *     tags:
+ *       - API Keys
+ *       - API
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: API key ID
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       400:
+ *         description: API key is already revoked
+ *       401:
+ *         description: Unauthorized - authentication required
+ *       403:
+ *         description: Insufficient permissions
+ *       404:
+ *         description: API key not found
+ *       500:
+ *         description: Server error
+ */
+router.delete('/api/api-keys/:id', isAuthenticated, async (req, res) => {
+  try {
+    await apiKeyService.revokeKey(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[ERROR] revoking API key:', error.message);
+    const status = /not found/.test(error.message) ? 404
+      : /already/.test(error.message) ? 400 : 500;
+    res.status(status).json({ success: false, error: error.message });
   }
+});
 
-  // Only process custom fields if custom fields detection is activated
-  if (config.limitFunctions?.activateCustomFields !== 'no' && analysis.document.custom_fields) {
-    const customFields = analysis.document.custom_fields;
-    const processedFields = [];
+/**
+ * @swagger
+ * /api/history/validate:
+ *   get:
+ *     summary: Validate history entries against Paperless-ngx (Server-Sent Events)
+ *     description: |
+ *       Checks each history entry stored locally and verifies the corresponding document still exists in Paperless-ngx.
+ *       Uses Server-Sent Events (SSE) to stream real-time progress updates.
+ *       Processes documents in parallel batches (50 at a time) for faster validation.
+ *       Returns progress updates and final list of missing documents.
+ *     tags:
+ *       - Documents
+ *       - API
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Validation in progress (SSE stream)
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               example: |
+ *                 data: {"type":"progress","current":50,"total":100,"missing":3,"percentage":50}
+ *                 
+ *                 data: {"type":"complete","missing":[{"document_id":123,"title":"Test Doc"}]}
+ *       401:
+ *         description: Unauthorized - authentication required
+ *       500:
+ *         description: Server error during validation
+ */
+router.get('/api/history/validate', isAuthenticated, async (req, res) => {
+  try {
+    // Set headers for Server-Sent Events
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders();
 
-    // Get existing custom fields
-    const existingFields = await paperlessService.getExistingCustomFields(doc.id);
-    console.log(`[DEBUG] Found existing fields:`, existingFields);
+    // Get all history entries from local DB
+    const allHistory = await documentModel.getAllHistory();
+    const total = allHistory.length;
+    
+    // Send initial progress
+    res.write(`data: ${JSON.stringify({ type: 'progress', current: 0, total, missing: 0 })}\n\n`);
 
-    // Keep track of which fields we've processed to avoid duplicates
-    const processedFieldIds = new Set();
+    // Process documents in parallel batches for faster validation
+    const missing = [];
+    const BATCH_SIZE = 50; // Process 50 documents at a time
+    let processed = 0;
 
-    // First, add any new/updated fields
-    for (const key in customFields) {
-      const customField = customFields[key];
+    // Split into batches
+    for (let i = 0; i < allHistory.length; i += BATCH_SIZE) {
+      const batch = allHistory.slice(i, i + BATCH_SIZE);
       
-      if (!customField.field_name || !customField.value?.trim()) {
-        console.log(`[DEBUG] Skipping empty/invalid custom field`);
-        continue;
-      }
-
-      const fieldDetails = await paperlessService.findExistingCustomField(customField.field_name);
-      if (fieldDetails?.id) {
-        processedFields.push({
-          field: fieldDetails.id,
-          value: customField.value.trim()
-        });
-        processedFieldIds.add(fieldDetails.id);
-      }
+      // Process batch in parallel
+      const results = await Promise.allSettled(
+        batch.map(async (h) => {
+          try {
+            await paperlessService.getDocument(h.document_id);
+            return { success: true, doc: h };
+          } catch (error) {
+            return { success: false, doc: h };
+          }
+        })
+      );
+      
+      // Collect missing documents from this batch
+      results.forEach((result) => {
+        if (result.status === 'fulfilled' && !result.value.success) {
+          missing.push({ 
+            document_id: result.value.doc.document_id, 
+            title: result.value.doc.title || null 
+          });
+        }
+      });
+      
+      processed += batch.length;
+      
+      // Send progress update after each batch
+      res.write(`data: ${JSON.stringify({ 
+        type: 'progress', 
+        current: processed, 
+        total, 
+        missing: missing.length,
+        percentage: Math.round((processed / total) * 100)
+      })}\n\n`);
     }
 
-    // Then add any existing fields that weren't updated
-    for (const existingField of existingFields) {
-      if (!processedFieldIds.has(existingField.field)) {
-        processedFields.push(existingField);
-      }
+    // Send final result
+    res.write(`data: ${JSON.stringify({ type: 'complete', missing })}\n\n`);
+    res.end();
+  } catch (error) {
+    console.error('[ERROR] validating history:', error);
+    res.write(`data: ${JSON.stringify({ type: 'error', error: 'Error validating history' })}\n\n`);
+    res.end();
+  }
+});
+
+/**
+ * @swagger
+ * /api/scan/now:
+ *   post:
+ *     summary: Trigger immediate document scan
+ *     description: |
+ *       Initiates an immediate scan of documents in Paperless-ngx that haven't been processed yet.
+ *       This endpoint can be used to manually trigger processing without waiting for the scheduled interval.
+ *       
+ *       The scan will:
+ *       - Connect to Paperless-ngx API
+ *       - Fetch all unprocessed documents
+ *       - Process each document with the configured AI service
+ *       - Update documents in Paperless-ngx with generated metadata
+ *       
+ *       The process respects the function limitations set in the configuration.
+ *       It uses the same processing pipeline as the scheduled scan and the webhook,
+ *       and is skipped if a scan is already running. Unlike the incremental scheduled
+ *       scan, this is always a full scan of all documents.
+ *     tags:
+ *       - Documents
+ *       - API
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Scan initiated successfully
+ *         content:
+ *           text/plain:
+ *             schema:
+ *               type: string
+ *               example: "Task completed"
+ *       400:
+ *         description: Setup not completed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Unauthorized - authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: "Authentication required"
+ *       429:
+ *         description: A daily or monthly token/cost budget is exhausted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: "Budget exhausted"
+ *                 reasons:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: "Error during document scan"
+ */
+router.post('/api/scan/now', async (req, res) => {
+  try {
+    const isConfigured = await setupService.isConfigured();
+    if (!isConfigured) {
+      console.log(`Setup not completed. Visit http://your-machine-ip:${process.env.PAPERLESS_AI_PORT || 3000}/setup to complete setup.`);
+      return res.status(400).json({ error: 'Setup not completed' });
     }
 
-    if (processedFields.length > 0) {
-      updateData.custom_fields = processedFields;
+    const userId = await paperlessService.getOwnUserID();
+    if (!userId) {
+      console.error('Failed to get own user ID. Abort scanning.');
+      return res.status(500).json({ error: 'Failed to get own user ID' });
     }
-  }
 
-  // Only process correspondent if correspondent detection is activated
-  if (config.limitFunctions?.activateCorrespondents !== 'no' && analysis.document.correspondent) {
-    try {
-      const correspondent = await paperlessService.getOrCreateCorrespondent(analysis.document.correspondent, options);
-      if (correspondent) {
-        updateData.correspondent = correspondent.id;
-      }
-    } catch (error) {
-      console.error(`[ERROR] Error processing correspondent:`, error);
+    if (!await budgetService.checkBudget()) {
+      const { reasons } = await budgetService.getStatus();
+      return res.status(429).json({ error: 'Budget exhausted', reasons });
     }
-  }
 
-  // Always include language if provided as it's a core field
-  if (analysis.document.language) {
-    updateData.language = analysis.document.language;
+    const queued = await jobQueue.scanDocuments({ full: true });
+    res.send(queued === null ? 'Task already running' : 'Task completed');
+  } catch (error) {
+    console.error('[ERROR] in startScanning:', error);
+    res.status(500).json({ error: 'Error during document scan' });
   }
-
-  return updateData;
-}
-
-async function saveDocumentChanges(docId, updateData, analysis, originalData) {
-  const { tags: originalTags, correspondent: originalCorrespondent, title: originalTitle } = originalData;
-  
-  await Promise.all([
-    documentModel.saveOriginalData(docId, originalTags, originalCorrespondent, originalTitle),
-    paperlessService.updateDocument(docId, updateData),
-    documentModel.addProcessedDocument(docId, updateData.title),
-    documentModel.addOpenAIMetrics(
-      docId, 
-      analysis.metrics.promptTokens,
-      analysis.metrics.completionTokens,
-      analysis.metrics.totalTokens
-    ),
-    documentModel.addToHistory(docId, updateData.tags, updateData.title, analysis.document.correspondent)
-  ]);
-}
+});
 
 /**
  * @swagger
@@ -2171,7 +5113,13 @@ router.get('/setup', async (req, res) => {
       AZURE_ENDPOINT: process.env.AZURE_ENDPOINT|| '',
       AZURE_API_KEY: process.env.AZURE_API_KEY || '',
       AZURE_DEPLOYMENT_NAME: process.env.AZURE_DEPLOYMENT_NAME || '',
-      AZURE_API_VERSION: process.env.AZURE_API_VERSION || ''
+      AZURE_API_VERSION: process.env.AZURE_API_VERSION || '',
+      ANTHROPIC_API_KEY: process.env.ANTHROPIC_API_KEY || '',
+      ANTHROPIC_MODEL: process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest',
+      GEMINI_API_KEY: process.env.GEMINI_API_KEY || '',
+      GEMINI_MODEL: process.env.GEMINI_MODEL || 'gemini-2.0-flash',
+      MISTRAL_API_KEY: process.env.MISTRAL_API_KEY || '',
+      MISTRAL_MODEL: process.env.MISTRAL_MODEL || 'mistral-small-latest'
     };
 
     // Check both configuration and users
@@ -2601,9 +5549,6 @@ router.get('/api/tagsCount', async (req, res) => {
   res.json(tags);
 });
 
-const documentQueue = [];
-let isProcessing = false;
-
 function extractDocumentId(url) {
   const match = url.match(/\/documents\/(\d+)\//);
   if (match && match[1]) {
@@ -2612,62 +5557,6 @@ function extractDocumentId(url) {
   throw new Error('Could not extract document ID from URL');
 }
 
-async function processQueue(customPrompt) {
-  if (customPrompt) {
-    console.log('Using custom prompt:', customPrompt);
-  }
-
-  if (isProcessing || documentQueue.length === 0) return;
-  
-  isProcessing = true;
-  
-  try {
-    const isConfigured = await setupService.isConfigured();
-    if (!isConfigured) {
-      console.log(`Setup not completed. Visit http://your-machine-ip:${process.env.PAPERLESS_AI_PORT || 3000}/setup to complete setup.`);
-      return;
-    }
-
-    const userId = await paperlessService.getOwnUserID();
-    if (!userId) {
-      console.error('Failed to get own user ID. Abort scanning.');
-      return;
-    }
-
-    const [existingTags, existingCorrespondentList, existingDocumentTypes, ownUserId] = await Promise.all([
-      paperlessService.getTags(),
-      paperlessService.listCorrespondentsNames(),
-      paperlessService.listDocumentTypesNames(),
-      paperlessService.getOwnUserID()
-    ]);
-
-    const existingDocumentTypesList = existingDocumentTypes.map(docType => docType.name);
-
-    while (documentQueue.length > 0) {
-      const doc = documentQueue.shift();
-      
-      try {
-        const result = await processDocument(doc, existingTags, existingCorrespondentList, existingDocumentTypesList, ownUserId, customPrompt);
-        if (!result) continue;
-
-        const { analysis, originalData } = result;
-        const updateData = await buildUpdateData(analysis, doc);
-        await saveDocumentChanges(doc.id, updateData, analysis, originalData);
-      } catch (error) {
-        console.error(`[ERROR] Failed to process document ${doc.id}:`, error);
-      }
-    }
-  } catch (error) {
-    console.error('[ERROR] Error during queue processing:', error);
-  } finally {
-    isProcessing = false;
-    
-    if (documentQueue.length > 0) {
-      processQueue();
-    }
-  }
-}
-
 /**
  * @swagger
  * /api/webhook/document:
@@ -2680,6 +5569,10 @@ async function processQueue(customPrompt) {
  *       
  *       When a new document is added or updated in Paperless-ngx, this endpoint can
  *       trigger automatic AI processing for metadata extraction.
+ *       
+ *       The document is added to the persistent job queue and processed in the
+ *       background, so queued documents survive a restart. Use `/api/jobs` to
+ *       inspect, cancel or re-queue jobs.
  *     tags:
  *       - Documents
  *       - API
@@ -2731,75 +5624,260 @@ async function processQueue(customPrompt) {
  *                   description: Whether AI processing was queued for this document
  *                   example: true
  *       400:
- *         description: Invalid webhook payload
- *         content:
- *           application/json:
- *             schema:
- *               type: object
- *               properties:
- *                 success:
- *                   type: boolean
- *                   example: false
- *                 error:
- *                   type: string
- *                   example: "Missing required fields: event_type, document_id"
- *       401:
- *         description: Unauthorized - invalid or missing API key
+ *         description: Invalid webhook payload
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: false
+ *                 error:
+ *                   type: string
+ *                   example: "Missing required fields: event_type, document_id"
+ *       401:
+ *         description: Unauthorized - invalid or missing API key
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: "Unauthorized: Invalid API key"
+ *       500:
+ *         description: Server error processing webhook
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/api/webhook/document', async (req, res) => {
+  try {
+    const { url, prompt } = req.body;
+    if (!url) {
+      return res.status(400).send('Missing document URL');
+    }
+    
+    try {
+      const documentId = extractDocumentId(url);
+      const document = await paperlessService.getDocument(documentId);
+      
+      if (!document) {
+        return res.status(404).send(`Document with ID ${documentId} not found`);
+      }
+      
+      if (prompt) {
+        console.log('[DEBUG] Using custom prompt:', prompt);
+      }
+      const job = await jobQueue.enqueue(documentId, document.title, { source: 'webhook', customPrompt: prompt || null });
+      const { queued } = await documentModel.getJobCounts();
+      
+      res.status(202).send({
+        message: 'Document accepted for processing',
+        documentId: documentId,
+        jobId: job.id,
+        queuePosition: queued
+      });
+      
+    } catch (error) {
+      console.error('[ERROR] Failed to extract document ID or fetch document:', error);
+      return res.status(200).send('Invalid document URL format');
+    }
+    
+  } catch (error) {
+    console.error('[ERROR] Error in webhook endpoint:', error);
+    res.status(200).send('Internal server error');
+  }
+});
+
+/**
+ * @swagger
+ * /api/jobs:
+ *   get:
+ *     summary: List processing jobs
+ *     description: |
+ *       Returns the jobs of the persistent processing queue, newest first, together
+ *       with the number of jobs per state. Jobs are created by scans and by the webhook.
+ *       
+ *       States: `queued`, `running`, `done`, `skipped` (already processed, not editable
+ *       or not enough content), `failed` (after 3 attempts) and `cancelled`.
+ *     tags: [Documents, API]
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: state
+ *         schema:
+ *           type: string
+ *           enum: [queued, running, done, skipped, failed, cancelled]
+ *         description: Only return jobs in this state
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       200:
+ *         description: Jobs and counts per state
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 jobs:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       id:
+ *                         type: integer
+ *                       document_id:
+ *                         type: integer
+ *                       title:
+ *                         type: string
+ *                       source:
+ *                         type: string
+ *                         example: "webhook"
+ *                       custom_prompt:
+ *                         type: string
+ *                         nullable: true
+ *                       state:
+ *                         type: string
+ *                       attempts:
+ *                         type: integer
+ *                       last_error:
+ *                         type: string
+ *                         nullable: true
+ *                       next_retry_at:
+ *                         type: string
+ *                         nullable: true
+ *                       created_at:
+ *                         type: string
+ *                       updated_at:
+ *                         type: string
+ *                 counts:
+ *                   type: object
+ *                   additionalProperties:
+ *                     type: integer
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/api/jobs', async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+    const offset = parseInt(req.query.offset, 10) || 0;
+    const { jobs, counts } = await jobQueue.listJobs({ state: req.query.state || '', limit, offset });
+    res.json({ success: true, jobs, counts });
+  } catch (error) {
+    console.error('[ERROR] loading jobs:', error);
+    res.status(500).json({ success: false, error: 'Failed to load jobs' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/jobs/{id}/cancel:
+ *   post:
+ *     summary: Cancel a queued job
+ *     description: |
+ *       Cancels a job that is waiting in the queue (including jobs waiting for a retry).
+ *       Running jobs cannot be cancelled. Cancelled documents are not queued again by
+ *       the scan until the job is re-queued or the document is reset in the history.
+ *     tags: [Documents, API]
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Job ID
+ *     responses:
+ *       200:
+ *         description: Job cancelled
+ *       400:
+ *         description: Job not found or not in a cancellable state
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.post('/api/jobs/:id/cancel', async (req, res) => {
+  try {
+    const job = await jobQueue.cancelJob(req.params.id);
+    res.json({ success: true, job });
+  } catch (error) {
+    console.error('[ERROR] cancelling job:', error.message);
+    const status = /not found|cannot/i.test(error.message) ? 400 : 500;
+    res.status(status).json({ success: false, error: error.message });
+  }
+});
+
+/**
+ * @swagger
+ * /api/jobs/{id}/requeue:
+ *   post:
+ *     summary: Re-queue a job
+ *     description: |
+ *       Puts a failed, cancelled, skipped or finished job back into the queue with
+ *       its attempt counter reset. The job keeps its custom prompt.
+ *     tags: [Documents, API]
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Job ID
+ *     responses:
+ *       200:
+ *         description: Job re-queued
+ *       400:
+ *         description: Job not found, already queued or still running
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 error:
- *                   type: string
- *                   example: "Unauthorized: Invalid API key"
+ *               $ref: '#/components/schemas/Error'
  *       500:
- *         description: Server error processing webhook
+ *         description: Server error
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/Error'
  */
-router.post('/api/webhook/document', async (req, res) => {
+router.post('/api/jobs/:id/requeue', async (req, res) => {
   try {
-    const { url, prompt } = req.body;
-    let usePrompt = false;
-    if (!url) {
-      return res.status(400).send('Missing document URL');
-    }
-    
-    try {
-      const documentId = extractDocumentId(url);
-      const document = await paperlessService.getDocument(documentId);
-      
-      if (!document) {
-        return res.status(404).send(`Document with ID ${documentId} not found`);
-      }
-      
-      documentQueue.push(document);
-      if (prompt) {
-        usePrompt = true;
-        console.log('[DEBUG] Using custom prompt:', prompt);
-        await processQueue(prompt);
-      } else {
-        await processQueue();
-      }
-      
-      
-      res.status(202).send({
-        message: 'Document accepted for processing',
-        documentId: documentId,
-        queuePosition: documentQueue.length
-      });
-      
-    } catch (error) {
-      console.error('[ERROR] Failed to extract document ID or fetch document:', error);
-      return res.status(200).send('Invalid document URL format');
-    }
-    
+    const job = await jobQueue.requeueJob(req.params.id);
+    res.json({ success: true, job });
   } catch (error) {
-    console.error('[ERROR] Error in webhook endpoint:', error);
-    res.status(200).send('Internal server error');
+    console.error('[ERROR] re-queueing job:', error.message);
+    const status = /not found|cannot|already/i.test(error.message) ? 400 : 500;
+    res.status(status).json({ success: false, error: error.message });
   }
 });
 
@@ -2853,6 +5931,7 @@ router.get('/dashboard', async (req, res) => {
   const processingTimeStats = await documentModel.getProcessingTimeStats();
   const tokenDistribution = await documentModel.getTokenDistribution();
   const documentTypes = await documentModel.getDocumentTypeStats();
+  const budget = await budgetService.getStatus();
   
   const averagePromptTokens = metrics.length > 0 ? Math.round(metrics.reduce((acc, cur) => acc + cur.promptTokens, 0) / metrics.length) : 0;
   const averageCompletionTokens = metrics.length > 0 ? Math.round(metrics.reduce((acc, cur) => acc + cur.completionTokens, 0) / metrics.length) : 0;
@@ -2877,6 +5956,7 @@ router.get('/dashboard', async (req, res) => {
       averageTotalTokens, 
       tokensOverall 
     }, 
+    budget,
     version,
     ragEnabled: process.env.RAG_SERVICE_ENABLED === 'true'
   });
@@ -2974,6 +6054,12 @@ router.get('/settings', async (req, res) => {
     AZURE_API_KEY: process.env.AZURE_API_KEY || '',
     AZURE_DEPLOYMENT_NAME: process.env.AZURE_DEPLOYMENT_NAME || '',
     AZURE_API_VERSION: process.env.AZURE_API_VERSION || '',
+    ANTHROPIC_API_KEY: process.env.ANTHROPIC_API_KEY || '',
+    ANTHROPIC_MODEL: process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest',
+    GEMINI_API_KEY: process.env.GEMINI_API_KEY || '',
+    GEMINI_MODEL: process.env.GEMINI_MODEL || 'gemini-2.0-flash',
+    MISTRAL_API_KEY: process.env.MISTRAL_API_KEY || '',
+    MISTRAL_MODEL: process.env.MISTRAL_MODEL || 'mistral-small-latest',
     RESTRICT_TO_EXISTING_TAGS: process.env.RESTRICT_TO_EXISTING_TAGS || 'no',
     RESTRICT_TO_EXISTING_CORRESPONDENTS: process.env.RESTRICT_TO_EXISTING_CORRESPONDENTS || 'no',
     RESTRICT_TO_EXISTING_DOCUMENT_TYPES: process.env.RESTRICT_TO_EXISTING_DOCUMENT_TYPES || 'no',
@@ -2983,7 +6069,77 @@ router.get('/settings', async (req, res) => {
     EXTERNAL_API_HEADERS: process.env.EXTERNAL_API_HEADERS || '{}',
     EXTERNAL_API_BODY: process.env.EXTERNAL_API_BODY || '{}',
     EXTERNAL_API_TIMEOUT: process.env.EXTERNAL_API_TIMEOUT || '5000',
-    EXTERNAL_API_TRANSFORM: process.env.EXTERNAL_API_TRANSFORM || ''
+    EXTERNAL_API_TRANSFORM: process.env.EXTERNAL_API_TRANSFORM || '',
+    REVIEW_MODE: process.env.REVIEW_MODE || 'no',
+    FULL_SCAN_INTERVAL_HOURS: process.env.FULL_SCAN_INTERVAL_HOURS || '24',
+    PROCESSING_CONCURRENCY: process.env.PROCESSING_CONCURRENCY || '1',
+    OPENAI_RPM_LIMIT: process.env.OPENAI_RPM_LIMIT || '0',
+    OLLAMA_RPM_LIMIT: process.env.OLLAMA_RPM_LIMIT || '0',
+    CUSTOM_RPM_LIMIT: process.env.CUSTOM_RPM_LIMIT || '0',
+    AZURE_RPM_LIMIT: process.env.AZURE_RPM_LIMIT || '0',
+    ANTHROPIC_RPM_LIMIT: process.env.ANTHROPIC_RPM_LIMIT || '0',
+    GEMINI_RPM_LIMIT: process.env.GEMINI_RPM_LIMIT || '0',
+    MISTRAL_RPM_LIMIT: process.env.MISTRAL_RPM_LIMIT || '0',
+    DAILY_TOKEN_BUDGET: process.env.DAILY_TOKEN_BUDGET || '0',
+    MONTHLY_TOKEN_BUDGET: process.env.MONTHLY_TOKEN_BUDGET || '0',
+    DAILY_COST_BUDGET: process.env.DAILY_COST_BUDGET || '0',
+    MONTHLY_COST_BUDGET: process.env.MONTHLY_COST_BUDGET || '0',
+    MODEL_PRICES: process.env.MODEL_PRICES || '',
+    BUDGET_ALERT_WEBHOOK_URL: process.env.BUDGET_ALERT_WEBHOOK_URL || '',
+    AI_PROVIDER_FALLBACKS: process.env.AI_PROVIDER_FALLBACKS || '',
+    CLASSIFICATION_AI_PROVIDER: process.env.CLASSIFICATION_AI_PROVIDER || '',
+    CLASSIFICATION_MODEL: process.env.CLASSIFICATION_MODEL || '',
+    RAG_AI_PROVIDER: process.env.RAG_AI_PROVIDER || '',
+    RAG_MODEL: process.env.RAG_MODEL || '',
+    CHAT_AI_PROVIDER: process.env.CHAT_AI_PROVIDER || '',
+    CHAT_MODEL: process.env.CHAT_MODEL || '',
+    PLAYGROUND_AI_PROVIDER: process.env.PLAYGROUND_AI_PROVIDER || '',
+    PLAYGROUND_MODEL: process.env.PLAYGROUND_MODEL || '',
+    CIRCUIT_BREAKER_THRESHOLD: process.env.CIRCUIT_BREAKER_THRESHOLD || '3',
+    CIRCUIT_BREAKER_COOLDOWN_SECONDS: process.env.CIRCUIT_BREAKER_COOLDOWN_SECONDS || '300',
+    OIDC_ENABLED: process.env.OIDC_ENABLED || 'no',
+    OIDC_ISSUER_URL: process.env.OIDC_ISSUER_URL || '',
+    OIDC_CLIENT_ID: process.env.OIDC_CLIENT_ID || '',
+    OIDC_CLIENT_SECRET: process.env.OIDC_CLIENT_SECRET || '',
+    OIDC_REDIRECT_URI: process.env.OIDC_REDIRECT_URI || '',
+    OIDC_SCOPES: process.env.OIDC_SCOPES || 'openid profile email groups',
+    OIDC_USERNAME_CLAIM: process.env.OIDC_USERNAME_CLAIM || 'preferred_username',
+    OIDC_GROUPS_CLAIM: process.env.OIDC_GROUPS_CLAIM || 'groups',
+    OIDC_BUTTON_LABEL: process.env.OIDC_BUTTON_LABEL || 'Sign in with SSO',
+    SSO_ROLE_MAPPING: process.env.SSO_ROLE_MAPPING || '',
+    SSO_DEFAULT_ROLE: process.env.SSO_DEFAULT_ROLE || '',
+    SSO_AUTO_PROVISION: process.env.SSO_AUTO_PROVISION || 'no',
+    PROXY_AUTH_ENABLED: process.env.PROXY_AUTH_ENABLED || 'no',
+    PROXY_AUTH_USER_HEADER: process.env.PROXY_AUTH_USER_HEADER || 'Remote-User',
+    PROXY_AUTH_GROUPS_HEADER: process.env.PROXY_AUTH_GROUPS_HEADER || 'Remote-Groups',
+    PROXY_AUTH_TRUSTED_PROXIES: process.env.PROXY_AUTH_TRUSTED_PROXIES || '',
+    ACCESS_TOKEN_TTL_MINUTES: process.env.ACCESS_TOKEN_TTL_MINUTES || '15',
+    SESSION_TTL_DAYS: process.env.SESSION_TTL_DAYS || '30',
+    MERGE_POLICY_TITLE: process.env.MERGE_POLICY_TITLE || 'overwrite',
+    MERGE_POLICY_CREATED: process.env.MERGE_POLICY_CREATED || 'overwrite',
+    MERGE_POLICY_CORRESPONDENT: process.env.MERGE_POLICY_CORRESPONDENT || 'fill-if-empty',
+    MERGE_POLICY_DOCUMENT_TYPE: process.env.MERGE_POLICY_DOCUMENT_TYPE || 'overwrite',
+    MERGE_POLICY_TAGS: process.env.MERGE_POLICY_TAGS || 'merge',
+    MERGE_POLICY_LANGUAGE: process.env.MERGE_POLICY_LANGUAGE || 'overwrite',
+    MERGE_POLICY_CUSTOM_FIELDS: process.env.MERGE_POLICY_CUSTOM_FIELDS || 'overwrite',
+    MERGE_POLICY_STORAGE_PATH: process.env.MERGE_POLICY_STORAGE_PATH || 'overwrite',
+    CONFIDENCE_THRESHOLD: process.env.CONFIDENCE_THRESHOLD || '0',
+    CONFIDENCE_FIELD_THRESHOLDS: process.env.CONFIDENCE_FIELD_THRESHOLDS || '',
+    LOW_CONFIDENCE_ACTION: process.env.LOW_CONFIDENCE_ACTION || 'skip',
+    NEEDS_REVIEW_TAG: process.env.NEEDS_REVIEW_TAG ?? 'needs-review',
+    TAG_SIMILARITY_THRESHOLD: process.env.TAG_SIMILARITY_THRESHOLD || '0',
+    TAG_MATCH_EMBEDDINGS: process.env.TAG_MATCH_EMBEDDINGS || 'no',
+    TAG_EMBEDDING_THRESHOLD: process.env.TAG_EMBEDDING_THRESHOLD || '0.85',
+    CORRESPONDENT_NORMALIZE: process.env.CORRESPONDENT_NORMALIZE || 'yes',
+    CORRESPONDENT_MATCH_IDENTIFIERS: process.env.CORRESPONDENT_MATCH_IDENTIFIERS || 'no',
+    CORRESPONDENT_IGNORED_IDENTIFIERS: process.env.CORRESPONDENT_IGNORED_IDENTIFIERS || '',
+    VISION_FALLBACK_ENABLED: process.env.VISION_FALLBACK_ENABLED || 'no',
+    VISION_MODEL: process.env.VISION_MODEL || '',
+    VISION_MIN_TEXT_QUALITY: process.env.VISION_MIN_TEXT_QUALITY || '0.5',
+    VISION_MAX_IMAGE_MB: process.env.VISION_MAX_IMAGE_MB || '10',
+    LONG_DOCUMENT_MODE: process.env.LONG_DOCUMENT_MODE || 'no',
+    LONG_DOCUMENT_CHUNK_TOKENS: process.env.LONG_DOCUMENT_CHUNK_TOKENS || '8000',
+    LONG_DOCUMENT_MAX_CHUNKS: process.env.LONG_DOCUMENT_MAX_CHUNKS || '10'
   };
   
   if (isConfigured) {
@@ -3213,7 +6369,8 @@ router.get('/debug/correspondents', async (req, res) => {
  *       This endpoint processes the document text to extract relevant information such as tags,
  *       correspondent, and document type based on content analysis.
  *       
- *       The analysis is performed using the AI provider configured in the application settings.
+ *       The analysis is performed using the AI provider configured in the application settings,
+ *       or the prompt, provider and model of the processing profile matching the document `id`.
  *     tags:
  *       - Documents
  *       - API
@@ -3296,40 +6453,32 @@ router.get('/debug/correspondents', async (req, res) => {
  */
 router.post('/manual/analyze', express.json(), async (req, res) => {
   try {
-    const { content, existingTags, id } = req.body;
-    let existingCorrespondentList = await paperlessService.listCorrespondentsNames();
-    existingCorrespondentList = existingCorrespondentList.map(correspondent => correspondent.name);
-    let existingTagsList = await paperlessService.listTagNames();
-    existingTagsList = existingTagsList.map(tags => tags.name);
-    let existingDocumentTypes = await paperlessService.listDocumentTypesNames();
-    let existingDocumentTypesList = existingDocumentTypes.map(docType => docType.name);
+    const { content, id } = req.body;
     
     if (!content || typeof content !== 'string') {
       console.log('Invalid content received:', content);
       return res.status(400).json({ error: 'Valid content string is required' });
     }
 
-    if (process.env.AI_PROVIDER === 'openai') {
-      const analyzeDocument = await openaiService.analyzeDocument(content, existingTagsList, existingCorrespondentList, existingDocumentTypesList, id || []);
+    const metadata = await documentProcessor.loadMetadata();
+    // Same processing profile as the automatic processing; without the document there is none
+    const document = id ? await paperlessService.getDocument(id).catch(() => null) : null;
+    const profile = await profileService.findProfile(document);
+    if (profile) {
+      console.log(`[DEBUG] Manual analysis of document ${id} uses processing profile "${profile.name}"`);
+    }
+    const analyzeDocument = await documentProcessor.analyzeContent(content, metadata, id || [], null, profile);
+    if (id && analyzeDocument.metrics) {
       await documentModel.addOpenAIMetrics(
-            id, 
-            analyzeDocument.metrics.promptTokens,
-            analyzeDocument.metrics.completionTokens,
-            analyzeDocument.metrics.totalTokens
-          )
-      return res.json(analyzeDocument);
-    } else if (process.env.AI_PROVIDER === 'ollama') {
-      const analyzeDocument = await ollamaService.analyzeDocument(content, existingTagsList, existingCorrespondentList, existingDocumentTypesList, id || []);
-      return res.json(analyzeDocument);
-    } else if (process.env.AI_PROVIDER === 'custom') {
-      const analyzeDocument = await customService.analyzeDocument(content, existingTagsList, existingCorrespondentList, existingDocumentTypesList, id || []);
-      return res.json(analyzeDocument);
-    } else if (process.env.AI_PROVIDER === 'azure') {
-      const analyzeDocument = await azureService.analyzeDocument(content, existingTagsList, existingCorrespondentList, existingDocumentTypesList, id || []);
-      return res.json(analyzeDocument);
-    } else {
-      return res.status(500).json({ error: 'AI provider not configured' });
+        id,
+        analyzeDocument.metrics.promptTokens,
+        analyzeDocument.metrics.completionTokens,
+        analyzeDocument.metrics.totalTokens,
+        analyzeDocument.metrics.model,
+        analyzeDocument.metrics.chunks
+      );
     }
+    return res.json(analyzeDocument);
   } catch (error) {
     console.error('Analysis error:', error);
     return res.status(500).json({ error: error.message });
@@ -3346,8 +6495,9 @@ router.post('/manual/analyze', express.json(), async (req, res) => {
  *       This endpoint is primarily used for testing and experimenting with different prompts
  *       without affecting the actual document processing workflow.
  *       
- *       The analysis is performed using the AI provider configured in the application settings,
- *       but with a custom prompt that overrides the default system prompt.
+ *       The analysis is performed using the playground provider and model (PLAYGROUND_AI_PROVIDER,
+ *       PLAYGROUND_MODEL; AI_PROVIDER and its model if not set), but with a custom prompt that
+ *       overrides the default system prompt.
  *     tags:
  *       - Documents
  *       - API
@@ -3421,39 +6571,24 @@ router.post('/manual/playground', express.json(), async (req, res) => {
       return res.status(400).json({ error: 'Valid content string is required' });
     }
 
-    if (process.env.AI_PROVIDER === 'openai') {
-      const analyzeDocument = await openaiService.analyzePlayground(content, prompt);
-      await documentModel.addOpenAIMetrics(
-        documentId, 
-        analyzeDocument.metrics.promptTokens,
-        analyzeDocument.metrics.completionTokens,
-        analyzeDocument.metrics.totalTokens
-      )
-      return res.json(analyzeDocument);
-    } else if (process.env.AI_PROVIDER === 'ollama') {
-      const analyzeDocument = await ollamaService.analyzePlayground(content, prompt);
-      return res.json(analyzeDocument);
-    } else if (process.env.AI_PROVIDER === 'custom') {
-      const analyzeDocument = await customService.analyzePlayground(content, prompt);
-      await documentModel.addOpenAIMetrics(
-        documentId, 
-        analyzeDocument.metrics.promptTokens,
-        analyzeDocument.metrics.completionTokens,
-        analyzeDocument.metrics.totalTokens
-      )
-      return res.json(analyzeDocument);
-    } else if (process.env.AI_PROVIDER === 'azure') {
-      const analyzeDocument = await azureService.analyzePlayground(content, prompt);
+    // PLAYGROUND_AI_PROVIDER / PLAYGROUND_MODEL, defaulting to AI_PROVIDER and its model
+    const { provider, model } = AIServiceFactory.getTaskSettings('playground');
+    if (!AIServiceFactory.isProvider(provider)) {
+      return res.status(500).json({ error: 'AI provider not configured' });
+    }
+
+    const analyzeDocument = await AIServiceFactory.getService(provider).analyzePlayground(content, prompt, { model });
+    // Ollama runs locally, its tokens are not counted
+    if (provider !== 'ollama' && analyzeDocument.metrics) {
       await documentModel.addOpenAIMetrics(
-        documentId, 
+        documentId,
         analyzeDocument.metrics.promptTokens,
         analyzeDocument.metrics.completionTokens,
-        analyzeDocument.metrics.totalTokens
-      )
-      return res.json(analyzeDocument);
-    } else {
-      return res.status(500).json({ error: 'AI provider not configured' });
+        analyzeDocument.metrics.totalTokens,
+        model || budgetService.getActiveModel(provider)
+      );
     }
+    return res.json(analyzeDocument);
   } catch (error) {
     console.error('Analysis error:', error);
     return res.status(500).json({ error: error.message });
@@ -3471,6 +6606,7 @@ router.post('/manual/playground', express.json(), async (req, res) => {
  *       new tags or correspondents if they don't exist in the system.
  *       
  *       The endpoint also removes any unused tags from the document to keep the metadata clean.
+ *       The values are applied as given, the configured merge policies do not apply here.
  *     tags:
  *       - Documents
  *       - API
@@ -3557,13 +6693,15 @@ router.post('/manual/updateDocument', express.json(), async (req, res) => {
     tags = tags.filter(tag => tag != null);
 
     // Process new tags to get their IDs
-    const { tagIds, errors } = await paperlessService.processTags(tags);
+    const { tagIds, errors } = await paperlessService.processTags(tags, { matchSimilarTags: false });
     if (errors.length > 0) {
       return res.status(400).json({ errors });
     }
 
     // Process correspondent if provided
-    const correspondentData = correspondent ? await paperlessService.getOrCreateCorrespondent(correspondent) : null;
+    const correspondentData = correspondent
+      ? await paperlessService.getOrCreateCorrespondent(correspondent, { matchSimilarCorrespondents: false })
+      : null;
 
 
     await paperlessService.removeUnusedTagsFromDocument(documentId, tagIds);
@@ -3578,7 +6716,10 @@ router.post('/manual/updateDocument', express.json(), async (req, res) => {
     if(updateData.tags === null && updateData.correspondent === null && updateData.title === null) {
       return res.status(400).json({ error: 'No changes provided' });
     }
-    const updateDocument = await paperlessService.updateDocument(documentId, updateData);
+    // Values entered by hand replace the current ones regardless of the merge policies
+    const updateDocument = await paperlessService.updateDocument(documentId, updateData, {
+      policies: mergePolicyService.getPolicies(mergePolicyService.fields)
+    });
     
     // Mark document as processed
     await documentModel.addProcessedDocument(documentId, updateData.title);
@@ -3854,6 +6995,14 @@ router.get('/health', async (req, res) => {
  */
 router.post('/setup', express.json(), async (req, res) => {
   try {
+    // The setup is public, so it must not be able to take over an existing installation
+    const existingUsers = await documentModel.getUsers();
+    if (existingUsers.length > 0 && await setupService.isConfigured()) {
+      return res.status(403).json({
+        error: 'Setup has already been completed'
+      });
+    }
+
     const { 
       paperlessUrl, 
       paperlessToken,
@@ -3889,11 +7038,17 @@ router.post('/setup', express.json(), async (req, res) => {
       azureEndpoint,
       azureApiKey,
       azureDeploymentName,
-      azureApiVersion
+      azureApiVersion,
+      anthropicApiKey,
+      anthropicModel,
+      geminiApiKey,
+      geminiModel,
+      mistralApiKey,
+      mistralModel
     } = req.body;
 
     // Log setup request with sensitive data redacted
-    const sensitiveKeys = ['paperlessToken', 'openaiKey', 'customApiKey', 'password', 'confirmPassword'];
+    const sensitiveKeys = ['paperlessToken', 'openaiKey', 'customApiKey', 'azureApiKey', 'anthropicApiKey', 'geminiApiKey', 'mistralApiKey', 'password', 'confirmPassword'];
     const redactedBody = Object.fromEntries(
       Object.entries(req.body).map(([key, value]) => [
       key,
@@ -4011,7 +7166,13 @@ router.post('/setup', express.json(), async (req, res) => {
       AZURE_ENDPOINT: azureEndpoint || '',
       AZURE_API_KEY: azureApiKey || '',
       AZURE_DEPLOYMENT_NAME: azureDeploymentName || '',
-      AZURE_API_VERSION: azureApiVersion || ''
+      AZURE_API_VERSION: azureApiVersion || '',
+      ANTHROPIC_API_KEY: anthropicApiKey || '',
+      ANTHROPIC_MODEL: anthropicModel || 'claude-3-5-haiku-latest',
+      GEMINI_API_KEY: geminiApiKey || '',
+      GEMINI_MODEL: geminiModel || 'gemini-2.0-flash',
+      MISTRAL_API_KEY: mistralApiKey || '',
+      MISTRAL_MODEL: mistralModel || 'mistral-small-latest'
     };
     
     // Validate AI provider config
@@ -4050,12 +7211,29 @@ router.post('/setup', express.json(), async (req, res) => {
           error: 'Azure connection failed. Please check URL, API Key, Deployment Name and API Version.'
         });
       }
+    } else if (['anthropic', 'gemini', 'mistral'].includes(aiProvider)) {
+      const isNativeValid = await setupService.validateNativeProviderConfig(
+        aiProvider,
+        config[`${aiProvider.toUpperCase()}_API_KEY`],
+        config[`${aiProvider.toUpperCase()}_MODEL`]
+      );
+      if (!isNativeValid) {
+        return res.status(400).json({
+          error: `${aiProvider} connection failed. Please check API Key and Model.`
+        });
+      }
     }
 
     // Save configuration
     await setupService.saveConfig(config);
     const hashedPassword = await bcrypt.hash(password, 15);
-    await documentModel.addUser(username, hashedPassword);
+    const existingUser = existingUsers.find(user => user.username === username);
+    if (existingUser) {
+      await documentModel.updateUserPassword(existingUser.id, hashedPassword);
+      await documentModel.updateUserRole(existingUser.id, 'admin');
+    } else {
+      await documentModel.addUser(username, hashedPassword, 'admin');
+    }
 
     res.json({ 
       success: true,
@@ -4209,6 +7387,14 @@ router.post('/setup', express.json(), async (req, res) => {
  *                 type: boolean
  *                 description: Enable AI-based custom field extraction
  *                 example: false
+ *               activateStoragePath:
+ *                 type: boolean
+ *                 description: Let the AI choose one of the existing storage paths
+ *                 example: false
+ *               activatePermissions:
+ *                 type: boolean
+ *                 description: Assign owner and permissions by the permission rules
+ *                 example: false
  *               customFields:
  *                 type: string
  *                 description: JSON string defining custom fields to extract
@@ -4291,12 +7477,20 @@ router.post('/settings', express.json(), async (req, res) => {
       activateDocumentType,
       activateTitle,
       activateCustomFields,
+      activateStoragePath,
+      activatePermissions,
       customFields,  // Added parameter
       disableAutomaticProcessing,
       azureEndpoint,
       azureApiKey,
       azureDeploymentName,
-      azureApiVersion
+      azureApiVersion,
+      anthropicApiKey,
+      anthropicModel,
+      geminiApiKey,
+      geminiModel,
+      mistralApiKey,
+      mistralModel
     } = req.body;
 
     //replace equal char in system prompt
@@ -4334,12 +7528,20 @@ router.post('/settings', express.json(), async (req, res) => {
       ACTIVATE_DOCUMENT_TYPE: process.env.ACTIVATE_DOCUMENT_TYPE || 'yes',
       ACTIVATE_TITLE: process.env.ACTIVATE_TITLE || 'yes',
       ACTIVATE_CUSTOM_FIELDS: process.env.ACTIVATE_CUSTOM_FIELDS || 'yes',
+      ACTIVATE_STORAGE_PATH: process.env.ACTIVATE_STORAGE_PATH || 'no',
+      ACTIVATE_PERMISSIONS: process.env.ACTIVATE_PERMISSIONS || 'no',
       CUSTOM_FIELDS: process.env.CUSTOM_FIELDS || '{"custom_fields":[]}',  // Added default
       DISABLE_AUTOMATIC_PROCESSING: process.env.DISABLE_AUTOMATIC_PROCESSING || 'no',
       AZURE_ENDPOINT: process.env.AZURE_ENDPOINT|| '',
       AZURE_API_KEY: process.env.AZURE_API_KEY || '',
       AZURE_DEPLOYMENT_NAME: process.env.AZURE_DEPLOYMENT_NAME || '',
       AZURE_API_VERSION: process.env.AZURE_API_VERSION || '',
+      ANTHROPIC_API_KEY: process.env.ANTHROPIC_API_KEY || '',
+      ANTHROPIC_MODEL: process.env.ANTHROPIC_MODEL || 'claude-3-5-haiku-latest',
+      GEMINI_API_KEY: process.env.GEMINI_API_KEY || '',
+      GEMINI_MODEL: process.env.GEMINI_MODEL || 'gemini-2.0-flash',
+      MISTRAL_API_KEY: process.env.MISTRAL_API_KEY || '',
+      MISTRAL_MODEL: process.env.MISTRAL_MODEL || 'mistral-small-latest',
       RESTRICT_TO_EXISTING_TAGS: process.env.RESTRICT_TO_EXISTING_TAGS || 'no',
       RESTRICT_TO_EXISTING_CORRESPONDENTS: process.env.RESTRICT_TO_EXISTING_CORRESPONDENTS || 'no',
       RESTRICT_TO_EXISTING_DOCUMENT_TYPES: process.env.RESTRICT_TO_EXISTING_DOCUMENT_TYPES || 'no',
@@ -4349,7 +7551,77 @@ router.post('/settings', express.json(), async (req, res) => {
       EXTERNAL_API_HEADERS: process.env.EXTERNAL_API_HEADERS || '{}',
       EXTERNAL_API_BODY: process.env.EXTERNAL_API_BODY || '{}',
       EXTERNAL_API_TIMEOUT: process.env.EXTERNAL_API_TIMEOUT || '5000',
-      EXTERNAL_API_TRANSFORM: process.env.EXTERNAL_API_TRANSFORM || ''
+      EXTERNAL_API_TRANSFORM: process.env.EXTERNAL_API_TRANSFORM || '',
+      REVIEW_MODE: process.env.REVIEW_MODE || 'no',
+      FULL_SCAN_INTERVAL_HOURS: process.env.FULL_SCAN_INTERVAL_HOURS || '24',
+      PROCESSING_CONCURRENCY: process.env.PROCESSING_CONCURRENCY || '1',
+      OPENAI_RPM_LIMIT: process.env.OPENAI_RPM_LIMIT || '0',
+      OLLAMA_RPM_LIMIT: process.env.OLLAMA_RPM_LIMIT || '0',
+      CUSTOM_RPM_LIMIT: process.env.CUSTOM_RPM_LIMIT || '0',
+      AZURE_RPM_LIMIT: process.env.AZURE_RPM_LIMIT || '0',
+      ANTHROPIC_RPM_LIMIT: process.env.ANTHROPIC_RPM_LIMIT || '0',
+      GEMINI_RPM_LIMIT: process.env.GEMINI_RPM_LIMIT || '0',
+      MISTRAL_RPM_LIMIT: process.env.MISTRAL_RPM_LIMIT || '0',
+      DAILY_TOKEN_BUDGET: process.env.DAILY_TOKEN_BUDGET || '0',
+      MONTHLY_TOKEN_BUDGET: process.env.MONTHLY_TOKEN_BUDGET || '0',
+      DAILY_COST_BUDGET: process.env.DAILY_COST_BUDGET || '0',
+      MONTHLY_COST_BUDGET: process.env.MONTHLY_COST_BUDGET || '0',
+      MODEL_PRICES: process.env.MODEL_PRICES || '',
+      BUDGET_ALERT_WEBHOOK_URL: process.env.BUDGET_ALERT_WEBHOOK_URL || '',
+      AI_PROVIDER_FALLBACKS: process.env.AI_PROVIDER_FALLBACKS || '',
+      CLASSIFICATION_AI_PROVIDER: process.env.CLASSIFICATION_AI_PROVIDER || '',
+      CLASSIFICATION_MODEL: process.env.CLASSIFICATION_MODEL || '',
+      RAG_AI_PROVIDER: process.env.RAG_AI_PROVIDER || '',
+      RAG_MODEL: process.env.RAG_MODEL || '',
+      CHAT_AI_PROVIDER: process.env.CHAT_AI_PROVIDER || '',
+      CHAT_MODEL: process.env.CHAT_MODEL || '',
+      PLAYGROUND_AI_PROVIDER: process.env.PLAYGROUND_AI_PROVIDER || '',
+      PLAYGROUND_MODEL: process.env.PLAYGROUND_MODEL || '',
+      CIRCUIT_BREAKER_THRESHOLD: process.env.CIRCUIT_BREAKER_THRESHOLD || '3',
+      CIRCUIT_BREAKER_COOLDOWN_SECONDS: process.env.CIRCUIT_BREAKER_COOLDOWN_SECONDS || '300',
+      OIDC_ENABLED: process.env.OIDC_ENABLED || 'no',
+      OIDC_ISSUER_URL: process.env.OIDC_ISSUER_URL || '',
+      OIDC_CLIENT_ID: process.env.OIDC_CLIENT_ID || '',
+      OIDC_CLIENT_SECRET: process.env.OIDC_CLIENT_SECRET || '',
+      OIDC_REDIRECT_URI: process.env.OIDC_REDIRECT_URI || '',
+      OIDC_SCOPES: process.env.OIDC_SCOPES || 'openid profile email groups',
+      OIDC_USERNAME_CLAIM: process.env.OIDC_USERNAME_CLAIM || 'preferred_username',
+      OIDC_GROUPS_CLAIM: process.env.OIDC_GROUPS_CLAIM || 'groups',
+      OIDC_BUTTON_LABEL: process.env.OIDC_BUTTON_LABEL || 'Sign in with SSO',
+      SSO_ROLE_MAPPING: process.env.SSO_ROLE_MAPPING || '',
+      SSO_DEFAULT_ROLE: process.env.SSO_DEFAULT_ROLE || '',
+      SSO_AUTO_PROVISION: process.env.SSO_AUTO_PROVISION || 'no',
+      PROXY_AUTH_ENABLED: process.env.PROXY_AUTH_ENABLED || 'no',
+      PROXY_AUTH_USER_HEADER: process.env.PROXY_AUTH_USER_HEADER || 'Remote-User',
+      PROXY_AUTH_GROUPS_HEADER: process.env.PROXY_AUTH_GROUPS_HEADER || 'Remote-Groups',
+      PROXY_AUTH_TRUSTED_PROXIES: process.env.PROXY_AUTH_TRUSTED_PROXIES || '',
+      ACCESS_TOKEN_TTL_MINUTES: process.env.ACCESS_TOKEN_TTL_MINUTES || '15',
+      SESSION_TTL_DAYS: process.env.SESSION_TTL_DAYS || '30',
+      MERGE_POLICY_TITLE: process.env.MERGE_POLICY_TITLE || 'overwrite',
+      MERGE_POLICY_CREATED: process.env.MERGE_POLICY_CREATED || 'overwrite',
+      MERGE_POLICY_CORRESPONDENT: process.env.MERGE_POLICY_CORRESPONDENT || 'fill-if-empty',
+      MERGE_POLICY_DOCUMENT_TYPE: process.env.MERGE_POLICY_DOCUMENT_TYPE || 'overwrite',
+      MERGE_POLICY_TAGS: process.env.MERGE_POLICY_TAGS || 'merge',
+      MERGE_POLICY_LANGUAGE: process.env.MERGE_POLICY_LANGUAGE || 'overwrite',
+      MERGE_POLICY_CUSTOM_FIELDS: process.env.MERGE_POLICY_CUSTOM_FIELDS || 'overwrite',
+      MERGE_POLICY_STORAGE_PATH: process.env.MERGE_POLICY_STORAGE_PATH || 'overwrite',
+      CONFIDENCE_THRESHOLD: process.env.CONFIDENCE_THRESHOLD || '0',
+      CONFIDENCE_FIELD_THRESHOLDS: process.env.CONFIDENCE_FIELD_THRESHOLDS || '',
+      LOW_CONFIDENCE_ACTION: process.env.LOW_CONFIDENCE_ACTION || 'skip',
+      NEEDS_REVIEW_TAG: process.env.NEEDS_REVIEW_TAG ?? 'needs-review',
+      TAG_SIMILARITY_THRESHOLD: process.env.TAG_SIMILARITY_THRESHOLD || '0',
+      TAG_MATCH_EMBEDDINGS: process.env.TAG_MATCH_EMBEDDINGS || 'no',
+      TAG_EMBEDDING_THRESHOLD: process.env.TAG_EMBEDDING_THRESHOLD || '0.85',
+      CORRESPONDENT_NORMALIZE: process.env.CORRESPONDENT_NORMALIZE || 'yes',
+      CORRESPONDENT_MATCH_IDENTIFIERS: process.env.CORRESPONDENT_MATCH_IDENTIFIERS || 'no',
+      CORRESPONDENT_IGNORED_IDENTIFIERS: process.env.CORRESPONDENT_IGNORED_IDENTIFIERS || '',
+      VISION_FALLBACK_ENABLED: process.env.VISION_FALLBACK_ENABLED || 'no',
+      VISION_MODEL: process.env.VISION_MODEL || '',
+      VISION_MIN_TEXT_QUALITY: process.env.VISION_MIN_TEXT_QUALITY || '0.5',
+      VISION_MAX_IMAGE_MB: process.env.VISION_MAX_IMAGE_MB || '10',
+      LONG_DOCUMENT_MODE: process.env.LONG_DOCUMENT_MODE || 'no',
+      LONG_DOCUMENT_CHUNK_TOKENS: process.env.LONG_DOCUMENT_CHUNK_TOKENS || '8000',
+      LONG_DOCUMENT_MAX_CHUNKS: process.env.LONG_DOCUMENT_MAX_CHUNKS || '10'
     };
 
     // Process custom fields
@@ -4363,7 +7635,8 @@ router.post('/settings', express.json(), async (req, res) => {
         processedCustomFields = parsedFields.custom_fields.map(field => ({
           value: field.value,
           data_type: field.data_type,
-          ...(field.currency && { currency: field.currency })
+          ...(field.currency && { currency: field.currency }),
+          ...(mergePolicyService.isValidPolicy('custom_fields', field.merge_policy) && { merge_policy: field.merge_policy })
         }));
       } catch (error) {
         console.error('Error processing custom fields:', error);
@@ -4400,6 +7673,122 @@ router.post('/settings', express.json(), async (req, res) => {
     const externalApiTimeout = req.body.externalApiTimeout || '5000';
     const externalApiTransform = req.body.externalApiTransform || '';
 
+    // Extract review mode setting
+    const reviewMode = req.body.reviewMode === 'on' || req.body.reviewMode === 'yes';
+
+    // Extract concurrency and rate limit settings (non-negative integers)
+    const parseLimit = (value, fallback) => {
+      const parsed = parseInt(value, 10);
+      return isNaN(parsed) || parsed < 0 ? fallback : String(parsed);
+    };
+
+    // Extract budget settings (non-negative amounts, price table as JSON)
+    const parseAmount = (value, fallback) => {
+      const parsed = parseFloat(value);
+      return isNaN(parsed) || parsed < 0 ? fallback : String(parsed);
+    };
+    const modelPrices = (req.body.modelPrices || '').trim();
+    if (modelPrices) {
+      try {
+        JSON.parse(modelPrices);
+      } catch {
+        return res.status(400).json({ error: 'Model prices must be valid JSON' });
+      }
+    }
+
+    // Extract the provider fallback chain (comma-separated, in order)
+    const providerFallbacks = (req.body.aiProviderFallbacks || '')
+      .split(',')
+      .map(provider => provider.trim().toLowerCase())
+      .filter(Boolean);
+    const invalidFallback = providerFallbacks.find(provider => !AIServiceFactory.isProvider(provider));
+    if (invalidFallback) {
+      return res.status(400).json({ error: `Invalid fallback provider: ${invalidFallback}` });
+    }
+
+    // Extract the provider and model of every task (empty = AI_PROVIDER and its model)
+    const taskModels = {};
+    for (const task of AIServiceFactory.TASKS) {
+      const provider = (req.body[`${task}AiProvider`] || '').trim().toLowerCase();
+      if (provider && !AIServiceFactory.isProvider(provider)) {
+        return res.status(400).json({ error: `Invalid ${task} provider: ${provider}` });
+      }
+      taskModels[task] = { provider, model: (req.body[`${task}Model`] || '').trim() };
+    }
+
+    const ssoRoleMapping = (req.body.ssoRoleMapping || '').split(',').map(entry => entry.trim()).filter(Boolean);
+    const invalidMapping = ssoRoleMapping.find(entry => !/^[^=]+=(admin|reviewer|readonly)$/.test(entry));
+    if (invalidMapping) {
+      return res.status(400).json({ error: `Invalid role mapping: ${invalidMapping}. Use group=admin|reviewer|readonly` });
+    }
+    if (req.body.oidcEnabled && (!req.body.oidcIssuerUrl || !req.body.oidcClientId)) {
+      return res.status(400).json({ error: 'OIDC requires an issuer URL and a client ID' });
+    }
+
+    // Extract merge policies (fields without a value keep their current policy)
+    const mergePolicies = {
+      title: req.body.mergePolicyTitle || currentConfig.MERGE_POLICY_TITLE,
+      created: req.body.mergePolicyCreated || currentConfig.MERGE_POLICY_CREATED,
+      correspondent: req.body.mergePolicyCorrespondent || currentConfig.MERGE_POLICY_CORRESPONDENT,
+      document_type: req.body.mergePolicyDocumentType || currentConfig.MERGE_POLICY_DOCUMENT_TYPE,
+      tags: req.body.mergePolicyTags || currentConfig.MERGE_POLICY_TAGS,
+      language: req.body.mergePolicyLanguage || currentConfig.MERGE_POLICY_LANGUAGE,
+      custom_fields: req.body.mergePolicyCustomFields || currentConfig.MERGE_POLICY_CUSTOM_FIELDS,
+      storage_path: req.body.mergePolicyStoragePath || currentConfig.MERGE_POLICY_STORAGE_PATH
+    };
+    try {
+      mergePolicyService.validate(mergePolicies);
+    } catch (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    // Extract confidence settings (thresholds between 0 and 1)
+    const isConfidence = (value) => /^\s*\d+(\.\d+)?\s*$/.test(value) && parseFloat(value) <= 1;
+    const confidenceThreshold = req.body.confidenceThreshold ?? currentConfig.CONFIDENCE_THRESHOLD;
+    if (!isConfidence(String(confidenceThreshold))) {
+      return res.status(400).json({ error: 'Confidence threshold must be a number between 0 and 1' });
+    }
+    const confidenceFieldThresholds = (req.body.confidenceFieldThresholds || '').split(',').map(entry => entry.trim()).filter(Boolean);
+    const confidenceFields = [...confidenceService.fields, 'custom_fields'];
+    const invalidThreshold = confidenceFieldThresholds.find(entry => {
+      const [field, value = ''] = entry.split('=').map(part => part.trim());
+      return !confidenceFields.includes(field) || !isConfidence(value);
+    });
+    if (invalidThreshold) {
+      return res.status(400).json({ error: `Invalid field threshold: ${invalidThreshold}. Use field=0.8 with field one of ${confidenceFields.join(', ')}` });
+    }
+    const lowConfidenceAction = req.body.lowConfidenceAction || currentConfig.LOW_CONFIDENCE_ACTION;
+    if (!['skip', 'review'].includes(lowConfidenceAction)) {
+      return res.status(400).json({ error: `Invalid low confidence action: ${lowConfidenceAction}` });
+    }
+
+    // Extract tag matching settings (similarities between 0 and 1)
+    const tagSimilarityThreshold = req.body.tagSimilarityThreshold ?? currentConfig.TAG_SIMILARITY_THRESHOLD;
+    const tagEmbeddingThreshold = req.body.tagEmbeddingThreshold ?? currentConfig.TAG_EMBEDDING_THRESHOLD;
+    if (!isConfidence(String(tagSimilarityThreshold)) || !isConfidence(String(tagEmbeddingThreshold))) {
+      return res.status(400).json({ error: 'Tag similarity thresholds must be numbers between 0 and 1' });
+    }
+
+    // Extract vision fallback settings
+    const visionMinTextQuality = req.body.visionMinTextQuality ?? currentConfig.VISION_MIN_TEXT_QUALITY;
+    if (!isConfidence(String(visionMinTextQuality))) {
+      return res.status(400).json({ error: 'Minimum text quality must be a number between 0 and 1' });
+    }
+    const visionMaxImageMb = parseInt(req.body.visionMaxImageMb ?? currentConfig.VISION_MAX_IMAGE_MB, 10);
+    if (isNaN(visionMaxImageMb) || visionMaxImageMb < 0) {
+      return res.status(400).json({ error: 'Maximum image size must be a positive number' });
+    }
+
+    // Extract long document settings
+    const longDocumentChunkTokens = parseInt(req.body.longDocumentChunkTokens ?? currentConfig.LONG_DOCUMENT_CHUNK_TOKENS, 10);
+    const longDocumentMaxChunks = parseInt(req.body.longDocumentMaxChunks ?? currentConfig.LONG_DOCUMENT_MAX_CHUNKS, 10);
+    if (isNaN(longDocumentChunkTokens) || longDocumentChunkTokens < 500) {
+      return res.status(400).json({ error: 'Chunk size must be at least 500 tokens' });
+    }
+    if (isNaN(longDocumentMaxChunks) || longDocumentMaxChunks < 2) {
+      return res.status(400).json({ error: 'Maximum number of chunks must be at least 2' });
+    }
+
     if (paperlessUrl !== currentConfig.PAPERLESS_API_URL?.replace('/api', '') || 
         paperlessToken !== currentConfig.PAPERLESS_API_TOKEN) {
       const isPaperlessValid = await setupService.validatePaperlessConfig(paperlessUrl, paperlessToken);
@@ -4453,6 +7842,19 @@ router.post('/settings', express.json(), async (req, res) => {
         if(azureApiKey) updatedConfig.AZURE_API_KEY = azureApiKey;
         if(azureDeploymentName) updatedConfig.AZURE_DEPLOYMENT_NAME = azureDeploymentName;
         if(azureApiVersion) updatedConfig.AZURE_API_VERSION = azureApiVersion;
+      } else if (['anthropic', 'gemini', 'mistral'].includes(aiProvider)) {
+        const apiKey = { anthropic: anthropicApiKey, gemini: geminiApiKey, mistral: mistralApiKey }[aiProvider]
+          || currentConfig[`${aiProvider.toUpperCase()}_API_KEY`];
+        const model = { anthropic: anthropicModel, gemini: geminiModel, mistral: mistralModel }[aiProvider]
+          || currentConfig[`${aiProvider.toUpperCase()}_MODEL`];
+        const isNativeValid = await setupService.validateNativeProviderConfig(aiProvider, apiKey, model);
+        if (!isNativeValid) {
+          return res.status(400).json({
+            error: `${aiProvider} connection failed. Please check API Key and Model.`
+          });
+        }
+        updatedConfig[`${aiProvider.toUpperCase()}_API_KEY`] = apiKey;
+        updatedConfig[`${aiProvider.toUpperCase()}_MODEL`] = model;
       }
     }
 
@@ -4486,6 +7888,8 @@ router.post('/settings', express.json(), async (req, res) => {
       updatedConfig.ACTIVATE_DOCUMENT_TYPE = activateDocumentType ? 'yes' : 'no';
       updatedConfig.ACTIVATE_TITLE = activateTitle ? 'yes' : 'no';
       updatedConfig.ACTIVATE_CUSTOM_FIELDS = activateCustomFields ? 'yes' : 'no';
+      updatedConfig.ACTIVATE_STORAGE_PATH = activateStoragePath ? 'yes' : 'no';
+      updatedConfig.ACTIVATE_PERMISSIONS = activatePermissions ? 'yes' : 'no';
       
       // Handle tag and correspondent restrictions
       updatedConfig.RESTRICT_TO_EXISTING_TAGS = restrictToExistingTags ? 'yes' : 'no';
@@ -4501,6 +7905,101 @@ router.post('/settings', express.json(), async (req, res) => {
       updatedConfig.EXTERNAL_API_TIMEOUT = externalApiTimeout || '5000';
       updatedConfig.EXTERNAL_API_TRANSFORM = externalApiTransform || '';
 
+      // Handle review mode
+      updatedConfig.REVIEW_MODE = reviewMode ? 'yes' : 'no';
+
+      // Handle full scan interval
+      updatedConfig.FULL_SCAN_INTERVAL_HOURS = parseLimit(req.body.fullScanIntervalHours, currentConfig.FULL_SCAN_INTERVAL_HOURS);
+
+      // Handle processing concurrency and rate limits
+      updatedConfig.PROCESSING_CONCURRENCY = String(Math.max(parseInt(parseLimit(req.body.processingConcurrency, currentConfig.PROCESSING_CONCURRENCY), 10), 1));
+      updatedConfig.OPENAI_RPM_LIMIT = parseLimit(req.body.openaiRpmLimit, currentConfig.OPENAI_RPM_LIMIT);
+      updatedConfig.OLLAMA_RPM_LIMIT = parseLimit(req.body.ollamaRpmLimit, currentConfig.OLLAMA_RPM_LIMIT);
+      updatedConfig.CUSTOM_RPM_LIMIT = parseLimit(req.body.customRpmLimit, currentConfig.CUSTOM_RPM_LIMIT);
+      updatedConfig.AZURE_RPM_LIMIT = parseLimit(req.body.azureRpmLimit, currentConfig.AZURE_RPM_LIMIT);
+      updatedConfig.ANTHROPIC_RPM_LIMIT = parseLimit(req.body.anthropicRpmLimit, currentConfig.ANTHROPIC_RPM_LIMIT);
+      updatedConfig.GEMINI_RPM_LIMIT = parseLimit(req.body.geminiRpmLimit, currentConfig.GEMINI_RPM_LIMIT);
+      updatedConfig.MISTRAL_RPM_LIMIT = parseLimit(req.body.mistralRpmLimit, currentConfig.MISTRAL_RPM_LIMIT);
+
+      // Handle token and cost budgets
+      updatedConfig.DAILY_TOKEN_BUDGET = parseLimit(req.body.dailyTokenBudget, currentConfig.DAILY_TOKEN_BUDGET);
+      updatedConfig.MONTHLY_TOKEN_BUDGET = parseLimit(req.body.monthlyTokenBudget, currentConfig.MONTHLY_TOKEN_BUDGET);
+      updatedConfig.DAILY_COST_BUDGET = parseAmount(req.body.dailyCostBudget, currentConfig.DAILY_COST_BUDGET);
+      updatedConfig.MONTHLY_COST_BUDGET = parseAmount(req.body.monthlyCostBudget, currentConfig.MONTHLY_COST_BUDGET);
+      updatedConfig.MODEL_PRICES = modelPrices ? JSON.stringify(JSON.parse(modelPrices)) : '';
+      updatedConfig.BUDGET_ALERT_WEBHOOK_URL = (req.body.budgetAlertWebhookUrl || '').trim();
+
+      // Handle provider fallback and circuit breaker
+      updatedConfig.AI_PROVIDER_FALLBACKS = providerFallbacks.join(',');
+
+      // Handle task providers and models
+      for (const [task, { provider, model }] of Object.entries(taskModels)) {
+        updatedConfig[`${task.toUpperCase()}_AI_PROVIDER`] = provider;
+        updatedConfig[`${task.toUpperCase()}_MODEL`] = model;
+      }
+      updatedConfig.CIRCUIT_BREAKER_THRESHOLD = String(Math.max(parseInt(parseLimit(req.body.circuitBreakerThreshold, currentConfig.CIRCUIT_BREAKER_THRESHOLD), 10), 1));
+      updatedConfig.CIRCUIT_BREAKER_COOLDOWN_SECONDS = parseLimit(req.body.circuitBreakerCooldownSeconds, currentConfig.CIRCUIT_BREAKER_COOLDOWN_SECONDS);
+
+      // Handle single sign-on
+      updatedConfig.OIDC_ENABLED = req.body.oidcEnabled ? 'yes' : 'no';
+      updatedConfig.OIDC_ISSUER_URL = (req.body.oidcIssuerUrl || '').trim();
+      updatedConfig.OIDC_CLIENT_ID = (req.body.oidcClientId || '').trim();
+      if (req.body.oidcClientSecret) updatedConfig.OIDC_CLIENT_SECRET = req.body.oidcClientSecret;
+      updatedConfig.OIDC_REDIRECT_URI = (req.body.oidcRedirectUri || '').trim();
+      updatedConfig.OIDC_SCOPES = (req.body.oidcScopes || '').trim() || 'openid profile email groups';
+      updatedConfig.OIDC_USERNAME_CLAIM = (req.body.oidcUsernameClaim || '').trim() || 'preferred_username';
+      updatedConfig.OIDC_GROUPS_CLAIM = (req.body.oidcGroupsClaim || '').trim() || 'groups';
+      updatedConfig.OIDC_BUTTON_LABEL = (req.body.oidcButtonLabel || '').trim() || 'Sign in with SSO';
+      updatedConfig.SSO_ROLE_MAPPING = ssoRoleMapping.join(',');
+      updatedConfig.SSO_DEFAULT_ROLE = ['admin', 'reviewer', 'readonly'].includes(req.body.ssoDefaultRole) ? req.body.ssoDefaultRole : '';
+      updatedConfig.SSO_AUTO_PROVISION = req.body.ssoAutoProvision ? 'yes' : 'no';
+      updatedConfig.PROXY_AUTH_ENABLED = req.body.proxyAuthEnabled ? 'yes' : 'no';
+      updatedConfig.PROXY_AUTH_USER_HEADER = (req.body.proxyAuthUserHeader || '').trim() || 'Remote-User';
+      updatedConfig.PROXY_AUTH_GROUPS_HEADER = (req.body.proxyAuthGroupsHeader || '').trim() || 'Remote-Groups';
+      updatedConfig.PROXY_AUTH_TRUSTED_PROXIES = (req.body.proxyAuthTrustedProxies || '').split(',').map(ip => ip.trim()).filter(Boolean).join(',');
+
+      // Handle session lifetimes
+      updatedConfig.ACCESS_TOKEN_TTL_MINUTES = String(Math.max(parseInt(parseLimit(req.body.accessTokenTtlMinutes, currentConfig.ACCESS_TOKEN_TTL_MINUTES), 10), 1));
+      updatedConfig.SESSION_TTL_DAYS = String(Math.max(parseInt(parseLimit(req.body.sessionTtlDays, currentConfig.SESSION_TTL_DAYS), 10), 1));
+
+      // Handle merge policies
+      updatedConfig.MERGE_POLICY_TITLE = mergePolicies.title;
+      updatedConfig.MERGE_POLICY_CREATED = mergePolicies.created;
+      updatedConfig.MERGE_POLICY_CORRESPONDENT = mergePolicies.correspondent;
+      updatedConfig.MERGE_POLICY_DOCUMENT_TYPE = mergePolicies.document_type;
+      updatedConfig.MERGE_POLICY_TAGS = mergePolicies.tags;
+      updatedConfig.MERGE_POLICY_LANGUAGE = mergePolicies.language;
+      updatedConfig.MERGE_POLICY_CUSTOM_FIELDS = mergePolicies.custom_fields;
+      updatedConfig.MERGE_POLICY_STORAGE_PATH = mergePolicies.storage_path;
+
+      // Handle confidence thresholds
+      updatedConfig.CONFIDENCE_THRESHOLD = String(parseFloat(confidenceThreshold));
+      updatedConfig.CONFIDENCE_FIELD_THRESHOLDS = confidenceFieldThresholds.join(',');
+      updatedConfig.LOW_CONFIDENCE_ACTION = lowConfidenceAction;
+      updatedConfig.NEEDS_REVIEW_TAG = (req.body.needsReviewTag ?? currentConfig.NEEDS_REVIEW_TAG).trim();
+
+      // Handle tag matching
+      updatedConfig.TAG_SIMILARITY_THRESHOLD = String(parseFloat(tagSimilarityThreshold));
+      updatedConfig.TAG_MATCH_EMBEDDINGS = (req.body.tagMatchEmbeddings || currentConfig.TAG_MATCH_EMBEDDINGS) === 'yes' ? 'yes' : 'no';
+      updatedConfig.TAG_EMBEDDING_THRESHOLD = String(parseFloat(tagEmbeddingThreshold));
+
+      // Handle correspondent matching
+      updatedConfig.CORRESPONDENT_NORMALIZE = (req.body.correspondentNormalize || currentConfig.CORRESPONDENT_NORMALIZE) === 'yes' ? 'yes' : 'no';
+      updatedConfig.CORRESPONDENT_MATCH_IDENTIFIERS = (req.body.correspondentMatchIdentifiers || currentConfig.CORRESPONDENT_MATCH_IDENTIFIERS) === 'yes' ? 'yes' : 'no';
+      updatedConfig.CORRESPONDENT_IGNORED_IDENTIFIERS = (req.body.correspondentIgnoredIdentifiers ?? currentConfig.CORRESPONDENT_IGNORED_IDENTIFIERS)
+        .split(',').map(identifier => identifier.trim()).filter(Boolean).join(',');
+
+      // Handle vision fallback
+      updatedConfig.VISION_FALLBACK_ENABLED = (req.body.visionFallbackEnabled || currentConfig.VISION_FALLBACK_ENABLED) === 'yes' ? 'yes' : 'no';
+      updatedConfig.VISION_MODEL = (req.body.visionModel ?? currentConfig.VISION_MODEL).trim();
+      updatedConfig.VISION_MIN_TEXT_QUALITY = String(parseFloat(visionMinTextQuality));
+      updatedConfig.VISION_MAX_IMAGE_MB = String(visionMaxImageMb);
+
+      // Handle long document mode
+      updatedConfig.LONG_DOCUMENT_MODE = (req.body.longDocumentMode || currentConfig.LONG_DOCUMENT_MODE) === 'yes' ? 'yes' : 'no';
+      updatedConfig.LONG_DOCUMENT_CHUNK_TOKENS = String(longDocumentChunkTokens);
+      updatedConfig.LONG_DOCUMENT_MAX_CHUNKS = String(longDocumentMaxChunks);
+
     // Handle API key
     let apiToken = process.env.API_KEY;
     if (!apiToken) {
@@ -4576,6 +8075,24 @@ router.post('/settings', express.json(), async (req, res) => {
  *                   type: integer
  *                   description: Number of documents waiting in the processing queue
  *                   example: 5
+ *                 inFlight:
+ *                   type: array
+ *                   description: All documents currently being analysed (up to PROCESSING_CONCURRENCY)
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       documentId:
+ *                         type: integer
+ *                         example: 123
+ *                       title:
+ *                         type: string
+ *                         example: "Invoice #12345"
+ *                       startTime:
+ *                         type: string
+ *                         example: "2024-01-01 12:00:00"
+ *                       status:
+ *                         type: string
+ *                         example: "processing"
  *                 currentDocument:
  *                   type: object
  *                   description: Details about the document currently being processed (if any)
@@ -4622,6 +8139,182 @@ router.get('/api/processing-status', async (req, res) => {
   }
 });
 
+/**
+ * @swagger
+ * /api/budget:
+ *   get:
+ *     summary: Get token and cost budget status
+ *     description: |
+ *       Returns the token usage and estimated costs of the current day and month
+ *       together with the configured budgets. While a budget is exhausted, scheduled
+ *       scans, manual scans and queued jobs are paused until the next day or month.
+ *       
+ *       Costs are estimated from the per-model price table (USD per 1M tokens),
+ *       which can be extended with MODEL_PRICES. A limit of 0 means unlimited.
+ *     tags:
+ *       - System
+ *       - API
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Budget status retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 daily:
+ *                   type: object
+ *                   properties:
+ *                     tokens:
+ *                       type: integer
+ *                       example: 12500
+ *                     cost:
+ *                       type: number
+ *                       example: 0.42
+ *                     tokenLimit:
+ *                       type: integer
+ *                       example: 100000
+ *                     costLimit:
+ *                       type: number
+ *                       example: 1
+ *                 monthly:
+ *                   type: object
+ *                   description: Same structure as daily, for the current month
+ *                 exhausted:
+ *                   type: boolean
+ *                   description: Whether automatic processing is paused
+ *                   example: false
+ *                 reasons:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: ["Daily token budget exhausted (100250 / 100000 tokens)"]
+ *       401:
+ *         description: Unauthorized - authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         description: Server error
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/api/budget', async (req, res) => {
+  try {
+    const status = await budgetService.getStatus();
+    res.json({ success: true, ...status });
+  } catch (error) {
+    console.error('[ERROR] Failed to fetch budget status:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch budget status' });
+  }
+});
+
+/**
+ * @swagger
+ * /api/ai-providers/status:
+ *   get:
+ *     summary: Get AI provider fallback chain and circuit breaker state
+ *     description: |
+ *       Returns the order in which AI providers are tried for document classification
+ *       (CLASSIFICATION_AI_PROVIDER or AI_PROVIDER, followed by AI_PROVIDER_FALLBACKS), the
+ *       provider and model of every task and the circuit breaker state of every provider
+ *       used since the last restart.
+ *       
+ *       A circuit opens after CIRCUIT_BREAKER_THRESHOLD consecutive failures. The
+ *       provider is then skipped until CIRCUIT_BREAKER_COOLDOWN_SECONDS have passed,
+ *       after which a single trial request decides whether it is used again.
+ *     tags:
+ *       - System
+ *       - API
+ *     security:
+ *       - BearerAuth: []
+ *       - ApiKeyAuth: []
+ *     responses:
+ *       200:
+ *         description: Provider status retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 primary:
+ *                   type: string
+ *                   example: "ollama"
+ *                 chain:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   example: ["ollama", "custom", "openai"]
+ *                 tasks:
+ *                   type: object
+ *                   description: Provider and model per task (classification, rag, chat, playground); no model means the configured model of the provider
+ *                   additionalProperties:
+ *                     type: object
+ *                     properties:
+ *                       provider:
+ *                         type: string
+ *                         example: "openai"
+ *                       model:
+ *                         type: string
+ *                         example: "gpt-4o"
+ *                 providers:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       provider:
+ *                         type: string
+ *                         example: "ollama"
+ *                       state:
+ *                         type: string
+ *                         enum: [closed, open, half-open]
+ *                         example: "open"
+ *                       failures:
+ *                         type: integer
+ *                         example: 3
+ *                       lastError:
+ *                         type: string
+ *                         example: "connect ECONNREFUSED 127.0.0.1:11434"
+ *                       lastFailureAt:
+ *                         type: string
+ *                         format: date-time
+ *                       lastSuccessAt:
+ *                         type: string
+ *                         format: date-time
+ *                       retryAt:
+ *                         type: string
+ *                         format: date-time
+ *                         description: When the next trial request is allowed (open circuits only)
+ *       401:
+ *         description: Unauthorized - authentication required
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ */
+router.get('/api/ai-providers/status', (req, res) => {
+  const tasks = Object.fromEntries(AIServiceFactory.TASKS.map(task => [task, AIServiceFactory.getTaskSettings(task)]));
+  res.json({
+    success: true,
+    primary: tasks.classification.provider,
+    chain: AIServiceFactory.getProviderChain(tasks.classification.provider),
+    tasks,
+    providers: circuitBreaker.getStatus()
+  });
+});
+
 router.get('/api/rag-test', async (req, res) => {
   RAGService.initialize();
   try { 
@@ -3,10 +3,21 @@ const openaiService = require('./openaiService');
 const ollamaService = require('./ollamaService');
 const customService = require('./customService');
 const azureService = require('./azureService');
+const anthropicService = require('./anthropicService');
+const geminiService = require('./geminiService');
+const mistralService = require('./mistralService');
+const circuitBreaker = require('./circuitBreakerService');
+const { isProviderOutage } = require('./serviceUtils');
+
+const PROVIDERS = ['openai', 'ollama', 'custom', 'azure', 'anthropic', 'gemini', 'mistral'];
+const TASKS = ['classification', 'rag', 'chat', 'playground'];
 
 class AIServiceFactory {
-  static getService() {
-    switch (config.aiProvider) {
+  /**
+   * @param {string} [provider] - Provider name, defaults to AI_PROVIDER
+   */
+  static getService(provider = config.aiProvider) {
+    switch (provider) {
       case 'ollama':
         return ollamaService;
       case 'openai':
@@ -16,8 +27,99 @@ class AIServiceFactory {
         return customService;
       case 'azure':
         return azureService;
+      case 'anthropic':
+        return anthropicService;
+      case 'gemini':
+        return geminiService;
+      case 'mistral':
+        return mistralService;
+    }
+  }
+
+  static isProvider(provider) {
+    return PROVIDERS.includes(provider);
+  }
+
+  static get TASKS() {
+    return TASKS;
+  }
+
+  /**
+   * Provider and model of a task (classification, rag, chat, playground).
+   * Without a task provider AI_PROVIDER is used; the task model belongs to the
+   * task provider, or to AI_PROVIDER if the task has none.
+   *
+   * @param {string} task
+   * @returns {{provider: string, model: (string|undefined)}} model is undefined for the provider's configured model
+   */
+  static getTaskSettings(task) {
+    const settings = config.taskModels[task] || {};
+    return {
+      provider: PROVIDERS.includes(settings.provider) ? settings.provider : config.aiProvider,
+      model: settings.model || undefined
+    };
+  }
+
+  /**
+   * Ordered providers to try: the primary provider, then AI_PROVIDER_FALLBACKS.
+   *
+   * @param {string} [primary] - Provider tried first, defaults to AI_PROVIDER
+   * @returns {string[]}
+   */
+  static getProviderChain(primary = config.aiProvider) {
+    const chain = [primary, ...config.aiProviderFallbacks]
+      .filter(provider => PROVIDERS.includes(provider));
+    return [...new Set(chain)];
+  }
+
+  /**
+   * Runs an analysis against the provider chain until one provider succeeds.
+   * Providers with an open circuit are skipped. Only outages of a provider
+   * (network errors, timeouts, 429 and 5xx, see isProviderOutage()) count
+   * towards its circuit breaker and move on to the next provider; errors of
+   * the document itself, like insufficient content, an invalid reply or an
+   * exceeded token limit, are returned right away.
+   *
+   * @param {string} primary - Provider tried first
+   * @param {Function} analyze - async (service, provider) => analysis result, with `error` and `providerOutage` on failure
+   * @returns {Promise<Object>} The analysis result with the `provider` that produced it
+   */
+  static async runWithFallback(primary, analyze) {
+    let lastResult = null;
+
+    for (const provider of this.getProviderChain(primary)) {
+      if (!circuitBreaker.isAvailable(provider)) {
+        console.log(`[DEBUG] Skipping AI provider ${provider}: circuit open`);
+        continue;
+      }
+
+      let result;
+      try {
+        result = await analyze(this.getService(provider), provider);
+      } catch (error) {
+        result = { error: error.message, providerOutage: isProviderOutage(error) };
+      }
+
+      if (result && !result.error) {
+        circuitBreaker.recordSuccess(provider);
+        result.provider = provider;
+        return result;
+      }
+
+      // The provider answered, another one would fail on the same document
+      if (result && !result.providerOutage) {
+        circuitBreaker.recordSuccess(provider);
+        console.warn(`[WARN] AI analysis with ${provider} failed: ${result.error}`);
+        return { ...result, provider };
+      }
+
+      circuitBreaker.recordFailure(provider, result?.error);
+      console.warn(`[WARN] AI provider ${provider} failed: ${result?.error}`);
+      lastResult = { ...result, provider };
     }
+
+    return lastResult || { error: 'All AI providers are unavailable (circuit open)' };
   }
 }
 
-module.exports = AIServiceFactory;
\ No newline at end of file
+module.exports = AIServiceFactory;
@@ -0,0 +1,138 @@
+const axios = require('axios');
+const config = require('../config/config');
+const BaseAIService = require('./baseAIService');
+
+const API_VERSION = '2023-06-01';
+
+/**
+ * Service for the Anthropic Messages API (Claude). Structured output is a
+ * forced tool call whose input schema is the analysis schema. The system
+ * prompt, which repeats for every document, is marked for prompt caching.
+ */
+class AnthropicService extends BaseAIService {
+  constructor() {
+    super('Anthropic');
+  }
+
+  initialize() {
+    // Also used by processing profiles when AI_PROVIDER is another provider
+    if (!this.client && config.anthropic.apiKey) {
+      this.client = axios.create({
+        baseURL: config.anthropic.apiUrl,
+        timeout: 300000,
+        headers: {
+          'x-api-key': config.anthropic.apiKey,
+          'anthropic-version': API_VERSION
+        }
+      });
+    }
+  }
+
+  getModel(options = {}) {
+    return options.model || config.anthropic.model;
+  }
+
+  /**
+   * Sends the messages to /v1/messages: system messages as the cached system
+   * prompt, images as base64 blocks of the first user message.
+   *
+   * @returns {Promise<{content: string|Object, usage: Object, logprobs: null}>}
+   */
+  async _complete(messages, { model, schema, schemaName, images = null }) {
+    if (!this.client) {
+      throw new Error(`${this.name} client not initialized`);
+    }
+
+    const system = messages.filter(message => message.role === 'system').map(message => message.content).join('\n\n');
+    const conversation = messages.filter(message => message.role !== 'system');
+    const firstUser = conversation.findIndex(message => message.role === 'user');
+
+    const request = {
+      model,
+      max_tokens: Number(config.responseTokens) || 1000,
+      temperature: 0.3,
+      messages: conversation.map((message, index) => ({
+        role: message.role,
+        content: index === firstUser && images?.length > 0
+          ? [
+            ...images.map(image => ({
+              type: 'image',
+              source: { type: 'base64', media_type: image.mimeType, data: image.data }
+            })),
+            { type: 'text', text: message.content }
+          ]
+          : message.content
+      }))
+    };
+    if (system) {
+      request.system = [{ type: 'text', text: system, cache_control: { type: 'ephemeral' } }];
+    }
+    if (schema) {
+      request.tools = [{
+        name: schemaName,
+        description: 'Returns the result in the required structure',
+        input_schema: schema
+      }];
+      request.tool_choice = { type: 'tool', name: schemaName };
+    }
+
+    let response;
+    try {
+      response = await this.client.post('/v1/messages', request);
+    } catch (error) {
+      throw this._apiError(error);
+    }
+
+    const blocks = response.data?.content || [];
+    const toolUse = blocks.find(block => block.type === 'tool_use');
+    const text = blocks.filter(block => block.type === 'text').map(block => block.text).join('');
+    if (!toolUse && !text) {
+      throw new Error('Invalid API response structure');
+    }
+
+    const usage = response.data.usage || {};
+    const promptTokens = (usage.input_tokens || 0) + (usage.cache_creation_input_tokens || 0) + (usage.cache_read_input_tokens || 0);
+    console.log(`[DEBUG] ${this.name} request sent, ${promptTokens} prompt tokens (${usage.cache_read_input_tokens || 0} from cache)`);
+
+    return {
+      content: toolUse ? toolUse.input : text,
+      logprobs: null,
+      usage: {
+        promptTokens,
+        completionTokens: usage.output_tokens || 0,
+        totalTokens: promptTokens + (usage.output_tokens || 0)
+      }
+    };
+  }
+
+  /**
+   * Generate text based on a prompt
+   * @param {string} prompt - The prompt to generate text from
+   * @param {Object} [options] - `model` replaces the configured model
+   * @returns {Promise<string>} - The generated text
+   */
+  async generateText(prompt, options = {}) {
+    try {
+      this.initialize();
+      const { content } = await this._complete([{ role: 'user', content: prompt }], { model: this.getModel(options) });
+      return content;
+    } catch (error) {
+      console.error('Error generating text with Anthropic:', error.message);
+      throw error;
+    }
+  }
+
+  async checkStatus(options = {}) {
+    try {
+      this.initialize();
+      const model = this.getModel(options);
+      await this._complete([{ role: 'user', content: 'Ping' }], { model });
+      return { status: 'ok', model };
+    } catch (error) {
+      console.error('Error checking Anthropic status:', error.message);
+      return { status: 'error' };
+    }
+  }
+}
+
+module.exports = new AnthropicService();
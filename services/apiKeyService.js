@@ -0,0 +1,128 @@
+// services/apiKeyService.js
+const crypto = require('crypto');
+const documentModel = require('../models/document');
+
+const KEY_PREFIX = 'pai_';
+
+// Scopes that can be granted to an API key. The routes of each scope are
+// defined next to the role rules in routes/setup.js.
+const SCOPES = {
+  'webhook': 'Paperless-ngx webhook (process a single document)',
+  'history:read': 'Read the processing history',
+  'scan': 'Trigger a scan and read the processing status',
+  'rag:ask': 'Ask questions and search via RAG'
+};
+
+/**
+ * Named, scoped API keys stored as SHA-256 hashes. The key itself is only
+ * returned once when it is created. The legacy API_KEY from the .env file
+ * keeps full access for existing integrations.
+ */
+class ApiKeyService {
+  get scopes() {
+    return SCOPES;
+  }
+
+  hashKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+  }
+
+  isExpired(apiKey) {
+    return Boolean(apiKey.expiresAt) && new Date(apiKey.expiresAt).getTime() <= Date.now();
+  }
+
+  /**
+   * Resolves the x-api-key header to the requesting principal.
+   *
+   * @returns {Promise<Object|null>} { apiKey: true } for the legacy key,
+   *   { apiKey: true, apiKeyId, apiKeyName, scopes } for a scoped key, null if invalid
+   */
+  async authenticate(key) {
+    if (!key) return null;
+
+    if (process.env.API_KEY && this.safeEqual(key, process.env.API_KEY)) {
+      return { apiKey: true };
+    }
+
+    if (!key.startsWith(KEY_PREFIX)) return null;
+    const apiKey = await documentModel.getApiKeyByHash(this.hashKey(key));
+    if (!apiKey || apiKey.revokedAt || this.isExpired(apiKey)) {
+      return null;
+    }
+
+    await documentModel.touchApiKey(apiKey.id);
+    return {
+      apiKey: true,
+      apiKeyId: apiKey.id,
+      apiKeyName: apiKey.name,
+      username: `api-key:${apiKey.name}`,
+      scopes: apiKey.scopes
+    };
+  }
+
+  safeEqual(a, b) {
+    const hashA = crypto.createHash('sha256').update(String(a)).digest();
+    const hashB = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(hashA, hashB);
+  }
+
+  async listKeys() {
+    const keys = await documentModel.getApiKeys();
+    return keys.map(apiKey => ({ ...apiKey, expired: this.isExpired(apiKey) }));
+  }
+
+  /**
+   * Creates a key. The returned `key` is not stored and cannot be shown again.
+   */
+  async createKey({ name, scopes, expiresAt } = {}) {
+    const keyName = String(name || '').trim();
+    if (!keyName) {
+      throw new Error('Name is required');
+    }
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw new Error('At least one scope is required');
+    }
+    const invalid = scopes.filter(scope => !SCOPES[scope]);
+    if (invalid.length > 0) {
+      throw new Error(`Invalid scope: ${invalid.join(', ')}`);
+    }
+
+    let expires = null;
+    if (expiresAt) {
+      const date = new Date(expiresAt);
+      if (isNaN(date.getTime())) {
+        throw new Error('Invalid expiry date');
+      }
+      if (date.getTime() <= Date.now()) {
+        throw new Error('Expiry date must be in the future');
+      }
+      expires = date.toISOString();
+    }
+
+    const key = KEY_PREFIX + crypto.randomBytes(32).toString('hex');
+    const id = await documentModel.addApiKey(keyName, this.hashKey(key), key.substring(0, 12), [...new Set(scopes)], expires);
+    if (!id) {
+      throw new Error('Failed to create API key');
+    }
+
+    console.log(`[DEBUG] API key "${keyName}" created with scopes ${scopes.join(', ')}`);
+    const created = (await this.listKeys()).find(apiKey => apiKey.id === id);
+    return { ...created, key };
+  }
+
+  async revokeKey(id) {
+    const keys = await documentModel.getApiKeys();
+    const apiKey = keys.find(k => k.id === parseInt(id, 10));
+    if (!apiKey) {
+      throw new Error('API key not found');
+    }
+    if (apiKey.revokedAt) {
+      throw new Error('API key is already revoked');
+    }
+    await documentModel.revokeApiKey(apiKey.id);
+    console.log(`[DEBUG] API key "${apiKey.name}" revoked`);
+    return true;
+  }
+}
+
+module.exports = new ApiKeyService();
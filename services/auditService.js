@@ -0,0 +1,153 @@
+// services/auditService.js
+const { AsyncLocalStorage } = require('async_hooks');
+const documentModel = require('../models/document');
+
+// Who triggered a change: the scheduled scan, the Paperless-ngx webhook,
+// a logged-in user, an API key, or the application itself (e.g. startup)
+const ACTOR_TYPES = ['cron', 'webhook', 'user', 'api-key', 'system'];
+const EXPORT_COLUMNS = ['id', 'createdAt', 'actorType', 'actorName', 'source', 'action', 'objectType',
+  'objectId', 'objectName', 'documentId', 'changes', 'provider', 'model'];
+
+const storage = new AsyncLocalStorage();
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  let text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  // Names come from AI results; keep spreadsheets from evaluating them as formulas
+  if (typeof value === 'string' && /^[=+\-@]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Append-only audit log of the changes paperless-ai makes in Paperless-ngx.
+ *
+ * The actor is kept in an AsyncLocalStorage context, so paperlessService can
+ * record it without every caller passing it down: the router middleware runs
+ * each request in the context of its user or API key, and the job queue runs
+ * each job in the context of whoever queued it.
+ */
+class AuditService {
+  get actorTypes() {
+    return ACTOR_TYPES;
+  }
+
+  /**
+   * Runs fn in a new audit context.
+   *
+   * @param {Object} context
+   * @param {{type: string, name: string|null}} context.actor - Who triggered the changes
+   * @param {string} [context.source] - Where the changes come from, e.g. "POST /manual/updateDocument" or "job 12"
+   */
+  run(context, fn) {
+    return storage.run({ ...context }, fn);
+  }
+
+  getActor() {
+    return storage.getStore()?.actor || null;
+  }
+
+  // Remembers the AI provider/model whose result is applied by the current context
+  setModel(provider, model) {
+    const store = storage.getStore();
+    if (store) {
+      store.provider = provider || null;
+      store.model = model || null;
+    }
+  }
+
+  actorFromRequest(req) {
+    if (req.user?.apiKey) {
+      return { type: 'api-key', name: req.user.apiKeyName || 'API_KEY' };
+    }
+    if (req.user) {
+      return { type: 'user', name: req.user.username };
+    }
+    return { type: 'system', name: null };
+  }
+
+  /**
+   * Compares the given fields of two objects.
+   *
+   * @returns {Object} { field: { before, after } } for every changed field
+   */
+  diff(before, after, fields) {
+    const changes = {};
+    for (const field of fields) {
+      const oldValue = before?.[field] ?? null;
+      const newValue = after?.[field] ?? null;
+      if (JSON.stringify(oldValue) !== JSON.stringify(newValue)) {
+        changes[field] = { before: oldValue, after: newValue };
+      }
+    }
+    return changes;
+  }
+
+  /**
+   * Records a change. Failures are logged and never interrupt the change itself.
+   *
+   * @param {Object} entry
+   * @param {string} entry.action - e.g. "document.update", "tag.create"
+   */
+  async record({ action, objectType, objectId, objectName, documentId, changes }) {
+    const { actor, source, provider, model } = storage.getStore() || {};
+    try {
+      await documentModel.addAuditEntry({
+        actorType: actor?.type || 'system',
+        actorName: actor?.name,
+        source,
+        action,
+        objectType,
+        objectId,
+        objectName,
+        documentId,
+        changes,
+        provider,
+        model
+      });
+    } catch (error) {
+      console.error('[ERROR] recording audit entry:', error.message);
+    }
+  }
+
+  async search(filters, { limit = 50, offset = 0 } = {}) {
+    if (filters.actorType && !ACTOR_TYPES.includes(filters.actorType)) {
+      throw new Error(`Invalid actor type: ${filters.actorType}`);
+    }
+    return documentModel.getAuditEntries(filters, {
+      limit: Math.min(Math.max(parseInt(limit, 10) || 50, 1), 500),
+      offset: Math.max(parseInt(offset, 10) || 0, 0)
+    });
+  }
+
+  async getActions() {
+    return documentModel.getAuditActions();
+  }
+
+  /**
+   * Exports all entries matching the filters.
+   *
+   * @param {string} format - 'csv' or 'json'
+   * @returns {Promise<string>}
+   */
+  async export(filters, format) {
+    if (!['csv', 'json'].includes(format)) {
+      throw new Error(`Invalid export format: ${format}`);
+    }
+    if (filters.actorType && !ACTOR_TYPES.includes(filters.actorType)) {
+      throw new Error(`Invalid actor type: ${filters.actorType}`);
+    }
+
+    const { entries } = await documentModel.getAuditEntries(filters, { limit: 0 });
+    if (format === 'json') {
+      return JSON.stringify(entries, null, 2);
+    }
+    return [
+      EXPORT_COLUMNS.join(','),
+      ...entries.map(entry => EXPORT_COLUMNS.map(column => csvValue(entry[column])).join(','))
+    ].join('\r\n');
+  }
+}
+
+module.exports = new AuditService();
@@ -0,0 +1,747 @@
+// services/baseAIService.js
+const {
+  calculateTokens,
+  calculateTotalPromptTokens,
+  truncateToTokenLimit,
+  splitIntoTokenChunks,
+  isProviderOutage,
+  writePromptToFile
+} = require('./serviceUtils');
+const config = require('../config/config');
+const paperlessService = require('./paperlessService');
+const fs = require('fs').promises;
+const path = require('path');
+const RestrictionPromptService = require('./restrictionPromptService');
+const { validateSchema } = require('./schemaValidator');
+const confidenceService = require('./confidenceService');
+
+// JSON schema of the document analysis, requested as structured output and used to validate replies
+const DOCUMENT_ANALYSIS_SCHEMA = {
+  type: 'object',
+  properties: {
+    title: { type: 'string' },
+    correspondent: { type: 'string' },
+    tags: {
+      type: 'array',
+      items: { type: 'string' }
+    },
+    document_type: { type: 'string' },
+    document_date: { type: 'string' },
+    language: { type: 'string' },
+    // Only requested when storage path selection is activated, one of the existing paths
+    storage_path: { type: ['string', 'null'] },
+    custom_fields: {
+      type: 'object',
+      additionalProperties: true
+    },
+    // Per-field confidence between 0 and 1, cleaned up by confidenceService
+    confidence: {
+      type: 'object',
+      additionalProperties: true
+    }
+  },
+  required: ['title', 'correspondent', 'tags', 'document_type', 'document_date', 'language']
+};
+
+// Value format asked for per custom field data type; values are coerced to the type afterwards (customFieldValidator)
+const CUSTOM_FIELD_FORMATS = {
+  monetary: 'amount, e.g. 1234.50',
+  date: 'date as YYYY-MM-DD',
+  integer: 'whole number',
+  float: 'number, e.g. 12.5',
+  boolean: 'true or false',
+  url: 'full URL'
+};
+
+// Schema for playground analysis (simpler version)
+const PLAYGROUND_SCHEMA = {
+  type: 'object',
+  properties: {
+    title: { type: 'string' },
+    correspondent: { type: 'string' },
+    tags: {
+      type: 'array',
+      items: { type: 'string' }
+    },
+    document_type: { type: 'string' },
+    document_date: { type: 'string' },
+    language: { type: 'string' }
+  },
+  required: ['title', 'correspondent', 'tags', 'document_type', 'document_date', 'language']
+};
+
+const PLAYGROUND_PROMPT = `
+    Return the result EXCLUSIVELY as a JSON object. The Tags and Title MUST be in the language that is used in the document.:
+        {
+          "title": "xxxxx",
+          "correspondent": "xxxxxxxx",
+          "tags": ["Tag1", "Tag2", "Tag3", "Tag4"],
+          "document_type": "Invoice/Contract/...",
+          "document_date": "YYYY-MM-DD",
+          "language": "en/de/es/..."
+        }`;
+
+// Partial result of one chunk in the long document mode; fields the chunk does not show are null
+const CHUNK_ANALYSIS_SCHEMA = {
+  type: 'object',
+  properties: {
+    title: { type: ['string', 'null'] },
+    correspondent: { type: ['string', 'null'] },
+    tags: {
+      type: ['array', 'null'],
+      items: { type: 'string' }
+    },
+    document_type: { type: ['string', 'null'] },
+    document_date: { type: ['string', 'null'] },
+    language: { type: ['string', 'null'] },
+    storage_path: { type: ['string', 'null'] },
+    custom_fields: {
+      type: ['object', 'null'],
+      additionalProperties: true
+    },
+    // Facts of the chunk that matter for the whole document, passed on to the final request
+    notes: { type: ['string', 'null'] },
+    confidence: {
+      type: 'object',
+      additionalProperties: true
+    }
+  }
+};
+
+function chunkPrompt(index, count, chunk) {
+  return `This is part ${index + 1} of ${count} of a long document. ` +
+    'Extract the metadata this part shows and use null for everything it does not show. ' +
+    'Add in "notes" the facts of this part that matter for the whole document, like parties, dates, amounts and signatures, in at most 50 words.' +
+    `\n\n${chunk}`;
+}
+
+function reducePrompt(parts, count) {
+  return `The document was too long for one request and was analysed in ${count} parts. ` +
+    `These are the metadata extracted from the parts, in document order (null = not shown in that part):\n${JSON.stringify(parts, null, 2)}\n\n` +
+    'Combine them into the metadata of the whole document: the title and document type describe the whole document, ' +
+    'the correspondent is the issuer or counterparty, the document date is the date the document was issued or signed ' +
+    'and the tags fit the whole document. Reply in the requested JSON format.';
+}
+
+// How often the model is asked to correct a reply that is not valid JSON or misses fields
+const MAX_REPAIR_ATTEMPTS = 1;
+
+/**
+ * Shared base of the AI provider services. Builds the analysis prompt, fits the
+ * content into the token limit, requests structured output with the analysis
+ * schema, validates the reply and re-prompts once for a corrected reply.
+ *
+ * Subclasses provide initialize(), getModel() and, if they do not speak the
+ * OpenAI chat completions API, _complete().
+ */
+class BaseAIService {
+  /**
+   * @param {string} name - Provider name used in log and error messages
+   */
+  constructor(name) {
+    this.name = name;
+    this.client = null;
+    // Cleared after the endpoint rejected response_format, so later requests skip it
+    this.structuredOutput = true;
+    // Same for logprobs, which are used to derive the confidence of the fields
+    // and only requested while a confidence threshold is set
+    this.logprobs = true;
+    this.documentAnalysisSchema = DOCUMENT_ANALYSIS_SCHEMA;
+    this.playgroundSchema = PLAYGROUND_SCHEMA;
+  }
+
+  initialize() {}
+
+  /**
+   * Model used for a request. Subclasses receive the analysis options, in which
+   * processing profiles may set `model`.
+   * @returns {string}
+   */
+  getModel() {
+    throw new Error(`${this.name} service does not implement getModel()`);
+  }
+
+  /**
+   * Extra parameters of a chat completion request. Subclasses receive the model.
+   * @returns {Object}
+   */
+  getRequestParams() {
+    return { temperature: 0.3 };
+  }
+
+  async analyzeDocument(content, existingTags = [], existingCorrespondentList = [], existingDocumentTypesList = [], id, customPrompt = null, options = {}) {
+    try {
+      this.initialize();
+      await this._handleThumbnailCaching(id);
+
+      const model = this.getModel(options);
+      const { systemPrompt, promptTags } = await this.buildSystemPrompt(
+        existingTags,
+        existingCorrespondentList,
+        existingDocumentTypesList,
+        customPrompt,
+        options,
+        model
+      );
+
+      let result;
+      let truncated;
+      const availableTokens = await this._getAvailableContentTokens(systemPrompt, promptTags, model);
+      const chunkTokens = Math.min(config.longDocument.chunkTokens, availableTokens);
+      if (options.longDocument && !options.images && await calculateTokens(content, model) > chunkTokens) {
+        result = await this.analyzeInChunks(content, chunkTokens, model, userContent => [
+          { role: 'system', content: systemPrompt },
+          { role: 'user', content: userContent }
+        ], options);
+        truncated = result.truncated;
+      } else {
+        const truncatedContent = await truncateToTokenLimit(content, availableTokens, model);
+        await writePromptToFile(systemPrompt, truncatedContent);
+
+        result = await this.requestStructuredOutput([
+          { role: 'system', content: systemPrompt },
+          { role: 'user', content: options.images ? this.buildVisionPrompt(truncatedContent) : truncatedContent }
+        ], { model, schema: this.documentAnalysisSchema, schemaName: 'document_analysis', images: options.images });
+        truncated = truncatedContent.length < content.length;
+      }
+
+      if (result.insufficientContent) {
+        console.warn(`Document ${id} has insufficient content for analysis`);
+        return this._insufficientContentResult(`Document ${id}`, result.metrics);
+      }
+
+      await fs.appendFile('./logs/response.txt', JSON.stringify(result.document) + '\n')
+        .catch(error => console.warn('[WARNING] Error writing response log:', error.message));
+
+      return {
+        document: result.document,
+        metrics: result.metrics,
+        truncated
+      };
+    } catch (error) {
+      console.error(`Failed to analyze document with ${this.name}:`, error);
+      return {
+        document: { tags: [], correspondent: null },
+        metrics: null,
+        error: error.message,
+        providerOutage: isProviderOutage(error)
+      };
+    }
+  }
+
+  /**
+   * Long document mode: analyses the content in chunks of at most chunkTokens
+   * and combines the partial results with a final request, so the signature
+   * date on page 120 counts as much as the title on page 1. Documents with
+   * more than LONG_DOCUMENT_MAX_CHUNKS chunks keep their first and last chunks.
+   *
+   * @param {Function} buildMessages - Turns the text of a user message into the chat messages of the provider
+   * @param {Object} options - Analysis options; throttle() is awaited before every request after the first
+   * @returns {Promise<{document?: Object, metrics: Object, insufficientContent?: boolean, truncated: boolean}>}
+   * The metrics contain the tokens of all requests and the number of chunks.
+   */
+  async analyzeInChunks(content, chunkTokens, model, buildMessages, options = {}) {
+    let chunks = await splitIntoTokenChunks(content, chunkTokens, model);
+    const { maxChunks } = config.longDocument;
+    const truncated = chunks.length > maxChunks;
+    if (truncated) {
+      console.warn(`[WARN] Document has ${chunks.length} chunks, analysing the first ${maxChunks - 1} and the last one`);
+      chunks = [...chunks.slice(0, maxChunks - 1), chunks[chunks.length - 1]];
+    }
+    console.log(`[DEBUG] Long document mode: analysing ${chunks.length} chunks of up to ${chunkTokens} tokens`);
+
+    const metrics = { promptTokens: 0, completionTokens: 0, totalTokens: 0, chunks: chunks.length };
+    const addMetrics = usage => {
+      metrics.promptTokens += usage?.promptTokens || 0;
+      metrics.completionTokens += usage?.completionTokens || 0;
+      metrics.totalTokens += usage?.totalTokens || 0;
+    };
+
+    const parts = [];
+    for (const [index, chunk] of chunks.entries()) {
+      if (index > 0) await options.throttle?.();
+      const result = await this.requestStructuredOutput(buildMessages(chunkPrompt(index, chunks.length, chunk)),
+        { model, schema: CHUNK_ANALYSIS_SCHEMA, schemaName: 'document_part_analysis' });
+      addMetrics(result.metrics);
+      if (result.insufficientContent) continue;
+
+      // The confidence of a part says little about the whole document
+      const part = { part: index + 1, ...result.document };
+      delete part.confidence;
+      parts.push(part);
+    }
+    if (parts.length === 0) {
+      return { insufficientContent: true, metrics, truncated };
+    }
+
+    await options.throttle?.();
+    const result = await this.requestStructuredOutput(buildMessages(reducePrompt(parts, chunks.length)),
+      { model, schema: this.documentAnalysisSchema, schemaName: 'document_analysis' });
+    addMetrics(result.metrics);
+    return { ...result, metrics, truncated };
+  }
+
+  async analyzePlayground(content, prompt, options = {}) {
+    try {
+      this.initialize();
+      const model = this.getModel(options);
+      const systemPrompt = prompt + PLAYGROUND_PROMPT;
+      const truncatedContent = await this._fitContentToTokenLimit(content, systemPrompt, '', model);
+
+      const result = await this.requestStructuredOutput([
+        { role: 'system', content: systemPrompt },
+        { role: 'user', content: truncatedContent }
+      ], { model, schema: this.playgroundSchema, schemaName: 'playground_analysis' });
+
+      if (result.insufficientContent) {
+        console.warn('Document has insufficient content for analysis');
+        return this._insufficientContentResult('Document', result.metrics);
+      }
+
+      return {
+        document: result.document,
+        metrics: result.metrics,
+        truncated: truncatedContent.length < content.length
+      };
+    } catch (error) {
+      console.error(`Failed to analyze document with ${this.name}:`, error);
+      return {
+        document: { tags: [], correspondent: null },
+        metrics: null,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Builds the system prompt of a document analysis: existing data (if enabled),
+   * system prompt of the settings or processing profile, the JSON format
+   * instructions with the custom fields template and external API data.
+   *
+   * @returns {Promise<{systemPrompt: string, promptTags: string}>}
+   */
+  async buildSystemPrompt(existingTags = [], existingCorrespondentList = [], existingDocumentTypesList = [], customPrompt = null, options = {}, model = null) {
+    // Processing profiles can replace the system prompt and the custom fields template
+    const customFieldsStr = this._generateCustomFieldsTemplate(options.customFields);
+    const basePrompt = options.systemPrompt || process.env.SYSTEM_PROMPT;
+    let mustHavePrompt = config.mustHavePrompt.replace('%CUSTOMFIELDS%', customFieldsStr);
+    if (options.storagePaths?.length > 0) {
+      mustHavePrompt += `\n  Also return "storage_path": the storage path that fits the document best, written exactly as in this list, or null if none fits: ${this._formatNames(options.storagePaths)}`;
+    }
+
+    if (customPrompt) {
+      console.log('[DEBUG] Replace system prompt with custom prompt');
+      return { systemPrompt: customPrompt + '\n\n' + mustHavePrompt, promptTags: '' };
+    }
+
+    let systemPrompt;
+    if (config.useExistingData === 'yes' && config.restrictToExistingTags === 'no' && config.restrictToExistingCorrespondents === 'no') {
+      systemPrompt = `
+        Pre-existing tags: ${this._formatNames(existingTags)}\n\n
+        Pre-existing correspondents: ${this._formatNames(existingCorrespondentList)}\n\n
+        Pre-existing document types: ${this._formatNames(existingDocumentTypesList)}\n\n
+        ` + basePrompt + '\n\n' + mustHavePrompt;
+    } else {
+      systemPrompt = basePrompt + '\n\n' + mustHavePrompt;
+    }
+
+    // Process placeholder replacements in system prompt
+    systemPrompt = RestrictionPromptService.processRestrictionsInPrompt(
+      systemPrompt,
+      existingTags,
+      existingCorrespondentList,
+      config
+    );
+
+    // Include validated external API data if available
+    if (options.externalApiData) {
+      try {
+        const externalApiData = await this._validateAndTruncateExternalApiData(options.externalApiData, model);
+        if (externalApiData) {
+          systemPrompt += `\n\nAdditional context from external API:\n${externalApiData}`;
+          console.log('[DEBUG] External API data validated and included');
+        }
+      } catch (error) {
+        console.warn('[WARNING] External API data validation failed:', error.message);
+      }
+    }
+
+    let promptTags = '';
+    if (process.env.USE_PROMPT_TAGS === 'yes') {
+      promptTags = process.env.PROMPT_TAGS;
+      systemPrompt = `
+        Take these tags and try to match one or more to the document content.\n\n
+        ` + config.specialPromptPreDefinedTags;
+    }
+
+    console.log(`[DEBUG] Use existing data: ${config.useExistingData}, Restrictions applied based on useExistingData setting`);
+    return { systemPrompt, promptTags };
+  }
+
+  /**
+   * Text of the user message when the document is analysed from its image
+   * (vision fallback): the OCR text, if any, only supports reading the image.
+   */
+  buildVisionPrompt(content) {
+    const instruction = 'The OCR text of this document is missing or unreadable. ' +
+      'Read the document from the attached image and extract the metadata from what you see.';
+    return content?.trim()
+      ? `${instruction} Use the OCR text below only where it matches the image.\n\nOCR text:\n${content}`
+      : instruction;
+  }
+
+  /**
+   * Sends the messages and returns the reply as a validated object. Replies that
+   * are not valid JSON or do not match the schema are sent back to the model
+   * with the validation errors, asking for a corrected reply.
+   *
+   * @param {Array<{role: string, content: string}>} messages - Chat messages
+   * @param {Object} request - { model, schema, schemaName, images }
+   * The images ({ mimeType, data } with base64 data) belong to the first user message.
+   * The document carries the per-field confidence (see confidenceService).
+   *
+   * @returns {Promise<{document?: Object, metrics: Object, insufficientContent?: boolean}>}
+   */
+  async requestStructuredOutput(messages, { model, schema, schemaName, images = null }) {
+    const metrics = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+    let conversation = messages;
+
+    for (let attempt = 0; ; attempt++) {
+      const { content, usage, logprobs } = await this._complete(conversation, { model, schema, schemaName, images });
+      metrics.promptTokens += usage?.promptTokens || 0;
+      metrics.completionTokens += usage?.completionTokens || 0;
+      metrics.totalTokens += usage?.totalTokens || 0;
+
+      let errors;
+      let document = null;
+      try {
+        document = this.parseJsonResponse(content);
+        errors = validateSchema(document, schema);
+      } catch (error) {
+        // A refusal is not repaired: the document itself cannot be analysed
+        if (this.isRefusal(content)) {
+          return { insufficientContent: true, metrics };
+        }
+        errors = [error.message];
+      }
+
+      if (errors.length === 0) {
+        document.confidence = confidenceService.resolve(document, content, logprobs);
+        return { document, metrics };
+      }
+      if (attempt >= MAX_REPAIR_ATTEMPTS) {
+        throw new Error(`Invalid response structure: ${errors.join('; ')}`);
+      }
+
+      console.warn(`[WARN] ${this.name} returned an invalid response (${errors.join('; ')}), asking for a corrected reply`);
+      conversation = [
+        ...conversation,
+        { role: 'assistant', content: typeof content === 'string' ? content : JSON.stringify(content) },
+        {
+          role: 'user',
+          content: `Your reply is invalid: ${errors.join('; ')}. ` +
+            'Reply ONLY with the corrected JSON object in the requested format, without explanations or code fences.'
+        }
+      ];
+    }
+  }
+
+  /**
+   * Sends a chat completion request with the OpenAI API. Endpoints that reject
+   * the json_schema response format or logprobs are used without them from then
+   * on; the reply is validated against the schema either way. Other errors,
+   * like a context length exceeded by one document, are thrown.
+   *
+   * @returns {Promise<{content: string, usage: Object, logprobs: Array|null}>}
+   */
+  async _complete(messages, { model, schema, schemaName, images = null }) {
+    if (!this.client) {
+      throw new Error(`${this.name} client not initialized`);
+    }
+
+    const request = {
+      model,
+      messages: images?.length > 0 ? this._attachImages(messages, images) : messages,
+      ...this.getRequestParams(model)
+    };
+    if (schema && this.structuredOutput) {
+      request.response_format = {
+        type: 'json_schema',
+        json_schema: { name: schemaName, schema, strict: false }
+      };
+    }
+    if (schema && this.logprobs && confidenceService.isEnabled()) {
+      request.logprobs = true;
+    }
+
+    let response;
+    for (;;) {
+      try {
+        response = await this.client.chat.completions.create(request);
+        break;
+      } catch (error) {
+        // Drop one optional feature per attempt
+        if (request.response_format && this._rejectsParameter(error, /response_format|json_schema/i)) {
+          delete request.response_format;
+          console.warn(`[WARN] ${this.name} does not support structured output (${error.message}), continuing without it`);
+          this.structuredOutput = false;
+        } else if (request.logprobs && this._rejectsParameter(error, /logprobs/i)) {
+          delete request.logprobs;
+          console.warn(`[WARN] ${this.name} rejected logprobs (${error.message}), using the confidence reported by the model`);
+          this.logprobs = false;
+        } else {
+          throw error;
+        }
+      }
+    }
+
+    const message = response?.choices?.[0]?.message;
+    if (!message?.content && !message?.refusal) {
+      throw new Error('Invalid API response structure');
+    }
+
+    const timestamp = new Date().toLocaleString('de-DE', { dateStyle: 'short', timeStyle: 'short' });
+    console.log(`[DEBUG] [${timestamp}] ${this.name} request sent`);
+    console.log(`[DEBUG] [${timestamp}] Total tokens: ${response.usage?.total_tokens}`);
+
+    return {
+      content: message.content || message.refusal,
+      logprobs: response.choices[0].logprobs?.content || null,
+      usage: {
+        promptTokens: response.usage?.prompt_tokens || 0,
+        completionTokens: response.usage?.completion_tokens || 0,
+        totalTokens: response.usage?.total_tokens || 0
+      }
+    };
+  }
+
+  /**
+   * Whether an API error is a 400 that names the given request parameter, so
+   * the request can be repeated without it. Other 400s concern the document
+   * (context length, a rejected image) and must not switch features off for
+   * the documents after it.
+   *
+   * @param {Error} error - Error with `status` and optionally `param` (OpenAI SDK)
+   * @param {RegExp} parameter - Pattern of the parameter name
+   * @returns {boolean}
+   */
+  _rejectsParameter(error, parameter) {
+    return error.status === 400 && (parameter.test(error.param || '') || parameter.test(error.message || ''));
+  }
+
+  /**
+   * Turns an error of a native HTTP API (axios) into an Error with the message
+   * of the provider and its HTTP status in `status`, like the OpenAI SDK does.
+   */
+  _apiError(error) {
+    const status = error.response?.status;
+    const data = error.response?.data;
+    const message = data?.error?.message || data?.message || error.message;
+    const apiError = new Error(`${this.name} API error${status ? ` (${status})` : ''}: ${message}`);
+    apiError.status = status;
+    apiError.code = error.code;
+    return apiError;
+  }
+
+  // Turns the first user message into content parts with the images as data URLs
+  _attachImages(messages, images) {
+    const index = messages.findIndex(message => message.role === 'user');
+    return messages.map((message, i) => i !== index ? message : {
+      role: 'user',
+      content: [
+        { type: 'text', text: message.content },
+        ...images.map(image => ({
+          type: 'image_url',
+          image_url: { url: `data:${image.mimeType};base64,${image.data}` }
+        }))
+      ]
+    });
+  }
+
+  /**
+   * Extracts the JSON object from a reply: strips code fences, falls back to the
+   * outermost {...} block and finally to a sanitized version of it.
+   */
+  parseJsonResponse(content) {
+    if (content && typeof content === 'object') return content;
+
+    const text = String(content || '').replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
+    try {
+      return JSON.parse(text);
+    } catch {
+      const jsonMatch = text.match(/\{[\s\S]*\}/);
+      if (!jsonMatch) {
+        throw new Error('Reply does not contain a JSON object');
+      }
+      try {
+        return JSON.parse(jsonMatch[0]);
+      } catch {
+        try {
+          return JSON.parse(this._sanitizeJsonString(jsonMatch[0]));
+        } catch (error) {
+          throw new Error(`Reply is not valid JSON (${error.message})`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Whether a reply that is not JSON says the document cannot be analysed.
+   */
+  isRefusal(content) {
+    const text = String(content || '').toLowerCase();
+    return text.includes("i'm sorry") || text.includes('i cannot') || text.includes('insufficient');
+  }
+
+  // Default structure for documents the model refuses to analyse
+  _insufficientContentResult(title, metrics) {
+    return {
+      document: {
+        tags: [],
+        correspondent: 'Unknown',
+        title,
+        document_date: new Date().toISOString().split('T')[0],
+        document_type: 'Document',
+        language: 'und'
+      },
+      metrics,
+      truncated: false,
+      error: 'Insufficient content for AI analysis'
+    };
+  }
+
+  /**
+   * Truncates the content to the tokens left after the prompt and the reserved response tokens.
+   */
+  async _fitContentToTokenLimit(content, systemPrompt, promptTags, model) {
+    const availableTokens = await this._getAvailableContentTokens(systemPrompt, promptTags, model);
+    return truncateToTokenLimit(content, availableTokens, model);
+  }
+
+  /**
+   * Tokens left for the content after the prompt and the reserved response tokens.
+   */
+  async _getAvailableContentTokens(systemPrompt, promptTags, model) {
+    const totalPromptTokens = await calculateTotalPromptTokens(
+      systemPrompt,
+      promptTags ? [promptTags] : [],
+      model
+    );
+
+    const maxTokens = Number(config.tokenLimit);
+    const reservedTokens = totalPromptTokens + Number(config.responseTokens);
+    const availableTokens = maxTokens - reservedTokens;
+
+    if (availableTokens <= 0) {
+      console.warn(`[WARNING] No available tokens for content. Reserved: ${reservedTokens}, Max: ${maxTokens}`);
+      throw new Error('Token limit exceeded: prompt too large for available token limit');
+    }
+
+    console.log(`[DEBUG] Token calculation - Prompt: ${totalPromptTokens}, Reserved: ${reservedTokens}, Available: ${availableTokens}`);
+    return availableTokens;
+  }
+
+  /**
+   * Generate custom fields template for prompts
+   * @param {string} [customFields] - Custom fields JSON of a processing profile, defaults to CUSTOM_FIELDS
+   * @returns {string} Custom fields template as a string
+   */
+  _generateCustomFieldsTemplate(customFields = null) {
+    let customFieldsObj;
+    try {
+      customFieldsObj = JSON.parse(customFields || process.env.CUSTOM_FIELDS);
+    } catch (error) {
+      console.error('Failed to parse CUSTOM_FIELDS:', error);
+      customFieldsObj = { custom_fields: [] };
+    }
+
+    const customFieldsTemplate = {};
+    (customFieldsObj.custom_fields || []).forEach((field, index) => {
+      const format = CUSTOM_FIELD_FORMATS[field.data_type];
+      customFieldsTemplate[index] = {
+        field_name: field.value,
+        value: 'Fill in the value based on your analysis' + (format ? ` (${format})` : '')
+      };
+    });
+
+    // Convert template to string for replacement and wrap in custom_fields
+    return '"custom_fields": ' + JSON.stringify(customFieldsTemplate, null, 2)
+      .split('\n')
+      .map(line => '    ' + line)  // Add proper indentation
+      .join('\n');
+  }
+
+  // Names of existing tags, correspondents, document types or storage paths, given as strings or { name } objects
+  _formatNames(list) {
+    return (Array.isArray(list) ? list : [])
+      .map(item => typeof item === 'string' ? item : item?.name || '')
+      .filter(name => name.length > 0)
+      .join(', ');
+  }
+
+  /**
+   * Validate and truncate external API data to prevent token overflow
+   * @param {any} apiData - The external API data to validate
+   * @param {string} model - Model used to count the tokens
+   * @param {number} maxTokens - Maximum tokens allowed for external data (default: 500)
+   * @returns {Promise<string>} - Validated and potentially truncated data string
+   */
+  async _validateAndTruncateExternalApiData(apiData, model, maxTokens = 500) {
+    if (!apiData) {
+      return null;
+    }
+
+    const dataString = typeof apiData === 'object'
+      ? JSON.stringify(apiData, null, 2)
+      : String(apiData);
+
+    const dataTokens = await calculateTokens(dataString, model);
+
+    if (dataTokens > maxTokens) {
+      console.warn(`[WARNING] External API data (${dataTokens} tokens) exceeds limit (${maxTokens}), truncating`);
+      return await truncateToTokenLimit(dataString, maxTokens, model);
+    }
+
+    console.log(`[DEBUG] External API data validated: ${dataTokens} tokens`);
+    return dataString;
+  }
+
+  /**
+   * Sanitize a JSON string
+   * @param {string} jsonStr - JSON string to sanitize
+   * @returns {string} Sanitized JSON string
+   */
+  _sanitizeJsonString(jsonStr) {
+    return jsonStr
+      .replace(/,\s*}/g, '}') // Remove trailing commas before closing braces
+      .replace(/,\s*]/g, ']') // Remove trailing commas before closing brackets
+      .replace(/(['"])?([a-zA-Z0-9_]+)(['"])?\s*:/g, '"$2":'); // Ensure property names are quoted
+  }
+
+  /**
+   * Handle thumbnail caching for documents
+   * @param {string} id - Document ID
+   */
+  async _handleThumbnailCaching(id) {
+    if (!id) return;
+
+    const cachePath = path.join('./public/images', `${id}.png`);
+    try {
+      await fs.access(cachePath);
+      console.log('[DEBUG] Thumbnail already cached');
+    } catch {
+      console.log('Thumbnail not cached, fetching from Paperless');
+      const thumbnailData = await paperlessService.getThumbnailImage(id);
+      if (!thumbnailData) {
+        console.warn('Thumbnail nicht gefunden');
+        return;
+      }
+      await fs.mkdir(path.dirname(cachePath), { recursive: true });
+      await fs.writeFile(cachePath, thumbnailData);
+    }
+  }
+}
+
+module.exports = BaseAIService;
+module.exports.DOCUMENT_ANALYSIS_SCHEMA = DOCUMENT_ANALYSIS_SCHEMA;
+module.exports.PLAYGROUND_SCHEMA = PLAYGROUND_SCHEMA;
@@ -0,0 +1,180 @@
+// services/budgetService.js
+const axios = require('axios');
+const config = require('../config/config');
+const documentModel = require('../models/document');
+const { validateApiUrl } = require('./serviceUtils');
+
+// Prices per 1M tokens (USD) for common models. MODEL_PRICES extends or overrides them.
+const DEFAULT_MODEL_PRICES = {
+  'gpt-4o': { prompt: 2.5, completion: 10 },
+  'gpt-4o-mini': { prompt: 0.15, completion: 0.6 },
+  'gpt-4.1': { prompt: 2, completion: 8 },
+  'gpt-4.1-mini': { prompt: 0.4, completion: 1.6 },
+  'gpt-4.1-nano': { prompt: 0.1, completion: 0.4 },
+  'gpt-4-turbo': { prompt: 10, completion: 30 },
+  'gpt-3.5-turbo': { prompt: 0.5, completion: 1.5 },
+  'claude-3-5-haiku': { prompt: 0.8, completion: 4 },
+  'claude-sonnet-4': { prompt: 3, completion: 15 },
+  'gemini-2.0-flash': { prompt: 0.1, completion: 0.4 },
+  'gemini-2.5-flash': { prompt: 0.3, completion: 2.5 },
+  'mistral-small': { prompt: 0.1, completion: 0.3 },
+  'mistral-large': { prompt: 2, completion: 6 }
+};
+
+/**
+ * Tracks token usage and estimated costs against the configured daily and
+ * monthly budgets. Automatic processing is paused while a budget is exhausted.
+ */
+class BudgetService {
+  /**
+   * Returns the model name of the configured AI provider, as recorded with the metrics.
+   */
+  getActiveModel(provider = config.aiProvider) {
+    switch (provider) {
+      case 'ollama':
+        return config.ollama.model;
+      case 'custom':
+        return config.custom.model;
+      case 'azure':
+        return config.azure.deploymentName;
+      case 'anthropic':
+        return config.anthropic.model;
+      case 'gemini':
+        return config.gemini.model;
+      case 'mistral':
+        return config.mistral.model;
+      case 'openai':
+      default:
+        return process.env.OPENAI_MODEL || 'gpt-4o-mini';
+    }
+  }
+
+  getModelPrices() {
+    if (!config.modelPrices) return DEFAULT_MODEL_PRICES;
+    try {
+      return { ...DEFAULT_MODEL_PRICES, ...JSON.parse(config.modelPrices) };
+    } catch (error) {
+      console.warn('[WARN] MODEL_PRICES is not valid JSON, using default prices:', error.message);
+      return DEFAULT_MODEL_PRICES;
+    }
+  }
+
+  /**
+   * Finds the price of a model. Versioned names such as "gpt-4o-mini-2024-07-18"
+   * fall back to the longest matching prefix. Unknown models (e.g. local Ollama
+   * models) cost nothing.
+   */
+  getPrice(model) {
+    if (!model) return null;
+    const prices = this.getModelPrices();
+    if (prices[model]) return prices[model];
+
+    const prefix = Object.keys(prices)
+      .filter(name => model.startsWith(name))
+      .sort((a, b) => b.length - a.length)[0];
+    return prefix ? prices[prefix] : null;
+  }
+
+  calculateCost(model, promptTokens, completionTokens) {
+    const price = this.getPrice(model);
+    if (!price) return 0;
+    return ((promptTokens || 0) * (price.prompt || 0) + (completionTokens || 0) * (price.completion || 0)) / 1000000;
+  }
+
+  async getUsage(period) {
+    const rows = await documentModel.getTokenUsageByModel(period);
+    return rows.reduce((usage, row) => {
+      // Metrics recorded before the model column existed are priced with the current model
+      const model = row.model || this.getActiveModel();
+      usage.tokens += row.totalTokens;
+      usage.cost += this.calculateCost(model, row.promptTokens, row.completionTokens);
+      return usage;
+    }, { tokens: 0, cost: 0 });
+  }
+
+  /**
+   * Current usage against all budgets.
+   *
+   * @returns {Promise<Object>} { daily, monthly, exhausted, reasons }
+   */
+  async getStatus() {
+    const { budgets } = config;
+    const [daily, monthly] = await Promise.all([
+      this.getUsage('day'),
+      this.getUsage('month')
+    ]);
+
+    const reasons = [];
+    if (budgets.dailyTokens > 0 && daily.tokens >= budgets.dailyTokens) {
+      reasons.push(`Daily token budget exhausted (${daily.tokens} / ${budgets.dailyTokens} tokens)`);
+    }
+    if (budgets.dailyCost > 0 && daily.cost >= budgets.dailyCost) {
+      reasons.push(`Daily cost budget exhausted (${daily.cost.toFixed(2)} / ${budgets.dailyCost.toFixed(2)})`);
+    }
+    if (budgets.monthlyTokens > 0 && monthly.tokens >= budgets.monthlyTokens) {
+      reasons.push(`Monthly token budget exhausted (${monthly.tokens} / ${budgets.monthlyTokens} tokens)`);
+    }
+    if (budgets.monthlyCost > 0 && monthly.cost >= budgets.monthlyCost) {
+      reasons.push(`Monthly cost budget exhausted (${monthly.cost.toFixed(2)} / ${budgets.monthlyCost.toFixed(2)})`);
+    }
+
+    const monthlyExhausted = reasons.some(reason => reason.startsWith('Monthly'));
+    return {
+      daily: { ...daily, tokenLimit: budgets.dailyTokens, costLimit: budgets.dailyCost },
+      monthly: { ...monthly, tokenLimit: budgets.monthlyTokens, costLimit: budgets.monthlyCost },
+      exhausted: reasons.length > 0,
+      period: reasons.length === 0 ? null : monthlyExhausted ? 'month' : 'day',
+      reasons
+    };
+  }
+
+  /**
+   * Checks the budgets before automatic processing and sends the alert once
+   * per exhausted period.
+   *
+   * @returns {Promise<boolean>} true if processing may continue
+   */
+  async checkBudget() {
+    const status = await this.getStatus();
+    if (!status.exhausted) return true;
+
+    console.warn(`[WARN] Automatic processing paused: ${status.reasons.join('; ')}`);
+    await this.sendAlert(status);
+    return false;
+  }
+
+  async sendAlert(status) {
+    const url = config.budgets.alertWebhookUrl;
+    if (!url) return;
+
+    const now = new Date();
+    const day = `${now.getFullYear()}-${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+    const periodKey = status.period === 'month' ? `month:${day.substring(0, 7)}` : `day:${day}`;
+    if (await documentModel.getScanState('budget_alert_sent') === periodKey) return;
+
+    const validation = validateApiUrl(url, { allowPrivateIPs: true });
+    if (!validation.valid) {
+      console.error('[ERROR] Invalid budget alert webhook URL:', validation.error);
+      return;
+    }
+
+    const text = `Paperless-AI paused automatic processing: ${status.reasons.join('; ')}`;
+    try {
+      // "text" is understood by Slack/Mattermost, "content" by Discord
+      await axios.post(url, {
+        event: 'budget_exhausted',
+        text,
+        content: text,
+        reasons: status.reasons,
+        daily: status.daily,
+        monthly: status.monthly
+      }, { timeout: 5000 });
+      await documentModel.setScanState('budget_alert_sent', periodKey);
+      console.log('[DEBUG] Budget alert sent');
+    } catch (error) {
+      console.error('[ERROR] Failed to send budget alert:', error.message);
+    }
+  }
+}
+
+module.exports = new BudgetService();
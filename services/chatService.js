@@ -1,5 +1,6 @@
 // services/chatService.js
 const OpenAIService = require('./openaiService');
+const AIServiceFactory = require('./aiServiceFactory');
 const PaperlessService = require('./paperlessService');
 const config = require('../config/config');
 const fs = require('fs');
@@ -117,7 +118,8 @@ class ChatService {
       res.setHeader('Connection', 'keep-alive');
 
       let fullResponse = '';
-      const aiProvider = process.env.AI_PROVIDER;
+      // CHAT_AI_PROVIDER / CHAT_MODEL, defaulting to AI_PROVIDER and its model
+      const { provider: aiProvider, model } = AIServiceFactory.getTaskSettings('chat');
 
       if (aiProvider === 'openai') {
         // Make sure OpenAIService is initialized
@@ -129,7 +131,7 @@ class ChatService {
         });
         
         const stream = await openai.chat.completions.create({
-          model: process.env.OPENAI_MODEL || 'gpt-4',
+          model: model || process.env.OPENAI_MODEL || 'gpt-4',
           messages: chatData.messages,
           stream: true,
         });
@@ -149,7 +151,7 @@ class ChatService {
         });
 
         const stream = await customOpenAI.chat.completions.create({
-          model: process.env.CUSTOM_MODEL,
+          model: model || process.env.CUSTOM_MODEL,
           messages: chatData.messages,
           stream: true,
         });
@@ -162,15 +164,16 @@ class ChatService {
           }
         }
       } else if (aiProvider === 'azure') {
-        // Use OpenAI SDK with Azure configuration
+        // Use OpenAI SDK with Azure configuration; the model of a task is a deployment name
+        const deployment = model || process.env.AZURE_DEPLOYMENT_NAME;
         const azureOpenAI = new OpenAI({
           apiKey: process.env.AZURE_API_KEY,
-          baseURL: `${process.env.AZURE_ENDPOINT}/openai/deployments/${process.env.AZURE_DEPLOYMENT_NAME}`,
+          baseURL: `${process.env.AZURE_ENDPOINT}/openai/deployments/${deployment}`,
           defaultQuery: { 'api-version': process.env.AZURE_API_VERSION },
         });
 
         const stream = await azureOpenAI.chat.completions.create({
-          model: process.env.AZURE_DEPLOYMENT_NAME,
+          model: deployment,
           messages: chatData.messages,
           stream: true,
         });
@@ -190,7 +193,7 @@ class ChatService {
         });
 
         const stream = await ollamaOpenAI.chat.completions.create({
-          model: process.env.OLLAMA_MODEL,
+          model: model || process.env.OLLAMA_MODEL,
           messages: chatData.messages,
           stream: true,
         });
@@ -202,6 +205,13 @@ class ChatService {
             res.write(`data: ${JSON.stringify({ content })}\n\n`);
           }
         }
+      } else if (['anthropic', 'gemini', 'mistral'].includes(aiProvider)) {
+        // Native provider APIs are not streamed, the answer is sent in one piece
+        const aiService = AIServiceFactory.getService(aiProvider);
+        aiService.initialize();
+        const { content } = await aiService._complete(chatData.messages, { model: aiService.getModel({ model }) });
+        fullResponse = content;
+        res.write(`data: ${JSON.stringify({ content })}\n\n`);
       } else {
         throw new Error('AI Provider not configured');
       }
@@ -0,0 +1,93 @@
+// services/circuitBreakerService.js
+const config = require('../config/config');
+
+/**
+ * Per-provider circuit breaker. After CIRCUIT_BREAKER_THRESHOLD consecutive
+ * failures a provider is "open" and skipped for CIRCUIT_BREAKER_COOLDOWN_SECONDS.
+ * Afterwards a single trial request is let through ("half-open"): success closes
+ * the circuit again, failure opens it for another cooldown.
+ */
+class CircuitBreaker {
+  constructor() {
+    this.providers = new Map();
+  }
+
+  getState(provider) {
+    if (!this.providers.has(provider)) {
+      this.providers.set(provider, {
+        state: 'closed',
+        failures: 0,
+        openedAt: null,
+        lastError: null,
+        lastFailureAt: null,
+        lastSuccessAt: null
+      });
+    }
+    return this.providers.get(provider);
+  }
+
+  /**
+   * Whether a request may be sent to the provider. Moves an open circuit to
+   * half-open once the cooldown has passed; only one trial request is allowed then.
+   */
+  isAvailable(provider) {
+    const entry = this.getState(provider);
+    if (entry.state === 'closed') return true;
+
+    if (entry.state === 'open') {
+      const cooldownMs = config.circuitBreaker.cooldownSeconds * 1000;
+      if (Date.now() - entry.openedAt < cooldownMs) return false;
+      entry.state = 'half-open';
+      console.log(`[DEBUG] Circuit for ${provider} is half-open, sending a trial request`);
+      return true;
+    }
+
+    // half-open: a trial request is already on its way
+    return false;
+  }
+
+  recordSuccess(provider) {
+    const entry = this.getState(provider);
+    if (entry.state !== 'closed') {
+      console.log(`[DEBUG] Circuit for ${provider} closed again`);
+    }
+    entry.state = 'closed';
+    entry.failures = 0;
+    entry.openedAt = null;
+    entry.lastSuccessAt = new Date().toISOString();
+  }
+
+  recordFailure(provider, error) {
+    const entry = this.getState(provider);
+    entry.failures++;
+    entry.lastError = error || null;
+    entry.lastFailureAt = new Date().toISOString();
+
+    if (entry.state === 'half-open' || entry.failures >= config.circuitBreaker.failureThreshold) {
+      if (entry.state !== 'open') {
+        console.warn(`[WARN] Circuit for ${provider} opened after ${entry.failures} failure(s), skipping it for ${config.circuitBreaker.cooldownSeconds}s`);
+      }
+      entry.state = 'open';
+      entry.openedAt = Date.now();
+    }
+  }
+
+  /**
+   * State of all providers that were used since the start, for the status API.
+   */
+  getStatus() {
+    return Array.from(this.providers.entries()).map(([provider, entry]) => ({
+      provider,
+      state: entry.state,
+      failures: entry.failures,
+      lastError: entry.lastError,
+      lastFailureAt: entry.lastFailureAt,
+      lastSuccessAt: entry.lastSuccessAt,
+      retryAt: entry.state === 'open'
+        ? new Date(entry.openedAt + config.circuitBreaker.cooldownSeconds * 1000).toISOString()
+        : null
+    }));
+  }
+}
+
+module.exports = new CircuitBreaker();
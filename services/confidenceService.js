@@ -0,0 +1,263 @@
+// services/confidenceService.js
+const config = require('../config/config');
+const paperlessService = require('./paperlessService');
+const mergePolicyService = require('./mergePolicyService');
+
+// Fields of the analysis that carry a confidence (custom fields are rated by name)
+const FIELDS = ['title', 'correspondent', 'tags', 'document_type', 'document_date', 'language', 'storage_path'];
+
+function toConfidence(value) {
+  const parsed = typeof value === 'string' ? parseFloat(value) : value;
+  if (typeof parsed !== 'number' || !Number.isFinite(parsed)) return null;
+  // Some models answer in percent
+  return Math.min(Math.max(parsed > 1 ? parsed / 100 : parsed, 0), 1);
+}
+
+function hasValue(value) {
+  if (Array.isArray(value)) return value.length > 0;
+  return value !== null && value !== undefined && String(value).trim() !== '';
+}
+
+/**
+ * Finds the character range of every value in a JSON text, keyed by its path
+ * ("title", "tags", "custom_fields.0.value"). Throws on malformed JSON.
+ */
+function findValueSpans(text) {
+  const spans = {};
+  let pos = text.indexOf('{');
+  if (pos < 0) return spans;
+
+  const expect = (char) => {
+    if (text[pos] !== char) throw new Error(`Expected ${char} at ${pos}`);
+    pos++;
+  };
+  const skipWhitespace = () => {
+    while (pos < text.length && /\s/.test(text[pos])) pos++;
+  };
+  const readString = () => {
+    const start = pos;
+    expect('"');
+    while (text[pos] !== '"') {
+      if (pos >= text.length) throw new Error('Unterminated string');
+      pos += text[pos] === '\\' ? 2 : 1;
+    }
+    pos++;
+    return JSON.parse(text.slice(start, pos));
+  };
+  const readValue = (path) => {
+    skipWhitespace();
+    const start = pos;
+    if (text[pos] === '{' || text[pos] === '[') {
+      const isObject = text[pos] === '{';
+      const close = isObject ? '}' : ']';
+      pos++;
+      for (let index = 0; ; index++) {
+        skipWhitespace();
+        if (pos >= text.length) throw new Error('Unexpected end of JSON');
+        if (text[pos] === close) break;
+        if (index > 0) {
+          expect(',');
+          skipWhitespace();
+        }
+        let key = index;
+        if (isObject) {
+          key = readString();
+          skipWhitespace();
+          expect(':');
+        }
+        readValue(path ? `${path}.${key}` : String(key));
+      }
+      pos++;
+    } else if (text[pos] === '"') {
+      readString();
+    } else {
+      while (pos < text.length && !/[,}\]\s]/.test(text[pos])) pos++;
+    }
+    if (path) spans[path] = [start, pos];
+  };
+
+  readValue('');
+  return spans;
+}
+
+/**
+ * Per-field confidence of an AI analysis. Models report it in the "confidence"
+ * object of their reply; where the provider returns token logprobs, the
+ * confidence of a field is derived from the probabilities of its tokens instead.
+ *
+ * Fields below the threshold are left out of the update (or the update is sent
+ * to review) and the document gets the needs-review tag.
+ */
+class ConfidenceService {
+  get fields() {
+    return FIELDS;
+  }
+
+  /**
+   * Cleans the confidence reported by the model: numbers between 0 and 1,
+   * custom fields keyed by field name.
+   *
+   * @returns {{custom_fields: Object}} { [field]: number, custom_fields: { [name]: number } }
+   */
+  normalize(reported) {
+    const confidence = { custom_fields: {} };
+    if (!reported || typeof reported !== 'object') return confidence;
+
+    for (const field of FIELDS) {
+      const value = toConfidence(reported[field]);
+      if (value !== null) confidence[field] = value;
+    }
+    for (const [name, value] of Object.entries(reported.custom_fields || {})) {
+      const parsed = toConfidence(value);
+      if (parsed !== null) confidence.custom_fields[name] = parsed;
+    }
+    return confidence;
+  }
+
+  /**
+   * Derives the confidence of each field from the token logprobs of the reply:
+   * the geometric mean of the probabilities of the tokens forming its value.
+   *
+   * @param {Object} document - The parsed reply
+   * @param {string} content - The raw reply the tokens belong to
+   * @param {Array<{token: string, logprob: number}>} tokens - Logprobs of the reply
+   */
+  fromLogprobs(document, content, tokens) {
+    const confidence = { custom_fields: {} };
+    let spans;
+    try {
+      spans = findValueSpans(String(content));
+    } catch (error) {
+      console.warn('[WARN] Could not locate the fields in the reply for their confidence:', error.message);
+      return confidence;
+    }
+
+    const offsets = [];
+    let offset = 0;
+    for (const { token, logprob } of tokens) {
+      offsets.push({ start: offset, end: offset + token.length, logprob });
+      offset += token.length;
+    }
+    const spanConfidence = ([start, end]) => {
+      const logprobs = offsets
+        .filter(token => token.end > start && token.start < end && Number.isFinite(token.logprob))
+        .map(token => token.logprob);
+      if (logprobs.length === 0) return null;
+      return Math.exp(logprobs.reduce((sum, logprob) => sum + logprob, 0) / logprobs.length);
+    };
+
+    for (const field of FIELDS) {
+      const value = spans[field] ? spanConfidence(spans[field]) : null;
+      if (value !== null) confidence[field] = value;
+    }
+    for (const [key, customField] of Object.entries(document.custom_fields || {})) {
+      const span = spans[`custom_fields.${key}.value`];
+      const value = span && customField?.field_name ? spanConfidence(span) : null;
+      if (value !== null) confidence.custom_fields[customField.field_name] = value;
+    }
+    return confidence;
+  }
+
+  /**
+   * Combines the reported confidence with the one derived from logprobs, which
+   * takes precedence where it is available.
+   */
+  resolve(document, content, tokens = null) {
+    const reported = this.normalize(document?.confidence);
+    if (!Array.isArray(tokens) || tokens.length === 0) return reported;
+
+    const derived = this.fromLogprobs(document, content, tokens);
+    return {
+      ...reported,
+      ...derived,
+      custom_fields: { ...reported.custom_fields, ...derived.custom_fields }
+    };
+  }
+
+  // Whether any threshold is set; without one the confidence is not checked
+  isEnabled() {
+    return config.confidence.threshold > 0 || Object.values(config.confidence.fieldThresholds).some(threshold => threshold > 0);
+  }
+
+  getThreshold(field) {
+    const key = field.startsWith('custom_fields.') ? 'custom_fields' : field;
+    return config.confidence.fieldThresholds[key] ?? config.confidence.threshold;
+  }
+
+  /**
+   * Returns the fields with a value whose confidence is below their threshold,
+   * custom fields as "custom_fields.<name>". Fields without a confidence pass.
+   *
+   * @param {Object} document - analysis.document
+   * @returns {string[]}
+   */
+  findLowConfidenceFields(document) {
+    const confidence = document?.confidence;
+    if (!confidence) return [];
+
+    const low = FIELDS.filter(field =>
+      hasValue(document[field]) && typeof confidence[field] === 'number' && confidence[field] < this.getThreshold(field));
+
+    for (const customField of Object.values(document.custom_fields || {})) {
+      const name = customField?.field_name;
+      const value = confidence.custom_fields?.[name];
+      if (name && hasValue(customField.value) && typeof value === 'number' && value < this.getThreshold(`custom_fields.${name}`)) {
+        low.push(`custom_fields.${name}`);
+      }
+    }
+    return low;
+  }
+
+  // Whether a document with low-confidence fields is sent to review instead of being updated without them
+  routesToReview(document) {
+    return config.confidence.lowConfidenceAction === 'review' && this.findLowConfidenceFields(document).length > 0;
+  }
+
+  /**
+   * ID of the needs-review tag, created if missing. null if the tag is disabled.
+   */
+  async getNeedsReviewTagId() {
+    const tagName = config.confidence.needsReviewTag;
+    if (!tagName) return null;
+    paperlessService.initialize();
+    const tag = (await paperlessService.findExistingTag(tagName)) || (await paperlessService.createTagSafely(tagName));
+    return tag?.id || null;
+  }
+
+  /**
+   * Adds the needs-review tag to a document whose update waits for review.
+   */
+  async addNeedsReviewTag(documentId) {
+    try {
+      const tagId = await this.getNeedsReviewTagId();
+      if (tagId) {
+        await paperlessService.updateDocument(documentId, { tags: [tagId] }, {
+          policies: { ...mergePolicyService.getPolicies(), tags: 'merge' }
+        });
+      }
+    } catch (error) {
+      console.error(`[ERROR] adding the needs-review tag to document ${documentId}:`, error.message);
+    }
+  }
+
+  /**
+   * Removes the needs-review tag from a document once its suggestion was reviewed.
+   */
+  async removeNeedsReviewTag(documentId) {
+    const tagName = config.confidence.needsReviewTag;
+    if (!tagName) return;
+    try {
+      const [tag, doc] = await Promise.all([
+        paperlessService.findExistingTag(tagName),
+        paperlessService.getDocument(documentId)
+      ]);
+      if (tag && doc?.tags?.includes(tag.id)) {
+        await paperlessService.removeUnusedTagsFromDocument(documentId, doc.tags.filter(tagId => tagId !== tag.id));
+      }
+    } catch (error) {
+      console.error(`[ERROR] removing the needs-review tag from document ${documentId}:`, error.message);
+    }
+  }
+}
+
+module.exports = new ConfidenceService();
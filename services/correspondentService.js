@@ -0,0 +1,416 @@
+// services/correspondentService.js
+const config = require('../config/config');
+const documentModel = require('../models/document');
+const paperlessService = require('./paperlessService');
+const auditService = require('./auditService');
+
+const IDENTIFIER_TYPES = ['iban', 'vat', 'email'];
+const ALIAS_TYPES = ['name', ...IDENTIFIER_TYPES];
+const CACHE_LIFETIME = 60 * 1000;
+
+// Legal forms stripped from the end of a name, written without dots ("e.V." = "ev")
+const LEGAL_SUFFIXES = new Set([
+  'gmbh', 'mbh', 'gesmbh', 'ag', 'kg', 'kgaa', 'ohg', 'gbr', 'ug', 'haftungsbeschrankt', 'ev', 'eg', 'se', 'co', 'cie',
+  'inc', 'incorporated', 'ltd', 'limited', 'llc', 'llp', 'plc', 'corp', 'corporation', 'company',
+  'sa', 'sarl', 'sas', 'srl', 'spa', 'bv', 'nv', 'ab', 'as', 'asa', 'oy', 'oyj', 'aps', 'pty'
+]);
+
+// IBAN length per country; IBANs of other countries are not recognised
+const IBAN_LENGTHS = {
+  AT: 20, BE: 16, CH: 21, CZ: 24, DE: 22, DK: 18, ES: 24, FI: 18, FR: 27, GB: 22, IE: 22,
+  IT: 27, LI: 21, LU: 20, NL: 18, NO: 15, PL: 28, PT: 25, SE: 24
+};
+
+const VAT_PATTERNS = {
+  AT: /^ATU\d{8}$/, BE: /^BE[01]\d{9}$/, CH: /^CHE\d{9}$/, CZ: /^CZ\d{8,10}$/, DE: /^DE\d{9}$/,
+  DK: /^DK\d{8}$/, ES: /^ES[A-Z0-9]\d{7}[A-Z0-9]$/, FI: /^FI\d{8}$/, FR: /^FR[A-Z0-9]{2}\d{9}$/,
+  GB: /^GB\d{9}$/, IE: /^IE\d[A-Z0-9]\d{5}[A-Z]{1,2}$/, IT: /^IT\d{11}$/, LU: /^LU\d{8}$/,
+  NL: /^NL\d{9}B\d{2}$/, PL: /^PL\d{10}$/, PT: /^PT\d{9}$/, SE: /^SE\d{10}01$/
+};
+
+const IBAN_CANDIDATE = /\b[A-Z]{2}\d{2}(?: ?[A-Z0-9]){11,30}/g;
+const VAT_CANDIDATE = /\b(ATU|BE|CHE|CZ|DE|DK|ES|FI|FR|GB|IE|IT|LU|NL|PL|PT|SE)[ .-]?((?:[A-Z0-9][ .-]?){8,14})/g;
+const EMAIL_CANDIDATE = /[A-Z0-9._%+-]+@[A-Z0-9-]+(?:\.[A-Z0-9-]+)*\.[A-Z]{2,}/gi;
+
+/**
+ * Lower case without accents, punctuation and trailing legal forms:
+ * "Deutsche Telekom AG" = "deutsche telekom", "Müller & Co. KG" = "muller".
+ */
+function normalizeName(name) {
+  const words = String(name ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\./g, '')
+    .replace(/[^\p{L}\p{N}]+/gu, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+  while (words.length > 1 && LEGAL_SUFFIXES.has(words[words.length - 1])) {
+    words.pop();
+  }
+  return words.join(' ');
+}
+
+function normalizeIdentifier(type, value) {
+  const text = String(value ?? '').trim();
+  return type === 'email' ? text.toLowerCase() : text.toUpperCase().replace(/[\s.-]/g, '');
+}
+
+// ISO 13616 check digits: the rearranged IBAN as a number modulo 97 is 1
+function isValidIban(iban) {
+  if (IBAN_LENGTHS[iban.slice(0, 2)] !== iban.length) return false;
+  const digits = (iban.slice(4) + iban.slice(0, 4)).replace(/[A-Z]/g, char => String(char.charCodeAt(0) - 55));
+  let remainder = 0;
+  for (const digit of digits) {
+    remainder = (remainder * 10 + Number(digit)) % 97;
+  }
+  return remainder === 1;
+}
+
+function isValidVatId(vatId) {
+  const pattern = VAT_PATTERNS[vatId.slice(0, 2)];
+  return Boolean(pattern && pattern.test(vatId));
+}
+
+// Words of the shorter name all appear in the longer one ("telekom" in "deutsche telekom")
+function containsWords(longer, shorter) {
+  if (shorter.replace(/ /g, '').length < 4) return false;
+  const words = longer.split(' ');
+  return shorter.split(' ').every(word => words.includes(word));
+}
+
+/**
+ * Keeps the AI from creating a new correspondent for every spelling of a
+ * sender ("Deutsche Telekom AG", "Telekom Deutschland GmbH", "Telekom").
+ *
+ * A correspondent name without an exact match is resolved by alias, by an
+ * IBAN, VAT ID or email address in the content that is known to belong to a
+ * correspondent, and by the normalised name. Identifiers are learned whenever
+ * a document gets a correspondent; one seen with several correspondents (e.g.
+ * your own IBAN) is ignored. Existing duplicates can be found and merged.
+ */
+class CorrespondentService {
+  constructor() {
+    this.cache = null;
+    this.cacheTime = 0;
+  }
+
+  get aliasTypes() {
+    return ALIAS_TYPES;
+  }
+
+  normalizeName(name) {
+    return normalizeName(name);
+  }
+
+  /**
+   * IBANs (with valid check digits), VAT IDs and email addresses in a text,
+   * without the ignored identifiers (CORRESPONDENT_IGNORED_IDENTIFIERS).
+   *
+   * @returns {Array<{type: string, value: string}>}
+   */
+  extractIdentifiers(content) {
+    const text = String(content || '');
+    const upper = text.toUpperCase();
+    const found = new Map();
+    const add = (type, value) => found.set(`${type}:${value}`, { type, value });
+
+    for (const [candidate] of upper.matchAll(IBAN_CANDIDATE)) {
+      const compact = candidate.replace(/ /g, '');
+      const iban = compact.slice(0, IBAN_LENGTHS[compact.slice(0, 2)] || 0);
+      if (iban && isValidIban(iban)) add('iban', iban);
+    }
+    for (const [, prefix, rest] of upper.matchAll(VAT_CANDIDATE)) {
+      const compact = prefix + rest.replace(/[ .-]/g, '');
+      for (let length = compact.length; length >= 10; length--) {
+        const vatId = compact.slice(0, length);
+        // A longer number is something else (e.g. the digits of an IBAN)
+        if (isValidVatId(vatId) && !/\d/.test(compact[length] || '')) {
+          add('vat', vatId);
+          break;
+        }
+      }
+    }
+    for (const [email] of text.matchAll(EMAIL_CANDIDATE)) {
+      add('email', email.toLowerCase());
+    }
+
+    const ignored = new Set(config.correspondentMatching.ignoredIdentifiers
+      .map(identifier => normalizeIdentifier(identifier.includes('@') ? 'email' : 'iban', identifier)));
+    return [...found.values()].filter(identifier => !ignored.has(identifier.value));
+  }
+
+  async getCorrespondents({ refresh = false } = {}) {
+    if (refresh || !this.cache || Date.now() - this.cacheTime > CACHE_LIFETIME) {
+      this.cache = await paperlessService.getCorrespondents();
+      this.cacheTime = Date.now();
+    }
+    return this.cache;
+  }
+
+  clearCache() {
+    this.cache = null;
+  }
+
+  /**
+   * Returns the existing correspondent a name stands for, or null if a new one
+   * should be created.
+   *
+   * @param {string} name - Correspondent name suggested by the AI
+   * @param {string} [content] - Document content to look for known identifiers
+   * @returns {Promise<{id: number, name: string}|null>}
+   */
+  async findMatchingCorrespondent(name, content = null) {
+    const existing = await paperlessService.searchForExistingCorrespondent(name);
+    if (existing) return existing;
+
+    const correspondents = await this.getCorrespondents();
+    const byId = (id) => correspondents.find(correspondent => correspondent.id === id);
+    const found = (correspondent, reason) => {
+      console.log(`[DEBUG] Correspondent "${name}" matches existing correspondent "${correspondent.name}" (${reason})`);
+      return { id: correspondent.id, name: correspondent.name };
+    };
+
+    const alias = await documentModel.getCorrespondentAlias('name', normalizeName(name));
+    if (alias?.correspondentId && byId(alias.correspondentId)) {
+      return found(byId(alias.correspondentId), `alias "${alias.value}"`);
+    }
+
+    const { normalize, matchIdentifiers } = config.correspondentMatching;
+    if (matchIdentifiers === 'yes' && content) {
+      const match = await this.findByIdentifiers(content);
+      if (match && byId(match.correspondentId)) {
+        return found(byId(match.correspondentId), `${match.identifiers.join(', ')} in the content`);
+      }
+    }
+
+    if (normalize === 'yes') {
+      const match = this.findByNormalizedName(name, correspondents);
+      if (match) return found(match, 'normalised name');
+    }
+    return null;
+  }
+
+  /**
+   * The correspondent most of the known identifiers in the content belong to;
+   * null if there is none or it is a tie.
+   */
+  async findByIdentifiers(content) {
+    const votes = new Map();
+    for (const { type, value } of this.extractIdentifiers(content)) {
+      const alias = await documentModel.getCorrespondentAlias(type, value);
+      if (alias?.correspondentId) {
+        votes.set(alias.correspondentId, [...(votes.get(alias.correspondentId) || []), value]);
+      }
+    }
+
+    const [first, second] = [...votes.entries()].sort((a, b) => b[1].length - a[1].length);
+    if (!first || (second && second[1].length === first[1].length)) return null;
+    return { correspondentId: first[0], identifiers: first[1] };
+  }
+
+  /**
+   * A correspondent with the same normalised name (the one with the most
+   * documents if there are several), otherwise the only correspondent whose
+   * name contains all words of the given name or vice versa.
+   */
+  findByNormalizedName(name, correspondents) {
+    const key = normalizeName(name);
+    if (!key) return null;
+
+    const keyed = correspondents.map(correspondent => ({ correspondent, key: normalizeName(correspondent.name) }));
+    const same = keyed
+      .filter(entry => entry.key === key)
+      .sort((a, b) => (b.correspondent.document_count || 0) - (a.correspondent.document_count || 0));
+    if (same.length > 0) return same[0].correspondent;
+
+    const containing = keyed.filter(entry => containsWords(entry.key, key) || containsWords(key, entry.key));
+    return containing.length === 1 ? containing[0].correspondent : null;
+  }
+
+  /**
+   * Remembers the identifiers in the content of a document as belonging to its
+   * correspondent. Only with CORRESPONDENT_MATCH_IDENTIFIERS=yes.
+   */
+  async learnIdentifiers(content, correspondentId) {
+    if (config.correspondentMatching.matchIdentifiers !== 'yes' || !content) return;
+    const identifiers = this.extractIdentifiers(content);
+    for (const { type, value } of identifiers) {
+      await documentModel.learnCorrespondentIdentifier(type, value, value, correspondentId);
+    }
+    if (identifiers.length > 0) {
+      console.log(`[DEBUG] Learned ${identifiers.length} identifiers of correspondent ${correspondentId}`);
+    }
+  }
+
+  async listAliases() {
+    const [aliases, correspondents] = await Promise.all([documentModel.getCorrespondentAliases(), this.getCorrespondents()]);
+    const names = new Map(correspondents.map(correspondent => [correspondent.id, correspondent.name]));
+    return aliases.map(alias => ({ ...alias, correspondentName: names.get(alias.correspondentId) || null }));
+  }
+
+  /**
+   * Maps a name or identifier to a correspondent. Replaces a learned
+   * identifier, including one that became ambiguous.
+   */
+  async addAlias(type, value, correspondentId) {
+    if (!ALIAS_TYPES.includes(type)) {
+      throw new Error(`Invalid alias type: ${type}`);
+    }
+    const valueKey = type === 'name' ? normalizeName(value) : normalizeIdentifier(type, value);
+    if (!valueKey) {
+      throw new Error('Alias is required');
+    }
+    if ((type === 'iban' && !isValidIban(valueKey)) || (type === 'vat' && !isValidVatId(valueKey)) ||
+      (type === 'email' && !/^[^@\s]+@[^@\s]+\.[a-z]{2,}$/.test(valueKey))) {
+      throw new Error(`Invalid ${type === 'vat' ? 'VAT ID' : type.toUpperCase()}: ${value}`);
+    }
+
+    const correspondent = (await this.getCorrespondents()).find(correspondent => correspondent.id === Number(correspondentId));
+    if (!correspondent) {
+      throw new Error(`Correspondent ${correspondentId} not found`);
+    }
+    if (type === 'name' && normalizeName(correspondent.name) === valueKey) {
+      throw new Error('Alias must differ from the correspondent name');
+    }
+
+    const saved = await documentModel.saveCorrespondentAlias({
+      type,
+      value: type === 'name' ? String(value).trim() : valueKey,
+      valueKey,
+      correspondentId: correspondent.id
+    });
+    if (!saved) {
+      throw new Error('Failed to save alias');
+    }
+    return { ...saved, correspondentName: correspondent.name };
+  }
+
+  async deleteAlias(id) {
+    if (!await documentModel.deleteCorrespondentAlias(id)) {
+      throw new Error('Alias not found');
+    }
+  }
+
+  /**
+   * Groups existing correspondents whose normalised names are equal or contain
+   * each other. The one with the most documents is proposed as canonical.
+   *
+   * @returns {Promise<Array<{canonical: Object, duplicates: Object[]}>>}
+   */
+  async findDuplicates() {
+    const correspondents = await this.getCorrespondents({ refresh: true });
+    const keys = correspondents.map(correspondent => normalizeName(correspondent.name));
+
+    const groupOf = correspondents.map((_, index) => index);
+    const find = (index) => (groupOf[index] === index ? index : (groupOf[index] = find(groupOf[index])));
+    const reasons = new Map();
+
+    for (let i = 0; i < correspondents.length; i++) {
+      for (let j = i + 1; j < correspondents.length; j++) {
+        let reason = null;
+        if (keys[i] && keys[i] === keys[j]) {
+          reason = 'same name';
+        } else if (keys[i] && keys[j] && (containsWords(keys[i], keys[j]) || containsWords(keys[j], keys[i]))) {
+          reason = 'contained name';
+        }
+        if (!reason) continue;
+
+        groupOf[find(i)] = find(j);
+        for (const index of [i, j]) {
+          if (reasons.get(index) !== 'same name') reasons.set(index, reason);
+        }
+      }
+    }
+
+    const groups = new Map();
+    reasons.forEach((_, index) => {
+      const root = find(index);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(index);
+    });
+
+    const describe = (index) => ({
+      id: correspondents[index].id,
+      name: correspondents[index].name,
+      normalizedName: keys[index],
+      documentCount: correspondents[index].document_count || 0,
+      reason: reasons.get(index)
+    });
+
+    return [...groups.values()]
+      .map(indexes => {
+        const sorted = indexes
+          .map(describe)
+          .sort((a, b) => b.documentCount - a.documentCount || a.id - b.id);
+        return { canonical: sorted[0], duplicates: sorted.slice(1) };
+      })
+      .sort((a, b) => {
+        const total = group => group.canonical.documentCount + group.duplicates.reduce((sum, entry) => sum + entry.documentCount, 0);
+        return total(b) - total(a);
+      });
+  }
+
+  /**
+   * Merges correspondents into a canonical one: their documents get the
+   * canonical correspondent, they are deleted in Paperless-ngx, and their names
+   * and identifiers become aliases of the canonical correspondent.
+   *
+   * @param {number} targetId - ID of the canonical correspondent
+   * @param {number[]} sourceIds - IDs of the correspondents to merge into it
+   */
+  async mergeCorrespondents(targetId, sourceIds) {
+    const target = Number(targetId);
+    const ids = [...new Set((Array.isArray(sourceIds) ? sourceIds : [sourceIds]).map(Number))];
+    if (!Number.isInteger(target) || ids.length === 0 || ids.some(id => !Number.isInteger(id))) {
+      throw new Error('A target correspondent and at least one correspondent to merge are required');
+    }
+    if (ids.includes(target)) {
+      throw new Error('Invalid merge: a correspondent cannot be merged into itself');
+    }
+
+    const correspondents = await this.getCorrespondents({ refresh: true });
+    const byId = new Map(correspondents.map(correspondent => [correspondent.id, correspondent]));
+    const targetCorrespondent = byId.get(target);
+    if (!targetCorrespondent) {
+      throw new Error(`Correspondent ${target} not found`);
+    }
+    const sources = ids.map(id => {
+      if (!byId.has(id)) throw new Error(`Correspondent ${id} not found`);
+      return byId.get(id);
+    });
+
+    const merged = [];
+    try {
+      for (const source of sources) {
+        const documentIds = await paperlessService.getDocumentIdsWithCorrespondent(source.id);
+        await paperlessService.setCorrespondentOfDocuments(targetCorrespondent, documentIds);
+        await paperlessService.deleteCorrespondent(source);
+
+        await documentModel.retargetCorrespondentAliases(source.id, targetCorrespondent.id);
+        const valueKey = normalizeName(source.name);
+        if (valueKey && valueKey !== normalizeName(targetCorrespondent.name)) {
+          await documentModel.saveCorrespondentAlias({
+            type: 'name', value: source.name, valueKey, correspondentId: targetCorrespondent.id, source: 'merge'
+          });
+        }
+
+        await auditService.record({
+          action: 'correspondent.merge',
+          objectType: 'correspondent',
+          objectId: source.id,
+          objectName: source.name,
+          changes: { mergedInto: { before: null, after: targetCorrespondent.id, afterName: targetCorrespondent.name } }
+        });
+        console.log(`[DEBUG] Merged correspondent "${source.name}" into "${targetCorrespondent.name}" (${documentIds.length} documents)`);
+        merged.push({ id: source.id, name: source.name, documents: documentIds.length });
+      }
+    } finally {
+      this.clearCache();
+    }
+    return { target: { id: targetCorrespondent.id, name: targetCorrespondent.name }, merged };
+  }
+}
+
+module.exports = new CorrespondentService();
@@ -0,0 +1,244 @@
+// services/customFieldValidator.js
+
+/**
+ * Coerces custom field values extracted by the AI (or edited in the review)
+ * into the format Paperless-ngx expects for the data type of the field, so an
+ * unusable value is left out with a reason instead of failing the whole PATCH.
+ */
+
+// Paperless-ngx limits of the string and url fields and of the integer column
+const MAX_STRING_LENGTH = 128;
+const MAX_URL_LENGTH = 200;
+const MAX_INTEGER = 2147483647;
+
+// Currency symbols copied from documents -> ISO 4217 code
+const CURRENCY_SYMBOLS = { '€': 'EUR', '$': 'USD', '£': 'GBP', '¥': 'JPY', '₹': 'INR' };
+const CURRENCY_CODES = new Set(Intl.supportedValuesOf('currency'));
+
+const BOOLEAN_VALUES = {
+  true: true, yes: true, y: true, ja: true, '1': true,
+  false: false, no: false, n: false, nein: false, '0': false
+};
+
+/**
+ * Parses a number written with "." or "," as decimal separator and optional
+ * thousands separators: "1.234,50", "1,234.50", "1 234.5". A single separator
+ * is a decimal one, except one followed by exactly three digits after a group
+ * of one to three digits ("1,234", "1.500"); "0.125" and "1234.567" stay decimal.
+ *
+ * @returns {number|null} null if the text is not a number
+ */
+function parseNumber(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+
+  const text = String(value).replace(/[\s']/g, '');
+  const match = text.match(/^([+-]?)(\d[\d.,]*)$/);
+  if (!match) return null;
+  const [, sign, digits] = match;
+
+  const lastDot = digits.lastIndexOf('.');
+  const lastComma = digits.lastIndexOf(',');
+  let decimal = null;
+  if (lastDot !== -1 && lastComma !== -1) {
+    decimal = lastDot > lastComma ? '.' : ',';
+  } else if (lastDot !== -1 || lastComma !== -1) {
+    const separator = lastDot !== -1 ? '.' : ',';
+    const count = digits.split(separator).length - 1;
+    const digitsAfter = digits.length - digits.lastIndexOf(separator) - 1;
+    const groupsThousands = digitsAfter === 3 && digits.indexOf(separator) <= 3 && !digits.startsWith('0');
+    if (count === 1 && !groupsThousands) {
+      decimal = separator;
+    }
+  }
+
+  const decimalIndex = decimal ? digits.lastIndexOf(decimal) : digits.length;
+  const integerPart = digits.slice(0, decimalIndex).replace(/[.,]/g, '');
+  const fraction = digits.slice(decimalIndex + 1);
+  if (!integerPart || /[.,]/.test(fraction)) return null;
+
+  const number = Number(`${sign}${integerPart}${fraction ? `.${fraction}` : ''}`);
+  return Number.isFinite(number) ? number : null;
+}
+
+function formatDate(year, month, day) {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return `${String(year).padStart(4, '0')}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Parses a date as ISO (2024-03-31, also with a time), German (31.03.2024),
+ * slashed (31/03/2024 or 03/31/2024, if the order is unambiguous) or written
+ * out ("March 31, 2024").
+ *
+ * @returns {{value: string}|{error: string}} The date as YYYY-MM-DD
+ */
+function parseDate(value) {
+  const text = String(value).trim();
+  let match;
+  let date = null;
+
+  if ((match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T\s].*)?$/))) {
+    date = formatDate(+match[1], +match[2], +match[3]);
+  } else if ((match = text.match(/^(\d{1,2})\.\s?(\d{1,2})\.\s?(\d{4})$/))) {
+    date = formatDate(+match[3], +match[2], +match[1]);
+  } else if ((match = text.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/))) {
+    const [first, second, year] = [+match[1], +match[2], +match[3]];
+    if (first <= 12 && second <= 12 && first !== second) {
+      return { error: `ambiguous date "${text}", day and month could be swapped` };
+    }
+    date = first > 12 ? formatDate(year, second, first) : formatDate(year, first, second);
+  } else if (/[a-z]/i.test(text) && !isNaN(Date.parse(text))) {
+    const parsed = new Date(Date.parse(text));
+    date = formatDate(parsed.getFullYear(), parsed.getMonth() + 1, parsed.getDate());
+  }
+
+  return date ? { value: date } : { error: `"${text}" is not a valid date` };
+}
+
+function parseMonetary(value, field) {
+  let text = String(value).trim();
+  let currency = null;
+
+  const symbol = Object.keys(CURRENCY_SYMBOLS).find(candidate => text.includes(candidate));
+  if (symbol) {
+    currency = CURRENCY_SYMBOLS[symbol];
+    text = text.replace(symbol, '');
+  } else {
+    const code = text.match(/(?<![A-Za-z])([A-Za-z]{3})(?![A-Za-z])/);
+    if (code) {
+      currency = code[1].toUpperCase();
+      if (!CURRENCY_CODES.has(currency)) {
+        return { error: `unknown currency "${code[1]}"` };
+      }
+      text = text.replace(code[0], '');
+    }
+  }
+
+  const amount = parseNumber(text.trim());
+  if (amount === null) {
+    return { error: `"${value}" is not an amount` };
+  }
+  // Without a currency in the value Paperless-ngx uses the default currency of the field
+  currency = currency || field.extra_data?.default_currency || '';
+  return { value: `${currency}${amount.toFixed(2)}` };
+}
+
+// Select options are { id, label } since Paperless-ngx 2.14, plain labels (referenced by index) before
+function selectOptions(field) {
+  return (field.extra_data?.select_options || []).map((option, index) =>
+    typeof option === 'string'
+      ? { id: index, label: option }
+      : { id: option.id, label: option.label });
+}
+
+/**
+ * Coerces a value to the data type of a Paperless-ngx custom field.
+ *
+ * @param {Object} field - The custom field from Paperless-ngx ({ name, data_type, extra_data })
+ * @param {*} value - Value from the AI or a reviewer
+ * @returns {{value: *}|{error: string}} The value to send, or why it cannot be used
+ */
+function coerceCustomFieldValue(field, value) {
+  if (value === null || value === undefined || String(value).trim() === '') {
+    return { error: 'empty value' };
+  }
+  const text = typeof value === 'string' ? value.trim() : value;
+
+  switch (field.data_type) {
+    case 'monetary':
+      return parseMonetary(text, field);
+
+    case 'date':
+      return parseDate(text);
+
+    case 'integer': {
+      const number = parseNumber(text);
+      if (number === null || !Number.isInteger(number)) {
+        return { error: `"${value}" is not a whole number` };
+      }
+      if (Math.abs(number) > MAX_INTEGER) {
+        return { error: `${number} is out of range` };
+      }
+      return { value: number };
+    }
+
+    case 'float': {
+      const number = parseNumber(text);
+      return number === null ? { error: `"${value}" is not a number` } : { value: number };
+    }
+
+    case 'boolean': {
+      if (typeof text === 'boolean') return { value: text };
+      const parsed = BOOLEAN_VALUES[String(text).toLowerCase()];
+      return parsed === undefined ? { error: `"${value}" is not true or false` } : { value: parsed };
+    }
+
+    case 'url': {
+      const url = /^[a-z][a-z\d+.-]*:/i.test(text) ? text : `https://${text}`;
+      try {
+        const parsed = new URL(url);
+        if (url !== text && !parsed.hostname.includes('.')) {
+          return { error: `"${value}" is not a URL` };
+        }
+      } catch {
+        return { error: `"${value}" is not a URL` };
+      }
+      return url.length > MAX_URL_LENGTH ? { error: `URL is longer than ${MAX_URL_LENGTH} characters` } : { value: url };
+    }
+
+    case 'select': {
+      const options = selectOptions(field);
+      const wanted = String(text).toLowerCase();
+      const option = options.find(candidate => candidate.label.toLowerCase() === wanted)
+        || options.find(candidate => String(candidate.id) === String(text));
+      if (!option) {
+        return { error: `"${value}" is not one of ${options.map(candidate => `"${candidate.label}"`).join(', ') || 'the options (none defined)'}` };
+      }
+      return { value: option.id };
+    }
+
+    case 'documentlink': {
+      const ids = (Array.isArray(text) ? text : String(text).split(/[,;\s]+/).filter(Boolean))
+        .map(id => String(id).replace(/^#/, ''));
+      if (ids.length === 0 || ids.some(id => !/^\d+$/.test(id))) {
+        return { error: `"${value}" is not a list of document IDs` };
+      }
+      return { value: ids.map(id => parseInt(id, 10)) };
+    }
+
+    case 'string': {
+      const string = String(text);
+      if (string.length > MAX_STRING_LENGTH) {
+        console.warn(`[WARN] Value of custom field "${field.name}" truncated to ${MAX_STRING_LENGTH} characters`);
+        return { value: string.substring(0, MAX_STRING_LENGTH - 1) + '…' };
+      }
+      return { value: string };
+    }
+
+    default:
+      // longtext and types added to Paperless-ngx later are sent as text
+      return { value: String(text) };
+  }
+}
+
+/**
+ * Turns a stored value back into the text a reviewer edits: select option
+ * labels instead of their IDs and document links as a comma-separated list.
+ */
+function formatCustomFieldValue(field, value) {
+  if (value === null || value === undefined) return '';
+  if (field?.data_type === 'select') {
+    return selectOptions(field).find(option => String(option.id) === String(value))?.label ?? String(value);
+  }
+  if (Array.isArray(value)) return value.join(', ');
+  return String(value);
+}
+
+module.exports = {
+  coerceCustomFieldValue,
+  formatCustomFieldValue,
+  parseNumber
+};
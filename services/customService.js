@@ -1,25 +1,15 @@
-const {
-  calculateTokens,
-  calculateTotalPromptTokens,
-  truncateToTokenLimit,
-  writePromptToFile
-} = require('./serviceUtils');
 const OpenAI = require('openai');
 const config = require('../config/config');
-const tiktoken = require('tiktoken');
-const paperlessService = require('./paperlessService');
-const fs = require('fs').promises;
-const path = require('path');
-const RestrictionPromptService = require('./restrictionPromptService');
+const BaseAIService = require('./baseAIService');
 
-class CustomOpenAIService {
+class CustomOpenAIService extends BaseAIService {
   constructor() {
-    this.client = null;
-    this.tokenizer = null;
+    super('Custom OpenAI');
   }
 
   initialize() {
-    if (!this.client && config.aiProvider === 'custom') {
+    // Also used by processing profiles when AI_PROVIDER is another provider
+    if (!this.client && config.custom.apiUrl) {
       this.client = new OpenAI({
         baseURL: config.custom.apiUrl,
         apiKey: config.custom.apiKey
@@ -27,354 +17,16 @@ class CustomOpenAIService {
     }
   }
 
-  async analyzeDocument(content, existingTags = [], existingCorrespondentList = [], existingDocumentTypesList = [], id, customPrompt = null, options = {}) {
-    const cachePath = path.join('./public/images', `${id}.png`);
-    try {
-      this.initialize();
-      const now = new Date();
-      const timestamp = now.toLocaleString('de-DE', { dateStyle: 'short', timeStyle: 'short' });
-
-      if (!this.client) {
-        throw new Error('Custom OpenAI client not initialized');
-      }
-
-      // Handle thumbnail caching
-      try {
-        await fs.access(cachePath);
-        console.log('[DEBUG] Thumbnail already cached');
-      } catch (err) {
-        console.log('Thumbnail not cached, fetching from Paperless');
-
-        const thumbnailData = await paperlessService.getThumbnailImage(id);
-
-        if (!thumbnailData) {
-          console.warn('Thumbnail nicht gefunden');
-        }
-
-        await fs.mkdir(path.dirname(cachePath), { recursive: true });
-        await fs.writeFile(cachePath, thumbnailData);
-      }
-
-      // Format existing tags
-      let existingTagsList = existingTags.join(', ');
-
-      // Get external API data if available and validate it
-      let externalApiData = options.externalApiData || null;
-      let validatedExternalApiData = null;
-
-      if (externalApiData) {
-        try {
-          validatedExternalApiData = await this._validateAndTruncateExternalApiData(externalApiData);
-          console.log('[DEBUG] External API data validated and included');
-        } catch (error) {
-          console.warn('[WARNING] External API data validation failed:', error.message);
-          validatedExternalApiData = null;
-        }
-      }
-
-      let systemPrompt = '';
-      let promptTags = '';
-      const model = config.custom.model;
-
-      // Parse CUSTOM_FIELDS from environment variable
-      let customFieldsObj;
-      try {
-        customFieldsObj = JSON.parse(process.env.CUSTOM_FIELDS);
-      } catch (error) {
-        console.error('Failed to parse CUSTOM_FIELDS:', error);
-        customFieldsObj = { custom_fields: [] };
-      }
-
-      // Generate custom fields template for the prompt
-      const customFieldsTemplate = {};
-
-      customFieldsObj.custom_fields.forEach((field, index) => {
-        customFieldsTemplate[index] = {
-          field_name: field.value,
-          value: "Fill in the value based on your analysis"
-        };
-      });
-
-      // Convert template to string for replacement and wrap in custom_fields
-      const customFieldsStr = '"custom_fields": ' + JSON.stringify(customFieldsTemplate, null, 2)
-        .split('\n')
-        .map(line => '    ' + line)  // Add proper indentation
-        .join('\n');
-
-      // Get system prompt based on configuration
-      if (config.useExistingData === 'yes' && config.restrictToExistingTags === 'no' && config.restrictToExistingCorrespondents === 'no') {
-        systemPrompt = `
-        Pre-existing tags: ${existingTagsList}\n\n
-        Pre-existing correspondents: ${existingCorrespondentList}\n\n
-        Pre-existing document types: ${existingDocumentTypesList.join(', ')}\n\n
-        ` + process.env.SYSTEM_PROMPT + '\n\n' + config.mustHavePrompt.replace('%CUSTOMFIELDS%', customFieldsStr);
-        promptTags = '';
-      } else {
-        config.mustHavePrompt = config.mustHavePrompt.replace('%CUSTOMFIELDS%', customFieldsStr);
-        systemPrompt = process.env.SYSTEM_PROMPT + '\n\n' + config.mustHavePrompt;
-        promptTags = '';
-      }
-
-      // Process placeholder replacements in system prompt
-      systemPrompt = RestrictionPromptService.processRestrictionsInPrompt(
-        systemPrompt,
-        existingTags,
-        existingCorrespondentList,
-        existingDocumentTypesList,
-        config
-      );
-
-      // Include validated external API data if available
-      if (validatedExternalApiData) {
-        systemPrompt += `\n\nAdditional context from external API:\n${validatedExternalApiData}`;
-      }
-
-      if (process.env.USE_PROMPT_TAGS === 'yes') {
-        promptTags = process.env.PROMPT_TAGS;
-        systemPrompt = `
-        Take these tags and try to match one or more to the document content.\n\n
-        ` + config.specialPromptPreDefinedTags;
-      }
-
-      // Custom prompt override if provided
-      if (customPrompt) {
-        console.log('[DEBUG] Replace system prompt with custom prompt');
-        systemPrompt = customPrompt + '\n\n' + config.mustHavePrompt;
-      }
-
-      // Calculate tokens AFTER all prompt modifications are complete
-      const totalPromptTokens = await calculateTotalPromptTokens(
-        systemPrompt,
-        process.env.USE_PROMPT_TAGS === 'yes' ? [promptTags] : [],
-        model
-      );
-
-      const maxTokens = Number(config.tokenLimit);
-      const reservedTokens = totalPromptTokens + Number(config.responseTokens);
-      const availableTokens = maxTokens - reservedTokens;
-
-      // Validate that we have positive available tokens
-      if (availableTokens <= 0) {
-        console.warn(`[WARNING] No available tokens for content. Reserved: ${reservedTokens}, Max: ${maxTokens}`);
-        throw new Error('Token limit exceeded: prompt too large for available token limit');
-      }
-
-      console.log(`[DEBUG] Token calculation - Prompt: ${totalPromptTokens}, Reserved: ${reservedTokens}, Available: ${availableTokens}`);
-      console.log(`[DEBUG] Use existing data: ${config.useExistingData}, Restrictions applied based on useExistingData setting`);
-      console.log(`[DEBUG] External API data: ${validatedExternalApiData ? 'included' : 'none'}`);
-
-      const truncatedContent = await truncateToTokenLimit(content, availableTokens, model);
-
-      // console.log('######################################################################');
-      // console.log(`[DEBUG] Content length: ${content.length}, Truncated content length: ${truncatedContent.length}`);
-      // console.log(`[DEBUG] Truncated content: ${truncatedContent}`);
-      // console.log(`[DEBUG] System prompt: ${systemPrompt}`);
-      // console.log(`[DEBUG] Prompt tags: ${promptTags}`);
-      // console.log(`[DEBUG] Model: ${model}`);
-      // console.log(`[DEBUG] Custom fields: ${customFieldsStr}`);
-      // console.log(`[DEBUG] Existing tags: ${existingTagsList}`);
-      // console.log(`[DEBUG] Existing correspondents: ${existingCorrespondentList}`);
-      // console.log(`[DEBUG] Custom prompt: ${customPrompt}`);
-      // console.log(`[DEBUG] External API data: ${validatedExternalApiData}`);
-      // console.log('######################################################################');
-
-
-      const response = await this.client.chat.completions.create({
-        model: model,
-        messages: [
-          {
-            role: "system",
-            content: systemPrompt
-          },
-          {
-            role: "user",
-            content: truncatedContent
-          }
-        ],
-        temperature: 0.3,
-      });
-
-      // Handle response
-      //console.log(`MESSAGE: ${response?.choices?.[0]?.message?.content}`);
-      if (!response?.choices?.[0]?.message?.content) {
-        throw new Error('Invalid API response structure');
-      }
-
-      // Log token usage
-      console.log(`[DEBUG] [${timestamp}] Custom OpenAI request sent`);
-      console.log(`[DEBUG] [${timestamp}] Total tokens: ${response.usage.total_tokens}`);
-
-      const usage = response.usage;
-      const mappedUsage = {
-        promptTokens: usage.prompt_tokens,
-        completionTokens: usage.completion_tokens,
-        totalTokens: usage.total_tokens
-      };
-
-      let jsonContent = response.choices[0].message.content;
-      jsonContent = jsonContent.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-
-      let parsedResponse;
-      try {
-        parsedResponse = JSON.parse(jsonContent);
-        //write to file and append to the file (txt)
-        fs.appendFile('./logs/response.txt', jsonContent, (err) => {
-          if (err) throw err;
-        });
-      } catch (error) {
-        console.error('Failed to parse JSON response:', error);
-        throw new Error('Invalid JSON response from API');
-      }
-
-      // Validate response structure
-      if (!parsedResponse || !Array.isArray(parsedResponse.tags) || typeof parsedResponse.correspondent !== 'string') {
-        throw new Error('Invalid response structure: missing tags array or correspondent string');
-      }
-
-      return {
-        document: parsedResponse,
-        metrics: mappedUsage,
-        truncated: truncatedContent.length < content.length
-      };
-    } catch (error) {
-      console.error('Failed to analyze document:', error);
-      return {
-        document: { tags: [], correspondent: null },
-        metrics: null,
-        error: error.message
-      };
-    }
-  }
-
-  /**
-   * Validate and truncate external API data to prevent token overflow
-   * @param {any} apiData - The external API data to validate
-   * @param {number} maxTokens - Maximum tokens allowed for external data (default: 500)
-   * @returns {string} - Validated and potentially truncated data string
-   */
-  async _validateAndTruncateExternalApiData(apiData, maxTokens = 500) {
-    if (!apiData) {
-      return null;
-    }
-
-    const dataString = typeof apiData === 'object'
-      ? JSON.stringify(apiData, null, 2)
-      : String(apiData);
-
-    // Calculate tokens for the data
-    const dataTokens = await calculateTokens(dataString, config.custom.model);
-
-    if (dataTokens > maxTokens) {
-      console.warn(`[WARNING] External API data (${dataTokens} tokens) exceeds limit (${maxTokens}), truncating`);
-      return await truncateToTokenLimit(dataString, maxTokens, config.custom.model);
-    }
-
-    console.log(`[DEBUG] External API data validated: ${dataTokens} tokens`);
-    return dataString;
-  }
-
-  async analyzePlayground(content, prompt) {
-    const musthavePrompt = `
-    Return the result EXCLUSIVELY as a JSON object. The Tags and Title MUST be in the language that is used in the document.:  
-        {
-          "title": "xxxxx",
-          "correspondent": "xxxxxxxx",
-          "tags": ["Tag1", "Tag2", "Tag3", "Tag4"],
-          "document_date": "YYYY-MM-DD",
-          "language": "en/de/es/..."
-        }`;
-
-    try {
-      this.initialize();
-      const now = new Date();
-      const timestamp = now.toLocaleString('de-DE', { dateStyle: 'short', timeStyle: 'short' });
-
-      if (!this.client) {
-        throw new Error('Custom OpenAI client not initialized - missing API key');
-      }
-
-      // Calculate total prompt tokens including musthavePrompt
-      const totalPromptTokens = await calculateTotalPromptTokens(
-        prompt + musthavePrompt // Combined system prompt
-      );
-
-      // Calculate available tokens
-      const maxTokens = Number(config.tokenLimit);
-      const reservedTokens = totalPromptTokens + Number(config.responseTokens);
-      const availableTokens = maxTokens - reservedTokens;
-
-      // Truncate content if necessary
-      const truncatedContent = await truncateToTokenLimit(content, availableTokens);
-
-      // Make API request
-      const response = await this.client.chat.completions.create({
-        model: config.custom.model,
-        messages: [
-          {
-            role: "system",
-            content: prompt + musthavePrompt
-          },
-          {
-            role: "user",
-            content: truncatedContent
-          }
-        ],
-        temperature: 0.3,
-      });
-
-      // Handle response
-      if (!response?.choices?.[0]?.message?.content) {
-        throw new Error('Invalid API response structure');
-      }
-
-      // Log token usage
-      console.log(`[DEBUG] [${timestamp}] Custom OpenAI request sent`);
-      console.log(`[DEBUG] [${timestamp}] Total tokens: ${response.usage.total_tokens}`);
-
-      const usage = response.usage;
-      const mappedUsage = {
-        promptTokens: usage.prompt_tokens,
-        completionTokens: usage.completion_tokens,
-        totalTokens: usage.total_tokens
-      };
-
-      let jsonContent = response.choices[0].message.content;
-      jsonContent = jsonContent.replace(/```json\n?/g, '').replace(/```\n?/g, '').trim();
-
-      let parsedResponse;
-      try {
-        parsedResponse = JSON.parse(jsonContent);
-      } catch (error) {
-        console.error('Failed to parse JSON response:', error);
-        throw new Error('Invalid JSON response from API');
-      }
-
-      // Validate response structure
-      if (!parsedResponse || !Array.isArray(parsedResponse.tags) || typeof parsedResponse.correspondent !== 'string') {
-        throw new Error('Invalid response structure: missing tags array or correspondent string');
-      }
-
-      return {
-        document: parsedResponse,
-        metrics: mappedUsage,
-        truncated: truncatedContent.length < content.length
-      };
-    } catch (error) {
-      console.error('Failed to analyze document:', error);
-      return {
-        document: { tags: [], correspondent: null },
-        metrics: null,
-        error: error.message
-      };
-    }
+  getModel(options = {}) {
+    return options.model || config.custom.model;
   }
-
   /**
    * Generate text based on a prompt
    * @param {string} prompt - The prompt to generate text from
+   * @param {Object} [options] - `model` replaces the configured model
    * @returns {Promise<string>} - The generated text
    */
-  async generateText(prompt) {
+  async generateText(prompt, options = {}) {
     try {
       this.initialize();
 
@@ -382,7 +34,7 @@ class CustomOpenAIService {
         throw new Error('Custom OpenAI client not initialized - missing API key');
       }
 
-      const model = config.custom.model;
+      const model = this.getModel(options);
 
       const response = await this.client.chat.completions.create({
         model: model,
@@ -407,7 +59,7 @@ class CustomOpenAIService {
     }
   }
 
-  async checkStatus() {
+  async checkStatus(options = {}) {
     try {
       this.initialize();
 
@@ -415,7 +67,7 @@ class CustomOpenAIService {
         throw new Error('Custom OpenAI client not initialized - missing API key');
       }
 
-      const model = config.custom.model;
+      const model = this.getModel(options);
 
       const response = await this.client.chat.completions.create({
         model: model,
@@ -0,0 +1,430 @@
+// services/documentProcessorService.js
+const config = require('../config/config');
+const paperlessService = require('./paperlessService');
+const AIServiceFactory = require('./aiServiceFactory');
+const documentModel = require('../models/document');
+const reviewService = require('./reviewService');
+const rateLimiter = require('./rateLimiterService');
+const budgetService = require('./budgetService');
+const profileService = require('./profileService');
+const auditService = require('./auditService');
+const confidenceService = require('./confidenceService');
+const permissionRuleService = require('./permissionRuleService');
+const { coerceCustomFieldValue } = require('./customFieldValidator');
+const visionService = require('./visionService');
+
+// Configurable minimum content length (default: 10 characters)
+const MIN_CONTENT_LENGTH = parseInt(process.env.MIN_CONTENT_LENGTH || '10', 10);
+const MAX_CONTENT_LENGTH = 50000;
+
+/**
+ * Single processing pipeline shared by the job queue (scheduled scan, manual
+ * scan, webhook) and manual analysis, so every entry point applies the same
+ * checks, restrictions and save behaviour. Retries are handled by the job queue.
+ */
+class DocumentProcessor {
+  /**
+   * Loads the names of existing tags, correspondents, document types and
+   * storage paths that are passed to the AI service as context.
+   */
+  async loadMetadata() {
+    const [existingTags, existingCorrespondents, existingDocumentTypes, existingStoragePaths, ownUserId] = await Promise.all([
+      paperlessService.getTags(),
+      paperlessService.listCorrespondentsNames(),
+      paperlessService.listDocumentTypesNames(),
+      paperlessService.listStoragePathsNames(),
+      paperlessService.getOwnUserID()
+    ]);
+
+    return {
+      existingTags: existingTags.map(tag => tag.name),
+      existingCorrespondentList: existingCorrespondents.map(correspondent => correspondent.name),
+      existingDocumentTypesList: existingDocumentTypes.map(docType => docType.name),
+      existingStoragePaths: existingStoragePaths.map(storagePath => storagePath.name),
+      ownUserId
+    };
+  }
+
+  /**
+   * Builds the options passed to the AI service: restriction settings and,
+   * if enabled, data from the external API for prompt enrichment.
+   */
+  async buildAnalysisOptions() {
+    const options = {
+      restrictToExistingTags: config.restrictToExistingTags === 'yes',
+      restrictToExistingCorrespondents: config.restrictToExistingCorrespondents === 'yes'
+    };
+
+    if (config.externalApiConfig.enabled === 'yes') {
+      try {
+        const externalApiService = require('./externalApiService');
+        const externalData = await externalApiService.fetchData();
+        if (externalData) {
+          options.externalApiData = externalData;
+          console.log('[DEBUG] Retrieved external API data for prompt enrichment');
+        }
+      } catch (error) {
+        console.error('[ERROR] Failed to fetch external API data:', error.message);
+      }
+    }
+
+    return options;
+  }
+
+  /**
+   * Runs the configured AI service on the given content. If the provider fails,
+   * the fallback providers (AI_PROVIDER_FALLBACKS) are tried in order.
+   *
+   * @param {string} content - Document content
+   * @param {Object} metadata - Result of loadMetadata()
+   * @param {number} [id] - Paperless document ID
+   * @param {string} [customPrompt] - Overrides the configured system prompt
+   * @param {Object} [profile] - Processing profile; overrides prompt, provider/model and custom fields
+   * @param {Array<{mimeType: string, data: string}>} [images] - Page images for the vision fallback
+   * @returns {Promise<Object>} The analysis result, with the provider that produced it
+   */
+  async analyzeContent(content, metadata, id, customPrompt = null, profile = null, images = null) {
+    // The long document mode analyses the whole content in chunks instead
+    const longDocument = config.longDocument.enabled === 'yes';
+    if (!longDocument && content.length > MAX_CONTENT_LENGTH) {
+      content = content.substring(0, MAX_CONTENT_LENGTH);
+    }
+
+    const options = await this.buildAnalysisOptions();
+    if (customPrompt) {
+      console.log('[DEBUG] Starting document analysis with custom prompt');
+    }
+
+    // A profile overrides the classification provider; its model belongs to its own provider
+    const task = AIServiceFactory.getTaskSettings('classification');
+    const primary = profile?.provider || task.provider;
+    const configuredModel = profile?.model || (profile?.provider ? undefined : task.model);
+    if (profile) {
+      options.systemPrompt = profile.systemPrompt || undefined;
+      options.customFields = profile.customFields || undefined;
+    }
+
+    // The AI only chooses between existing storage paths, without any it has nothing to choose
+    const limitFunctions = { ...config.limitFunctions, ...profile?.limitFunctions };
+    if (limitFunctions.activateStoragePath !== 'no' && metadata.existingStoragePaths?.length > 0) {
+      options.storagePaths = metadata.existingStoragePaths;
+    }
+    if (images?.length > 0) {
+      options.images = images;
+    }
+
+    return AIServiceFactory.runWithFallback(primary, async (aiService, provider) => {
+      // The model of a profile or the classification task belongs to the primary provider;
+      // fallbacks use their own configured model. The vision model is meant for the primary provider as well.
+      const primaryModel = (options.images && config.vision.model) || configuredModel;
+      const providerOptions = {
+        ...options,
+        model: provider === primary ? primaryModel || undefined : undefined,
+        longDocument,
+        // Every chunk of a long document is a request of its own
+        throttle: () => rateLimiter.acquire(provider)
+      };
+
+      await rateLimiter.acquire(provider);
+      const analysis = await aiService.analyzeDocument(
+        content,
+        metadata.existingTags,
+        metadata.existingCorrespondentList,
+        metadata.existingDocumentTypesList,
+        id,
+        customPrompt,
+        providerOptions
+      );
+
+      // Remember the model so the token usage can be priced against the budgets
+      if (analysis?.metrics && !analysis.metrics.model) {
+        analysis.metrics.model = providerOptions.model || budgetService.getActiveModel(provider);
+      }
+      return analysis;
+    });
+  }
+
+  /**
+   * Analyses a single document if it has not been processed yet.
+   *
+   * @returns {Promise<{analysis: Object, originalData: Object, profile: Object|null}|null>} null if the document was skipped
+   */
+  async processDocument(doc, metadata, customPrompt = null) {
+    const isProcessed = await documentModel.isDocumentProcessed(doc.id);
+    if (isProcessed) return null;
+    await documentModel.setProcessingStatus(doc.id, doc.title, 'processing');
+
+    //Check if the Document can be edited
+    const documentEditable = await paperlessService.getPermissionOfDocument(doc.id);
+    if (!documentEditable) {
+      console.log(`[DEBUG] Document ${doc.id} Not Editable by Paper-Ai User, skipping analysis`);
+      await documentModel.setProcessingStatus(doc.id, doc.title, 'complete');
+      return null;
+    } else {
+      console.log(`[DEBUG] Document ${doc.id} rights for AI User - processed`);
+    }
+
+    const [content, originalData] = await Promise.all([
+      paperlessService.getDocumentContent(doc.id),
+      paperlessService.getDocument(doc.id)
+    ]);
+
+    // Without usable OCR text the page image is analysed instead, if the vision fallback is enabled
+    let images = null;
+    const visionReason = visionService.getVisionReason(content, MIN_CONTENT_LENGTH);
+    if (visionReason) {
+      console.log(`[DEBUG] Document ${doc.id} has ${visionReason}, analysing its image`);
+      images = await visionService.loadImages(originalData || doc);
+    }
+
+    if (!images?.length && (!content || content.length < MIN_CONTENT_LENGTH)) {
+      console.log(`[DEBUG] Document ${doc.id} has insufficient content (${content?.length || 0} chars, minimum: ${MIN_CONTENT_LENGTH}), skipping analysis`);
+      await documentModel.setProcessingStatus(doc.id, doc.title, 'complete');
+      return null;
+    }
+
+    const profile = await profileService.findProfile(originalData);
+    if (profile) {
+      console.log(`[DEBUG] Document ${doc.id} uses processing profile "${profile.name}"`);
+    }
+
+    const analysis = await this.analyzeContent(content || '', metadata, doc.id, customPrompt, profile, images);
+    console.log('[DEBUG] Response from AI service:', analysis);
+    if (analysis.error) {
+      throw new Error(`Document analysis failed: ${analysis.error}`);
+    }
+
+    await documentModel.setProcessingStatus(doc.id, doc.title, 'complete');
+    return { analysis, originalData, profile };
+  }
+
+  /**
+   * Turns an AI analysis into the PATCH payload for Paperless-ngx, honouring
+   * the function limitations (of the profile, if any) and restriction settings.
+   */
+  async buildUpdateData(analysis, doc, profile = null) {
+    const updateData = {};
+    const limitFunctions = { ...config.limitFunctions, ...profile?.limitFunctions };
+
+    // Create options object with restriction settings
+    const options = {
+      restrictToExistingTags: config.restrictToExistingTags === 'yes',
+      restrictToExistingCorrespondents: config.restrictToExistingCorrespondents === 'yes'
+    };
+
+    console.log(`[DEBUG] Building update data with restrictions: tags=${options.restrictToExistingTags}, correspondents=${options.restrictToExistingCorrespondents}`);
+
+    // Fields the AI is not sure about are left out; an empty field is better than a wrong one.
+    // Updates that go to review keep them, the reviewer sees their confidence.
+    const lowConfidence = confidenceService.findLowConfidenceFields(analysis.document);
+    const skipped = this.routesToReview(analysis) ? [] : lowConfidence;
+    if (skipped.length > 0) {
+      console.log(`[DEBUG] Leaving out fields of document ${doc.id} with low confidence:`, skipped);
+    }
+
+    // Only process tags if tagging is activated
+    if (limitFunctions.activateTagging !== 'no' && !skipped.includes('tags')) {
+      const { tagIds, errors } = await paperlessService.processTags(analysis.document.tags, options);
+      if (errors.length > 0) {
+        console.warn('[ERROR] Some tags could not be processed:', errors);
+      }
+      updateData.tags = tagIds;
+    } else if (config.addAIProcessedTag === 'yes') {
+      // Add AI processed tags to the document (processTags function awaits a tags array)
+      // get tags from .env file and split them by comma and make an array
+      console.log('[DEBUG] Tagging is deactivated but AI processed tag will be added');
+      const tags = config.addAIProcessedTags.split(',');
+      const { tagIds, errors } = await paperlessService.processTags(tags, options);
+      if (errors.length > 0) {
+        console.warn('[ERROR] Some tags could not be processed:', errors);
+      }
+      updateData.tags = tagIds;
+    }
+
+    // Only process title if title generation is activated
+    if (limitFunctions.activateTitle !== 'no' && !skipped.includes('title')) {
+      updateData.title = analysis.document.title || doc.title;
+    }
+
+    // Add created date regardless of settings as it's a core field
+    if (!skipped.includes('document_date')) {
+      updateData.created = analysis.document.document_date || doc.created;
+    }
+
+    // Only process document type if document type classification is activated
+    if (limitFunctions.activateDocumentType !== 'no' && analysis.document.document_type && !skipped.includes('document_type')) {
+      try {
+        const documentType = await paperlessService.getOrCreateDocumentType(analysis.document.document_type);
+        if (documentType) {
+          updateData.document_type = documentType.id;
+        }
+      } catch (error) {
+        console.error(`[ERROR] Error processing document type:`, error);
+      }
+    }
+
+    // Only process custom fields if custom fields detection is activated
+    if (limitFunctions.activateCustomFields !== 'no' && analysis.document.custom_fields) {
+      const customFields = analysis.document.custom_fields;
+      const processedFields = [];
+
+      // The fields already on the document are kept by paperlessService.updateDocument()
+      for (const key in customFields) {
+        const customField = customFields[key];
+
+        if (!customField.field_name || customField.value === null || customField.value === undefined || String(customField.value).trim() === '') {
+          console.log(`[DEBUG] Skipping empty/invalid custom field`);
+          continue;
+        }
+        if (skipped.includes(`custom_fields.${customField.field_name}`)) {
+          continue;
+        }
+
+        const fieldDetails = await paperlessService.findExistingCustomField(customField.field_name);
+        if (!fieldDetails?.id) continue;
+
+        // The value has to match the data type of the field, otherwise Paperless-ngx rejects the whole update
+        const { value, error } = coerceCustomFieldValue(fieldDetails, customField.value);
+        if (error) {
+          console.warn(`[WARN] Leaving out custom field "${customField.field_name}" (${fieldDetails.data_type}) of document ${doc.id}: ${error}`);
+          continue;
+        }
+        processedFields.push({ field: fieldDetails.id, value });
+      }
+
+      if (processedFields.length > 0) {
+        updateData.custom_fields = processedFields;
+      }
+    }
+
+    // Only process correspondent if correspondent detection is activated
+    if (limitFunctions.activateCorrespondents !== 'no' && analysis.document.correspondent && !skipped.includes('correspondent')) {
+      try {
+        // The content lets IBAN, VAT ID or email address identify a known correspondent
+        const correspondent = await paperlessService.getOrCreateCorrespondent(analysis.document.correspondent, { ...options, content: doc.content });
+        if (correspondent) {
+          updateData.correspondent = correspondent.id;
+        }
+      } catch (error) {
+        console.error(`[ERROR] Error processing correspondent:`, error);
+      }
+    }
+
+    // Only process storage path if storage path selection is activated; paths are never created
+    if (limitFunctions.activateStoragePath !== 'no' && analysis.document.storage_path && !skipped.includes('storage_path')) {
+      try {
+        const storagePath = await paperlessService.findExistingStoragePath(analysis.document.storage_path);
+        if (storagePath) {
+          updateData.storage_path = storagePath.id;
+        } else {
+          console.log(`[DEBUG] Ignoring unknown storage path "${analysis.document.storage_path}" for document ${doc.id}`);
+        }
+      } catch (error) {
+        console.error(`[ERROR] Error processing storage path:`, error);
+      }
+    }
+
+    // Owner and permissions come from the permission rules, matched against the document as it will be saved
+    if (limitFunctions.activatePermissions !== 'no') {
+      try {
+        const effectiveDoc = {
+          ...doc,
+          ...updateData,
+          tags: [...new Set([...(doc.tags || []), ...(updateData.tags || [])])]
+        };
+        const assignment = await permissionRuleService.resolve(effectiveDoc);
+        if (assignment) {
+          Object.assign(updateData, assignment);
+        }
+      } catch (error) {
+        console.error('[ERROR] Error processing permission rules:', error.message);
+      }
+    }
+
+    // Always include language if provided as it's a core field
+    if (analysis.document.language && !skipped.includes('language')) {
+      updateData.language = analysis.document.language;
+    }
+
+    if (skipped.length > 0) {
+      try {
+        const needsReviewTagId = await confidenceService.getNeedsReviewTagId();
+        if (needsReviewTagId) {
+          updateData.tags = [...new Set([...(updateData.tags || []), needsReviewTagId])];
+        }
+      } catch (error) {
+        console.error('[ERROR] Error processing the needs-review tag:', error.message);
+      }
+    }
+
+    return updateData;
+  }
+
+  /**
+   * Whether the update is queued for review instead of being applied: in review
+   * mode, or when fields have a low confidence and LOW_CONFIDENCE_ACTION=review.
+   */
+  routesToReview(analysis) {
+    return config.reviewMode === 'yes' || confidenceService.routesToReview(analysis.document);
+  }
+
+  /**
+   * Applies the update to Paperless-ngx (or queues it for review in review mode)
+   * and records snapshot, history and token metrics.
+   */
+  async saveDocumentChanges(docId, updateData, analysis, originalData) {
+    if (this.routesToReview(analysis)) {
+      await reviewService.queueSuggestion(docId, updateData, analysis, originalData);
+      // Marked in Paperless-ngx as well until the suggestion has been reviewed
+      if (confidenceService.findLowConfidenceFields(analysis.document).length > 0) {
+        await confidenceService.addNeedsReviewTag(docId);
+      }
+      return;
+    }
+
+    const { tags: originalTags, correspondent: originalCorrespondent, title: originalTitle } = originalData;
+
+    await Promise.all([
+      documentModel.saveOriginalData(docId, originalTags, originalCorrespondent, originalTitle, {
+        documentType: originalData.document_type,
+        created: originalData.created,
+        customFields: originalData.custom_fields,
+        storagePath: originalData.storage_path,
+        owner: originalData.owner
+      }),
+      paperlessService.updateDocument(docId, updateData),
+      documentModel.addProcessedDocument(docId, updateData.title),
+      documentModel.addOpenAIMetrics(
+        docId,
+        analysis.metrics.promptTokens,
+        analysis.metrics.completionTokens,
+        analysis.metrics.totalTokens,
+        analysis.metrics.model,
+        analysis.metrics.chunks
+      ),
+      documentModel.addToHistory(docId, updateData.tags, updateData.title, analysis.document.correspondent, 'processed', {
+        provider: analysis.provider,
+        model: analysis.metrics?.model,
+        confidence: analysis.document.confidence
+      })
+    ]);
+  }
+
+  /**
+   * Runs the full pipeline for one document: analyse, build the update and save it.
+   *
+   * @returns {Promise<boolean>} true if the document was processed, false if it was skipped
+   */
+  async processAndSave(doc, metadata, customPrompt = null) {
+    const result = await this.processDocument(doc, metadata, customPrompt);
+    if (!result) return false;
+
+    const { analysis, originalData, profile } = result;
+    auditService.setModel(analysis.provider, analysis.metrics?.model);
+    const updateData = await this.buildUpdateData(analysis, doc, profile);
+    await this.saveDocumentChanges(doc.id, updateData, analysis, originalData);
+    return true;
+  }
+}
+
+module.exports = new DocumentProcessor();
@@ -0,0 +1,136 @@
+const axios = require('axios');
+const config = require('../config/config');
+const BaseAIService = require('./baseAIService');
+
+/**
+ * Service for the Google Gemini API (generateContent). Structured output via
+ * responseJsonSchema; endpoints or models that reject it (a 400 naming the
+ * schema) are asked for plain JSON from then on, validated against the schema
+ * either way.
+ */
+class GeminiService extends BaseAIService {
+  constructor() {
+    super('Gemini');
+  }
+
+  initialize() {
+    // Also used by processing profiles when AI_PROVIDER is another provider
+    if (!this.client && config.gemini.apiKey) {
+      this.client = axios.create({
+        baseURL: config.gemini.apiUrl,
+        timeout: 300000,
+        headers: { 'x-goog-api-key': config.gemini.apiKey }
+      });
+    }
+  }
+
+  getModel(options = {}) {
+    return options.model || config.gemini.model;
+  }
+
+  /**
+   * Sends the messages to models/{model}:generateContent: system messages as
+   * system instruction, assistant messages with the role "model" and images as
+   * inline data of the first user message.
+   *
+   * @returns {Promise<{content: string, usage: Object, logprobs: null}>}
+   */
+  async _complete(messages, { model, schema, images = null }) {
+    if (!this.client) {
+      throw new Error(`${this.name} client not initialized`);
+    }
+
+    const system = messages.filter(message => message.role === 'system').map(message => message.content).join('\n\n');
+    const conversation = messages.filter(message => message.role !== 'system');
+    const firstUser = conversation.findIndex(message => message.role === 'user');
+
+    const request = {
+      contents: conversation.map((message, index) => ({
+        role: message.role === 'assistant' ? 'model' : 'user',
+        parts: [
+          { text: message.content },
+          ...(index === firstUser && images?.length > 0
+            ? images.map(image => ({ inlineData: { mimeType: image.mimeType, data: image.data } }))
+            : [])
+        ]
+      })),
+      generationConfig: { temperature: 0.3 }
+    };
+    if (system) {
+      request.systemInstruction = { parts: [{ text: system }] };
+    }
+    if (schema) {
+      request.generationConfig.responseMimeType = 'application/json';
+      if (this.structuredOutput) {
+        request.generationConfig.responseJsonSchema = schema;
+      }
+    }
+
+    let response;
+    for (;;) {
+      try {
+        response = await this.client.post(`/v1beta/models/${encodeURIComponent(model)}:generateContent`, request);
+        break;
+      } catch (error) {
+        const apiError = this._apiError(error);
+        if (!request.generationConfig.responseJsonSchema || !this._rejectsParameter(apiError, /response_?(json_?)?schema/i)) {
+          throw apiError;
+        }
+        delete request.generationConfig.responseJsonSchema;
+        console.warn(`[WARN] ${this.name} does not support the response schema (${apiError.message}), continuing without it`);
+        this.structuredOutput = false;
+      }
+    }
+
+    const candidate = response.data?.candidates?.[0];
+    const text = (candidate?.content?.parts || []).map(part => part.text || '').join('');
+    if (!text) {
+      const reason = response.data?.promptFeedback?.blockReason || candidate?.finishReason;
+      throw new Error(`Invalid API response structure${reason ? ` (${reason})` : ''}`);
+    }
+
+    const usage = response.data.usageMetadata || {};
+    console.log(`[DEBUG] ${this.name} request sent, ${usage.totalTokenCount || 0} tokens`);
+
+    return {
+      content: text,
+      logprobs: null,
+      usage: {
+        promptTokens: usage.promptTokenCount || 0,
+        completionTokens: usage.candidatesTokenCount || 0,
+        totalTokens: usage.totalTokenCount || 0
+      }
+    };
+  }
+
+  /**
+   * Generate text based on a prompt
+   * @param {string} prompt - The prompt to generate text from
+   * @param {Object} [options] - `model` replaces the configured model
+   * @returns {Promise<string>} - The generated text
+   */
+  async generateText(prompt, options = {}) {
+    try {
+      this.initialize();
+      const { content } = await this._complete([{ role: 'user', content: prompt }], { model: this.getModel(options) });
+      return content;
+    } catch (error) {
+      console.error('Error generating text with Gemini:', error.message);
+      throw error;
+    }
+  }
+
+  async checkStatus(options = {}) {
+    try {
+      this.initialize();
+      const model = this.getModel(options);
+      await this._complete([{ role: 'user', content: 'Ping' }], { model });
+      return { status: 'ok', model };
+    } catch (error) {
+      console.error('Error checking Gemini status:', error.message);
+      return { status: 'error' };
+    }
+  }
+}
+
+module.exports = new GeminiService();
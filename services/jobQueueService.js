@@ -0,0 +1,289 @@
+// services/jobQueueService.js
+const config = require('../config/config');
+const paperlessService = require('./paperlessService');
+const setupService = require('./setupService');
+const documentProcessor = require('./documentProcessorService');
+const budgetService = require('./budgetService');
+const documentModel = require('../models/document');
+const auditService = require('./auditService');
+
+// Failed jobs are retried with exponential backoff (1, 2, 4 ... minutes)
+const MAX_ATTEMPTS = 3;
+const RETRY_BASE_DELAY_SECONDS = 60;
+
+/**
+ * SQLite-backed queue for document processing. Scans and webhooks only enqueue
+ * jobs; a pool of PROCESSING_CONCURRENCY workers processes them. Jobs survive a
+ * restart: jobs that were running are queued again on startup.
+ */
+class JobQueue {
+  constructor() {
+    this.running = null;
+    this.rerunRequested = false;
+    this.scanRunning = false;
+    this.retryTimer = null;
+  }
+
+  /**
+   * Resumes the queue after a restart.
+   */
+  async start() {
+    const resumed = await documentModel.resetRunningJobs();
+    if (resumed > 0) {
+      console.log(`[DEBUG] Re-queued ${resumed} job(s) interrupted by the last shutdown`);
+    }
+    await documentModel.clearInterruptedProcessingStatus();
+    await documentModel.deleteFinishedJobs();
+    this.processQueue();
+  }
+
+  /**
+   * Adds a document to the queue. A document that already has a queued or
+   * running job is not added twice.
+   *
+   * @param {number} documentId - Paperless document ID
+   * @param {string} title - Document title, for display only
+   * @param {Object} [options]
+   * @param {string} [options.source] - 'scan' or 'webhook'
+   * @param {string} [options.customPrompt] - Overrides the configured system prompt
+   * @returns {Promise<Object>} The job row
+   */
+  async enqueue(documentId, title, { source = 'webhook', customPrompt = null } = {}) {
+    const existing = await documentModel.getActiveJobForDocument(documentId);
+    if (existing) {
+      console.log(`[DEBUG] Document ${documentId} is already queued as job ${existing.id}`);
+      return existing;
+    }
+
+    const jobId = await documentModel.addJob(documentId, title, source, customPrompt, auditService.getActor());
+    if (!jobId) {
+      throw new Error(`Failed to queue document ${documentId}`);
+    }
+    this.processQueue();
+    return documentModel.getJob(jobId);
+  }
+
+  /**
+   * Queues every document that has not been processed yet and waits until
+   * the queue is empty. Documents whose job failed, was cancelled or skipped
+   * are left alone until they are re-queued or reset in the history.
+   *
+   * Scans are incremental: only documents with an ID above the highest one seen
+   * so far are fetched. A full scan runs every FULL_SCAN_INTERVAL_HOURS to pick
+   * up stragglers (e.g. documents that got a predefined tag later on).
+   * Nothing is scanned while a token or cost budget is exhausted.
+   *
+   * @param {Object} [options]
+   * @param {boolean} [options.full] - Force a full scan
+   * @returns {Promise<number|null>} Number of newly queued documents, null if a scan was already running
+   */
+  async scanDocuments({ full = false } = {}) {
+    if (this.scanRunning) {
+      console.log('[DEBUG] Task already running');
+      return null;
+    }
+    if (!await budgetService.checkBudget()) {
+      return 0;
+    }
+
+    this.scanRunning = true;
+    try {
+      const highWaterMark = parseInt(await documentModel.getScanState('last_document_id'), 10) || 0;
+      const incremental = !full && highWaterMark > 0 && !await this.isFullScanDue();
+      console.log(incremental
+        ? `[DEBUG] Incremental scan for documents with ID > ${highWaterMark}`
+        : '[DEBUG] Full scan of all documents');
+
+      const [documents, blocked] = await Promise.all([
+        paperlessService.getAllDocuments(incremental ? { id__gt: highWaterMark } : {}),
+        documentModel.getBlockedJobDocumentIds()
+      ]);
+
+      let queued = 0;
+      for (const doc of documents) {
+        if (blocked.has(doc.id)) continue;
+        if (await documentModel.isDocumentProcessed(doc.id)) continue;
+
+        const jobId = await documentModel.addJob(doc.id, doc.title, 'scan', null, auditService.getActor());
+        if (jobId) queued++;
+      }
+
+      if (queued > 0) {
+        console.log(`[DEBUG] Scan queued ${queued} document(s)`);
+      }
+
+      // Documents are fetched ordered by ID, so everything up to the highest ID is queued
+      const maxId = documents.reduce((max, doc) => Math.max(max, doc.id), highWaterMark);
+      await documentModel.setScanState('last_document_id', maxId);
+      if (!incremental) {
+        await documentModel.setScanState('last_full_scan_at', new Date().toISOString());
+      }
+
+      await this.processQueue();
+      return queued;
+    } finally {
+      this.scanRunning = false;
+      console.log('[INFO] Task completed');
+    }
+  }
+
+  async isFullScanDue() {
+    const hours = config.fullScanIntervalHours;
+    if (!hours) return true;
+
+    const lastFullScan = await documentModel.getScanState('last_full_scan_at');
+    if (!lastFullScan) return true;
+    return Date.now() - new Date(lastFullScan).getTime() >= hours * 60 * 60 * 1000;
+  }
+
+  /**
+   * Processes due jobs until none are left. Calls while the worker is busy
+   * return the running promise, so callers can wait for the queue to drain.
+   */
+  processQueue() {
+    if (this.running) {
+      this.rerunRequested = true;
+      return this.running;
+    }
+
+    this.running = this.drainQueue()
+      .catch(error => console.error('[ERROR] Error during queue processing:', error))
+      .finally(() => {
+        this.running = null;
+        if (this.rerunRequested) {
+          this.rerunRequested = false;
+          this.processQueue();
+        } else {
+          this.scheduleRetry();
+        }
+      });
+    return this.running;
+  }
+
+  async drainQueue() {
+    const isConfigured = await setupService.isConfigured();
+    if (!isConfigured) {
+      console.log(`Setup not completed. Visit http://your-machine-ip:${process.env.PAPERLESS_AI_PORT || 3000}/setup to complete setup.`);
+      return;
+    }
+
+    // Metadata is loaded once per drain and shared by all workers
+    let metadata = null;
+    const getMetadata = () => {
+      metadata = metadata || documentProcessor.loadMetadata().catch(error => {
+        metadata = null;
+        throw error;
+      });
+      return metadata;
+    };
+
+    const worker = async () => {
+      let job;
+      // Queued jobs stay queued while a budget is exhausted
+      while (await budgetService.checkBudget() && (job = await documentModel.getNextDueJob())) {
+        this.rerunRequested = false;
+        // Another worker may have picked the same job in the meantime
+        if (!await documentModel.startJob(job.id)) continue;
+        await this.runJob(job, getMetadata);
+      }
+    };
+
+    const concurrency = config.processingConcurrency || 1;
+    await Promise.all(Array.from({ length: concurrency }, () => worker()));
+  }
+
+  /**
+   * Runs a job in the audit context of whoever queued it: the webhook (with the
+   * name of its API key), the user or API key that started a scan, or the
+   * scheduled scan.
+   */
+  getJobActor(job) {
+    const triggeredBy = job.triggered_by ? JSON.parse(job.triggered_by) : null;
+    if (job.source === 'webhook') {
+      return { type: 'webhook', name: triggeredBy?.name || null };
+    }
+    return triggeredBy || { type: 'cron', name: null };
+  }
+
+  async runJob(job, getMetadata) {
+    const context = { actor: this.getJobActor(job), source: `job ${job.id} (${job.source})` };
+    return auditService.run(context, () => this.executeJob(job, getMetadata));
+  }
+
+  async executeJob(job, getMetadata) {
+    try {
+      const metadata = await getMetadata();
+      const doc = await paperlessService.getDocument(job.document_id);
+      if (!doc) {
+        throw new Error(`Document ${job.document_id} not found in Paperless-ngx`);
+      }
+
+      const processed = await documentProcessor.processAndSave(doc, metadata, job.custom_prompt);
+      await documentModel.finishJob(job.id, processed ? 'done' : 'skipped');
+    } catch (error) {
+      const attempts = job.attempts + 1;
+      console.error(`[ERROR] Job ${job.id} for document ${job.document_id} failed (attempt ${attempts}/${MAX_ATTEMPTS}):`, error.message);
+
+      if (attempts >= MAX_ATTEMPTS) {
+        await documentModel.finishJob(job.id, 'failed', error.message);
+        await documentModel.setProcessingStatus(job.document_id, job.title, 'failed');
+      } else {
+        const delay = RETRY_BASE_DELAY_SECONDS * 2 ** (attempts - 1);
+        await documentModel.retryJobLater(job.id, error.message, delay);
+        await documentModel.setProcessingStatus(job.document_id, job.title, 'complete');
+      }
+    }
+  }
+
+  /**
+   * Wakes the worker up when the next delayed retry is due.
+   */
+  async scheduleRetry() {
+    clearTimeout(this.retryTimer);
+    const nextRetryAt = await documentModel.getNextRetryTime();
+    if (!nextRetryAt) return;
+
+    // SQLite stores UTC timestamps as 'YYYY-MM-DD HH:MM:SS'
+    const delay = Math.max(new Date(`${nextRetryAt.replace(' ', 'T')}Z`).getTime() - Date.now(), 0);
+    this.retryTimer = setTimeout(() => this.processQueue(), delay + 1000);
+    this.retryTimer.unref();
+  }
+
+  async listJobs(options) {
+    const [jobs, counts] = await Promise.all([
+      documentModel.getJobs(options),
+      documentModel.getJobCounts()
+    ]);
+    return { jobs, counts };
+  }
+
+  async cancelJob(id) {
+    const job = await documentModel.getJob(id);
+    if (!job) {
+      throw new Error('Job not found');
+    }
+    if (!await documentModel.cancelJob(id)) {
+      throw new Error(`Job is ${job.state} and cannot be cancelled`);
+    }
+    console.log(`[DEBUG] Job ${id} for document ${job.document_id} cancelled`);
+    return documentModel.getJob(id);
+  }
+
+  async requeueJob(id) {
+    const job = await documentModel.getJob(id);
+    if (!job) {
+      throw new Error('Job not found');
+    }
+    if (await documentModel.getActiveJobForDocument(job.document_id)) {
+      throw new Error(`Document ${job.document_id} is already queued`);
+    }
+    if (!await documentModel.requeueJob(id)) {
+      throw new Error(`Job is ${job.state} and cannot be re-queued`);
+    }
+    console.log(`[DEBUG] Job ${id} for document ${job.document_id} re-queued`);
+    this.processQueue();
+    return documentModel.getJob(id);
+  }
+}
+
+module.exports = new JobQueue();
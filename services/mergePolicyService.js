@@ -0,0 +1,154 @@
+// services/mergePolicyService.js
+const config = require('../config/config');
+
+// overwrite:     replace the current value
+// fill-if-empty: only set the value if the document has none yet
+// merge:         add to the current values (tags only)
+// never:         leave the field alone
+const POLICIES = ['overwrite', 'fill-if-empty', 'merge', 'never'];
+const LIST_FIELDS = ['tags'];
+
+// Paperless-ngx document field -> key in config.mergePolicies
+const FIELDS = {
+  title: 'title',
+  created: 'created',
+  correspondent: 'correspondent',
+  document_type: 'documentType',
+  tags: 'tags',
+  language: 'language',
+  custom_fields: 'customFields',
+  storage_path: 'storagePath'
+};
+
+function isEmpty(value) {
+  return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Decides per field how an update is combined with the current state of a
+ * document, instead of always replacing the title and never replacing the
+ * correspondent. Custom fields can override the default custom field policy
+ * with a merge_policy in CUSTOM_FIELDS.
+ */
+class MergePolicyService {
+  get policies() {
+    return POLICIES;
+  }
+
+  get fields() {
+    return Object.keys(FIELDS);
+  }
+
+  isValidPolicy(field, policy) {
+    if (!POLICIES.includes(policy)) return false;
+    return policy !== 'merge' || LIST_FIELDS.includes(field);
+  }
+
+  /**
+   * Throws if one of the given policies is unknown or not allowed for its field.
+   *
+   * @param {Object} policies - { [Paperless field]: policy }
+   */
+  validate(policies) {
+    for (const [field, policy] of Object.entries(policies)) {
+      if (!this.isValidPolicy(field, policy)) {
+        throw new Error(`Invalid merge policy for ${field}: ${policy}`);
+      }
+    }
+  }
+
+  // Per-field policies from CUSTOM_FIELDS, keyed by the lower-cased field name
+  getCustomFieldPolicies() {
+    const policies = {};
+    try {
+      const { custom_fields: fields = [] } = JSON.parse(config.customFields || '{}');
+      for (const field of fields) {
+        if (field.value && this.isValidPolicy('custom_fields', field.merge_policy)) {
+          policies[field.value.toLowerCase()] = field.merge_policy;
+        }
+      }
+    } catch (error) {
+      console.warn('[WARN] Could not read custom field merge policies:', error.message);
+    }
+    return policies;
+  }
+
+  /**
+   * Returns the configured policies.
+   *
+   * @param {string[]} [overwriteFields] - Fields to overwrite regardless of the
+   *   configuration, e.g. values a person entered by hand
+   * @returns {Object} { [Paperless field]: policy, customFieldPolicies: { [name]: policy } }
+   */
+  getPolicies(overwriteFields = []) {
+    const policies = {};
+    for (const [field, key] of Object.entries(FIELDS)) {
+      const policy = config.mergePolicies[key];
+      policies[field] = this.isValidPolicy(field, policy) ? policy : 'overwrite';
+    }
+    policies.customFieldPolicies = this.getCustomFieldPolicies();
+
+    for (const field of overwriteFields) {
+      if (field in FIELDS) policies[field] = 'overwrite';
+      if (field === 'custom_fields') policies.customFieldPolicies = {};
+    }
+    return policies;
+  }
+
+  /**
+   * Combines an update with the current document according to the policies.
+   * Fields the policy keeps are removed from the update.
+   *
+   * @param {Object} updates - Update in the Paperless-ngx format
+   * @param {Object} currentDoc - The document as returned by Paperless-ngx
+   * @param {Object} policies - As returned by getPolicies()
+   * @param {Map<number, string>} [customFieldNames] - Custom field ID -> name
+   * @returns {Object} The update to send
+   */
+  apply(updates, currentDoc, policies, customFieldNames = new Map()) {
+    const result = { ...updates };
+
+    for (const field of Object.keys(FIELDS)) {
+      if (field === 'custom_fields' || !(field in result)) continue;
+
+      const policy = policies[field];
+      const current = currentDoc?.[field];
+      if (policy === 'never' || (policy === 'fill-if-empty' && !isEmpty(current))) {
+        console.log(`[DEBUG] Merge policy "${policy}" keeps ${field} of document ${currentDoc?.id}:`, current);
+        delete result[field];
+      } else if (policy === 'merge' && Array.isArray(result[field])) {
+        result[field] = [...new Set([...(current || []), ...result[field]])];
+      }
+    }
+
+    if (Array.isArray(result.custom_fields)) {
+      result.custom_fields = this.applyToCustomFields(result.custom_fields, currentDoc?.custom_fields || [], policies, customFieldNames);
+    }
+    return result;
+  }
+
+  /**
+   * Paperless-ngx replaces the whole custom field list, so the fields of the
+   * document are always kept and only the values of updated fields change.
+   */
+  applyToCustomFields(updatedFields, currentFields, policies, customFieldNames) {
+    const fields = currentFields.map(field => ({ ...field }));
+
+    for (const update of updatedFields) {
+      const name = customFieldNames.get(update.field)?.toLowerCase();
+      const policy = (name && policies.customFieldPolicies?.[name]) || policies.custom_fields;
+      const existing = fields.find(field => field.field === update.field);
+
+      if (policy === 'never' || (policy === 'fill-if-empty' && existing && !isEmpty(existing.value))) {
+        console.log(`[DEBUG] Merge policy "${policy}" keeps custom field ${name || update.field}`);
+      } else if (existing) {
+        existing.value = update.value;
+      } else {
+        fields.push(update);
+      }
+    }
+    return fields;
+  }
+}
+
+module.exports = new MergePolicyService();
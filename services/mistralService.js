@@ -0,0 +1,130 @@
+const axios = require('axios');
+const config = require('../config/config');
+const BaseAIService = require('./baseAIService');
+
+/**
+ * Service for the Mistral chat completions API. Structured output via the
+ * json_schema response format; models that reject it (a 400 naming it) are
+ * asked for a JSON object (json_object) from then on.
+ */
+class MistralService extends BaseAIService {
+  constructor() {
+    super('Mistral');
+  }
+
+  initialize() {
+    // Also used by processing profiles when AI_PROVIDER is another provider
+    if (!this.client && config.mistral.apiKey) {
+      this.client = axios.create({
+        baseURL: config.mistral.apiUrl,
+        timeout: 300000,
+        headers: { Authorization: `Bearer ${config.mistral.apiKey}` }
+      });
+    }
+  }
+
+  getModel(options = {}) {
+    return options.model || config.mistral.model;
+  }
+
+  /**
+   * Sends the messages to /v1/chat/completions, images as image_url parts of
+   * the first user message (Pixtral and Mistral Small/Medium 3 read images).
+   *
+   * @returns {Promise<{content: string, usage: Object, logprobs: null}>}
+   */
+  async _complete(messages, { model, schema, schemaName, images = null }) {
+    if (!this.client) {
+      throw new Error(`${this.name} client not initialized`);
+    }
+
+    const firstUser = messages.findIndex(message => message.role === 'user');
+    const request = {
+      model,
+      temperature: 0.3,
+      messages: messages.map((message, index) => index === firstUser && images?.length > 0
+        ? {
+          role: 'user',
+          content: [
+            { type: 'text', text: message.content },
+            ...images.map(image => ({ type: 'image_url', image_url: `data:${image.mimeType};base64,${image.data}` }))
+          ]
+        }
+        : message)
+    };
+    if (schema) {
+      request.response_format = this.structuredOutput
+        ? { type: 'json_schema', json_schema: { name: schemaName, schema, strict: false } }
+        : { type: 'json_object' };
+    }
+
+    let response;
+    for (;;) {
+      try {
+        response = await this.client.post('/v1/chat/completions', request);
+        break;
+      } catch (error) {
+        const apiError = this._apiError(error);
+        if (request.response_format?.type !== 'json_schema' || !this._rejectsParameter(apiError, /response_format|json_schema/i)) {
+          throw apiError;
+        }
+        request.response_format = { type: 'json_object' };
+        console.warn(`[WARN] ${this.name} does not support json_schema (${apiError.message}), continuing with json_object`);
+        this.structuredOutput = false;
+      }
+    }
+
+    // Reasoning models return the content as list of chunks
+    const content = response.data?.choices?.[0]?.message?.content;
+    const text = Array.isArray(content)
+      ? content.filter(chunk => chunk.type === 'text').map(chunk => chunk.text).join('')
+      : content;
+    if (!text) {
+      throw new Error('Invalid API response structure');
+    }
+
+    const usage = response.data.usage || {};
+    console.log(`[DEBUG] ${this.name} request sent, ${usage.total_tokens || 0} tokens`);
+
+    return {
+      content: text,
+      logprobs: null,
+      usage: {
+        promptTokens: usage.prompt_tokens || 0,
+        completionTokens: usage.completion_tokens || 0,
+        totalTokens: usage.total_tokens || 0
+      }
+    };
+  }
+
+  /**
+   * Generate text based on a prompt
+   * @param {string} prompt - The prompt to generate text from
+   * @param {Object} [options] - `model` replaces the configured model
+   * @returns {Promise<string>} - The generated text
+   */
+  async generateText(prompt, options = {}) {
+    try {
+      this.initialize();
+      const { content } = await this._complete([{ role: 'user', content: prompt }], { model: this.getModel(options) });
+      return content;
+    } catch (error) {
+      console.error('Error generating text with Mistral:', error.message);
+      throw error;
+    }
+  }
+
+  async checkStatus(options = {}) {
+    try {
+      this.initialize();
+      const model = this.getModel(options);
+      await this._complete([{ role: 'user', content: 'Ping' }], { model });
+      return { status: 'ok', model };
+    } catch (error) {
+      console.error('Error checking Mistral status:', error.message);
+      return { status: 'error' };
+    }
+  }
+}
+
+module.exports = new MistralService();
@@ -0,0 +1,198 @@
+// services/oidcService.js
+const axios = require('axios');
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config/config');
+
+const DISCOVERY_TTL = 60 * 60 * 1000;
+const ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'PS384', 'PS512', 'ES256', 'ES384', 'ES512'];
+
+function base64Url(buffer) {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * OpenID Connect login (authorization code flow with PKCE) against the issuer
+ * configured in OIDC_ISSUER_URL. ID tokens are verified with the issuer's JWKS.
+ */
+class OIDCService {
+  constructor() {
+    this.discovery = null;
+    this.discoveredAt = 0;
+    this.keys = new Map();
+  }
+
+  isEnabled() {
+    return config.oidc.enabled === 'yes' && Boolean(config.oidc.issuerUrl && config.oidc.clientId);
+  }
+
+  // Options for the login page
+  getLoginOptions() {
+    return {
+      enabled: this.isEnabled(),
+      buttonLabel: config.oidc.buttonLabel
+    };
+  }
+
+  async getDiscovery() {
+    if (this.discovery && Date.now() - this.discoveredAt < DISCOVERY_TTL) {
+      return this.discovery;
+    }
+
+    const response = await axios.get(`${config.oidc.issuerUrl}/.well-known/openid-configuration`, { timeout: 10000 });
+    const discovery = response.data;
+    if (!discovery.authorization_endpoint || !discovery.token_endpoint || !discovery.jwks_uri) {
+      throw new Error('Invalid OIDC discovery document');
+    }
+    if (discovery.issuer && discovery.issuer.replace(/\/$/, '') !== config.oidc.issuerUrl) {
+      throw new Error(`OIDC issuer mismatch: ${discovery.issuer}`);
+    }
+
+    this.discovery = discovery;
+    this.discoveredAt = Date.now();
+    this.keys.clear();
+    return discovery;
+  }
+
+  /**
+   * Builds the redirect to the identity provider. state, nonce and the PKCE
+   * code verifier must be kept (in a signed cookie) for handleCallback().
+   *
+   * @returns {Promise<{url: string, state: string, nonce: string, codeVerifier: string}>}
+   */
+  async createAuthorizationRequest(redirectUri) {
+    const discovery = await this.getDiscovery();
+    const state = base64Url(crypto.randomBytes(24));
+    const nonce = base64Url(crypto.randomBytes(24));
+    const codeVerifier = base64Url(crypto.randomBytes(48));
+    const codeChallenge = base64Url(crypto.createHash('sha256').update(codeVerifier).digest());
+
+    const url = new URL(discovery.authorization_endpoint);
+    url.search = new URLSearchParams({
+      response_type: 'code',
+      client_id: config.oidc.clientId,
+      redirect_uri: redirectUri,
+      scope: config.oidc.scopes,
+      state,
+      nonce,
+      code_challenge: codeChallenge,
+      code_challenge_method: 'S256'
+    }).toString();
+
+    return { url: url.toString(), state, nonce, codeVerifier };
+  }
+
+  /**
+   * Exchanges the authorization code and verifies the ID token.
+   *
+   * @returns {Promise<{username: string, groups: string[], claims: Object}>}
+   */
+  async handleCallback({ code, redirectUri, nonce, codeVerifier }) {
+    if (!code) {
+      throw new Error('Authorization code is missing');
+    }
+    const discovery = await this.getDiscovery();
+
+    const params = new URLSearchParams({
+      grant_type: 'authorization_code',
+      code,
+      redirect_uri: redirectUri,
+      client_id: config.oidc.clientId,
+      code_verifier: codeVerifier
+    });
+    if (config.oidc.clientSecret) {
+      params.set('client_secret', config.oidc.clientSecret);
+    }
+
+    const response = await axios.post(discovery.token_endpoint, params.toString(), {
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      timeout: 10000
+    });
+    const { id_token: idToken, access_token: accessToken } = response.data;
+    if (!idToken) {
+      throw new Error('The identity provider did not return an ID token');
+    }
+
+    let claims = await this.verifyIdToken(idToken, nonce);
+
+    // Some providers only return groups from the userinfo endpoint
+    if (claims[config.oidc.groupsClaim] === undefined && discovery.userinfo_endpoint && accessToken) {
+      try {
+        const userinfo = await axios.get(discovery.userinfo_endpoint, {
+          headers: { Authorization: `Bearer ${accessToken}` },
+          timeout: 10000
+        });
+        if (userinfo.data?.sub === claims.sub) {
+          claims = { ...userinfo.data, ...claims };
+        }
+      } catch (error) {
+        console.warn('[WARN] Failed to load OIDC userinfo:', error.message);
+      }
+    }
+
+    return {
+      username: claims[config.oidc.usernameClaim] || claims.email || claims.sub,
+      groups: this.normalizeGroups(claims[config.oidc.groupsClaim]),
+      claims
+    };
+  }
+
+  async verifyIdToken(idToken, nonce) {
+    const decoded = jwt.decode(idToken, { complete: true });
+    if (!decoded?.header) {
+      throw new Error('Invalid ID token');
+    }
+
+    const key = decoded.header.alg?.startsWith('HS')
+      ? config.oidc.clientSecret
+      : await this.getSigningKey(decoded.header.kid);
+    const claims = jwt.verify(idToken, key, {
+      algorithms: decoded.header.alg?.startsWith('HS') ? ['HS256', 'HS384', 'HS512'] : ALGORITHMS,
+      issuer: [config.oidc.issuerUrl, `${config.oidc.issuerUrl}/`],
+      audience: config.oidc.clientId,
+      clockTolerance: 60
+    });
+
+    if (claims.nonce !== nonce) {
+      throw new Error('Invalid ID token nonce');
+    }
+    return claims;
+  }
+
+  /**
+   * Returns the public key for a key ID from the JWKS. The JWKS is reloaded
+   * once if the key is unknown, so key rotation at the provider works.
+   */
+  async getSigningKey(kid) {
+    const findKey = () => kid ? this.keys.get(kid) : this.keys.size === 1 ? [...this.keys.values()][0] : undefined;
+
+    if (!findKey()) {
+      const discovery = await this.getDiscovery();
+      const response = await axios.get(discovery.jwks_uri, { timeout: 10000 });
+      this.keys.clear();
+      (response.data.keys || [])
+        .filter(jwk => !jwk.use || jwk.use === 'sig')
+        .forEach((jwk, index) => {
+          try {
+            this.keys.set(jwk.kid || `key-${index}`, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+          } catch (error) {
+            console.warn(`[WARN] Skipping unsupported JWKS key ${jwk.kid}:`, error.message);
+          }
+        });
+    }
+
+    const key = findKey();
+    if (!key) {
+      throw new Error(`No signing key found for ID token (kid: ${kid || 'none'})`);
+    }
+    return key;
+  }
+
+  normalizeGroups(groups) {
+    if (Array.isArray(groups)) return groups.map(String);
+    if (typeof groups === 'string') return groups.split(',').map(group => group.trim()).filter(Boolean);
+    return [];
+  }
+}
+
+module.exports = new OIDCService();
@@ -1,69 +1,35 @@
 const {
     calculateTokens,
-    calculateTotalPromptTokens,
     truncateToTokenLimit,
+    isProviderOutage,
     writePromptToFile
 } = require('./serviceUtils');
 const axios = require('axios');
 const config = require('../config/config');
-const fs = require('fs').promises;
-const path = require('path');
-const paperlessService = require('./paperlessService');
 const os = require('os');
-const OpenAI = require('openai');
-const RestrictionPromptService = require('./restrictionPromptService');
+const BaseAIService = require('./baseAIService');
+
+// Context an image takes in llava-style models (576 patches plus some margin)
+const IMAGE_TOKENS = 768;
 
 /**
  * Service for document analysis using Ollama
  */
-class OllamaService {
+class OllamaService extends BaseAIService {
     /**
      * Initialize the Ollama service
      */
     constructor() {
+        super('Ollama');
         this.apiUrl = config.ollama.apiUrl;
         this.model = config.ollama.model;
         this.client = axios.create({
             timeout: 1800000 // 30 minutes timeout
         });
+    }
 
-        // JSON schema for document analysis output
-        this.documentAnalysisSchema = {
-            type: "object",
-            properties: {
-                title: { type: "string" },
-                correspondent: { type: "string" },
-                tags: {
-                    type: "array",
-                    items: { type: "string" }
-                },
-                document_type: { type: "string" },
-                document_date: { type: "string" },
-                language: { type: "string" },
-                custom_fields: {
-                    type: "object",
-                    additionalProperties: true
-                }
-            },
-            required: ["title", "correspondent", "tags", "document_type", "document_date", "language"]
-        };
-
-        // Schema for playground analysis (simpler version)
-        this.playgroundSchema = {
-            type: "object",
-            properties: {
-                title: { type: "string" },
-                correspondent: { type: "string" },
-                tags: {
-                    type: "array",
-                    items: { type: "string" }
-                },
-                document_type: { type: "string" },
-                document_date: { type: "string" },
-                language: { type: "string" }
-            },
-            required: ["title", "correspondent", "tags", "document_type", "document_date", "language"]
-        };
+    getModel(options = {}) {
+        return options.model || this.model;
     }
 
     /**
@@ -77,100 +43,79 @@ class OllamaService {
      */
     async analyzeDocument(content, existingTags = [], existingCorrespondentList = [], existingDocumentTypesList = [], id, customPrompt = null, options = {}) {
         try {
-            // Truncate content if needed
-            content = this._truncateContent(content);
+            // Truncate content if needed; the long document mode analyses all of it in chunks
+            if (!options.longDocument) {
+                content = this._truncateContent(content);
+            }
 
             // Cache thumbnail
             await this._handleThumbnailCaching(id);
 
-            // Get external API data if available and validate it
-            let externalApiData = options.externalApiData || null;
-            let validatedExternalApiData = null;
-
-            if (externalApiData) {
-                try {
-                    validatedExternalApiData = await this._validateAndTruncateExternalApiData(externalApiData);
-                    console.log('[DEBUG] External API data validated and included');
-                } catch (error) {
-                    console.warn('[WARNING] External API data validation failed:', error.message);
-                    validatedExternalApiData = null;
-                }
-            }
+            // The analysis prompt goes into the prompt, the JSON instructions into the system prompt
+            const model = this.getModel(options);
+            const { systemPrompt: analysisPrompt, promptTags } = await this.buildSystemPrompt(
+                existingTags,
+                existingCorrespondentList,
+                existingDocumentTypesList,
+                customPrompt,
+                options,
+                model
+            );
+            const systemPrompt = this._generateSystemPrompt(this._generateCustomFieldsTemplate(options.customFields));
+
+            // num_ctx is capped at TOKEN_LIMIT, Ollama would silently drop what does not fit
+            const availableTokens = await this._getAvailableContentTokens(`${systemPrompt}\n${analysisPrompt}`, promptTags, model);
+            const chunkTokens = Math.min(config.longDocument.chunkTokens, availableTokens);
 
-            // Build prompt
+            let result;
             let prompt;
-            if (!customPrompt) {
-                prompt = this._buildPrompt(content, existingTags, existingCorrespondentList, existingDocumentTypesList, options);
+            let truncated = false;
+            if (options.longDocument && !options.images && await calculateTokens(content, model) > chunkTokens) {
+                prompt = `${analysisPrompt}\n${JSON.stringify(content)}\n`;
+                result = await this.analyzeInChunks(content, chunkTokens, model, userContent => [
+                    { role: 'system', content: systemPrompt },
+                    { role: 'user', content: `${analysisPrompt}\n${userContent}\n` }
+                ], options);
+                truncated = result.truncated || false;
             } else {
-                // Parse CUSTOM_FIELDS for custom prompt
-                let customFieldsObj;
-                try {
-                    customFieldsObj = JSON.parse(process.env.CUSTOM_FIELDS);
-                } catch (error) {
-                    console.error('Failed to parse CUSTOM_FIELDS:', error);
-                    customFieldsObj = { custom_fields: [] };
-                }
-
-                const customFieldsTemplate = {};
-                customFieldsObj.custom_fields.forEach((field, index) => {
-                    customFieldsTemplate[index] = {
-                        field_name: field.value,
-                        value: "Fill in the value based on your analysis"
-                    };
-                });
-
-                const customFieldsStr = '"custom_fields": ' + JSON.stringify(customFieldsTemplate, null, 2)
-                    .split('\n')
-                    .map(line => '    ' + line)
-                    .join('\n');
-
-                prompt = customPrompt + '\n\n' + config.mustHavePrompt.replace('%CUSTOMFIELDS%', customFieldsStr) + "\n\n" + JSON.stringify(content);
-                console.log('[DEBUG] Ollama Service started with custom prompt');
+                const truncatedContent = await truncateToTokenLimit(content, availableTokens, model);
+                truncated = truncatedContent.length < content.length;
+                prompt = options.images
+                    ? `${analysisPrompt}\n${this.buildVisionPrompt(truncatedContent)}\n`
+                    : `${analysisPrompt}\n${JSON.stringify(truncatedContent)}\n`;
+                // Call Ollama API with the schema as structured output format
+                result = await this.requestStructuredOutput([
+                    { role: 'system', content: systemPrompt },
+                    { role: 'user', content: prompt }
+                ], { model, schema: this.documentAnalysisSchema, schemaName: 'document_analysis', images: options.images });
             }
 
-            // Generate custom fields for the prompt
-            const customFieldsStr = this._generateCustomFieldsTemplate();
-
-            // Generate system prompt
-            const systemPrompt = this._generateSystemPrompt(customFieldsStr);
-
-            // Calculate context window size
-            const promptTokenCount = this._calculatePromptTokenCount(prompt);
-            const numCtx = this._calculateNumCtx(promptTokenCount, 1024);
-
-            console.log(`[DEBUG] Use existing data: ${config.useExistingData}, Restrictions applied based on useExistingData setting`);
-            console.log(`[DEBUG] External API data: ${validatedExternalApiData ? 'included' : 'none'}`);
-
-            // Call Ollama API
-            const response = await this._callOllamaAPI(prompt, systemPrompt, numCtx, this.documentAnalysisSchema);
-
-            // Process response
-            const parsedResponse = this._processOllamaResponse(response);
+            if (result.insufficientContent) {
+                console.warn(`Document ${id} has insufficient content for analysis`);
+                return this._insufficientContentResult(`Document ${id}`, result.metrics);
+            }
 
             // Check for missing data
-            if (parsedResponse.tags.length === 0 && parsedResponse.correspondent === null) {
+            if (result.document.tags.length === 0 && !result.document.correspondent) {
                 console.warn('No tags or correspondent found in response from Ollama for Document. Please review your prompt or switch to OpenAI for better results.');
             }
 
             // Log the prompt and response
-            await this._logPromptAndResponse(prompt, parsedResponse);
+            await this._logPromptAndResponse(prompt, result.document);
 
             // Return results in consistent format
             return {
-                document: parsedResponse,
-                metrics: {
-                    promptTokens: 0,  // Ollama doesn't provide token metrics
-                    completionTokens: 0,
-                    totalTokens: 0
-                },
-                truncated: false
+                document: result.document,
+                metrics: result.metrics,
+                truncated
             };
         } catch (error) {
             console.error('Error analyzing document with Ollama:', error);
             return {
                 document: { tags: [], correspondent: null },
                 metrics: null,
-                error: error.message
+                error: error.message,
+                providerOutage: isProviderOutage(error)
             };
         }
     }
@@ -179,41 +124,29 @@ class OllamaService {
      * Analyze a document in playground mode
      * @param {string} content - Document content
      * @param {string} prompt - User-provided prompt
+     * @param {Object} [options] - `model` replaces the configured model
      * @returns {Object} Analysis results
      */
-    async analyzePlayground(content, prompt) {
+    async analyzePlayground(content, prompt, options = {}) {
         try {
-            // Calculate context window size
-            const promptTokenCount = await calculateTokens(prompt);
-            const numCtx = this._calculateNumCtx(promptTokenCount, 1024);
-
-            // Generate playground system prompt (simpler than full analysis)
-            const systemPrompt = this._generatePlaygroundSystemPrompt();
-
-            // Call Ollama API
-            const response = await this._callOllamaAPI(
-                prompt + "\n\n" + JSON.stringify(content),
-                systemPrompt,
-                numCtx,
-                this.playgroundSchema
-            );
+            const result = await this.requestStructuredOutput([
+                { role: 'system', content: this._generatePlaygroundSystemPrompt() },
+                { role: 'user', content: prompt + "\n\n" + JSON.stringify(content) }
+            ], { model: this.getModel(options), schema: this.playgroundSchema, schemaName: 'playground_analysis' });
 
-            // Process response
-            const parsedResponse = this._processOllamaResponse(response);
+            if (result.insufficientContent) {
+                return this._insufficientContentResult('Document', result.metrics);
+            }
 
             // Check for missing data
-            if (parsedResponse.tags.length === 0 && parsedResponse.correspondent === null) {
+            if (result.document.tags.length === 0 && !result.document.correspondent) {
                 console.warn('No tags or correspondent found in response from Ollama for Document. Please review your prompt or switch to OpenAI for better results.');
             }
 
             // Return results in consistent format
             return {
-                document: parsedResponse,
-                metrics: {
-                    promptTokens: 0,
-                    completionTokens: 0,
-                    totalTokens: 0
-                },
+                document: result.document,
+                metrics: result.metrics,
                 truncated: false
             };
         } catch (error) {
@@ -226,6 +159,39 @@ class OllamaService {
         }
     }
 
+    /**
+     * Sends the chat messages to the generate endpoint: the system message as
+     * system prompt, all other messages (including a previous invalid reply when
+     * a corrected reply is requested) as prompt. Images go to vision models
+     * like llava as base64 strings.
+     * @param {Array} messages - Chat messages
+     * @param {Object} request - { model, schema, images }
+     * @returns {Promise<{content: string, usage: Object}>}
+     */
+    async _complete(messages, { model, schema, images = null }) {
+        const systemPrompt = messages.find(message => message.role === 'system')?.content || '';
+        const prompt = messages
+            .filter(message => message.role !== 'system')
+            .map(message => message.role === 'assistant' ? `Your previous reply:\n${message.content}` : message.content)
+            .join('\n\n');
+
+        // Calculate context window size
+        const imageTokens = (images?.length || 0) * IMAGE_TOKENS;
+        const promptTokenCount = this._calculatePromptTokenCount(prompt) + imageTokens;
+        const numCtx = this._calculateNumCtx(promptTokenCount, 1024);
+
+        const response = await this._callOllamaAPI(prompt, systemPrompt, numCtx, schema, model, images?.map(image => image.data));
+        if (!response.response) {
+            throw new Error('No response data from Ollama API');
+        }
+
+        return {
+            content: response.response,
+            // Ollama doesn't provide token metrics
+            usage: { promptTokens: 0, completionTokens: 0, totalTokens: 0 }
+        };
+    }
+
     /**
      * Truncate content to maximum length if specified
      * @param {string} content - Content to truncate
@@ -243,182 +209,6 @@ class OllamaService {
         return content;
     }
 
-    /**
-     * Build prompt from content and existing data
-     * @param {string} content - Document content
-     * @param {Array} existingTags - List of existing tags
-     * @param {Array} existingCorrespondent - List of existing correspondents
-     * @param {Array} existingDocumentTypes - List of existing document types
-     * @returns {string} Formatted prompt
-     */
-    _buildPrompt(content, existingTags = [], existingCorrespondent = [], existingDocumentTypes = [], options = {}) {
-        let systemPrompt;
-        let promptTags = '';
-
-        // Validate that existingCorrespondent is an array and handle if it's not
-        const correspondentList = Array.isArray(existingCorrespondent)
-            ? existingCorrespondent
-            : [];
-
-        // Parse CUSTOM_FIELDS from environment variable
-        let customFieldsObj;
-        try {
-            customFieldsObj = JSON.parse(process.env.CUSTOM_FIELDS);
-        } catch (error) {
-            console.error('Failed to parse CUSTOM_FIELDS:', error);
-            customFieldsObj = { custom_fields: [] };
-        }
-
-        // Generate custom fields template for the prompt
-        const customFieldsTemplate = {};
-
-        customFieldsObj.custom_fields.forEach((field, index) => {
-            customFieldsTemplate[index] = {
-                field_name: field.value,
-                value: "Fill in the value based on your analysis"
-            };
-        });
-
-        // Convert template to string for replacement and wrap in custom_fields
-        const customFieldsStr = '"custom_fields": ' + JSON.stringify(customFieldsTemplate, null, 2)
-            .split('\n')
-            .map(line => '    ' + line)  // Add proper indentation
-            .join('\n');
-
-        // Get system prompt based on configuration
-        if (config.useExistingData === 'yes' && config.restrictToExistingTags === 'no' && config.restrictToExistingCorrespondents === 'no') {
-            // Format existing tags
-            const existingTagsList = existingTags.join(', ');
-
-            // Format existing correspondents - handle both array of objects and array of strings
-            const existingCorrespondentList = correspondentList
-                .filter(Boolean)  // Remove any null/undefined entries
-                .map(correspondent => {
-                    if (typeof correspondent === 'string') return correspondent;
-                    return correspondent?.name || '';
-                })
-                .filter(name => name.length > 0)  // Remove empty strings
-                .join(', ');
-
-            // Format existing document types - handle both array of objects and array of strings
-            const existingDocumentTypesList = existingDocumentTypes
-                .filter(Boolean)  // Remove any null/undefined entries
-                .map(docType => {
-                    if (typeof docType === 'string') return docType;
-                    return docType?.name || '';
-                })
-                .filter(name => name.length > 0)  // Remove empty strings
-                .join(', ');
-
-            systemPrompt = `
-            Pre-existing tags: ${existingTagsList}\n\n
-            Pre-existing correspondents: ${existingCorrespondentList}\n\n
-            Pre-existing document types: ${existingDocumentTypesList}\n\n
-            ` + process.env.SYSTEM_PROMPT + '\n\n' + config.mustHavePrompt.replace('%CUSTOMFIELDS%', customFieldsStr);
-            promptTags = '';
-        } else {
-            config.mustHavePrompt = config.mustHavePrompt.replace('%CUSTOMFIELDS%', customFieldsStr);
-            systemPrompt = process.env.SYSTEM_PROMPT + '\n\n' + config.mustHavePrompt;
-            promptTags = '';
-        }
-
-        // Get validated external API data if available
-        let validatedExternalApiData = null;
-        if (options.externalApiData) {
-            try {
-                validatedExternalApiData = this._validateAndTruncateExternalApiData(options.externalApiData);
-                console.log('[DEBUG] External API data validated and included');
-            } catch (error) {
-                console.warn('[WARNING] External API data validation failed:', error.message);
-                validatedExternalApiData = null;
-            }
-        }
-
-        // Process placeholder replacements in system prompt
-        systemPrompt = RestrictionPromptService.processRestrictionsInPrompt(
-            systemPrompt,
-            existingTags,
-            correspondentList,
-            existingDocumentTypes,
-            config
-        );
-
-        // Include validated external API data if available
-        if (validatedExternalApiData) {
-            systemPrompt += `\n\nAdditional context from external API:\n${validatedExternalApiData}`;
-        }
-
-        if (process.env.USE_PROMPT_TAGS === 'yes') {
-            promptTags = process.env.PROMPT_TAGS;
-            systemPrompt = `
-            Take these tags and try to match one or more to the document content.\n\n
-            ` + config.specialPromptPreDefinedTags;
-        }
-
-        return `${systemPrompt}
-        ${JSON.stringify(content)}
-        `;
-    }
-
-    /**
-     * Validate and truncate external API data to prevent token overflow
-     * @param {any} apiData - The external API data to validate
-     * @param {number} maxTokens - Maximum tokens allowed for external data (default: 500)
-     * @returns {string} - Validated and potentially truncated data string
-     */
-    async _validateAndTruncateExternalApiData(apiData, maxTokens = 500) {
-        if (!apiData) {
-            return null;
-        }
-
-        const dataString = typeof apiData === 'object'
-            ? JSON.stringify(apiData, null, 2)
-            : String(apiData);
-
-        // Calculate tokens for the data (using simple estimation for Ollama)
-        const dataTokens = Math.ceil(dataString.length / 4);
-
-        if (dataTokens > maxTokens) {
-            console.warn(`[WARNING] External API data (${dataTokens} tokens) exceeds limit (${maxTokens}), truncating`);
-            // Simple truncation based on character count
-            const maxChars = maxTokens * 4;
-            return dataString.substring(0, maxChars);
-        }
-
-        console.log(`[DEBUG] External API data validated: ${dataTokens} tokens`);
-        return dataString;
-    }
-
-    /**
-     * Generate custom fields template for prompts
-     * @returns {string} Custom fields template as a string
-     */
-    _generateCustomFieldsTemplate() {
-        let customFieldsObj;
-        try {
-            customFieldsObj = JSON.parse(process.env.CUSTOM_FIELDS);
-        } catch (error) {
-            console.error('Failed to parse CUSTOM_FIELDS:', error);
-            customFieldsObj = { custom_fields: [] };
-        }
-
-        // Generate custom fields template for the prompt
-        const customFieldsTemplate = {};
-
-        customFieldsObj.custom_fields.forEach((field, index) => {
-            customFieldsTemplate[index] = {
-                field_name: field.value,
-                value: "Fill in the value based on your analysis"
-            };
-        });
-
-        // Convert template to string for replacement and wrap in custom_fields
-        return '"custom_fields": ' + JSON.stringify(customFieldsTemplate, null, 2)
-            .split('\n')
-            .map(line => '    ' + line)  // Add proper indentation
-            .join('\n');
-    }
-
     /**
      * Generate system prompt for document analysis
      * @param {string} customFieldsStr - Custom fields as a string
@@ -432,6 +222,7 @@ class OllamaService {
             YOU MUST: Return the result EXCLUSIVELY as a JSON object. The Tags, Title and Document_Type MUST be in the language that is used in the document.:
             IMPORTANT: The custom_fields are optional and can be left out if not needed, only try to fill out the values if you find a matching information in the document.
             Do not change the value of field_name, only fill out the values. If the field is about money only add the number without currency and always use a . for decimal places.
+            In "confidence" rate for every field how sure you are that its value is correct, from 0 (guessed) to 1 (stated in the document).
             {
                 "title": "xxxxx",
                 "correspondent": "xxxxxxxx",
@@ -439,6 +230,7 @@ class OllamaService {
                 "document_type": "Invoice/Contract/...",
                 "document_date": "YYYY-MM-DD",
                 "language": "en/de/es/...",
+                "confidence": {"title": 0.9, "correspondent": 0.9, "tags": 0.9, "document_type": 0.9, "document_date": 0.9, "language": 0.9, "custom_fields": {"<field_name>": 0.9}},
                 %CUSTOMFIELDS%
             }
             ALWAYS USE THE INFORMATION TO FILL OUT THE JSON OBJECT. DO NOT ASK BACK QUESTIONS.
@@ -508,50 +300,31 @@ class OllamaService {
         return { totalMemoryMB, freeMemoryMB };
     }
 
-    /**
-     * Handle thumbnail caching for documents
-     * @param {string} id - Document ID
-     */
-    async _handleThumbnailCaching(id) {
-        if (!id) return;
-
-        const cachePath = path.join('./public/images', `${id}.png`);
-        try {
-            await fs.access(cachePath);
-            console.log('[DEBUG] Thumbnail already cached');
-        } catch (err) {
-            console.log('Thumbnail not cached, fetching from Paperless');
-            const thumbnailData = await paperlessService.getThumbnailImage(id);
-            if (!thumbnailData) {
-                console.warn('Thumbnail nicht gefunden');
-                return;
-            }
-            await fs.mkdir(path.dirname(cachePath), { recursive: true });
-            await fs.writeFile(cachePath, thumbnailData);
-        }
-    }
-
     /**
      * Call Ollama API
      * @param {string} prompt - Prompt text
      * @param {string} systemPrompt - System prompt
      * @param {number} numCtx - Context window size
      * @param {Object} schema - Response schema
+     * @param {string} [model] - Overrides the configured model
+     * @param {Array<string>} [images] - Base64-encoded images for vision models
      * @returns {Object} Ollama API response
      */
-    async _callOllamaAPI(prompt, systemPrompt, numCtx, schema) {
+    async _callOllamaAPI(prompt, systemPrompt, numCtx, schema, model = null, images = null) {
         const response = await this.client.post(`${this.apiUrl}/api/generate`, {
-            model: this.model,
+            model: model || this.model,
             prompt: prompt,
             system: systemPrompt,
             stream: false,
             format: schema,
+            ...(images?.length > 0 && { images }),
             options: {
                 temperature: 0.7,
                 top_p: 0.9,
                 repeat_penalty: 1.1,
                 top_k: 7,
-                num_predict: 256,
+                // Leaves room for the confidence values after the metadata
+                num_predict: 512,
                 num_ctx: numCtx
             }
         });
@@ -563,104 +336,6 @@ class OllamaService {
         return response.data;
     }
 
-    /**
-     * Process Ollama API response
-     * @param {Object} responseData - Ollama API response data
-     * @returns {Object} Parsed response
-     */
-    _processOllamaResponse(responseData) {
-        // Check if we got a structured response or need to parse from text
-        if (responseData.response && typeof responseData.response === 'object') {
-            // We got a structured response directly
-            console.log('Using structured output response');
-            return {
-                tags: Array.isArray(responseData.response.tags) ? responseData.response.tags : [],
-                correspondent: responseData.response.correspondent || null,
-                title: responseData.response.title || null,
-                document_date: responseData.response.document_date || null,
-                document_type: responseData.response.document_type || null,
-                language: responseData.response.language || null,
-                custom_fields: responseData.response.custom_fields || null
-            };
-        } else if (responseData.response) {
-            // Fall back to parsing from text response
-            console.log('Falling back to text response parsing');
-            return this._parseResponse(responseData.response);
-        } else {
-            throw new Error('No response data from Ollama API');
-        }
-    }
-
-    /**
-     * Parse text response to extract JSON
-     * @param {string} response - Response text
-     * @returns {Object} Parsed object
-     */
-    _parseResponse(response) {
-        try {
-            // Find JSON in response using regex
-            const jsonMatch = response.match(/\{[\s\S]*\}/);
-            if (!jsonMatch) {
-                return { tags: [], correspondent: null };
-            }
-
-            let jsonStr = jsonMatch[0];
-            console.log('Extracted JSON String:', jsonStr);
-
-            try {
-                // Attempt to parse the JSON
-                const result = JSON.parse(jsonStr);
-
-                // Validate and return the result
-                return {
-                    tags: Array.isArray(result.tags) ? result.tags : [],
-                    correspondent: result.correspondent || null,
-                    title: result.title || null,
-                    document_date: result.document_date || null,
-                    document_type: result.document_type || null,
-                    language: result.language || null,
-                    custom_fields: result.custom_fields || null
-                };
-
-            } catch (jsonError) {
-                console.warn('Error parsing JSON from response:', jsonError.message);
-                console.warn('Attempting to sanitize the JSON...');
-
-                // Sanitize the JSON
-                jsonStr = this._sanitizeJsonString(jsonStr);
-
-                try {
-                    const sanitizedResult = JSON.parse(jsonStr);
-                    return {
-                        tags: Array.isArray(sanitizedResult.tags) ? sanitizedResult.tags : [],
-                        correspondent: sanitizedResult.correspondent || null,
-                        title: sanitizedResult.title || null,
-                        document_date: sanitizedResult.document_date || null,
-                        language: sanitizedResult.language || null
-                    };
-                } catch (finalError) {
-                    console.error('Final JSON parsing failed after sanitization. This happens when the JSON structure is too complex or invalid. That indicates an issue with the generated JSON string by Ollama. Switch to OpenAI for better results or fine tune your prompt.');
-                    return { tags: [], correspondent: null };
-                }
-            }
-        } catch (error) {
-            console.error('Error parsing Ollama response:', error.message);
-            return { tags: [], correspondent: null };
-        }
-    }
-
-    /**
-     * Sanitize a JSON string
-     * @param {string} jsonStr - JSON string to sanitize
-     * @returns {string} Sanitized JSON string
-     */
-    _sanitizeJsonString(jsonStr) {
-        return jsonStr
-            .replace(/,\s*}/g, '}') // Remove trailing commas before closing braces
-            .replace(/,\s*]/g, ']') // Remove trailing commas before closing brackets
-            .replace(/(['"])?([a-zA-Z0-9_]+)(['"])?\s*:/g, '"$2":'); // Ensure property names are quoted
-    }
-
     /**
      * Log prompt and response to file
      * @param {string} prompt - Prompt text
@@ -679,9 +354,10 @@ class OllamaService {
     /**
      * Generate text based on a prompt
      * @param {string} prompt - The prompt to generate text from
+     * @param {Object} [options] - `model` replaces the configured model
      * @returns {Promise<string>} - The generated text
      */
-    async generateText(prompt) {
+    async generateText(prompt, options = {}) {
         try {
             // Calculate context window size based on prompt length
             const promptTokenCount = this._calculatePromptTokenCount(prompt);
@@ -692,7 +368,7 @@ class OllamaService {
 
             // Call Ollama API without enforcing a specific response format
             const response = await this.client.post(`${this.apiUrl}/api/generate`, {
-                model: this.model,
+                model: this.getModel(options),
                 prompt: prompt,
                 system: systemPrompt,
                 stream: false,
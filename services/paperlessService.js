@@ -5,6 +5,8 @@ const fs = require('fs');
 const path = require('path');
 const { parse, isValid, parseISO, format } = require('date-fns');
 const { validateUrlAgainstBase } = require('./serviceUtils');
+const auditService = require('./auditService');
+const mergePolicyService = require('./mergePolicyService');
 
 class PaperlessService {
   constructor() {
@@ -71,6 +73,26 @@ class PaperlessService {
     }
   }
 
+  /**
+   * Downloads the original file of a document, used to send image documents to
+   * vision models in full resolution.
+   *
+   * @returns {Promise<Buffer|null>}
+   */
+  async getOriginalFile(documentId) {
+    this.initialize();
+    try {
+      const response = await this.client.get(`/documents/${documentId}/download/`, {
+        params: { original: true },
+        responseType: 'arraybuffer'
+      });
+      return response.data?.byteLength > 0 ? Buffer.from(response.data) : null;
+    } catch (error) {
+      console.error(`[ERROR] downloading the original file of document ${documentId}:`, error.message);
+      return null;
+    }
+  }
+
 
   // Aktualisiert den Tag-Cache, wenn er älter als CACHE_LIFETIME ist
   async ensureTagCache() {
@@ -150,6 +172,13 @@ class PaperlessService {
       const newField = response.data;
       console.log(`[DEBUG] Successfully created custom field "${fieldName}" with ID ${newField.id}`);
       this.customFieldCache.set(fieldName.toLowerCase(), newField);
+      await auditService.record({
+        action: 'custom_field.create',
+        objectType: 'custom_field',
+        objectId: newField.id,
+        objectName: newField.name,
+        changes: { name: { before: null, after: newField.name }, data_type: { before: null, after: fieldType } }
+      });
       return newField;
     } catch (error) { 
       if (error.response?.status === 400) {
@@ -203,6 +232,18 @@ class PaperlessService {
     return null;
   }
 
+  // Custom field ID -> name, used to look up per-field merge policies
+  async getCustomFieldNamesById() {
+    if (this.customFieldCache.size === 0) {
+      try {
+        await this.refreshCustomFieldCache();
+      } catch {
+        // Fields without a known name use the default custom field policy
+      }
+    }
+    return new Map([...this.customFieldCache.values()].map(field => [field.id, field.name]));
+  }
+
   async refreshCustomFieldCache() {
       try {
         console.log('[DEBUG] Refreshing custom field cache...');
@@ -280,6 +321,13 @@ class PaperlessService {
       const newTag = response.data;
       console.log(`[DEBUG] Successfully created tag "${tagName}" with ID ${newTag.id}`);
       this.tagCache.set(normalizedName, newTag);
+      await auditService.record({
+        action: 'tag.create',
+        objectType: 'tag',
+        objectId: newTag.id,
+        objectName: newTag.name,
+        changes: { name: { before: null, after: newTag.name } }
+      });
       return newTag;
     } catch (error) {
       if (error.response?.status === 400) {
@@ -297,6 +345,75 @@ class PaperlessService {
     }
   }
 
+  // IDs of all documents with the tag
+  async getDocumentIdsWithTag(tagId) {
+    this.initialize();
+    const documentIds = [];
+    let page = 1;
+    let hasNextPage = true;
+
+    while (hasNextPage) {
+      const response = await this.client.get('/documents/', {
+        params: { tags__id__all: tagId, page, page_size: 100, fields: 'id' }
+      });
+      documentIds.push(...response.data.results.map(doc => doc.id));
+      hasNextPage = response.data.next !== null;
+      page++;
+    }
+    return documentIds;
+  }
+
+  // Adds a tag to many documents with a single bulk edit
+  async addTagToDocuments(tag, documentIds) {
+    this.initialize();
+    if (documentIds.length === 0) return;
+
+    await this.client.post('/documents/bulk_edit/', {
+      documents: documentIds,
+      method: 'add_tag',
+      parameters: { tag: tag.id }
+    });
+    console.log(`[DEBUG] Added tag "${tag.name}" to ${documentIds.length} documents`);
+    await auditService.record({
+      action: 'tag.assign',
+      objectType: 'tag',
+      objectId: tag.id,
+      objectName: tag.name,
+      changes: { documents: { before: null, after: documentIds } }
+    });
+  }
+
+  async updateTag(tag, data) {
+    this.initialize();
+    const response = await this.client.patch(`/tags/${tag.id}/`, data);
+    const updatedTag = response.data;
+    this.tagCache.delete(tag.name.toLowerCase());
+    this.tagCache.set(updatedTag.name.toLowerCase(), updatedTag);
+    await auditService.record({
+      action: 'tag.update',
+      objectType: 'tag',
+      objectId: tag.id,
+      objectName: updatedTag.name,
+      changes: auditService.diff(tag, updatedTag, Object.keys(data))
+    });
+    return updatedTag;
+  }
+
+  // Deleting a tag in Paperless-ngx also removes it from its documents
+  async deleteTag(tag) {
+    this.initialize();
+    await this.client.delete(`/tags/${tag.id}/`);
+    this.tagCache.delete(tag.name.toLowerCase());
+    console.log(`[DEBUG] Deleted tag "${tag.name}" (ID ${tag.id})`);
+    await auditService.record({
+      action: 'tag.delete',
+      objectType: 'tag',
+      objectId: tag.id,
+      objectName: tag.name,
+      changes: { name: { before: tag.name, after: null } }
+    });
+  }
+
   async processTags(tagNames, options = {}) {
     try {
       this.initialize();
@@ -307,6 +424,10 @@ class PaperlessService {
       const restrictToExistingTags = options.restrictToExistingTags === true || 
                                    (options.restrictToExistingTags === undefined && 
                                     process.env.RESTRICT_TO_EXISTING_TAGS === 'yes');
+      // Names entered by a person are used as they are
+      const matchSimilarTags = options.matchSimilarTags !== false;
+      // Required here, the taxonomy service depends on this service
+      const tagTaxonomyService = require('./tagTaxonomyService');
       
       // Input validation
       if (!tagNames) {
@@ -348,8 +469,10 @@ class PaperlessService {
         }
   
         try {
-          // Search for existing tag first
-          let tag = await this.findExistingTag(tagName);
+          // Search for an existing tag first: same name, alias or similar name
+          let tag = matchSimilarTags
+            ? await tagTaxonomyService.findMatchingTag(tagName)
+            : await this.findExistingTag(tagName);
           
           // If no existing tag found and restrictions are not enabled, create new one
           if (!tag && !restrictToExistingTags) {
@@ -576,6 +699,57 @@ class PaperlessService {
     }
   }
 
+  async listStoragePathsNames() {
+    return this._listObjectNames('/storage_paths/', 'name', 'storage path');
+  }
+
+  async listUsersNames() {
+    return this._listObjectNames('/users/', 'username', 'user');
+  }
+
+  async listGroupsNames() {
+    return this._listObjectNames('/groups/', 'name', 'group');
+  }
+
+  /**
+   * Looks up an existing storage path by name, ignoring case. Storage paths are
+   * never created, their path template has to be set up in Paperless-ngx.
+   *
+   * @returns {Promise<{id: number, name: string}|null>}
+   */
+  async findExistingStoragePath(name) {
+    const wanted = String(name || '').trim().toLowerCase();
+    if (!wanted) return null;
+    const storagePaths = await this.listStoragePathsNames();
+    return storagePaths.find(storagePath => storagePath.name.toLowerCase() === wanted) || null;
+  }
+
+  // Pages through a Paperless-ngx list endpoint and returns [{ id, name }]
+  async _listObjectNames(endpoint, nameField, label) {
+    this.initialize();
+    let objects = [];
+    let page = 1;
+    let hasNextPage = true;
+
+    try {
+      while (hasNextPage) {
+        const response = await this.client.get(endpoint, {
+          params: { page, page_size: 100 }
+        });
+
+        const { results, next } = response.data;
+        objects = objects.concat(results.map(item => ({ id: item.id, name: item[nameField] })));
+
+        hasNextPage = next !== null;
+        page++;
+      }
+      return objects;
+    } catch (error) {
+      console.error(`[ERROR] fetching ${label} names:`, error.message);
+      return [];
+    }
+  }
+
   async listTagNames() {
     this.initialize();
     let allTags = [];
@@ -613,7 +787,13 @@ class PaperlessService {
     }
   }
   
-  async getAllDocuments() {
+  /**
+   * Fetches all documents, ordered by ID.
+   *
+   * @param {Object} [filters] - Additional Paperless-ngx query filters, e.g. { id__gt: 1234 }
+   * @returns {Promise<Array>} The documents (id, title, created, added, tags, correspondent)
+   */
+  async getAllDocuments(filters = {}) {
     this.initialize();
     if (!this.client) {
       console.error('[DEBUG] Client not initialized');
@@ -655,8 +835,10 @@ class PaperlessService {
     while (hasMore) {
       try {
         const params = {
+          ...filters,
           page,
           page_size: 100,
+          ordering: 'id',
           fields: 'id,title,created,created_date,added,tags,correspondent'
         };
 
@@ -975,6 +1157,75 @@ class PaperlessService {
   }
 }
 
+  // All correspondents with their document counts
+  async getCorrespondents() {
+    this.initialize();
+    const correspondents = [];
+    let page = 1;
+    let hasNextPage = true;
+
+    while (hasNextPage) {
+      const response = await this.client.get('/correspondents/', {
+        params: { page, page_size: 100 }
+      });
+      correspondents.push(...response.data.results);
+      hasNextPage = response.data.next !== null;
+      page++;
+    }
+    return correspondents;
+  }
+
+  // IDs of all documents of the correspondent
+  async getDocumentIdsWithCorrespondent(correspondentId) {
+    this.initialize();
+    const documentIds = [];
+    let page = 1;
+    let hasNextPage = true;
+
+    while (hasNextPage) {
+      const response = await this.client.get('/documents/', {
+        params: { correspondent__id: correspondentId, page, page_size: 100, fields: 'id' }
+      });
+      documentIds.push(...response.data.results.map(doc => doc.id));
+      hasNextPage = response.data.next !== null;
+      page++;
+    }
+    return documentIds;
+  }
+
+  // Sets the correspondent of many documents with a single bulk edit
+  async setCorrespondentOfDocuments(correspondent, documentIds) {
+    this.initialize();
+    if (documentIds.length === 0) return;
+
+    await this.client.post('/documents/bulk_edit/', {
+      documents: documentIds,
+      method: 'set_correspondent',
+      parameters: { correspondent: correspondent.id }
+    });
+    console.log(`[DEBUG] Set correspondent "${correspondent.name}" on ${documentIds.length} documents`);
+    await auditService.record({
+      action: 'correspondent.assign',
+      objectType: 'correspondent',
+      objectId: correspondent.id,
+      objectName: correspondent.name,
+      changes: { documents: { before: null, after: documentIds } }
+    });
+  }
+
+  async deleteCorrespondent(correspondent) {
+    this.initialize();
+    await this.client.delete(`/correspondents/${correspondent.id}/`);
+    console.log(`[DEBUG] Deleted correspondent "${correspondent.name}" (ID ${correspondent.id})`);
+    await auditService.record({
+      action: 'correspondent.delete',
+      objectType: 'correspondent',
+      objectId: correspondent.id,
+      objectName: correspondent.name,
+      changes: { name: { before: correspondent.name, after: null } }
+    });
+  }
+
 async searchForExistingCorrespondent(correspondent) {
   try {
       const response = await this.client.get('/correspondents/', {
@@ -1021,9 +1272,16 @@ async searchForExistingCorrespondent(correspondent) {
     
     console.log(`[DEBUG] Processing correspondent with restrictToExistingCorrespondents=${restrictToExistingCorrespondents}`);
   
+    // Names entered by a person are used as they are
+    const matchSimilar = options.matchSimilarCorrespondents !== false;
+    // Required here, the correspondent service depends on this service
+    const correspondentService = require('./correspondentService');
+  
     try {
-        // Search for the correspondent
-        const existingCorrespondent = await this.searchForExistingCorrespondent(name);
+        // Search for the correspondent: same name, alias, identifier in the content or normalised name
+        const existingCorrespondent = matchSimilar
+            ? await correspondentService.findMatchingCorrespondent(name, options.content)
+            : await this.searchForExistingCorrespondent(name);
         console.log("[DEBUG] Response Correspondent Search: ", existingCorrespondent);
     
         if (existingCorrespondent) {
@@ -1043,6 +1301,14 @@ async searchForExistingCorrespondent(correspondent) {
                 name: name 
             });
             console.log(`[DEBUG] Created new correspondent "${name}" with ID ${createResponse.data.id}`);
+            correspondentService.clearCache();
+            await auditService.record({
+                action: 'correspondent.create',
+                objectType: 'correspondent',
+                objectId: createResponse.data.id,
+                objectName: createResponse.data.name,
+                changes: { name: { before: null, after: createResponse.data.name } }
+            });
             return createResponse.data;
         } catch (createError) {
             if (createError.response?.status === 400 && 
@@ -1127,6 +1393,13 @@ async getOrCreateDocumentType(name) {
               is_insensitive: true
           });
           console.log(`[DEBUG] Created new document type "${name}" with ID ${createResponse.data.id}`);
+          await auditService.record({
+              action: 'document_type.create',
+              objectType: 'document_type',
+              objectId: createResponse.data.id,
+              objectName: createResponse.data.name,
+              changes: { name: { before: null, after: createResponse.data.name } }
+          });
           return createResponse.data;
       } catch (createError) {
           if (createError.response?.status === 400 && 
@@ -1181,7 +1454,9 @@ async getOrCreateDocumentType(name) {
       await this.client.patch(`/documents/${documentId}/`, updateData);
       console.log(`[DEBUG] Successfully removed ${tagsToRemove.length} tags from document ${documentId}`);
       
-      return await this.getDocument(documentId);
+      const updatedDoc = await this.getDocument(documentId);
+      await this.recordDocumentChange('document.update', documentId, currentDoc, updatedDoc, ['tags']);
+      return updatedDoc;
     } catch (error) {
       console.error(`[ERROR] Error removing unused tags from document ${documentId}:`, error.message);
       throw error;
@@ -1249,28 +1524,26 @@ async getOrCreateDocumentType(name) {
   }
 
 
-  async updateDocument(documentId, updates) {
+  /**
+   * Updates a document. Each field is combined with the current value according
+   * to its merge policy (see mergePolicyService), by default the configured ones.
+   *
+   * @param {number} documentId - The Paperless document ID
+   * @param {Object} updates - Fields to update
+   * @param {Object} [options]
+   * @param {Object} [options.policies] - Policies as returned by mergePolicyService.getPolicies()
+   * @returns {Promise<Object|null>} The updated document, null on failure
+   */
+  async updateDocument(documentId, updates, { policies = mergePolicyService.getPolicies() } = {}) {
     this.initialize();
     if (!this.client) return;
     try {
       const currentDoc = await this.getDocument(documentId);
-      
-      if (updates.tags) {
-        console.log(`[DEBUG] Current tags for document ${documentId}:`, currentDoc.tags);
-        console.log(`[DEBUG] Adding new tags:`, updates.tags);
-        console.log(`[DEBUG] Current correspondent:`, currentDoc.correspondent);
-        console.log(`[DEBUG] New correspondent:`, updates.correspondent);
-                
-        const combinedTags = [...new Set([...currentDoc.tags, ...updates.tags])];
-        updates.tags = combinedTags;
-        
-        console.log(`[DEBUG] Combined tags:`, combinedTags);
-      }
 
-      if (currentDoc.correspondent && updates.correspondent) {
-        console.log('[DEBUG] Document already has a correspondent, keeping existing one:', currentDoc.correspondent);
-        delete updates.correspondent;
-      }
+      console.log(`[DEBUG] Current tags for document ${documentId}:`, currentDoc.tags);
+      console.log(`[DEBUG] Current correspondent:`, currentDoc.correspondent);
+      const customFieldNames = updates.custom_fields ? await this.getCustomFieldNamesById() : undefined;
+      updates = mergePolicyService.apply(updates, currentDoc, policies, customFieldNames);
 
       let updateData;
       try {
@@ -1327,16 +1600,129 @@ async getOrCreateDocumentType(name) {
         console.warn(`[WARN] Title truncated to 128 characters for document ${documentId}`);
       }
       
+      // Owner and permissions are sent separately: Paperless-ngx only lets the owner
+      // change them, and a rejection must not lose the other fields
+      const permissionData = {};
+      for (const field of ['owner', 'set_permissions']) {
+        if (field in updateData) {
+          permissionData[field] = updateData[field];
+          delete updateData[field];
+        }
+      }
+
       console.log('[DEBUG] Final update data:', updateData);
       await this.client.patch(`/documents/${documentId}/`, updateData);
       console.log(`[SUCCESS] Updated document ${documentId} with:`, updateData);
-      return await this.getDocument(documentId);
+      let updatedDoc = await this.getDocument(documentId);
+      const fields = Object.keys(updateData);
+
+      if (Object.keys(permissionData).length > 0) {
+        try {
+          // The response is used instead of fetching again, the new owner may not share the document with us
+          const response = await this.client.patch(`/documents/${documentId}/`, permissionData);
+          updatedDoc = { ...updatedDoc, owner: response.data?.owner ?? updatedDoc.owner };
+          fields.push('owner');
+          console.log(`[SUCCESS] Set owner/permissions of document ${documentId}:`, permissionData);
+        } catch (error) {
+          console.warn(`[WARN] Paperless-ngx rejected owner/permissions of document ${documentId}:`, error.response?.status || error.message);
+          delete permissionData.set_permissions;
+        }
+      }
+
+      await this.recordDocumentChange('document.update', documentId, currentDoc, updatedDoc, fields, permissionData.set_permissions);
+      if (updateData.correspondent && updatedDoc?.correspondent) {
+        // Required here, the correspondent service depends on this service
+        await require('./correspondentService').learnIdentifiers(updatedDoc.content, updatedDoc.correspondent);
+      }
+      return updatedDoc;
     } catch (error) {
       console.log(error);
       console.error(`[ERROR] updating document ${documentId}:`, error.message);
       return null;
     }
   }
+
+  /**
+   * Writes a previously saved snapshot back to a document.
+   * Unlike updateDocument() no merge policies apply: tags are replaced and the
+   * correspondent is overwritten, so the document ends up exactly in the
+   * snapshotted state. Fields missing from the snapshot are left untouched.
+   *
+   * @param {number} documentId - The Paperless document ID
+   * @param {Object} snapshot - Snapshot as returned by documentModel.getOriginalSnapshot()
+   * @returns {Promise<Object>} The updated document
+   * @throws {Error} If the PATCH request fails
+   */
+  async restoreDocument(documentId, snapshot) {
+    this.initialize();
+    if (!this.client) {
+      throw new Error('Paperless client not initialized');
+    }
+
+    const restoreData = {
+      title: snapshot.title,
+      tags: snapshot.tags,
+      correspondent: snapshot.correspondent
+    };
+    if (snapshot.documentType !== undefined) restoreData.document_type = snapshot.documentType;
+    if (snapshot.created !== undefined) restoreData.created = snapshot.created;
+    if (snapshot.customFields !== undefined) restoreData.custom_fields = snapshot.customFields;
+    if (snapshot.storagePath !== undefined) restoreData.storage_path = snapshot.storagePath;
+
+    console.log(`[DEBUG] Restoring document ${documentId} with:`, restoreData);
+    const currentDoc = await this.getDocument(documentId);
+    const response = await this.client.patch(`/documents/${documentId}/`, restoreData);
+    let restoredDoc = response.data;
+    const fields = Object.keys(restoreData);
+
+    // The owner is sent separately like in updateDocument(): Paperless-ngx only lets
+    // the owner change it, and a rejection must not undo the restore of the other fields
+    if (snapshot.owner !== undefined && snapshot.owner !== currentDoc?.owner) {
+      try {
+        const ownerResponse = await this.client.patch(`/documents/${documentId}/`, { owner: snapshot.owner });
+        restoredDoc = { ...restoredDoc, owner: ownerResponse.data?.owner ?? snapshot.owner };
+        fields.push('owner');
+      } catch (error) {
+        console.warn(`[WARN] Paperless-ngx rejected the owner of document ${documentId}:`, error.response?.status || error.message);
+      }
+    }
+
+    console.log(`[SUCCESS] Restored document ${documentId} to its original state`);
+    await this.recordDocumentChange('document.restore', documentId, currentDoc, restoredDoc, fields);
+    return restoredDoc;
+  }
+
+  /**
+   * Writes the before/after diff of a document change to the audit log.
+   * Correspondent changes also record the names, IDs alone are hard to trace later.
+   */
+  async recordDocumentChange(action, documentId, before, after, fields, permissions = null) {
+    // Fields Paperless-ngx does not store (e.g. language) are not part of the diff
+    const changes = auditService.diff(before, after, fields.filter(field => before && field in before));
+    // Paperless-ngx does not return the permissions of a document by default, so the new ones are recorded as sent
+    if (permissions) {
+      changes.set_permissions = { before: null, after: permissions };
+    }
+    if (Object.keys(changes).length === 0) return;
+
+    if (changes.correspondent) {
+      const [beforeCorrespondent, afterCorrespondent] = await Promise.all([
+        changes.correspondent.before ? this.getCorrespondentNameById(changes.correspondent.before) : null,
+        changes.correspondent.after ? this.getCorrespondentNameById(changes.correspondent.after) : null
+      ]);
+      changes.correspondent.beforeName = beforeCorrespondent?.name || null;
+      changes.correspondent.afterName = afterCorrespondent?.name || null;
+    }
+
+    await auditService.record({
+      action,
+      objectType: 'document',
+      objectId: documentId,
+      objectName: after?.title || before?.title,
+      documentId,
+      changes
+    });
+  }
 }
 
 
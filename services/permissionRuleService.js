@@ -0,0 +1,171 @@
+// services/permissionRuleService.js
+const paperlessService = require('./paperlessService');
+const documentModel = require('../models/document');
+
+// Criterion name -> field of the Paperless document it is matched against
+const MATCH_FIELDS = {
+  correspondents: 'correspondent',
+  documentTypes: 'document_type',
+  tags: 'tags',
+  storagePaths: 'storage_path'
+};
+
+const PERMISSION_TYPES = ['view', 'change'];
+
+function toIds(value) {
+  return (Array.isArray(value) ? value : [])
+    .map(id => parseInt(id, 10))
+    .filter(id => !isNaN(id));
+}
+
+/**
+ * Permission rules assign the owner and the view/change permissions of a
+ * document, e.g. all documents of a correspondent or type to one person.
+ * Unlike processing profiles they are matched after the analysis, against the
+ * document as it will be saved, so the correspondent, type and storage path
+ * chosen by the AI count. The first enabled rule (by priority) whose criteria
+ * all match is applied.
+ */
+class PermissionRuleService {
+  async listRules() {
+    return documentModel.getPermissionRules();
+  }
+
+  /**
+   * Checks whether a document matches all criteria of a rule. Within a
+   * criterion any of the listed IDs is enough. A rule without criteria matches
+   * every document.
+   */
+  matches(rule, doc) {
+    if (!rule.enabled) return false;
+
+    return Object.entries(MATCH_FIELDS).every(([criterion, field]) => {
+      const ids = rule.match?.[criterion] || [];
+      if (ids.length === 0) return true;
+
+      const value = doc[field];
+      return Array.isArray(value)
+        ? value.some(id => ids.includes(id))
+        : ids.includes(value);
+    });
+  }
+
+  /**
+   * Returns the owner and permissions for a document, in the Paperless-ngx
+   * update format ({ owner, set_permissions }), or null if no rule matches.
+   *
+   * @param {Object} doc - The document with the values of the update applied
+   */
+  async resolve(doc) {
+    const rules = await documentModel.getPermissionRules();
+    const rule = rules.find(candidate => this.matches(candidate, doc));
+    if (!rule) return null;
+
+    console.log(`[DEBUG] Document ${doc.id} matches permission rule "${rule.name}"`);
+    const assignment = {};
+    if (rule.owner !== null) assignment.owner = rule.owner;
+    if (rule.permissions) assignment.set_permissions = rule.permissions;
+    return assignment;
+  }
+
+  async createRule(input) {
+    const id = await documentModel.addPermissionRule(this.normalize(input));
+    if (!id) {
+      throw new Error('Failed to save permission rule');
+    }
+    return documentModel.getPermissionRule(id);
+  }
+
+  async updateRule(id, input) {
+    if (!await documentModel.getPermissionRule(id)) {
+      throw new Error('Permission rule not found');
+    }
+    if (!await documentModel.updatePermissionRule(id, this.normalize(input))) {
+      throw new Error('Failed to save permission rule');
+    }
+    return documentModel.getPermissionRule(id);
+  }
+
+  async deleteRule(id) {
+    if (!await documentModel.deletePermissionRule(id)) {
+      throw new Error('Permission rule not found');
+    }
+    return true;
+  }
+
+  /**
+   * Validates a rule from the API and brings it into the stored shape.
+   * Throws an Error with a user-facing message on invalid input.
+   */
+  normalize(input = {}) {
+    const name = String(input.name || '').trim();
+    if (!name) {
+      throw new Error('Rule name is required');
+    }
+
+    const match = {};
+    for (const criterion of Object.keys(MATCH_FIELDS)) {
+      match[criterion] = toIds(input.match?.[criterion]);
+    }
+
+    let owner = null;
+    if (input.owner !== null && input.owner !== undefined && input.owner !== '') {
+      owner = parseInt(input.owner, 10);
+      if (isNaN(owner)) {
+        throw new Error(`Invalid owner: ${input.owner}`);
+      }
+    }
+
+    // Paperless-ngx replaces all permissions of the document with these
+    const permissions = {};
+    for (const type of PERMISSION_TYPES) {
+      permissions[type] = {
+        users: toIds(input.permissions?.[type]?.users),
+        groups: toIds(input.permissions?.[type]?.groups)
+      };
+    }
+    const hasPermissions = PERMISSION_TYPES.some(type =>
+      permissions[type].users.length > 0 || permissions[type].groups.length > 0);
+
+    if (owner === null && !hasPermissions) {
+      throw new Error('A rule must set an owner or permissions');
+    }
+
+    const priority = parseInt(input.priority, 10);
+    return {
+      name,
+      enabled: input.enabled !== false && input.enabled !== 'no',
+      priority: isNaN(priority) ? 100 : priority,
+      match,
+      owner,
+      permissions: hasPermissions ? permissions : null
+    };
+  }
+
+  /**
+   * Correspondents, document types, tags, storage paths, users and groups that
+   * can be used in rules, as [{ id, name }] lists.
+   */
+  async getOptions() {
+    const [correspondents, documentTypes, tags, storagePaths, users, groups] = await Promise.all([
+      paperlessService.listCorrespondentsNames(),
+      paperlessService.listDocumentTypesNames(),
+      paperlessService.getTags(),
+      paperlessService.listStoragePathsNames(),
+      paperlessService.listUsersNames(),
+      paperlessService.listGroupsNames()
+    ]);
+
+    const toOptions = list => list.map(item => ({ id: item.id, name: item.name }));
+    return {
+      correspondents: toOptions(correspondents),
+      documentTypes: toOptions(documentTypes),
+      tags: toOptions(tags),
+      storagePaths: toOptions(storagePaths),
+      users: toOptions(users),
+      groups: toOptions(groups)
+    };
+  }
+}
+
+module.exports = new PermissionRuleService();
@@ -0,0 +1,181 @@
+// services/profileService.js
+const paperlessService = require('./paperlessService');
+const documentModel = require('../models/document');
+
+const PROVIDERS = ['openai', 'ollama', 'custom', 'azure', 'anthropic', 'gemini', 'mistral'];
+const LIMIT_FUNCTIONS = [
+  'activateTagging', 'activateCorrespondents', 'activateDocumentType', 'activateTitle', 'activateCustomFields',
+  'activateStoragePath', 'activatePermissions'
+];
+
+// Criterion name -> field of the Paperless document it is matched against
+const MATCH_FIELDS = {
+  tags: 'tags',
+  documentTypes: 'document_type',
+  correspondents: 'correspondent',
+  owners: 'owner',
+  storagePaths: 'storage_path'
+};
+
+/**
+ * Processing profiles select a prompt, provider/model, enabled functions and a
+ * custom fields template per class of documents (e.g. invoices, payslips).
+ * The first enabled profile (by priority) whose criteria all match is used;
+ * documents without a matching profile use the global settings.
+ */
+class ProfileService {
+  async listProfiles() {
+    return documentModel.getProcessingProfiles();
+  }
+
+  /**
+   * Checks whether a Paperless document matches all criteria of a profile.
+   * Within a criterion any of the listed IDs is enough. A profile without
+   * criteria matches every document and can serve as a catch-all.
+   */
+  matches(profile, doc) {
+    if (!profile.enabled) return false;
+
+    return Object.entries(MATCH_FIELDS).every(([criterion, field]) => {
+      const ids = profile.match?.[criterion] || [];
+      if (ids.length === 0) return true;
+
+      const value = doc[field];
+      return Array.isArray(value)
+        ? value.some(id => ids.includes(id))
+        : ids.includes(value);
+    });
+  }
+
+  /**
+   * Returns the profile to use for a Paperless document, or null.
+   */
+  async findProfile(doc) {
+    if (!doc) return null;
+    const profiles = await documentModel.getProcessingProfiles();
+    return profiles.find(profile => this.matches(profile, doc)) || null;
+  }
+
+  async createProfile(input) {
+    const profile = this.normalize(input);
+    const id = await documentModel.addProcessingProfile(profile);
+    if (!id) {
+      throw new Error('Failed to save profile');
+    }
+    await this.createCustomFields(profile);
+    return documentModel.getProcessingProfile(id);
+  }
+
+  async updateProfile(id, input) {
+    if (!await documentModel.getProcessingProfile(id)) {
+      throw new Error('Profile not found');
+    }
+    const profile = this.normalize(input);
+    if (!await documentModel.updateProcessingProfile(id, profile)) {
+      throw new Error('Failed to save profile');
+    }
+    await this.createCustomFields(profile);
+    return documentModel.getProcessingProfile(id);
+  }
+
+  async deleteProfile(id) {
+    if (!await documentModel.deleteProcessingProfile(id)) {
+      throw new Error('Profile not found');
+    }
+    return true;
+  }
+
+  /**
+   * Validates a profile from the API and brings it into the stored shape.
+   * Throws an Error with a user-facing message on invalid input.
+   */
+  normalize(input = {}) {
+    const name = String(input.name || '').trim();
+    if (!name) {
+      throw new Error('Profile name is required');
+    }
+
+    const provider = String(input.provider || '').trim();
+    if (provider && !PROVIDERS.includes(provider)) {
+      throw new Error(`Invalid provider: ${provider}`);
+    }
+
+    const match = {};
+    for (const criterion of Object.keys(MATCH_FIELDS)) {
+      const ids = Array.isArray(input.match?.[criterion]) ? input.match[criterion] : [];
+      match[criterion] = ids.map(id => parseInt(id, 10)).filter(id => !isNaN(id));
+    }
+
+    // Only functions set explicitly override the global settings
+    const limitFunctions = {};
+    for (const key of LIMIT_FUNCTIONS) {
+      const value = input.limitFunctions?.[key];
+      if (value === 'yes' || value === 'no') {
+        limitFunctions[key] = value;
+      }
+    }
+
+    const customFields = String(input.customFields || '').trim();
+    if (customFields) {
+      let parsed;
+      try {
+        parsed = JSON.parse(customFields);
+      } catch {
+        throw new Error('Custom fields must be valid JSON');
+      }
+      if (!Array.isArray(parsed.custom_fields)) {
+        throw new Error('Custom fields must have the form {"custom_fields": [{"value": "Name", "data_type": "string"}]}');
+      }
+    }
+
+    const priority = parseInt(input.priority, 10);
+    return {
+      name,
+      enabled: input.enabled !== false && input.enabled !== 'no',
+      priority: isNaN(priority) ? 100 : priority,
+      match,
+      systemPrompt: String(input.systemPrompt || '').trim(),
+      provider,
+      model: String(input.model || '').trim(),
+      limitFunctions,
+      customFields
+    };
+  }
+
+  // Custom fields of a profile template are created in Paperless-ngx like the global ones
+  async createCustomFields(profile) {
+    if (!profile.customFields) return;
+    try {
+      for (const field of JSON.parse(profile.customFields).custom_fields) {
+        await paperlessService.createCustomFieldSafely(field.value, field.data_type || 'string', field.currency);
+      }
+    } catch (error) {
+      console.error('[ERROR] Error creating custom fields of profile:', error.message);
+    }
+  }
+
+  /**
+   * Tags, document types, correspondents, owners and storage paths that can be
+   * used as profile criteria, as [{ id, name }] lists.
+   */
+  async getMatchOptions() {
+    const [tags, documentTypes, correspondents, owners, storagePaths] = await Promise.all([
+      paperlessService.getTags(),
+      paperlessService.listDocumentTypesNames(),
+      paperlessService.listCorrespondentsNames(),
+      paperlessService.listUsersNames(),
+      paperlessService.listStoragePathsNames()
+    ]);
+
+    const toOptions = list => list.map(item => ({ id: item.id, name: item.name }));
+    return {
+      tags: toOptions(tags),
+      documentTypes: toOptions(documentTypes),
+      correspondents: toOptions(correspondents),
+      owners: toOptions(owners),
+      storagePaths: toOptions(storagePaths)
+    };
+  }
+}
+
+module.exports = new ProfileService();
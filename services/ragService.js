@@ -48,6 +48,21 @@ class RagService {
     }
   }
 
+  /**
+   * Embed short texts (e.g. tag names) with the sentence transformer of the RAG service
+   * @param {string[]} texts - The texts to embed
+   * @returns {Promise<number[][]>} - Normalized embeddings in the order of the texts
+   */
+  async embed(texts) {
+    try {
+      const response = await axios.post(`${this.baseUrl}/embed`, { texts });
+      return response.data.embeddings;
+    } catch (error) {
+      console.error('Error embedding texts:', error.message);
+      throw error;
+    }
+  }
+
   /**
    * Ask a question about documents and get an AI-generated answer in the same language as the question
    * @param {string} question - The question to ask
@@ -88,7 +103,8 @@ class RagService {
       }
       
       // 3. Use AI service to generate an answer based on the enhanced context
-      const aiService = AIServiceFactory.getService();
+      const { provider, model } = AIServiceFactory.getTaskSettings('rag');
+      const aiService = AIServiceFactory.getService(provider);
       
       // Create a language-agnostic prompt that works in any language
       const prompt = `
@@ -111,7 +127,7 @@ class RagService {
 
       let answer;
       try {
-        answer = await aiService.generateText(prompt);
+        answer = await aiService.generateText(prompt, { model });
       } catch (error) {
         console.error('Error generating answer with AI service:', error);
         answer = "An error occurred while generating an answer. Please try again later.";
@@ -189,13 +205,13 @@ class RagService {
   }
 
   /**
-   * Get AI status
+   * Get the status of the AI provider that answers RAG questions
    * @returns {Promise<{status: string}>}
    */
   async getAIStatus() {
     try {
-      const aiService = AIServiceFactory.getService();
-      const status = await aiService.checkStatus();
+      const { provider, model } = AIServiceFactory.getTaskSettings('rag');
+      const status = await AIServiceFactory.getService(provider).checkStatus({ model });
       return status;
     } catch (error) {
       console.error('Error checking AI service status:', error);
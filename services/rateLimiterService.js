@@ -0,0 +1,55 @@
+// services/rateLimiterService.js
+const config = require('../config/config');
+
+const WINDOW_MS = 60 * 1000;
+
+/**
+ * Sliding-window limiter for AI requests per minute, tracked per provider.
+ * Limits come from config.rateLimits (<PROVIDER>_RPM_LIMIT, 0 = unlimited).
+ */
+class RateLimiter {
+  constructor() {
+    this.requests = new Map();
+    this.waiters = new Map();
+  }
+
+  /**
+   * Resolves once another request to the provider is allowed. Callers are
+   * served in the order they asked.
+   *
+   * @param {string} provider - AI provider name, e.g. 'openai'
+   */
+  acquire(provider) {
+    const limit = config.rateLimits?.[provider] || 0;
+    if (limit <= 0) return Promise.resolve();
+
+    const previous = this.waiters.get(provider) || Promise.resolve();
+    const slot = previous.then(() => this.waitForSlot(provider, limit));
+    this.waiters.set(provider, slot);
+    return slot;
+  }
+
+  async waitForSlot(provider, limit) {
+    if (!this.requests.has(provider)) {
+      this.requests.set(provider, []);
+    }
+    const timestamps = this.requests.get(provider);
+
+    for (;;) {
+      const now = Date.now();
+      while (timestamps.length > 0 && now - timestamps[0] >= WINDOW_MS) {
+        timestamps.shift();
+      }
+      if (timestamps.length < limit) {
+        timestamps.push(now);
+        return;
+      }
+
+      const waitMs = WINDOW_MS - (now - timestamps[0]);
+      console.log(`[DEBUG] ${provider} rate limit of ${limit}/min reached, waiting ${Math.ceil(waitMs / 1000)}s`);
+      await new Promise(resolve => setTimeout(resolve, waitMs));
+    }
+  }
+}
+
+module.exports = new RateLimiter();
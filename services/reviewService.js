@@ -0,0 +1,246 @@
+// services/reviewService.js
+const config = require('../config/config');
+const paperlessService = require('./paperlessService');
+const documentModel = require('../models/document');
+const auditService = require('./auditService');
+const mergePolicyService = require('./mergePolicyService');
+const confidenceService = require('./confidenceService');
+const { coerceCustomFieldValue, formatCustomFieldValue } = require('./customFieldValidator');
+
+class ReviewService {
+  /**
+   * Stores the prepared update for a document instead of applying it.
+   * The document is marked as processed and the token usage is recorded right away,
+   * so the next scan does not analyse it a second time while it waits for review.
+   */
+  async queueSuggestion(docId, updateData, analysis, originalData) {
+    const suggestionId = await documentModel.addPendingSuggestion(
+      docId,
+      originalData?.title || updateData.title,
+      updateData,
+      analysis.document,
+      { provider: analysis.provider, model: analysis.metrics?.model }
+    );
+    if (!suggestionId) {
+      throw new Error(`Failed to queue suggestion for document ${docId}`);
+    }
+
+    await Promise.all([
+      documentModel.addProcessedDocument(docId, originalData?.title || updateData.title),
+      documentModel.addOpenAIMetrics(
+        docId,
+        analysis.metrics.promptTokens,
+        analysis.metrics.completionTokens,
+        analysis.metrics.totalTokens,
+        analysis.metrics.model,
+        analysis.metrics.chunks
+      )
+    ]);
+    return suggestionId;
+  }
+
+  /**
+   * Loads a suggestion together with the current state of the document, with all
+   * IDs resolved to names so both sides can be compared directly.
+   */
+  async getSuggestionDetails(id) {
+    const suggestion = await documentModel.getPendingSuggestion(id);
+    if (!suggestion) return null;
+
+    const [current, tags, correspondents, documentTypes, storagePaths, users] = await Promise.all([
+      paperlessService.getDocument(suggestion.document_id),
+      paperlessService.getTags(),
+      paperlessService.listCorrespondentsNames(),
+      paperlessService.listDocumentTypesNames(),
+      paperlessService.listStoragePathsNames(),
+      paperlessService.listUsersNames(),
+      paperlessService.refreshCustomFieldCache()
+    ]);
+
+    const tagNames = new Map(tags.map(tag => [tag.id, tag.name]));
+    const correspondentNames = new Map(correspondents.map(c => [c.id, c.name]));
+    const documentTypeNames = new Map(documentTypes.map(dt => [dt.id, dt.name]));
+    const storagePathNames = new Map(storagePaths.map(sp => [sp.id, sp.name]));
+    const userNames = new Map(users.map(user => [user.id, user.name]));
+    const fields = new Map([...paperlessService.customFieldCache.values()].map(field => [field.id, field]));
+
+    const describe = (data) => ({
+      title: data.title ?? null,
+      created: data.created ?? null,
+      tags: (data.tags || []).map(tagId => tagNames.get(tagId) || `#${tagId}`),
+      correspondent: data.correspondent ? correspondentNames.get(data.correspondent) || `#${data.correspondent}` : null,
+      document_type: data.document_type ? documentTypeNames.get(data.document_type) || `#${data.document_type}` : null,
+      storage_path: data.storage_path ? storagePathNames.get(data.storage_path) || `#${data.storage_path}` : null,
+      owner: data.owner ? userNames.get(data.owner) || `#${data.owner}` : null,
+      custom_fields: (data.custom_fields || []).map(field => ({
+        field: field.field,
+        name: fields.get(field.field)?.name || `#${field.field}`,
+        value: formatCustomFieldValue(fields.get(field.field), field.value)
+      }))
+    });
+
+    const proposed = describe(suggestion.update_data);
+    // Keep the correspondent name suggested by the AI even when it does not exist yet
+    if (!proposed.correspondent && suggestion.analysis?.correspondent) {
+      proposed.correspondent = suggestion.analysis.correspondent;
+    }
+
+    return {
+      id: suggestion.id,
+      documentId: suggestion.document_id,
+      status: suggestion.status,
+      createdAt: suggestion.created_at,
+      current: describe(current),
+      proposed,
+      confidence: suggestion.analysis?.confidence || null,
+      lowConfidenceFields: confidenceService.findLowConfidenceFields(suggestion.analysis)
+    };
+  }
+
+  /**
+   * Applies a suggestion to Paperless-ngx, optionally with reviewer edits.
+   *
+   * @param {number} id - Suggestion ID
+   * @param {Object} [edits] - Name-based overrides: title, created, tags, correspondent,
+   *   document_type and custom_fields ({ [fieldId]: value })
+   * @returns {Promise<Object>} The updated Paperless document
+   */
+  async approveSuggestion(id, edits = null) {
+    const suggestion = await documentModel.getPendingSuggestion(id);
+    if (!suggestion) {
+      throw new Error('Suggestion not found');
+    }
+    if (suggestion.status !== 'pending') {
+      throw new Error(`Suggestion is already ${suggestion.status}`);
+    }
+    auditService.setModel(suggestion.provider, suggestion.model);
+
+    const docId = suggestion.document_id;
+    const updateData = edits
+      ? await this.applyEdits(suggestion.update_data, edits)
+      : { ...suggestion.update_data };
+    const correspondentName = edits?.correspondent !== undefined
+      ? edits.correspondent || null
+      : suggestion.analysis?.correspondent || null;
+
+    const originalData = await paperlessService.getDocument(docId);
+    await documentModel.saveOriginalData(docId, originalData.tags, originalData.correspondent, originalData.title, {
+      documentType: originalData.document_type,
+      created: originalData.created,
+      customFields: originalData.custom_fields,
+      storagePath: originalData.storage_path,
+      owner: originalData.owner
+    });
+
+    // Values the reviewer changed are applied as entered, the rest by the merge policies
+    const editedFields = Object.keys(updateData).filter(field =>
+      JSON.stringify(updateData[field]) !== JSON.stringify(suggestion.update_data[field]));
+    const policies = mergePolicyService.getPolicies(editedFields);
+    const updated = await paperlessService.updateDocument(docId, updateData, { policies });
+    if (!updated) {
+      throw new Error(`Paperless-ngx rejected the update for document ${docId}`);
+    }
+
+    await Promise.all([
+      documentModel.addProcessedDocument(docId, updateData.title || originalData.title),
+      documentModel.addToHistory(docId, updateData.tags, updateData.title || originalData.title, correspondentName, 'processed', {
+        provider: suggestion.provider,
+        model: suggestion.model,
+        confidence: suggestion.analysis?.confidence
+      }),
+      documentModel.setSuggestionStatus(id, 'approved')
+    ]);
+    await confidenceService.removeNeedsReviewTag(docId);
+    console.log(`[DEBUG] Suggestion ${id} for document ${docId} approved and applied`);
+    return updated;
+  }
+
+  async rejectSuggestion(id) {
+    const suggestion = await documentModel.getPendingSuggestion(id);
+    if (!suggestion) {
+      throw new Error('Suggestion not found');
+    }
+    if (suggestion.status !== 'pending') {
+      throw new Error(`Suggestion is already ${suggestion.status}`);
+    }
+    await documentModel.setSuggestionStatus(id, 'rejected');
+    await confidenceService.removeNeedsReviewTag(suggestion.document_id);
+    console.log(`[DEBUG] Suggestion ${id} for document ${suggestion.document_id} rejected`);
+    return true;
+  }
+
+  /**
+   * Turns reviewer edits (names) into Paperless IDs, creating tags, correspondents
+   * and document types the same way the automatic pipeline does.
+   */
+  async applyEdits(updateData, edits) {
+    const result = { ...updateData };
+    const options = {
+      restrictToExistingTags: config.restrictToExistingTags === 'yes',
+      restrictToExistingCorrespondents: config.restrictToExistingCorrespondents === 'yes'
+    };
+
+    if (typeof edits.title === 'string') {
+      result.title = edits.title.trim() || updateData.title;
+    }
+
+    if (typeof edits.created === 'string' && edits.created.trim()) {
+      result.created = edits.created.trim();
+    }
+
+    if (Array.isArray(edits.tags)) {
+      // Tags entered by the reviewer are used as they are, like on the manual page
+      const { tagIds, errors } = await paperlessService.processTags(edits.tags, { ...options, matchSimilarTags: false });
+      if (errors.length > 0) {
+        console.warn('[WARN] Some reviewed tags could not be processed:', errors);
+      }
+      result.tags = tagIds;
+    }
+
+    if (edits.correspondent !== undefined) {
+      const correspondent = edits.correspondent
+        ? await paperlessService.getOrCreateCorrespondent(edits.correspondent, { ...options, matchSimilarCorrespondents: false })
+        : null;
+      if (correspondent) {
+        result.correspondent = correspondent.id;
+      } else {
+        delete result.correspondent;
+      }
+    }
+
+    if (edits.document_type !== undefined) {
+      const documentType = edits.document_type
+        ? await paperlessService.getOrCreateDocumentType(edits.document_type)
+        : null;
+      if (documentType) {
+        result.document_type = documentType.id;
+      } else {
+        delete result.document_type;
+      }
+    }
+
+    if (edits.custom_fields && Array.isArray(result.custom_fields)) {
+      // Edited values are checked against the data type like the ones from the AI
+      await paperlessService.getCustomFieldNamesById();
+      const fields = new Map([...paperlessService.customFieldCache.values()].map(field => [field.id, field]));
+      result.custom_fields = result.custom_fields.map(field => {
+        if (!Object.prototype.hasOwnProperty.call(edits.custom_fields, field.field)) return field;
+
+        // A cleared value leaves the field out of the update
+        const edited = edits.custom_fields[field.field];
+        if (edited === null || String(edited).trim() === '') return null;
+
+        const details = fields.get(field.field) || { name: `#${field.field}` };
+        const { value, error } = coerceCustomFieldValue(details, edited);
+        if (error) {
+          throw new Error(`Invalid value for custom field "${details.name}": ${error}`);
+        }
+        return { ...field, value };
+      }).filter(Boolean);
+    }
+
+    return result;
+  }
+}
+
+module.exports = new ReviewService();
@@ -0,0 +1,58 @@
+// services/rollbackService.js
+const paperlessService = require('./paperlessService');
+const documentModel = require('../models/document');
+
+class RollbackService {
+  /**
+   * Restores a single document to the snapshot taken before its first AI update
+   * and records the revert in the history.
+   *
+   * @param {number|string} documentId - The Paperless document ID
+   * @returns {Promise<{documentId: number, success: boolean, error?: string}>}
+   */
+  async revertDocument(documentId) {
+    const id = parseInt(documentId, 10);
+    if (isNaN(id)) {
+      return { documentId, success: false, error: 'Invalid document ID' };
+    }
+
+    const snapshot = await documentModel.getOriginalSnapshot(id);
+    if (!snapshot) {
+      return { documentId: id, success: false, error: 'No original snapshot stored for this document' };
+    }
+
+    try {
+      await paperlessService.restoreDocument(id, snapshot);
+    } catch (error) {
+      console.error(`[ERROR] reverting document ${id}:`, error.message);
+      return { documentId: id, success: false, error: `Paperless update failed: ${error.message}` };
+    }
+
+    let correspondentName = null;
+    if (snapshot.correspondent) {
+      const correspondent = await paperlessService.getCorrespondentNameById(snapshot.correspondent);
+      correspondentName = correspondent?.name || null;
+    }
+    await documentModel.addToHistory(id, snapshot.tags, snapshot.title, correspondentName, 'reverted');
+
+    console.log(`[DEBUG] Document ${id} reverted to snapshot from ${snapshot.savedAt}`);
+    return { documentId: id, success: true };
+  }
+
+  /**
+   * Reverts several documents one after another so a single failure does not
+   * abort the whole batch.
+   *
+   * @param {Array<number|string>} documentIds - The Paperless document IDs
+   * @returns {Promise<Array<{documentId: number, success: boolean, error?: string}>>}
+   */
+  async revertDocuments(documentIds) {
+    const results = [];
+    for (const documentId of documentIds) {
+      results.push(await this.revertDocument(documentId));
+    }
+    return results;
+  }
+}
+
+module.exports = new RollbackService();
@@ -1,4 +1,5 @@
 const tiktoken = require('tiktoken');
+const { APIConnectionError } = require('openai');
 const fs = require('fs').promises;
 const path = require('path');
 
@@ -159,6 +160,39 @@ async function truncateToTokenLimit(text, maxTokens, model = process.env.OPENAI_
     }
 }
 
+// Split text into chunks of at most maxTokens, preferably at paragraph, line or word boundaries
+async function splitIntoTokenChunks(text, maxTokens, model = process.env.OPENAI_MODEL || "gpt-4o-mini") {
+    const totalTokens = await calculateTokens(text, model);
+    if (totalTokens <= maxTokens) {
+        return [text];
+    }
+
+    // Counting the tokens of every piece is slow for long texts, the average characters per token are precise enough
+    const maxChars = Math.max(Math.floor(maxTokens * (text.length / totalTokens) * 0.95), 1);
+    const chunks = [];
+    let rest = text;
+    while (rest.length > maxChars) {
+        const window = rest.substring(0, maxChars);
+        let end = -1;
+        for (const separator of ['\n\n', '\n', ' ']) {
+            const index = window.lastIndexOf(separator);
+            // Only if the chunk does not get much shorter
+            if (index > maxChars * 0.5) {
+                end = index + separator.length;
+                break;
+            }
+        }
+        if (end === -1) end = maxChars;
+
+        chunks.push(rest.substring(0, end).trim());
+        rest = rest.substring(end);
+    }
+    if (rest.trim()) {
+        chunks.push(rest.trim());
+    }
+    return chunks.filter(Boolean);
+}
+
 // Write prompt and content to a file with size management
 async function writePromptToFile(systemPrompt, truncatedContent, filePath = './logs/prompt.txt', maxSize = 10 * 1024 * 1024) {
     try {
@@ -338,10 +372,38 @@ function validateUrlAgainstBase(urlToValidate, expectedBaseUrl) {
     };
 }
 
+// Network errors of Node.js and axios: the provider could not be reached or did not answer in time
+const NETWORK_ERROR_CODES = new Set([
+    'ECONNREFUSED', 'ECONNRESET', 'ECONNABORTED', 'ETIMEDOUT', 'ESOCKETTIMEDOUT',
+    'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'EPIPE', 'ERR_NETWORK'
+]);
+
+/**
+ * Whether an error of an AI request is an outage of the provider - a network
+ * error, a timeout, rate limiting (429) or a server error (5xx) - rather than a
+ * problem of the document, like too little content, an invalid reply or a
+ * context length exceeded, which another provider would not solve either.
+ *
+ * @param {Error} error - Error of the OpenAI SDK, axios or BaseAIService._apiError()
+ * @returns {boolean}
+ */
+function isProviderOutage(error) {
+    if (!error) return false;
+    if (error instanceof APIConnectionError) return true;
+
+    const status = error.status || error.response?.status;
+    if (status) {
+        return status === 408 || status === 429 || status >= 500;
+    }
+    return NETWORK_ERROR_CODES.has(error.code) || NETWORK_ERROR_CODES.has(error.cause?.code);
+}
+
 module.exports = {
     calculateTokens,
     calculateTotalPromptTokens,
     truncateToTokenLimit,
+    splitIntoTokenChunks,
+    isProviderOutage,
     writePromptToFile,
     validateUrl,
     validateApiUrl,
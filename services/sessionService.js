@@ -0,0 +1,267 @@
+// services/sessionService.js
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config/config');
+const documentModel = require('../models/document');
+
+// Parallel requests (several tabs) may still send the previous refresh token
+// shortly after it was rotated; that is not treated as token theft.
+const ROTATION_GRACE_PERIOD = 60 * 1000;
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Server-side login sessions. A login creates a session row and returns a
+ * short-lived access token (JWT with the session ID) and a refresh token
+ * ("<session id>.<secret>") that is rotated on every use. Revoking the session
+ * invalidates both, so logout and "log out everywhere" take effect immediately.
+ */
+class SessionService {
+  get accessTokenTtl() {
+    return config.sessions.accessTokenMinutes * 60 * 1000;
+  }
+
+  get sessionTtl() {
+    return config.sessions.sessionDays * 24 * 60 * 60 * 1000;
+  }
+
+  isActive(session) {
+    return Boolean(session) && !session.revokedAt && new Date(session.expiresAt).getTime() > Date.now();
+  }
+
+  signAccessToken(user, sessionId) {
+    return jwt.sign(
+      {
+        id: user.id,
+        username: user.username,
+        role: user.role || 'admin',
+        sid: sessionId
+      },
+      config.jwtSecret,
+      { expiresIn: `${config.sessions.accessTokenMinutes}m` }
+    );
+  }
+
+  // The CSRF token is derived from the session, so it cannot be planted by another site
+  getCsrfToken(subject) {
+    return crypto.createHmac('sha256', config.jwtSecret).update(`csrf:${subject}`).digest('hex');
+  }
+
+  /**
+   * Creates a session after a successful login.
+   *
+   * @returns {Promise<{sessionId: string, accessToken: string, refreshToken: string, csrfToken: string}>}
+   */
+  async createSession(user, req) {
+    await documentModel.deleteExpiredSessions();
+
+    const sessionId = crypto.randomUUID();
+    const secret = crypto.randomBytes(32).toString('hex');
+    const added = await documentModel.addSession({
+      id: sessionId,
+      userId: user.id,
+      refreshTokenHash: hashToken(secret),
+      userAgent: (req.headers['user-agent'] || '').slice(0, 255),
+      ipAddress: req.ip,
+      expiresAt: new Date(Date.now() + this.sessionTtl).toISOString()
+    });
+    if (!added) {
+      throw new Error('Failed to create session');
+    }
+
+    return {
+      sessionId,
+      accessToken: this.signAccessToken(user, sessionId),
+      refreshToken: `${sessionId}.${secret}`,
+      csrfToken: this.getCsrfToken(sessionId)
+    };
+  }
+
+  /**
+   * Verifies an access token and checks that its session is still active.
+   * Throws if the token is invalid, expired or revoked.
+   */
+  async verifyAccessToken(token) {
+    const decoded = jwt.verify(token, config.jwtSecret);
+    if (!decoded.sid) {
+      throw new Error('Token is not bound to a session');
+    }
+    const session = await documentModel.getSession(decoded.sid);
+    if (!this.isActive(session) || session.userId !== decoded.id) {
+      throw new Error('Session has been revoked or has expired');
+    }
+    return decoded;
+  }
+
+  /**
+   * Issues a new access token for a refresh token and rotates the refresh token.
+   * Reusing an already rotated refresh token revokes the whole session.
+   *
+   * @returns {Promise<{sessionId: string, accessToken: string, refreshToken: string|null, csrfToken: string}>}
+   *   refreshToken is null if a parallel request has already rotated it
+   */
+  async refresh(refreshToken) {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+    if (!sessionId || !secret) {
+      throw new Error('Invalid refresh token');
+    }
+
+    let session = await documentModel.getSession(sessionId);
+    if (!this.isActive(session)) {
+      throw new Error('Session has been revoked or has expired');
+    }
+    const user = await documentModel.getUserById(session.userId);
+    if (!user) {
+      await documentModel.revokeSession(sessionId);
+      throw new Error('User of the session no longer exists');
+    }
+
+    const tokenHash = hashToken(secret);
+    const csrfToken = this.getCsrfToken(sessionId);
+    if (safeEqual(tokenHash, session.refreshTokenHash)) {
+      const newSecret = crypto.randomBytes(32).toString('hex');
+      const expiresAt = new Date(Date.now() + this.sessionTtl).toISOString();
+      if (await documentModel.rotateSession(sessionId, tokenHash, hashToken(newSecret), expiresAt)) {
+        return {
+          sessionId,
+          accessToken: this.signAccessToken(user, sessionId),
+          refreshToken: `${sessionId}.${newSecret}`,
+          csrfToken
+        };
+      }
+      // A parallel request rotated the token in the meantime
+      session = await documentModel.getSession(sessionId);
+    }
+
+    if (this.isActive(session) && session.previousTokenHash && safeEqual(tokenHash, session.previousTokenHash)
+      && Date.now() - new Date(session.rotatedAt).getTime() < ROTATION_GRACE_PERIOD) {
+      return { sessionId, accessToken: this.signAccessToken(user, sessionId), refreshToken: null, csrfToken };
+    }
+
+    console.warn(`[WARN] Refresh token reuse detected for user ${user.username}, revoking session ${sessionId}`);
+    await documentModel.revokeSession(sessionId);
+    throw new Error('Refresh token has already been used');
+  }
+
+  /**
+   * Authenticates a request by its access token (cookie or Bearer header). If the
+   * access token is missing or expired, the refresh token cookie is used and new
+   * cookies are set.
+   *
+   * @returns {Promise<Object|null>} The access token payload, null if not authenticated
+   */
+  async authenticateRequest(req, res) {
+    const token = req.cookies.jwt || req.headers.authorization?.split(' ')[1];
+    if (token) {
+      try {
+        return await this.verifyAccessToken(token);
+      } catch {
+        // Expired or revoked; try the refresh token
+      }
+    }
+
+    if (!req.cookies.refresh_token) return null;
+    try {
+      const tokens = await this.refresh(req.cookies.refresh_token);
+      this.setCookies(res, tokens);
+      return jwt.decode(tokens.accessToken);
+    } catch (error) {
+      console.warn('[WARN] Session refresh failed:', error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Returns the session ID of the request from the access token (even if it has
+   * expired) or from a valid refresh token, null if there is none.
+   */
+  async getRequestSessionId(req) {
+    try {
+      const decoded = jwt.verify(req.cookies.jwt || '', config.jwtSecret, { ignoreExpiration: true });
+      if (decoded.sid) return decoded.sid;
+    } catch {
+      // No usable access token
+    }
+
+    const [sessionId, secret] = String(req.cookies.refresh_token || '').split('.');
+    if (!sessionId || !secret) return null;
+    const session = await documentModel.getSession(sessionId);
+    const tokenHash = hashToken(secret);
+    if (session && (safeEqual(tokenHash, session.refreshTokenHash)
+      || (session.previousTokenHash && safeEqual(tokenHash, session.previousTokenHash)))) {
+      return sessionId;
+    }
+    return null;
+  }
+
+  /**
+   * Checks the CSRF token of a state-changing request against the expected token
+   * of the session. Safe methods (GET, HEAD, OPTIONS) always pass.
+   */
+  isValidCsrfRequest(req, subject) {
+    if (SAFE_METHODS.includes(req.method)) return true;
+    const provided = req.headers['x-csrf-token'] || req.body?._csrf;
+    return Boolean(provided) && safeEqual(provided, this.getCsrfToken(subject));
+  }
+
+  async listSessions(userId, currentSessionId = null) {
+    const sessions = await documentModel.getUserSessions(userId);
+    return sessions.map(session => ({
+      id: session.id,
+      userAgent: session.userAgent,
+      ipAddress: session.ipAddress,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: session.id === currentSessionId
+    }));
+  }
+
+  async revokeSession(userId, sessionId) {
+    const session = await documentModel.getSession(sessionId);
+    if (!session || session.userId !== userId || !this.isActive(session)) {
+      throw new Error('Session not found');
+    }
+    return documentModel.revokeSession(sessionId);
+  }
+
+  async revokeUserSessions(userId, exceptSessionId = null) {
+    const count = await documentModel.revokeUserSessions(userId, exceptSessionId);
+    console.log(`[DEBUG] Revoked ${count} session(s) of user ${userId}`);
+    return count;
+  }
+
+  setCookies(res, { accessToken, refreshToken, csrfToken }) {
+    const options = { secure: false, sameSite: 'lax', path: '/' };
+    res.cookie('jwt', accessToken, { ...options, httpOnly: true, maxAge: this.accessTokenTtl });
+    if (refreshToken) {
+      res.cookie('refresh_token', refreshToken, { ...options, httpOnly: true, maxAge: this.sessionTtl });
+    }
+    if (csrfToken) {
+      // Readable by public/js/csrf.js, which sends it back in the X-CSRF-Token header
+      res.cookie('csrf_token', csrfToken, { ...options, httpOnly: false, maxAge: this.sessionTtl });
+    }
+  }
+
+  setCsrfCookie(req, res, subject) {
+    const csrfToken = this.getCsrfToken(subject);
+    if (req.cookies.csrf_token !== csrfToken) {
+      res.cookie('csrf_token', csrfToken, { secure: false, sameSite: 'lax', path: '/', maxAge: this.sessionTtl });
+    }
+  }
+
+  clearCookies(res) {
+    ['jwt', 'refresh_token', 'csrf_token'].forEach(name => res.clearCookie(name, { path: '/' }));
+  }
+}
+
+module.exports = new SessionService();
@@ -193,6 +193,48 @@ class SetupService {
     }
   }
 
+  /**
+   * Checks the API key and the model of a native provider (anthropic, gemini,
+   * mistral) by looking up the model, which costs no tokens. The base URLs of
+   * the config (e.g. ANTHROPIC_BASE_URL) are used, so a proxy works as well.
+   */
+  async validateNativeProviderConfig(provider, apiKey, model) {
+    const requests = {
+      anthropic: () => axios.get(`${config.anthropic.apiUrl}/v1/models/${encodeURIComponent(model)}`, {
+        headers: { 'x-api-key': apiKey, 'anthropic-version': '2023-06-01' }
+      }),
+      gemini: () => axios.get(`${config.gemini.apiUrl}/v1beta/models/${encodeURIComponent(model)}`, {
+        headers: { 'x-goog-api-key': apiKey }
+      }),
+      mistral: () => axios.get(`${config.mistral.apiUrl}/v1/models/${encodeURIComponent(model)}`, {
+        headers: { Authorization: `Bearer ${apiKey}` }
+      })
+    };
+    if (!requests[provider] || !apiKey || !model) {
+      return false;
+    }
+
+    try {
+      const response = await requests[provider]();
+      return response.status === 200;
+    } catch (error) {
+      console.error(`${provider} validation error:`, error.response?.data?.error?.message || error.message);
+      return false;
+    }
+  }
+
+  async validateAnthropicConfig(apiKey, model) {
+    return this.validateNativeProviderConfig('anthropic', apiKey, model);
+  }
+
+  async validateGeminiConfig(apiKey, model) {
+    return this.validateNativeProviderConfig('gemini', apiKey, model);
+  }
+
+  async validateMistralConfig(apiKey, model) {
+    return this.validateNativeProviderConfig('mistral', apiKey, model);
+  }
+
   async validateConfig(config) {
     // Validate Paperless config
     const paperlessApiUrl = config.PAPERLESS_API_URL.replace(/\/api/g, '');
@@ -242,6 +284,18 @@ class SetupService {
       if (!azureValid) {
         throw new Error('Invalid Azure configuration');
       }
+    } else if (aiProvider === 'anthropic') {
+      if (!await this.validateAnthropicConfig(config.ANTHROPIC_API_KEY, config.ANTHROPIC_MODEL)) {
+        throw new Error('Invalid Anthropic configuration');
+      }
+    } else if (aiProvider === 'gemini') {
+      if (!await this.validateGeminiConfig(config.GEMINI_API_KEY, config.GEMINI_MODEL)) {
+        throw new Error('Invalid Gemini configuration');
+      }
+    } else if (aiProvider === 'mistral') {
+      if (!await this.validateMistralConfig(config.MISTRAL_API_KEY, config.MISTRAL_MODEL)) {
+        throw new Error('Invalid Mistral configuration');
+      }
     }
 
 
@@ -268,6 +322,11 @@ class SetupService {
       const dataDir = path.dirname(this.envPath);
       await fs.mkdir(dataDir, { recursive: true });
 
+      // Keep the generated JWT secret, otherwise all sessions end with the restart
+      if (process.env.JWT_SECRET && !config.JWT_SECRET) {
+        config = { ...config, JWT_SECRET: process.env.JWT_SECRET };
+      }
+
       const envContent = Object.entries(config)
         .map(([key, value]) => {
           if (key === "SYSTEM_PROMPT") {
@@ -0,0 +1,404 @@
+// services/tagTaxonomyService.js
+const config = require('../config/config');
+const documentModel = require('../models/document');
+const paperlessService = require('./paperlessService');
+const ragService = require('./ragService');
+const auditService = require('./auditService');
+
+// Lower case without accents; separators count as spaces ("E-Mail" = "e mail")
+function normalizeName(name) {
+  return String(name ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[-_./\\]+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// Strips common English and German plural endings from longer words
+// ("invoices" = "invoice", "rechnungen" = "rechnung")
+function stem(normalizedName) {
+  return normalizedName
+    .split(' ')
+    .map(word => (word.length >= 5 ? word.replace(/(es|en|e|s|n)$/, '') : word))
+    .join(' ');
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// One typo turns a short word into another word ("Tax" - "Tag"), so
+// names only match by spelling where the differing words are longer
+const MIN_FUZZY_WORD_LENGTH = 5;
+
+function differsInShortWord(a, b) {
+  const wordsA = a.split(' ');
+  const wordsB = b.split(' ');
+  if (wordsA.length !== wordsB.length) return false;
+  return wordsA.some((word, index) => word !== wordsB[index] &&
+    Math.min(word.length, wordsB[index].length) < MIN_FUZZY_WORD_LENGTH);
+}
+
+function prepare(name) {
+  const normalized = normalizeName(name);
+  return {
+    normalized,
+    stem: stem(normalized),
+    compact: normalized.replace(/ /g, ''),
+    digits: normalized.replace(/\D/g, '')
+  };
+}
+
+function compare(a, b) {
+  if (!a.normalized || !b.normalized) return 0;
+  // "Q1 2023" and "Q2 2023" are different tags, however similar they look
+  if (a.digits !== b.digits) return 0;
+  if (a.compact === b.compact || a.stem === b.stem) return 1;
+  if (differsInShortWord(a.normalized, b.normalized)) return 0;
+  return 1 - levenshtein(a.normalized, b.normalized) / Math.max(a.normalized.length, b.normalized.length);
+}
+
+// Embeddings from the RAG service are normalized, so the dot product is the cosine similarity
+function cosine(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+/**
+ * Keeps the AI from filling Paperless-ngx with near-duplicate tags
+ * ("Invoice", "Invoices", "Rechnung").
+ *
+ * Before processTags creates a tag for an unknown name, the name is looked up
+ * as an alias, then compared with the existing tags by spelling and, if
+ * enabled, by embeddings from the RAG service. Existing duplicates can be
+ * found and merged; the name of a merged tag becomes an alias of the tag it
+ * was merged into.
+ *
+ * Tags nested below each other (Paperless-ngx tag hierarchy) are never
+ * proposed as duplicates, and merging keeps the children of a merged tag.
+ */
+class TagTaxonomyService {
+  constructor() {
+    this.embeddingCache = new Map();
+  }
+
+  normalizeName(name) {
+    return normalizeName(name);
+  }
+
+  /**
+   * Similarity of two names between 0 and 1 by spelling: 1 for the same name
+   * apart from case, accents, separators and plural endings. Names with
+   * different numbers or a different short word never match.
+   */
+  similarity(a, b) {
+    return compare(prepare(a), prepare(b));
+  }
+
+  async getTags({ refresh = false } = {}) {
+    paperlessService.initialize();
+    if (refresh) {
+      await paperlessService.refreshTagCache();
+    } else {
+      await paperlessService.ensureTagCache();
+    }
+    return [...paperlessService.tagCache.values()];
+  }
+
+  async listAliases() {
+    const [aliases, tags] = await Promise.all([documentModel.getTagAliases(), this.getTags()]);
+    const names = new Map(tags.map(tag => [tag.id, tag.name]));
+    return aliases.map(alias => ({ ...alias, tagName: names.get(alias.tagId) || null }));
+  }
+
+  async addAlias(alias, tagId) {
+    const aliasKey = normalizeName(alias);
+    if (!aliasKey) {
+      throw new Error('Alias is required');
+    }
+    const tag = (await this.getTags()).find(tag => tag.id === Number(tagId));
+    if (!tag) {
+      throw new Error(`Tag ${tagId} not found`);
+    }
+    if (normalizeName(tag.name) === aliasKey) {
+      throw new Error('Alias must differ from the tag name');
+    }
+
+    const saved = await documentModel.saveTagAlias(String(alias).trim(), aliasKey, tag.id);
+    if (!saved) {
+      throw new Error('Failed to save alias');
+    }
+    return { ...saved, tagName: tag.name };
+  }
+
+  async deleteAlias(id) {
+    if (!await documentModel.deleteTagAlias(id)) {
+      throw new Error('Alias not found');
+    }
+  }
+
+  /**
+   * Returns the existing tag a name stands for: the tag of that name, the tag
+   * of an alias, the most similar tag or the closest tag by embedding.
+   * null if no tag matches and a new one should be created.
+   */
+  async findMatchingTag(name) {
+    const existing = await paperlessService.findExistingTag(String(name).trim());
+    if (existing) return existing;
+
+    const tags = await this.getTags();
+    const alias = await documentModel.getTagAliasByKey(normalizeName(name));
+    if (alias) {
+      const tag = tags.find(tag => tag.id === alias.tagId);
+      if (tag) {
+        console.log(`[DEBUG] Tag "${name}" is an alias of "${tag.name}"`);
+        return tag;
+      }
+      console.warn(`[WARN] Alias "${alias.alias}" points to tag ${alias.tagId}, which no longer exists`);
+    }
+
+    // Plural forms, accents and separators always match; similar spelling only with a threshold
+    const { similarityThreshold, useEmbeddings, embeddingThreshold } = config.tagMatching;
+    const match = this.findMostSimilar(name, tags, similarityThreshold > 0 ? similarityThreshold : 1);
+    if (match) {
+      console.log(`[DEBUG] Tag "${name}" matches existing tag "${match.tag.name}" (similarity ${match.score.toFixed(2)})`);
+      return match.tag;
+    }
+
+    if (useEmbeddings === 'yes' && process.env.RAG_SERVICE_ENABLED === 'true') {
+      const match = await this.findClosestByEmbedding(name, tags, embeddingThreshold);
+      if (match) {
+        console.log(`[DEBUG] Tag "${name}" matches existing tag "${match.tag.name}" (embedding ${match.score.toFixed(2)})`);
+        return match.tag;
+      }
+    }
+    return null;
+  }
+
+  // The tag with the most similar name at or above the threshold; ties go to the tag with more documents
+  findMostSimilar(name, tags, threshold) {
+    const prepared = prepare(name);
+    let best = null;
+    for (const tag of tags) {
+      const score = compare(prepared, prepare(tag.name));
+      if (score >= threshold && (!best || score > best.score ||
+        (score === best.score && (tag.document_count || 0) > (best.tag.document_count || 0)))) {
+        best = { tag, score };
+      }
+    }
+    return best;
+  }
+
+  async findClosestByEmbedding(name, tags, threshold) {
+    try {
+      const [target, ...vectors] = await this.getEmbeddings([name, ...tags.map(tag => tag.name)]);
+      let best = null;
+      tags.forEach((tag, index) => {
+        const score = cosine(target, vectors[index]);
+        if (score >= threshold && (!best || score > best.score)) {
+          best = { tag, score };
+        }
+      });
+      return best;
+    } catch (error) {
+      console.warn(`[WARN] Could not compare tag "${name}" by embeddings:`, error.message);
+      return null;
+    }
+  }
+
+  // Embeddings of the names, fetched from the RAG service once per name
+  async getEmbeddings(names) {
+    const missing = [...new Set(names.filter(name => !this.embeddingCache.has(name)))];
+    if (missing.length > 0) {
+      const embeddings = await ragService.embed(missing);
+      missing.forEach((name, index) => this.embeddingCache.set(name, embeddings[index]));
+    }
+    return names.map(name => this.embeddingCache.get(name));
+  }
+
+  // Whether ancestor is a parent, grand-parent, ... of tag
+  isAncestor(ancestor, tag, tagsById) {
+    const visited = new Set();
+    let current = tag;
+    while (current?.parent && !visited.has(current.id)) {
+      if (current.parent === ancestor.id) return true;
+      visited.add(current.id);
+      current = tagsById.get(current.parent);
+    }
+    return false;
+  }
+
+  getPath(tag, tagsById) {
+    const names = [tag.name];
+    const visited = new Set([tag.id]);
+    let parent = tagsById.get(tag.parent);
+    while (parent && !visited.has(parent.id)) {
+      names.unshift(parent.name);
+      visited.add(parent.id);
+      parent = tagsById.get(parent.parent);
+    }
+    return names.join(' / ');
+  }
+
+  /**
+   * Groups existing tags that are likely duplicates of each other.
+   *
+   * @param {number} [threshold] - Minimum similarity, defaults to TAG_SIMILARITY_THRESHOLD
+   * @returns {Promise<Array<{canonical: Object, duplicates: Object[]}>>} The tag with the most
+   *   documents is proposed as canonical tag, groups with the most documents come first
+   */
+  async findDuplicates(threshold = config.tagMatching.similarityThreshold || 0.85) {
+    if (!(threshold > 0 && threshold <= 1)) {
+      throw new Error('Invalid threshold: must be between 0 and 1');
+    }
+    const tags = await this.getTags({ refresh: true });
+    const tagsById = new Map(tags.map(tag => [tag.id, tag]));
+    const prepared = tags.map(tag => prepare(tag.name));
+
+    let vectors = null;
+    const { useEmbeddings, embeddingThreshold } = config.tagMatching;
+    if (useEmbeddings === 'yes' && process.env.RAG_SERVICE_ENABLED === 'true') {
+      try {
+        vectors = await this.getEmbeddings(tags.map(tag => tag.name));
+      } catch (error) {
+        console.warn('[WARN] Could not compare tags by embeddings:', error.message);
+      }
+    }
+
+    // Union-find over all pairs above the threshold
+    const groupOf = tags.map((_, index) => index);
+    const find = (index) => (groupOf[index] === index ? index : (groupOf[index] = find(groupOf[index])));
+    const matches = new Map();
+    const addMatch = (index, score, method) => {
+      if (!matches.has(index) || matches.get(index).score < score) matches.set(index, { score, method });
+    };
+
+    for (let i = 0; i < tags.length; i++) {
+      for (let j = i + 1; j < tags.length; j++) {
+        if (this.isAncestor(tags[i], tags[j], tagsById) || this.isAncestor(tags[j], tags[i], tagsById)) continue;
+
+        let score = compare(prepared[i], prepared[j]);
+        let method = 'similarity';
+        if (score < threshold && vectors && prepared[i].digits === prepared[j].digits) {
+          score = cosine(vectors[i], vectors[j]);
+          method = score >= embeddingThreshold ? 'embedding' : null;
+        } else if (score < threshold) {
+          method = null;
+        }
+        if (!method) continue;
+
+        groupOf[find(i)] = find(j);
+        addMatch(i, score, method);
+        addMatch(j, score, method);
+      }
+    }
+
+    const groups = new Map();
+    tags.forEach((_, index) => {
+      if (!matches.has(index)) return;
+      const root = find(index);
+      if (!groups.has(root)) groups.set(root, []);
+      groups.get(root).push(index);
+    });
+
+    const describe = (index) => ({
+      id: tags[index].id,
+      name: tags[index].name,
+      path: this.getPath(tags[index], tagsById),
+      documentCount: tags[index].document_count || 0,
+      ...matches.get(index)
+    });
+
+    return [...groups.values()]
+      .map(indexes => {
+        const sorted = indexes
+          .map(describe)
+          .sort((a, b) => b.documentCount - a.documentCount || a.id - b.id);
+        return { canonical: sorted[0], duplicates: sorted.slice(1) };
+      })
+      .sort((a, b) => {
+        const total = group => group.canonical.documentCount + group.duplicates.reduce((sum, tag) => sum + tag.documentCount, 0);
+        return total(b) - total(a);
+      });
+  }
+
+  /**
+   * Merges tags into a canonical tag: its documents get the canonical tag, its
+   * children are moved below the canonical tag, it is deleted in Paperless-ngx
+   * and its name becomes an alias of the canonical tag.
+   *
+   * @param {number} targetId - ID of the canonical tag
+   * @param {number[]} sourceIds - IDs of the tags to merge into it
+   */
+  async mergeTags(targetId, sourceIds) {
+    const target = Number(targetId);
+    const ids = [...new Set((Array.isArray(sourceIds) ? sourceIds : [sourceIds]).map(Number))];
+    if (!Number.isInteger(target) || ids.length === 0 || ids.some(id => !Number.isInteger(id))) {
+      throw new Error('A target tag and at least one tag to merge are required');
+    }
+    if (ids.includes(target)) {
+      throw new Error('Invalid merge: a tag cannot be merged into itself');
+    }
+
+    const tags = await this.getTags({ refresh: true });
+    const tagsById = new Map(tags.map(tag => [tag.id, tag]));
+    const targetTag = tagsById.get(target);
+    if (!targetTag) {
+      throw new Error(`Tag ${target} not found`);
+    }
+    const sources = ids.map(id => {
+      const tag = tagsById.get(id);
+      if (!tag) throw new Error(`Tag ${id} not found`);
+      if (this.isAncestor(tag, targetTag, tagsById)) {
+        throw new Error(`Invalid merge: "${targetTag.name}" is nested below "${tag.name}"`);
+      }
+      return tag;
+    });
+
+    const merged = [];
+    for (const source of sources) {
+      const documentIds = await paperlessService.getDocumentIdsWithTag(source.id);
+      await paperlessService.addTagToDocuments(targetTag, documentIds);
+
+      const children = tags.filter(tag => tag.parent === source.id && !ids.includes(tag.id));
+      for (const child of children) {
+        await paperlessService.updateTag(child, { parent: targetTag.id });
+      }
+
+      await paperlessService.deleteTag(source);
+      await documentModel.retargetTagAliases(source.id, targetTag.id);
+      await documentModel.saveTagAlias(source.name, normalizeName(source.name), targetTag.id);
+      this.embeddingCache.delete(source.name);
+
+      await auditService.record({
+        action: 'tag.merge',
+        objectType: 'tag',
+        objectId: source.id,
+        objectName: source.name,
+        changes: { mergedInto: { before: null, after: targetTag.id, afterName: targetTag.name } }
+      });
+      console.log(`[DEBUG] Merged tag "${source.name}" into "${targetTag.name}" (${documentIds.length} documents)`);
+      merged.push({ id: source.id, name: source.name, documents: documentIds.length, children: children.length });
+    }
+
+    await paperlessService.refreshTagCache();
+    return { target: { id: targetTag.id, name: targetTag.name }, merged };
+  }
+}
+
+module.exports = new TagTaxonomyService();
@@ -0,0 +1,258 @@
+// services/userService.js
+const bcrypt = require('bcryptjs');
+const config = require('../config/config');
+const documentModel = require('../models/document');
+
+// Roles from least to most privileged
+const ROLES = ['readonly', 'reviewer', 'admin'];
+// How an account logs in: password, OpenID Connect or reverse proxy headers
+const AUTH_SOURCES = ['local', 'oidc', 'proxy'];
+const BCRYPT_ROUNDS = 15;
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * User accounts with roles:
+ * - readonly: can view all pages and use the chat
+ * - reviewer: can additionally approve/reject suggestions and revert changes
+ * - admin: full access, including settings, users and resets
+ */
+class UserService {
+  get roles() {
+    return ROLES;
+  }
+
+  /**
+   * Checks whether a user has at least the given role. Requests authenticated
+   * with the legacy API_KEY have full access; scoped API keys have no role.
+   */
+  hasRole(user, role) {
+    if (!user) return false;
+    if (user.apiKey) return !user.scopes;
+    return ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+  }
+
+  // Public representation without the password hash
+  toPublic(user) {
+    return {
+      id: user.id,
+      username: user.username,
+      role: user.role || 'admin',
+      authSource: user.auth_source || 'local',
+      createdAt: user.created_at
+    };
+  }
+
+  async listUsers() {
+    const users = await documentModel.getUsers();
+    return users.map(user => this.toPublic(user));
+  }
+
+  async getUser(id) {
+    const user = await documentModel.getUserById(id);
+    return user ? this.toPublic(user) : null;
+  }
+
+  /**
+   * Creates an account. OIDC and proxy accounts have no password; creating one
+   * links the SSO identity of that name to the account when SSO_AUTO_PROVISION
+   * is off.
+   */
+  async createUser({ username, password, role, authSource = 'local' } = {}) {
+    const name = String(username || '').trim();
+    if (!name) {
+      throw new Error('Username is required');
+    }
+    this.validateRole(role);
+    if (!AUTH_SOURCES.includes(authSource)) {
+      throw new Error(`Invalid login type: ${authSource}. Must be one of ${AUTH_SOURCES.join(', ')}`);
+    }
+    if (authSource === 'local') {
+      this.validatePassword(password);
+    } else if (password) {
+      throw new Error(`${authSource.toUpperCase()} accounts must not have a password`);
+    }
+    if (await documentModel.getUser(name)) {
+      throw new Error('Username already exists');
+    }
+
+    const passwordHash = authSource === 'local' ? await bcrypt.hash(password, BCRYPT_ROUNDS) : null;
+    const id = await documentModel.addUser(name, passwordHash, role, authSource);
+    if (!id) {
+      throw new Error('Failed to create user');
+    }
+    return this.getUser(id);
+  }
+
+  /**
+   * Changes the role of a user. The last admin cannot be demoted.
+   */
+  async updateRole(id, role) {
+    const user = await this.requireUser(id);
+    this.validateRole(role);
+    if (user.role === 'admin' && role !== 'admin') {
+      await this.ensureOtherAdmin(user.id);
+    }
+    await documentModel.updateUserRole(user.id, role);
+    console.log(`[DEBUG] Role of user ${user.username} changed to ${role}`);
+    return this.getUser(user.id);
+  }
+
+  /**
+   * Sets a new password for a user (admin reset).
+   */
+  async resetPassword(id, password) {
+    const user = await this.requireUser(id);
+    this.validatePassword(password);
+    await documentModel.updateUserPassword(user.id, await bcrypt.hash(password, BCRYPT_ROUNDS));
+    await documentModel.revokeUserSessions(user.id);
+    console.log(`[DEBUG] Password of user ${user.username} reset, sessions revoked`);
+    return true;
+  }
+
+  /**
+   * Changes the password of the logged-in user after checking the current one.
+   * All other sessions of the user are logged out.
+   */
+  async changePassword(id, currentPassword, newPassword, currentSessionId = null) {
+    const user = await this.requireUser(id);
+    if (!user.password) {
+      throw new Error('Single sign-on accounts have no password to change');
+    }
+    if (!currentPassword || !await bcrypt.compare(currentPassword, user.password)) {
+      throw new Error('Current password is incorrect');
+    }
+    this.validatePassword(newPassword);
+    await documentModel.updateUserPassword(user.id, await bcrypt.hash(newPassword, BCRYPT_ROUNDS));
+    await documentModel.revokeUserSessions(user.id, currentSessionId);
+    console.log(`[DEBUG] User ${user.username} changed their password`);
+    return true;
+  }
+
+  /**
+   * Deletes a user. Users cannot delete themselves and the last admin is kept.
+   */
+  async deleteUser(id, actingUserId) {
+    const user = await this.requireUser(id);
+    if (user.id === actingUserId) {
+      throw new Error('You cannot delete your own account');
+    }
+    if (user.role === 'admin') {
+      await this.ensureOtherAdmin(user.id);
+    }
+    await documentModel.revokeUserSessions(user.id);
+    await documentModel.deleteUser(user.id);
+    console.log(`[DEBUG] User ${user.username} deleted`);
+    return true;
+  }
+
+  /**
+   * Parses SSO_ROLE_MAPPING ("group=role,group=role") into a Map.
+   */
+  getRoleMapping() {
+    const mapping = new Map();
+    for (const entry of config.sso.roleMapping.split(',')) {
+      const [group, role] = entry.split('=').map(part => part?.trim());
+      if (group && ROLES.includes(role)) {
+        mapping.set(group, role);
+      }
+    }
+    return mapping;
+  }
+
+  /**
+   * Returns the highest role mapped to any of the groups, SSO_DEFAULT_ROLE if
+   * none matches, or null if the user must not get access.
+   */
+  mapGroupsToRole(groups = []) {
+    const mapping = this.getRoleMapping();
+    const mapped = groups
+      .map(group => mapping.get(group))
+      .filter(Boolean)
+      .sort((a, b) => ROLES.indexOf(b) - ROLES.indexOf(a));
+    if (mapped.length > 0) return mapped[0];
+    return ROLES.includes(config.sso.defaultRole) ? config.sso.defaultRole : null;
+  }
+
+  /**
+   * Finds or provisions the account of a user authenticated by OIDC or the
+   * reverse proxy. Only accounts of the same source are used: an identity
+   * named like a local account is rejected instead of logging in as it. With a
+   * role mapping configured, the role is synchronised from the groups on
+   * every login; the last admin is not demoted.
+   *
+   * @param {Object} identity - { username, groups, source: 'oidc' | 'proxy' }
+   * @returns {Promise<Object>} The user row
+   */
+  async resolveSsoUser({ username, groups = [], source }) {
+    const name = String(username || '').trim();
+    if (!name) {
+      throw new Error('The identity provider did not return a username');
+    }
+
+    const mappingConfigured = this.getRoleMapping().size > 0;
+    const role = this.mapGroupsToRole(groups);
+    let user = await documentModel.getUser(name);
+    if (user && (user.auth_source || 'local') !== source) {
+      throw new Error(`User ${name} is not set up for ${source} login`);
+    }
+
+    if (!user) {
+      if (config.sso.autoProvision !== 'yes') {
+        throw new Error(`User ${name} is not registered`);
+      }
+      if (!role) {
+        throw new Error(`No role is mapped to the groups of ${name}`);
+      }
+      const id = await documentModel.addUser(name, null, role, source);
+      if (!id) {
+        throw new Error('Failed to create user');
+      }
+      console.log(`[DEBUG] Provisioned ${source} user ${name} with role ${role}`);
+      return documentModel.getUserById(id);
+    }
+
+    if (mappingConfigured) {
+      if (!role) {
+        throw new Error(`No role is mapped to the groups of ${name}`);
+      }
+      if (role !== (user.role || 'admin')) {
+        if ((user.role || 'admin') === 'admin') {
+          await this.ensureOtherAdmin(user.id);
+        }
+        await documentModel.updateUserRole(user.id, role);
+        console.log(`[DEBUG] Role of ${name} synchronised from ${source} groups: ${role}`);
+        user = { ...user, role };
+      }
+    }
+    return user;
+  }
+
+  async requireUser(id) {
+    const user = await documentModel.getUserById(parseInt(id, 10));
+    if (!user) {
+      throw new Error('User not found');
+    }
+    return { ...user, role: user.role || 'admin' };
+  }
+
+  async ensureOtherAdmin(id) {
+    const users = await documentModel.getUsers();
+    if (!users.some(user => user.id !== id && (user.role || 'admin') === 'admin')) {
+      throw new Error('At least one admin must remain');
+    }
+  }
+
+  validateRole(role) {
+    if (!ROLES.includes(role)) {
+      throw new Error(`Invalid role: ${role}. Must be one of ${ROLES.join(', ')}`);
+    }
+  }
+
+  validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw new Error(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+  }
+}
+
+module.exports = new UserService();
@@ -0,0 +1,97 @@
+// services/visionService.js
+const config = require('../config/config');
+const paperlessService = require('./paperlessService');
+
+// Image types accepted by the vision APIs of OpenAI, Azure and Ollama
+const IMAGE_TYPES = ['image/png', 'image/jpeg', 'image/webp', 'image/gif'];
+
+// Detects the image type from the magic bytes; thumbnails are WebP or PNG depending on the Paperless-ngx version
+function detectImageType(buffer) {
+  if (!buffer || buffer.length < 12) return null;
+  if (buffer[0] === 0x89 && buffer.toString('ascii', 1, 4) === 'PNG') return 'image/png';
+  if (buffer[0] === 0xff && buffer[1] === 0xd8) return 'image/jpeg';
+  if (buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+  if (buffer.toString('ascii', 0, 3) === 'GIF') return 'image/gif';
+  return null;
+}
+
+// A word of at least two letters or a number like 12, 3.50 or 31.03.2024, without surrounding punctuation
+const READABLE_TOKEN = /^(?:\p{L}[\p{L}\p{M}'’-]*\p{L}|\p{N}+(?:[.,:/-]\p{N}+)*)$/u;
+
+/**
+ * Vision fallback: documents whose OCR text is missing or unreadable, like
+ * scanned handwritten receipts, are analysed from their page image instead of
+ * being skipped.
+ */
+class VisionService {
+  /**
+   * Scores how much the OCR text looks like language: the share of its tokens
+   * that are words or numbers. Garbage OCR of handwriting ("l|1 ;;~ ïi ,.") scores low.
+   *
+   * @returns {number} Between 0 and 1
+   */
+  assessTextQuality(content) {
+    const tokens = String(content || '').split(/\s+/).filter(Boolean);
+    if (tokens.length === 0) return 0;
+
+    const readable = tokens.filter(token =>
+      READABLE_TOKEN.test(token.replace(/^[\p{P}\p{S}]+|[\p{P}\p{S}]+$/gu, '')));
+    return readable.length / tokens.length;
+  }
+
+  /**
+   * Returns why a document should be analysed from its image, or null if its
+   * text is usable or the vision fallback is disabled.
+   *
+   * @param {string} content - OCR text of the document
+   * @param {number} minContentLength - Shorter texts count as missing
+   */
+  getVisionReason(content, minContentLength) {
+    if (config.vision.enabled !== 'yes') return null;
+
+    const length = content?.trim().length || 0;
+    if (length < minContentLength) {
+      return `${length} characters of text`;
+    }
+    if (config.vision.minTextQuality > 0) {
+      const quality = this.assessTextQuality(content);
+      if (quality < config.vision.minTextQuality) {
+        return `text quality ${quality.toFixed(2)} below ${config.vision.minTextQuality}`;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Loads the image of a document for the vision model: the original file of
+   * image documents (up to VISION_MAX_IMAGE_MB), otherwise the thumbnail of
+   * the first page.
+   *
+   * @param {Object} doc - The Paperless document ({ id, mime_type })
+   * @returns {Promise<Array<{mimeType: string, data: string}>>} Base64-encoded images, empty if none could be loaded
+   */
+  async loadImages(doc) {
+    let image = null;
+
+    if (IMAGE_TYPES.includes(doc.mime_type)) {
+      const file = await paperlessService.getOriginalFile(doc.id);
+      if (file && file.length <= config.vision.maxImageSizeMb * 1024 * 1024) {
+        image = file;
+      } else if (file) {
+        console.log(`[DEBUG] Original of document ${doc.id} is larger than ${config.vision.maxImageSizeMb} MB, using the thumbnail`);
+      }
+    }
+    if (!image) {
+      image = await paperlessService.getThumbnailImage(doc.id);
+    }
+
+    const mimeType = detectImageType(image);
+    if (!mimeType) {
+      console.warn(`[WARN] No usable image of document ${doc.id} for the vision analysis`);
+      return [];
+    }
+    return [{ mimeType, data: image.toString('base64') }];
+  }
+}
+
+module.exports = new VisionService();
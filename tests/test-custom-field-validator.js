@@ -0,0 +1,110 @@
+/**
+ * Tests for the coercion of custom field values to their Paperless-ngx data type
+ *
+ * Run with: node tests/test-custom-field-validator.js
+ */
+
+const assert = require('assert');
+const { coerceCustomFieldValue, formatCustomFieldValue, parseNumber } = require('../services/customFieldValidator');
+
+const field = (data_type, extra_data = {}) => ({ name: 'Field', data_type, extra_data });
+
+const tests = [
+  {
+    name: 'Numbers with decimal and thousands separators',
+    run: () => {
+      assert.strictEqual(parseNumber('1234.50'), 1234.5);
+      assert.strictEqual(parseNumber('1.234,50'), 1234.5);
+      assert.strictEqual(parseNumber('1,234.50'), 1234.5);
+      assert.strictEqual(parseNumber('1 234,5'), 1234.5);
+      assert.strictEqual(parseNumber('1,234'), 1234);
+      assert.strictEqual(parseNumber('1.500'), 1500);
+      assert.strictEqual(parseNumber('0.125'), 0.125);
+      assert.strictEqual(parseNumber('1234.567'), 1234.567);
+      assert.strictEqual(parseNumber('12,5'), 12.5);
+      assert.strictEqual(parseNumber('-3'), -3);
+      assert.strictEqual(parseNumber('12 pcs'), null);
+    }
+  },
+  {
+    name: 'Monetary values get a currency code and two decimals',
+    run: () => {
+      assert.deepStrictEqual(coerceCustomFieldValue(field('monetary'), '1.234,50 €'), { value: 'EUR1234.50' });
+      assert.deepStrictEqual(coerceCustomFieldValue(field('monetary'), 'USD 12'), { value: 'USD12.00' });
+      // A "." before exactly three digits groups thousands on German invoices
+      assert.deepStrictEqual(coerceCustomFieldValue(field('monetary'), '1.500 €'), { value: 'EUR1500.00' });
+      assert.deepStrictEqual(coerceCustomFieldValue(field('monetary'), 'EUR 1.234'), { value: 'EUR1234.00' });
+      assert.deepStrictEqual(coerceCustomFieldValue(field('monetary'), '12.345'), { value: '12345.00' });
+      assert.deepStrictEqual(coerceCustomFieldValue(field('monetary'), '1.234.567,89 €'), { value: 'EUR1234567.89' });
+      assert.deepStrictEqual(coerceCustomFieldValue(field('monetary', { default_currency: 'CHF' }), 84.2), { value: 'CHF84.20' });
+      assert.deepStrictEqual(coerceCustomFieldValue(field('monetary'), '-5.5'), { value: '-5.50' });
+      assert.ok(coerceCustomFieldValue(field('monetary'), 'XYZ 12').error.includes('unknown currency'));
+      assert.ok(coerceCustomFieldValue(field('monetary'), 'about twelve').error);
+    }
+  },
+  {
+    name: 'Dates are normalised to YYYY-MM-DD',
+    run: () => {
+      assert.deepStrictEqual(coerceCustomFieldValue(field('date'), '2024-03-31'), { value: '2024-03-31' });
+      assert.deepStrictEqual(coerceCustomFieldValue(field('date'), '2024-03-31T10:00:00Z'), { value: '2024-03-31' });
+      assert.deepStrictEqual(coerceCustomFieldValue(field('date'), '31.3.2024'), { value: '2024-03-31' });
+      assert.deepStrictEqual(coerceCustomFieldValue(field('date'), '03/31/2024'), { value: '2024-03-31' });
+      assert.deepStrictEqual(coerceCustomFieldValue(field('date'), 'March 31, 2024'), { value: '2024-03-31' });
+      assert.ok(coerceCustomFieldValue(field('date'), '03/04/2024').error.includes('ambiguous'));
+      assert.ok(coerceCustomFieldValue(field('date'), '2024-02-30').error);
+    }
+  },
+  {
+    name: 'Integers, floats and booleans',
+    run: () => {
+      assert.deepStrictEqual(coerceCustomFieldValue(field('integer'), '1.234.567'), { value: 1234567 });
+      assert.ok(coerceCustomFieldValue(field('integer'), '12.5').error);
+      assert.ok(coerceCustomFieldValue(field('integer'), '99999999999').error.includes('out of range'));
+      assert.deepStrictEqual(coerceCustomFieldValue(field('float'), '12,75'), { value: 12.75 });
+      assert.deepStrictEqual(coerceCustomFieldValue(field('boolean'), 'Yes'), { value: true });
+      assert.deepStrictEqual(coerceCustomFieldValue(field('boolean'), false), { value: false });
+      assert.ok(coerceCustomFieldValue(field('boolean'), 'maybe').error);
+    }
+  },
+  {
+    name: 'URLs, document links and strings',
+    run: () => {
+      assert.deepStrictEqual(coerceCustomFieldValue(field('url'), 'www.example.com/a'), { value: 'https://www.example.com/a' });
+      assert.deepStrictEqual(coerceCustomFieldValue(field('url'), 'https://example.com'), { value: 'https://example.com' });
+      assert.ok(coerceCustomFieldValue(field('url'), 'not a url').error);
+      assert.deepStrictEqual(coerceCustomFieldValue(field('documentlink'), '#12, 15'), { value: [12, 15] });
+      assert.ok(coerceCustomFieldValue(field('documentlink'), 'the contract').error);
+      assert.strictEqual(coerceCustomFieldValue(field('string'), 'x'.repeat(200)).value.length, 128);
+      assert.deepStrictEqual(coerceCustomFieldValue(field('longtext'), ' text '), { value: 'text' });
+      assert.strictEqual(coerceCustomFieldValue(field('string'), '  ').error, 'empty value');
+    }
+  },
+  {
+    name: 'Select values become option IDs',
+    run: () => {
+      const current = field('select', { select_options: [{ id: 'a1', label: 'Paid' }, { id: 'b2', label: 'Open' }] });
+      assert.deepStrictEqual(coerceCustomFieldValue(current, 'open'), { value: 'b2' });
+      assert.deepStrictEqual(coerceCustomFieldValue(current, 'a1'), { value: 'a1' });
+      assert.ok(coerceCustomFieldValue(current, 'Overdue').error.includes('"Paid", "Open"'));
+      assert.strictEqual(formatCustomFieldValue(current, 'b2'), 'Open');
+
+      // Before Paperless-ngx 2.14 options were plain labels referenced by index
+      const legacy = field('select', { select_options: ['Paid', 'Open'] });
+      assert.deepStrictEqual(coerceCustomFieldValue(legacy, 'Open'), { value: 1 });
+    }
+  }
+];
+
+let failed = 0;
+for (const test of tests) {
+  try {
+    test.run();
+    console.log(`✅ ${test.name}`);
+  } catch (error) {
+    failed++;
+    console.error(`❌ ${test.name}\n   ${error.message}`);
+  }
+}
+
+console.log(`\n${tests.length - failed}/${tests.length} tests passed`);
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,254 @@
+/**
+ * Tests for the native Anthropic, Gemini and Mistral services against a local
+ * mock HTTP server that answers like the provider APIs
+ *
+ * Run with: node tests/test-native-providers.js
+ */
+
+const assert = require('assert');
+const http = require('http');
+
+const analysis = {
+  title: 'Invoice 2024-113',
+  correspondent: 'ACME Corp',
+  tags: ['Invoice'],
+  document_type: 'Invoice',
+  document_date: '2024-03-31',
+  language: 'en'
+};
+
+// Last request per provider, and whether Gemini and Mistral reject the response schema
+const requests = {};
+const rejectSchema = { gemini: false, mistral: false };
+
+function reply(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+const routes = {
+  anthropic: (req, res, body) => {
+    if (req.headers['x-api-key'] !== 'anthropic-key') return reply(res, 401, { error: { message: 'invalid x-api-key' } });
+    if (req.method === 'GET') return reply(res, req.url.endsWith('/v1/models/claude-test') ? 200 : 404, {});
+    reply(res, 200, {
+      content: body.tools ? [{ type: 'tool_use', name: body.tools[0].name, input: analysis }] : [{ type: 'text', text: 'Pong' }],
+      usage: { input_tokens: 100, cache_read_input_tokens: 900, output_tokens: 50 }
+    });
+  },
+  gemini: (req, res, body) => {
+    if (req.headers['x-goog-api-key'] !== 'gemini-key') return reply(res, 403, { error: { message: 'API key not valid' } });
+    if (req.method === 'GET') return reply(res, req.url.endsWith('/v1beta/models/gemini-test') ? 200 : 404, {});
+    if (!req.url.includes('/models/gemini-test:')) return reply(res, 404, { error: { message: 'Model is not found' } });
+    if (body.contents[0].parts[0].text.includes('TOO_LONG')) {
+      return reply(res, 400, { error: { message: 'The input token count (1200000) exceeds the maximum number of tokens allowed (1048576).' } });
+    }
+    if (rejectSchema.gemini && body.generationConfig.responseJsonSchema) {
+      return reply(res, 400, { error: { message: 'Unknown name "responseJsonSchema"' } });
+    }
+    const result = body.generationConfig.responseMimeType ? JSON.stringify(analysis) : 'Pong';
+    reply(res, 200, {
+      candidates: [{ content: { role: 'model', parts: [{ text: result }] } }],
+      usageMetadata: { promptTokenCount: 1000, candidatesTokenCount: 50, totalTokenCount: 1050 }
+    });
+  },
+  mistral: (req, res, body) => {
+    if (req.headers.authorization !== 'Bearer mistral-key') return reply(res, 401, { message: 'Unauthorized' });
+    if (req.method === 'GET') return reply(res, req.url.endsWith('/v1/models/mistral-test') ? 200 : 404, {});
+    if (JSON.stringify(body.messages).includes('TOO_LONG')) {
+      return reply(res, 400, { message: 'Prompt contains 140000 tokens, too large for model with 131072 maximum context length' });
+    }
+    if (rejectSchema.mistral && body.response_format?.type === 'json_schema') {
+      return reply(res, 400, { message: 'response_format json_schema is not supported' });
+    }
+    // Plain replies as list of chunks, like the reasoning models
+    const result = body.response_format ? JSON.stringify(analysis) : [{ type: 'text', text: 'Pong' }];
+    reply(res, 200, {
+      choices: [{ message: { role: 'assistant', content: result } }],
+      usage: { prompt_tokens: 1000, completion_tokens: 50, total_tokens: 1050 }
+    });
+  }
+};
+
+const server = http.createServer((req, res) => {
+  let data = '';
+  req.on('data', chunk => { data += chunk; });
+  req.on('end', () => {
+    const [, provider] = req.url.split('/');
+    const body = data ? JSON.parse(data) : {};
+    requests[provider] = { method: req.method, url: req.url, body };
+    routes[provider](req, res, body);
+  });
+});
+
+async function main() {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+  Object.assign(process.env, {
+    JWT_SECRET: 'test',
+    SYSTEM_PROMPT: 'You are a document analysis assistant.',
+    CUSTOM_FIELDS: '{"custom_fields":[]}',
+    ANTHROPIC_API_KEY: 'anthropic-key', ANTHROPIC_MODEL: 'claude-test', ANTHROPIC_BASE_URL: `${baseUrl}/anthropic`,
+    GEMINI_API_KEY: 'gemini-key', GEMINI_MODEL: 'gemini-test', GEMINI_BASE_URL: `${baseUrl}/gemini`,
+    MISTRAL_API_KEY: 'mistral-key', MISTRAL_MODEL: 'mistral-test', MISTRAL_BASE_URL: `${baseUrl}/mistral`
+  });
+
+  const anthropicService = require('../services/anthropicService');
+  const geminiService = require('../services/geminiService');
+  const mistralService = require('../services/mistralService');
+  const setupService = require('../services/setupService');
+  const services = { anthropic: anthropicService, gemini: geminiService, mistral: mistralService };
+
+  const tests = [
+    {
+      name: 'Anthropic: analysis as forced tool call with cached system prompt',
+      run: async () => {
+        const result = await anthropicService.analyzeDocument('Invoice 2024-113 from ACME Corp', [], [], []);
+        assert.strictEqual(result.error, undefined);
+        assert.strictEqual(result.document.correspondent, 'ACME Corp');
+        assert.deepStrictEqual(result.metrics, { promptTokens: 1000, completionTokens: 50, totalTokens: 1050 });
+
+        const { body } = requests.anthropic;
+        assert.strictEqual(body.model, 'claude-test');
+        assert.deepStrictEqual(body.tool_choice, { type: 'tool', name: 'document_analysis' });
+        assert.strictEqual(body.system[0].cache_control.type, 'ephemeral');
+        assert.deepStrictEqual(body.messages.map(message => message.role), ['user']);
+      }
+    },
+    {
+      name: 'Anthropic: images as base64 blocks',
+      run: async () => {
+        await anthropicService.analyzeDocument('', [], [], [], null, null, { images: [{ mimeType: 'image/png', data: 'aGVsbG8=' }] });
+        const [image] = requests.anthropic.body.messages[0].content;
+        assert.deepStrictEqual(image.source, { type: 'base64', media_type: 'image/png', data: 'aGVsbG8=' });
+      }
+    },
+    {
+      name: 'Gemini: analysis with response schema and system instruction',
+      run: async () => {
+        const result = await geminiService.analyzeDocument('Invoice 2024-113 from ACME Corp', [], [], []);
+        assert.strictEqual(result.error, undefined);
+        assert.strictEqual(result.document.title, 'Invoice 2024-113');
+        assert.strictEqual(result.metrics.totalTokens, 1050);
+
+        const { url, body } = requests.gemini;
+        assert.ok(url.endsWith('/v1beta/models/gemini-test:generateContent'));
+        assert.strictEqual(body.generationConfig.responseMimeType, 'application/json');
+        assert.ok(body.generationConfig.responseJsonSchema.required.includes('title'));
+        assert.ok(body.systemInstruction.parts[0].text.includes('document analysis assistant'));
+      }
+    },
+    {
+      name: 'Gemini: other 400 errors are returned and keep the schema',
+      run: async () => {
+        const result = await geminiService.analyzeDocument('TOO_LONG', [], [], []);
+        assert.ok(result.error.startsWith('Gemini API error (400): The input token count'), result.error);
+        assert.strictEqual(geminiService.structuredOutput, true);
+      }
+    },
+    {
+      name: 'Gemini: continues without the schema after a 400',
+      run: async () => {
+        rejectSchema.gemini = true;
+        const result = await geminiService.analyzeDocument('Invoice 2024-113 from ACME Corp', [], [], []);
+        assert.strictEqual(result.error, undefined);
+        assert.strictEqual(geminiService.structuredOutput, false);
+        assert.strictEqual(requests.gemini.body.generationConfig.responseJsonSchema, undefined);
+      }
+    },
+    {
+      name: 'Mistral: analysis with json_schema response format',
+      run: async () => {
+        const result = await mistralService.analyzeDocument('Invoice 2024-113 from ACME Corp', [], [], []);
+        assert.strictEqual(result.error, undefined);
+        assert.strictEqual(result.document.document_type, 'Invoice');
+
+        const { body } = requests.mistral;
+        assert.strictEqual(body.response_format.type, 'json_schema');
+        assert.strictEqual(body.response_format.json_schema.name, 'document_analysis');
+      }
+    },
+    {
+      name: 'Mistral: other 400 errors are returned and keep json_schema',
+      run: async () => {
+        const result = await mistralService.analyzeDocument('TOO_LONG', [], [], []);
+        assert.ok(result.error.startsWith('Mistral API error (400): Prompt contains'), result.error);
+        assert.strictEqual(mistralService.structuredOutput, true);
+      }
+    },
+    {
+      name: 'Mistral: continues with json_object after a 400',
+      run: async () => {
+        rejectSchema.mistral = true;
+        const result = await mistralService.analyzeDocument('Invoice 2024-113 from ACME Corp', [], [], []);
+        assert.strictEqual(result.error, undefined);
+        assert.strictEqual(requests.mistral.body.response_format.type, 'json_object');
+      }
+    },
+    {
+      name: 'Playground, generateText and checkStatus of all providers',
+      run: async () => {
+        for (const [provider, service] of Object.entries(services)) {
+          const result = await service.analyzePlayground('Invoice 2024-113 from ACME Corp', 'Extract the metadata.');
+          assert.strictEqual(result.error, undefined, provider);
+          assert.strictEqual(result.document.correspondent, 'ACME Corp', provider);
+          assert.strictEqual(await service.generateText('Ping'), 'Pong', provider);
+          assert.deepStrictEqual(await service.checkStatus(), { status: 'ok', model: `${provider}-test`.replace('anthropic', 'claude') }, provider);
+        }
+      }
+    },
+    {
+      name: 'Task models replace the configured model',
+      run: async () => {
+        const AIServiceFactory = require('../services/aiServiceFactory');
+        const config = require('../config/config');
+        config.taskModels.rag = { provider: 'mistral', model: 'mistral-large-test' };
+        const { provider, model } = AIServiceFactory.getTaskSettings('rag');
+        assert.deepStrictEqual({ provider, model }, { provider: 'mistral', model: 'mistral-large-test' });
+
+        await AIServiceFactory.getService(provider).generateText('Ping', { model });
+        assert.strictEqual(requests.mistral.body.model, 'mistral-large-test');
+        await anthropicService.analyzePlayground('Invoice 2024-113', 'Extract the metadata.', { model: 'claude-large-test' });
+        assert.strictEqual(requests.anthropic.body.model, 'claude-large-test');
+
+        // Without a task provider the task uses AI_PROVIDER
+        config.taskModels.chat = { provider: '', model: '' };
+        assert.deepStrictEqual(AIServiceFactory.getTaskSettings('chat'), { provider: config.aiProvider, model: undefined });
+      }
+    },
+    {
+      name: 'API errors carry the status',
+      run: async () => {
+        const result = await geminiService.analyzeDocument('Invoice', [], [], [], null, null, { model: 'missing' });
+        assert.strictEqual(result.error, 'Gemini API error (404): Model is not found');
+      }
+    },
+    {
+      name: 'Setup validation checks key and model',
+      run: async () => {
+        assert.strictEqual(await setupService.validateAnthropicConfig('anthropic-key', 'claude-test'), true);
+        assert.strictEqual(await setupService.validateAnthropicConfig('wrong-key', 'claude-test'), false);
+        assert.strictEqual(await setupService.validateGeminiConfig('gemini-key', 'gemini-test'), true);
+        assert.strictEqual(await setupService.validateGeminiConfig('gemini-key', 'gemini-missing'), false);
+        assert.strictEqual(await setupService.validateMistralConfig('mistral-key', 'mistral-test'), true);
+        assert.strictEqual(await setupService.validateMistralConfig('mistral-key', ''), false);
+      }
+    }
+  ];
+
+  let failed = 0;
+  for (const test of tests) {
+    try {
+      await test.run();
+      console.log(`✅ ${test.name}`);
+    } catch (error) {
+      failed++;
+      console.error(`❌ ${test.name}\n   ${error.message}`);
+    }
+  }
+
+  console.log(`\n${tests.length - failed}/${tests.length} tests passed`);
+  server.close();
+  process.exit(failed > 0 ? 1 : 0);
+}
+
+main();
@@ -0,0 +1,107 @@
+/**
+ * Tests for AIServiceFactory.runWithFallback(): only outages of a provider move
+ * on to the fallback providers and count towards the circuit breaker
+ *
+ * Run with: node tests/test-provider-fallback.js
+ */
+
+const assert = require('assert');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test';
+process.env.AI_PROVIDER_FALLBACKS = 'custom';
+const { APIConnectionTimeoutError } = require('openai');
+const AIServiceFactory = require('../services/aiServiceFactory');
+const circuitBreaker = require('../services/circuitBreakerService');
+const { isProviderOutage } = require('../services/serviceUtils');
+
+const analysis = { document: { title: 'Invoice', tags: [], correspondent: null }, metrics: null };
+const failed = (error, providerOutage) => ({ document: { tags: [], correspondent: null }, metrics: null, error, providerOutage });
+
+/**
+ * Runs an analysis with the results of the providers given in `results`;
+ * a result that is an Error is thrown. Returns the result and the providers that were called.
+ */
+async function run(results) {
+  circuitBreaker.providers.clear();
+  const called = [];
+  const result = await AIServiceFactory.runWithFallback('openai', async (service, provider) => {
+    called.push(provider);
+    if (results[provider] instanceof Error) throw results[provider];
+    return results[provider];
+  });
+  return { result, called };
+}
+
+const tests = [
+  {
+    name: 'Outages are recognized by status, network code and connection error',
+    run: () => {
+      assert.ok(isProviderOutage(Object.assign(new Error('Rate limit reached'), { status: 429 })));
+      assert.ok(isProviderOutage(Object.assign(new Error('Bad gateway'), { status: 502 })));
+      assert.ok(isProviderOutage({ message: 'socket hang up', code: 'ECONNRESET' }));
+      assert.ok(isProviderOutage({ message: 'timeout of 300000ms exceeded', code: 'ECONNABORTED' }));
+      assert.ok(isProviderOutage(new APIConnectionTimeoutError()));
+      assert.ok(!isProviderOutage(Object.assign(new Error('maximum context length'), { status: 400 })));
+      assert.ok(!isProviderOutage(Object.assign(new Error('Incorrect API key'), { status: 401, code: 'invalid_api_key' })));
+      assert.ok(!isProviderOutage(new Error('Invalid response structure')));
+    }
+  },
+  {
+    name: 'A provider outage falls back and counts towards the circuit breaker',
+    run: async () => {
+      const { result, called } = await run({ openai: failed('Connection error.', true), custom: analysis });
+      assert.deepStrictEqual(called, ['openai', 'custom']);
+      assert.strictEqual(result.provider, 'custom');
+      assert.strictEqual(circuitBreaker.getState('openai').failures, 1);
+    }
+  },
+  {
+    name: 'A thrown timeout falls back as well',
+    run: async () => {
+      const { result, called } = await run({ openai: new APIConnectionTimeoutError(), custom: analysis });
+      assert.deepStrictEqual(called, ['openai', 'custom']);
+      assert.strictEqual(result.error, undefined);
+    }
+  },
+  {
+    name: 'Content errors are returned right away without recording a failure',
+    run: async () => {
+      for (const error of ['Insufficient content for AI analysis', 'Invalid response structure', 'Token limit exceeded']) {
+        const { result, called } = await run({ openai: failed(error, false), custom: analysis });
+        assert.deepStrictEqual(called, ['openai'], error);
+        assert.strictEqual(result.error, error);
+        assert.strictEqual(result.provider, 'openai');
+        assert.strictEqual(circuitBreaker.getState('openai').failures, 0, error);
+      }
+
+      const { called } = await run({ openai: new Error('Invalid response structure'), custom: analysis });
+      assert.deepStrictEqual(called, ['openai']);
+    }
+  },
+  {
+    name: 'A content error in the trial request closes a half-open circuit',
+    run: async () => {
+      circuitBreaker.providers.clear();
+      Object.assign(circuitBreaker.getState('openai'), { state: 'open', failures: 3, openedAt: 0 });
+      const result = await AIServiceFactory.runWithFallback('openai', async () => failed('Invalid response structure', false));
+      assert.strictEqual(result.provider, 'openai');
+      assert.strictEqual(circuitBreaker.getState('openai').state, 'closed');
+    }
+  }
+];
+
+(async () => {
+  let failures = 0;
+  for (const test of tests) {
+    try {
+      await test.run();
+      console.log(`✅ ${test.name}`);
+    } catch (error) {
+      failures++;
+      console.error(`❌ ${test.name}\n   ${error.message}`);
+    }
+  }
+
+  console.log(`\n${tests.length - failures}/${tests.length} tests passed`);
+  process.exit(failures > 0 ? 1 : 0);
+})();
@@ -0,0 +1,114 @@
+/**
+ * Tests for the JSON schema validator used to check AI responses
+ *
+ * Run with: node tests/test-schema-validator.js
+ */
+
+const assert = require('assert');
+const { validateSchema } = require('../services/schemaValidator');
+
+// Same as the document analysis schema in services/baseAIService.js
+const DOCUMENT_ANALYSIS_SCHEMA = {
+  type: 'object',
+  properties: {
+    title: { type: 'string' },
+    correspondent: { type: 'string' },
+    tags: { type: 'array', items: { type: 'string' } },
+    document_type: { type: 'string' },
+    document_date: { type: 'string' },
+    language: { type: 'string' },
+    custom_fields: { type: 'object', additionalProperties: true }
+  },
+  required: ['title', 'correspondent', 'tags', 'document_type', 'document_date', 'language']
+};
+
+const validDocument = {
+  title: 'Electricity bill March 2024',
+  correspondent: 'Stadtwerke',
+  tags: ['Invoice', 'Energy'],
+  document_type: 'Invoice',
+  document_date: '2024-03-31',
+  language: 'de',
+  custom_fields: {
+    0: { field_name: 'Amount', value: '84.20' }
+  }
+};
+
+const tests = [
+  {
+    name: 'Valid analysis passes',
+    run: () => assert.deepStrictEqual(validateSchema(validDocument, DOCUMENT_ANALYSIS_SCHEMA), [])
+  },
+  {
+    name: 'Custom fields are optional',
+    run: () => {
+      const document = { ...validDocument };
+      delete document.custom_fields;
+      assert.deepStrictEqual(validateSchema(document, DOCUMENT_ANALYSIS_SCHEMA), []);
+    }
+  },
+  {
+    name: 'Missing required fields are reported',
+    run: () => {
+      const document = { ...validDocument };
+      delete document.title;
+      delete document.language;
+      assert.deepStrictEqual(validateSchema(document, DOCUMENT_ANALYSIS_SCHEMA), [
+        'response.title is required',
+        'response.language is required'
+      ]);
+    }
+  },
+  {
+    name: 'Wrong types are reported with their path',
+    run: () => {
+      const errors = validateSchema({ ...validDocument, tags: ['Invoice', 42], correspondent: null }, DOCUMENT_ANALYSIS_SCHEMA);
+      assert.deepStrictEqual(errors, [
+        'response.correspondent must be of type string, got null',
+        'response.tags[1] must be of type string, got number'
+      ]);
+    }
+  },
+  {
+    name: 'Non-object replies are rejected',
+    run: () => {
+      assert.deepStrictEqual(validateSchema([validDocument], DOCUMENT_ANALYSIS_SCHEMA), [
+        'response must be of type object, got array'
+      ]);
+    }
+  },
+  {
+    name: 'Type lists, integers, enums and additionalProperties',
+    run: () => {
+      const schema = {
+        type: 'object',
+        properties: {
+          count: { type: 'integer' },
+          note: { type: ['string', 'null'] },
+          state: { enum: ['open', 'closed'] }
+        },
+        additionalProperties: false
+      };
+      assert.deepStrictEqual(validateSchema({ count: 3, note: null, state: 'open' }, schema), []);
+      assert.deepStrictEqual(validateSchema({ count: 1.5, state: 'done', extra: true }, schema), [
+        'response.count must be of type integer, got number',
+        'response.state must be one of "open", "closed"',
+        'response.extra is not allowed'
+      ]);
+    }
+  }
+];
+
+let failed = 0;
+for (const test of tests) {
+  try {
+    test.run();
+    console.log(`✅ ${test.name}`);
+  } catch (error) {
+    failed++;
+    console.error(`❌ ${test.name}\n   ${error.message}`);
+  }
+}
+
+console.log(`\n${tests.length - failed}/${tests.length} tests passed`);
+process.exit(failed > 0 ? 1 : 0);
@@ -0,0 +1,130 @@
+/**
+ * Tests for the optional request features of BaseAIService._complete(): only a
+ * 400 that names the feature switches it off, other errors are thrown
+ *
+ * Run with: node tests/test-structured-output-fallback.js
+ */
+
+const assert = require('assert');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test';
+const BaseAIService = require('../services/baseAIService');
+const config = require('../config/config');
+
+const schema = { type: 'object', properties: { title: { type: 'string' } }, required: ['title'] };
+const messages = [{ role: 'user', content: 'Invoice 2024-113' }];
+
+// Error as thrown by the OpenAI SDK
+const apiError = (message, param = null) => Object.assign(new Error(`400 ${message}`), { status: 400, param });
+
+/**
+ * Service with a fake chat completions client that fails with the given errors
+ * in order and then replies; the requests are kept in `requests`.
+ */
+function createService(errors = []) {
+  const service = new BaseAIService('Test');
+  service.requests = [];
+  service.client = {
+    chat: {
+      completions: {
+        create: async request => {
+          service.requests.push({ ...request });
+          if (errors.length > 0) throw errors.shift();
+          return {
+            choices: [{ message: { content: '{"title":"Invoice"}' } }],
+            usage: { prompt_tokens: 10, completion_tokens: 5, total_tokens: 15 }
+          };
+        }
+      }
+    }
+  };
+  return service;
+}
+
+const tests = [
+  {
+    name: 'Structured output is dropped after a 400 naming response_format',
+    run: async () => {
+      const service = createService([apiError("Invalid parameter: 'response_format' of type 'json_schema' is not supported with this model.", 'response_format')]);
+      const result = await service._complete(messages, { model: 'test', schema, schemaName: 'document_analysis' });
+      assert.strictEqual(result.content, '{"title":"Invoice"}');
+      assert.strictEqual(service.structuredOutput, false);
+      assert.strictEqual(service.requests[1].response_format, undefined);
+    }
+  },
+  {
+    name: 'A context length error is thrown and keeps structured output',
+    run: async () => {
+      const service = createService([apiError("This model's maximum context length is 128000 tokens. However, your messages resulted in 150000 tokens.", 'messages')]);
+      await assert.rejects(
+        service._complete(messages, { model: 'test', schema, schemaName: 'document_analysis' }),
+        /maximum context length/
+      );
+      assert.strictEqual(service.structuredOutput, true);
+      assert.strictEqual(service.requests.length, 1);
+    }
+  },
+  {
+    name: 'A rejected image is thrown and keeps structured output',
+    run: async () => {
+      const service = createService([apiError('Invalid image data.')]);
+      await assert.rejects(service._complete(messages, {
+        model: 'test', schema, schemaName: 'document_analysis', images: [{ mimeType: 'image/png', data: 'aGVsbG8=' }]
+      }), /Invalid image/);
+      assert.strictEqual(service.structuredOutput, true);
+    }
+  },
+  {
+    name: 'Logprobs are only requested with a confidence threshold',
+    run: async () => {
+      const service = createService();
+      await service._complete(messages, { model: 'test', schema, schemaName: 'document_analysis' });
+      assert.strictEqual(service.requests[0].logprobs, undefined);
+
+      config.confidence.fieldThresholds = { correspondent: 0.8 };
+      await service._complete(messages, { model: 'test', schema, schemaName: 'document_analysis' });
+      assert.strictEqual(service.requests[1].logprobs, true);
+      config.confidence.fieldThresholds = {};
+    }
+  },
+  {
+    name: 'Logprobs are dropped after a 400 naming them',
+    run: async () => {
+      config.confidence.threshold = 0.7;
+      const service = createService([apiError('This model does not support logprobs.', 'logprobs')]);
+      const result = await service._complete(messages, { model: 'test', schema, schemaName: 'document_analysis' });
+      assert.strictEqual(result.content, '{"title":"Invoice"}');
+      assert.strictEqual(service.logprobs, false);
+      assert.strictEqual(service.requests[1].logprobs, undefined);
+      assert.ok(service.requests[1].response_format);
+    }
+  },
+  {
+    name: 'Other 400 errors are thrown and keep logprobs',
+    run: async () => {
+      config.confidence.threshold = 0.7;
+      const service = createService([apiError('Invalid image data.')]);
+      await assert.rejects(service._complete(messages, {
+        model: 'test', schema, schemaName: 'document_analysis', images: [{ mimeType: 'image/png', data: 'aGVsbG8=' }]
+      }), /Invalid image/);
+      assert.strictEqual(service.logprobs, true);
+      assert.strictEqual(service.requests.length, 1);
+    }
+  }
+];
+
+(async () => {
+  let failed = 0;
+  for (const test of tests) {
+    try {
+      await test.run();
+      console.log(`✅ ${test.name}`);
+    } catch (error) {
+      failed++;
+      console.error(`❌ ${test.name}\n   ${error.message}`);
+    }
+  }
+
+  console.log(`\n${tests.length - failed}/${tests.length} tests passed`);
+  process.exit(failed > 0 ? 1 : 0);
+})();
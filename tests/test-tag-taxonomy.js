@@ -0,0 +1,92 @@
+/**
+ * Tests for the tag name similarity of the tag taxonomy and the matching of
+ * AI tag names to existing tags before a new tag is created
+ *
+ * Run with: node tests/test-tag-taxonomy.js
+ */
+
+const assert = require('assert');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test';
+const config = require('../config/config');
+const documentModel = require('../models/document');
+const paperlessService = require('../services/paperlessService');
+const tagTaxonomyService = require('../services/tagTaxonomyService');
+
+const tags = [
+  { id: 1, name: 'Invoice', document_count: 40 },
+  { id: 2, name: 'Contract', document_count: 12 },
+  { id: 3, name: 'Tax 2023', document_count: 8 },
+  { id: 4, name: 'E-Mail', document_count: 3 },
+  { id: 5, name: 'Insurance', document_count: 5 }
+];
+
+// Existing tags without Paperless-ngx: only exact names are found there, no aliases
+paperlessService.findExistingTag = async name => tags.find(tag => tag.name === name) || null;
+tagTaxonomyService.getTags = async () => tags;
+documentModel.getTagAliasByKey = async () => null;
+
+const match = async name => (await tagTaxonomyService.findMatchingTag(name))?.name || null;
+
+const tests = [
+  {
+    name: 'Plural forms, accents, case and separators are the same name',
+    run: () => {
+      assert.strictEqual(tagTaxonomyService.similarity('Invoices', 'Invoice'), 1);
+      assert.strictEqual(tagTaxonomyService.similarity('Rechnungen', 'rechnung'), 1);
+      assert.strictEqual(tagTaxonomyService.similarity('email', 'E-Mail'), 1);
+      assert.strictEqual(tagTaxonomyService.similarity('Café', 'cafe'), 1);
+    }
+  },
+  {
+    name: 'Different numbers or a different short word never match',
+    run: () => {
+      assert.strictEqual(tagTaxonomyService.similarity('Q1 2023', 'Q2 2023'), 0);
+      assert.strictEqual(tagTaxonomyService.similarity('Tax 2023', 'Tag 2023'), 0);
+      assert.strictEqual(tagTaxonomyService.similarity('Car', 'Cat'), 0);
+    }
+  },
+  {
+    name: 'Longer words are scored by their spelling',
+    run: () => {
+      assert.strictEqual(tagTaxonomyService.similarity('Contract', 'Contrast'), 0.875);
+      assert.ok(tagTaxonomyService.similarity('Insurence', 'Insurance') > 0.85);
+    }
+  },
+  {
+    name: 'By default only the same name matches an existing tag',
+    run: async () => {
+      config.tagMatching.similarityThreshold = 0;
+      assert.strictEqual(await match('Invoices'), 'Invoice');
+      assert.strictEqual(await match('email'), 'E-Mail');
+      assert.strictEqual(await match('Contrast'), null);
+      assert.strictEqual(await match('Tag 2023'), null);
+      assert.strictEqual(await match('Insurence'), null);
+    }
+  },
+  {
+    name: 'A similarity threshold also matches typos',
+    run: async () => {
+      config.tagMatching.similarityThreshold = 0.85;
+      assert.strictEqual(await match('Insurence'), 'Insurance');
+      assert.strictEqual(await match('Tag 2023'), null);
+      config.tagMatching.similarityThreshold = 0;
+    }
+  }
+];
+
+(async () => {
+  let failed = 0;
+  for (const test of tests) {
+    try {
+      await test.run();
+      console.log(`✅ ${test.name}`);
+    } catch (error) {
+      failed++;
+      console.error(`❌ ${test.name}\n   ${error.message}`);
+    }
+  }
+
+  console.log(`\n${tests.length - failed}/${tests.length} tests passed`);
+  process.exit(failed > 0 ? 1 : 0);
+})();